@@ -1,6 +1,32 @@
 import path from "path";
 import fs from "fs-extra";
 import YamlConfigMerger from "../utils/YamlConfigMerger.js";
+import { ChangeJournal } from "../utils/ChangeJournal.js";
+import { CodeModifier } from "../utils/CodeModifier.js";
+
+// Permission policy module removed from the backend in Phase 2 (Auth.md Step 6)
+const ALLOW_ALL_POLICY_MODULE = "@backstage/plugin-permission-backend-module-allow-all-policy";
+
+// createApp({ components }) SignInPage offering the configured providers and setting the auth cookie
+const SIGN_IN_PAGE_COMPONENT = `SignInPage: props => {
+  const discoveryApi = useApi(discoveryApiRef);
+  const config = useApi(configApiRef);
+  return (
+    <SignInPage
+      {...props}
+      providers={authProviders}
+      title="Select a sign-in method"
+      align="center"
+      onSignInSuccess={async (identityApi: IdentityApi) => {
+        setTokenCookie(
+          await discoveryApi.getBaseUrl('cookie'),
+          identityApi
+        );
+        props.onSignInSuccess(identityApi);
+      }}
+    />
+  );
+}`;
 
 export class AuthConfigure {
   constructor(config, logger, docParser, fileManager, sharedYamlMerger = null) {
@@ -11,6 +37,7 @@ export class AuthConfigure {
     this.authDocumentation = null;
     // Use shared YamlConfigMerger if provided, otherwise create new instance for backward compatibility
     this.yamlMerger = sharedYamlMerger || new YamlConfigMerger(logger);
+    this.codeModifier = new CodeModifier();
     this.authProviders = [];
   }
 
@@ -244,6 +271,7 @@ export class AuthConfigure {
       if (await fs.pathExists(sourcePath)) {
         if (!(await fs.pathExists(destPath))) {
           await fs.ensureDir(path.dirname(destPath));
+          await ChangeJournal.recordCopy(sourcePath, destPath);
           await fs.copy(sourcePath, destPath, { overwrite: true });
           this.logger.info(`📄 Copied ${file.description}: ${file.source} → ${file.dest}`);
         } else {
@@ -262,6 +290,7 @@ export class AuthConfigure {
       if (await fs.pathExists(sourcePath)) {
         if (!(await fs.pathExists(destPath))) {
           await fs.ensureDir(destPath);
+          await ChangeJournal.recordCopy(sourcePath, destPath);
           await fs.copy(sourcePath, destPath, { 
             overwrite: true,
             filter: (src, dest) => {
@@ -334,15 +363,18 @@ export class AuthConfigure {
       ];
 
       for (const module of requiredModules) {
-        if (indexContent.includes(module)) {
+        const registrations = this.codeModifier.countBackendModule(indexContent, module);
+        if (registrations === 1) {
           validationResults.push(`✅ Backend index.ts has ${module}`);
+        } else if (registrations > 1) {
+          validationResults.push(`⚠️ Backend index.ts registers ${module} ${registrations} times`);
         } else {
           validationResults.push(`⚠️ Backend index.ts missing ${module}`);
         }
       }
 
       // Check that allow-all-policy is removed
-      if (indexContent.includes("allow-all-policy")) {
+      if ([...this.codeModifier.moduleSpecifiers(indexContent)].some((specifier) => specifier.endsWith("allow-all-policy"))) {
         validationResults.push(`⚠️ Backend index.ts still has allow-all-policy (should be removed)`);
       } else {
         validationResults.push(`✅ Backend index.ts has allow-all-policy properly removed`);
@@ -419,13 +451,19 @@ export class AuthConfigure {
       if (await fs.pathExists(filePath)) {
         let content = await fs.readFile(filePath, "utf8");
 
-        // Remove allow-all-policy import
+        // Remove the backend.add(import('…allow-all-policy')) registration
         if (step.instruction.includes("allow-all-policy")) {
-          content = content.replace(/import.*allow-all-policy.*;\n?/g, "");
-          await fs.writeFile(filePath, content, "utf8");
-          this.logger.info(
-            `📝 Removed allow-all-policy import from ${fileMatch[1]}`
-          );
+          const updated = this.codeModifier.removeCallExpression(content, {
+            callee: "backend.add",
+            importSpecifier: ALLOW_ALL_POLICY_MODULE
+          });
+          if (updated !== content) {
+            await ChangeJournal.record(filePath);
+            await fs.writeFile(filePath, updated, "utf8");
+            this.logger.info(
+              `📝 Removed allow-all-policy import from ${fileMatch[1]}`
+            );
+          }
         }
       }
     }
@@ -452,6 +490,7 @@ export class AuthConfigure {
         if (stat.isDirectory()) {
           // Copy entire directory
           await fs.ensureDir(fullDestPath);
+          await ChangeJournal.recordCopy(fullSourcePath, fullDestPath);
           await fs.copy(fullSourcePath, fullDestPath, { 
             overwrite: true,
             filter: (src, dest) => {
@@ -463,6 +502,7 @@ export class AuthConfigure {
         } else {
           // Copy single file
           await fs.ensureDir(path.dirname(fullDestPath));
+          await ChangeJournal.recordCopy(fullSourcePath, fullDestPath);
           await fs.copy(fullSourcePath, fullDestPath, { overwrite: true });
           this.logger.info(`📄 Copied file: ${sourcePath} → ${destPath}`);
         }
@@ -487,10 +527,12 @@ export class AuthConfigure {
         
         if (stat.isDirectory()) {
           await fs.ensureDir(fullDestPath);
+          await ChangeJournal.recordCopy(fullSourcePath, fullDestPath);
           await fs.copy(fullSourcePath, fullDestPath, { overwrite: true });
           this.logger.info(`� Copied directory: ${sourcePath} → ${destPath}`);
         } else {
           await fs.ensureDir(path.dirname(fullDestPath));
+          await ChangeJournal.recordCopy(fullSourcePath, fullDestPath);
           await fs.copy(fullSourcePath, fullDestPath, { overwrite: true });
           this.logger.info(`�📄 Copied file: ${sourcePath} → ${destPath}`);
         }
@@ -695,23 +737,10 @@ export class AuthConfigure {
       if (importMatches) {
         for (const importStatement of importMatches) {
           // Only allow specific imports that are meant for index.ts (Step 5)
-          if (this.isValidIndexImport(importStatement) && !content.includes(importStatement.trim())) {
-            // Find the location to insert imports (after the last existing import)
-            const importLines = content.split('\n');
-            let lastImportIndex = -1;
-            
-            // Find the last line that starts with 'import' (handles multi-line imports)
-            for (let i = 0; i < importLines.length; i++) {
-              const line = importLines[i].trim();
-              if (line.startsWith('import ') || line.startsWith('import{') || line.startsWith('import\t')) {
-                lastImportIndex = i;
-              }
-            }
-            
-            if (lastImportIndex !== -1) {
-              // Insert after the last import line
-              importLines.splice(lastImportIndex + 1, 0, importStatement);
-              content = importLines.join('\n');
+          if (this.isValidIndexImport(importStatement)) {
+            const updated = this.codeModifier.addImports(content, importStatement);
+            if (updated !== content) {
+              content = updated;
               modified = true;
               this.logger.info(`📄 Added import to index.ts: ${importStatement}`);
             }
@@ -721,23 +750,16 @@ export class AuthConfigure {
         }
       }
 
-      // Handle backend.add statements
-      const backendAddMatches = configContentText.match(/backend\.add\([^)]+\);?/g);
-      if (backendAddMatches) {
-        for (const backendAdd of backendAddMatches) {
-          const cleanAdd = backendAdd.replace(/;$/, '');
-          if (!content.includes(cleanAdd)) {
-            content = content.replace(
-              "backend.start();",
-              `${cleanAdd};\n\nbackend.start();`
-            );
-            modified = true;
-            this.logger.info(`📄 Added backend module to index.ts: ${cleanAdd}`);
-          }
-        }
+      // Handle backend.add statements (added after the existing ones, before backend.start())
+      const withRegistrations = this.codeModifier.addBackendRegistrations(content, configContentText);
+      if (withRegistrations !== content) {
+        content = withRegistrations;
+        modified = true;
+        this.logger.info("📄 Added backend modules to index.ts");
       }
 
       if (modified) {
+        await ChangeJournal.record(indexPath);
         await fs.writeFile(indexPath, content, "utf8");
         this.logger.info("📄 Updated backend index.ts");
       }
@@ -762,41 +784,24 @@ export class AuthConfigure {
       const importMatches = configContentText.match(/import\s+.*?;/g);
       if (importMatches) {
         for (const importStatement of importMatches) {
-          if (!content.includes(importStatement.trim())) {
-            // Find location to insert imports (after the last existing import)
-            const importLines = content.split('\n');
-            let lastImportIndex = -1;
-            
-            // Find the last line that starts with 'import' (handles multi-line imports)
-            for (let i = 0; i < importLines.length; i++) {
-              const line = importLines[i].trim();
-              if (line.startsWith('import ') || line.startsWith('import{') || line.startsWith('import\t')) {
-                lastImportIndex = i;
-              }
-            }
-            
-            if (lastImportIndex !== -1) {
-              // Insert after the last import line
-              importLines.splice(lastImportIndex + 1, 0, importStatement);
-              content = importLines.join('\n');
-              modified = true;
-              this.logger.info(`📄 Added import to App.tsx: ${importStatement}`);
-            }
+          const updated = this.codeModifier.addImports(content, importStatement);
+          if (updated !== content) {
+            content = updated;
+            modified = true;
+            this.logger.info(`📄 Added import to App.tsx: ${importStatement}`);
           }
         }
       }
 
       // Handle authProviders array definition
-      if (configContentText.includes('authProviders') && !content.includes('authProviders')) {
+      if (configContentText.includes('authProviders') && !this.codeModifier.hasDeclaration(content, 'authProviders')) {
         // Extract authProviders definition
         const authProvidersMatch = configContentText.match(/const authProviders[\s\S]*?(?=\n\n|\n(?=const|\w))/);
         if (authProvidersMatch) {
           // Insert before createApp call
-          const createAppIndex = content.indexOf('const app = createApp(');
-          if (createAppIndex !== -1) {
-            content = content.slice(0, createAppIndex) + 
-                     authProvidersMatch[0] + '\n\n' + 
-                     content.slice(createAppIndex);
+          const updated = this.codeModifier.addStatements(content, authProvidersMatch[0], { before: 'app' });
+          if (updated !== content) {
+            content = updated;
             modified = true;
             this.logger.info('📄 Added authProviders array to App.tsx');
           }
@@ -804,35 +809,15 @@ export class AuthConfigure {
       }
 
       // Handle SignInPage component configuration
-      if (configContentText.includes('SignInPage') && content.includes('providers={[\'guest\']}')) {
+      if (configContentText.includes('SignInPage') && /^\{\s*\[\s*['"]guest['"]\s*\]\s*\}$/.test(this.codeModifier.findJsxAttribute(content, 'SignInPage', 'providers'))) {
         // Replace the existing SignInPage configuration
-        content = content.replace(
-          /SignInPage: props => <SignInPage \{\.\.\.props\} auto providers=\{\['guest'\]\} \/>,/,
-          `SignInPage: props => {
-      const discoveryApi = useApi(discoveryApiRef);
-      const config = useApi(configApiRef);
-      return (
-        <SignInPage
-          {...props}
-          providers={authProviders}
-          title="Select a sign-in method"
-          align="center"
-          onSignInSuccess={async (identityApi: IdentityApi) => {
-            setTokenCookie(
-              await discoveryApi.getBaseUrl('cookie'),
-              identityApi
-            );
-            props.onSignInSuccess(identityApi);
-          }}
-        />
-      );
-    },`
-        );
+        content = this.codeModifier.setObjectProperty(content, 'createApp', SIGN_IN_PAGE_COMPONENT, { within: 'components' });
         modified = true;
         this.logger.info('📄 Updated SignInPage configuration in App.tsx');
       }
 
       if (modified) {
+        await ChangeJournal.record(appPath);
         await fs.writeFile(appPath, content, "utf8");
         this.logger.info("📄 Updated App.tsx component");
       }
@@ -860,30 +845,10 @@ export class AuthConfigure {
       const importMatches = configContentText.match(/import.*from.*;/g);
       if (importMatches) {
         importMatches.forEach((importStatement) => {
-          if (!content.includes(importStatement)) {
-            // Find the last import line and add after it
-            const importLines = content.split('\n');
-            let lastImportIndex = -1;
-            
-            // Find the last line that starts with 'import' (handles multi-line imports)
-            for (let i = 0; i < importLines.length; i++) {
-              const line = importLines[i].trim();
-              if (line.startsWith('import ') || line.startsWith('import{') || line.startsWith('import\t')) {
-                lastImportIndex = i;
-              }
-            }
-            
-            if (lastImportIndex !== -1) {
-              // Insert after the last import line
-              importLines.splice(lastImportIndex + 1, 0, importStatement);
-              content = importLines.join('\n');
-            } else {
-              // No imports found, add at the beginning
-              content = importStatement + "\n" + content;
-            }
-          }
+          content = this.codeModifier.addImports(content, importStatement);
         });
 
+        await ChangeJournal.record(filePath);
         await fs.writeFile(filePath, content, "utf8");
         this.logger.info(`📥 Added imports to ${targetFile}`);
       }
@@ -980,106 +945,51 @@ export class AuthConfigure {
 
     // Ensure required imports
     const requiredImports = [
-      { import: "import { SignInProviderConfig } from '@backstage/core-components';", check: "SignInProviderConfig" },
-      { import: "import { discoveryApiRef, useApi, configApiRef } from '@backstage/core-plugin-api';", check: "discoveryApiRef" },
-      { import: "import type { IdentityApi } from '@backstage/core-plugin-api';", check: "type { IdentityApi }" },
-      { import: "import { setTokenCookie } from './cookieAuth';", check: "setTokenCookie" }
+      "import { SignInProviderConfig } from '@backstage/core-components';",
+      "import { discoveryApiRef, useApi, configApiRef } from '@backstage/core-plugin-api';",
+      "import type { IdentityApi } from '@backstage/core-plugin-api';",
+      "import { setTokenCookie } from './cookieAuth';"
     ];
 
-    for (const req of requiredImports) {
-      if (!content.includes(req.check)) {
-        // Find the last import line and add after it
-        const importLines = content.split('\n');
-        let lastImportIndex = -1;
-        
-        // Find the last line that starts with 'import' (handles multi-line imports)
-        for (let i = 0; i < importLines.length; i++) {
-          const line = importLines[i].trim();
-          if (line.startsWith('import ') || line.startsWith('import{') || line.startsWith('import\t')) {
-            lastImportIndex = i;
-          }
-        }
-        
-        if (lastImportIndex !== -1) {
-          // Insert after the last import line
-          importLines.splice(lastImportIndex + 1, 0, req.import);
-          content = importLines.join('\n');
-          modified = true;
-          this.logger.info(`📄 Added import: ${req.import}`);
-        }
+    for (const importStatement of requiredImports) {
+      const updated = this.codeModifier.addImports(content, importStatement);
+      if (updated !== content) {
+        content = updated;
+        modified = true;
+        this.logger.info(`📄 Added import: ${importStatement}`);
       }
     }
 
-    // Ensure AuthProvider type definition
-    if (!content.includes('type AuthProvider')) {
-      const typeDefinition = '\ntype AuthProvider = "guest" | SignInProviderConfig;\n';
-      // Insert after imports, before any const declarations
-      const firstConstMatch = content.match(/\nconst \w+/);
-      if (firstConstMatch) {
-        const insertIndex = content.indexOf(firstConstMatch[0]);
-        content = content.slice(0, insertIndex) + typeDefinition + content.slice(insertIndex);
-        modified = true;
-        this.logger.info('📄 Added AuthProvider type definition');
-      }
+    // Ensure AuthProvider type definition, after the imports
+    const withType = this.codeModifier.addStatements(content, 'type AuthProvider = "guest" | SignInProviderConfig;');
+    if (withType !== content) {
+      content = withType;
+      modified = true;
+      this.logger.info('📄 Added AuthProvider type definition');
     }
 
-    // Ensure authProviders array exists
-    if (!content.includes('const authProviders')) {
-      const authProvidersArray = `\nconst authProviders: AuthProvider[] = [\n  // Authentication providers will be added here by provider-specific modules\n];\n`;
-      // Insert before createApp call
-      const createAppIndex = content.indexOf('const app = createApp(');
-      if (createAppIndex !== -1) {
-        content = content.slice(0, createAppIndex) + authProvidersArray + '\n' + content.slice(createAppIndex);
-        modified = true;
-        this.logger.info('📄 Added authProviders array');
-      }
+    // Ensure authProviders array exists, before the createApp call
+    const withProviders = this.codeModifier.addStatements(
+      content,
+      `const authProviders: AuthProvider[] = [\n  // Authentication providers will be added here by provider-specific modules\n];`,
+      { before: 'app' }
+    );
+    if (withProviders !== content) {
+      content = withProviders;
+      modified = true;
+      this.logger.info('📄 Added authProviders array');
     }
 
-    // Ensure SignInPage component is configured
-    if (!content.includes('providers={authProviders}')) {
-      // Look for SignInPage component configuration
-      const signInPageMatch = content.match(/SignInPage:\s*props\s*=>\s*{[\s\S]*?}/);
-      if (signInPageMatch) {
-        // Update existing SignInPage configuration
-        const updatedSignInPage = signInPageMatch[0].replace(
-          /<SignInPage\s*([^>]*)>/,
-          '<SignInPage\n          {...props}\n          providers={authProviders}\n          title="Select a sign-in method"\n          align="center"\n          onSignInSuccess={async (identityApi: IdentityApi) => {\n            setTokenCookie(\n              await discoveryApi.getBaseUrl(\'cookie\'),\n              identityApi\n            );\n            props.onSignInSuccess(identityApi);\n          }}\n        >'
-        );
-        content = content.replace(signInPageMatch[0], updatedSignInPage);
-        modified = true;
-        this.logger.info('📄 Updated SignInPage configuration');
-      } else {
-        // Add SignInPage component if it doesn't exist
-        const componentsMatch = content.match(/components:\s*{([^}]*)}/);
-        if (componentsMatch) {
-          const signInPageComponent = `
-    SignInPage: props => {
-      const discoveryApi = useApi(discoveryApiRef);
-      const config = useApi(configApiRef);
-      return (
-        <SignInPage
-          {...props}
-          providers={authProviders}
-          title="Select a sign-in method"
-          align="center"
-          onSignInSuccess={async (identityApi: IdentityApi) => {
-            setTokenCookie(
-              await discoveryApi.getBaseUrl('cookie'),
-              identityApi
-            );
-            props.onSignInSuccess(identityApi);
-          }}
-        />
-      );
-    },`;
-          content = content.replace('components: {', `components: {${signInPageComponent}`);
-          modified = true;
-          this.logger.info('📄 Added SignInPage component configuration');
-        }
-      }
+    // Ensure SignInPage component is configured: createApp({ components: { SignInPage } })
+    if (this.codeModifier.findJsxAttribute(content, 'SignInPage', 'providers') !== '{authProviders}') {
+      const existing = this.codeModifier.hasJsxElement(content, 'SignInPage');
+      content = this.codeModifier.setObjectProperty(content, 'createApp', SIGN_IN_PAGE_COMPONENT, { within: 'components', position: 'start' });
+      modified = true;
+      this.logger.info(existing ? '📄 Updated SignInPage configuration' : '📄 Added SignInPage component configuration');
     }
 
     if (modified) {
+      await ChangeJournal.record(appPath);
       await fs.writeFile(appPath, content, "utf8");
       this.logger.info("📄 Updated App.tsx component");
     } else {
@@ -1124,24 +1034,19 @@ export class AuthConfigure {
     );
 
     if (await fs.pathExists(backendIndexPath)) {
-      let content = await fs.readFile(backendIndexPath, "utf8");
-      const originalContent = content;
-
-      // Remove various forms of allow-all-policy imports
-      const patterns = [
-        /backend\.add\(\s*import\(\s*["']@backstage\/plugin-permission-backend-module-allow-all-policy["']\s*\)\s*\);?\s*\n?/g,
-        /import\s*\(\s*["']@backstage\/plugin-permission-backend-module-allow-all-policy["']\s*\)\s*,?\s*\n?/g,
-        /["']@backstage\/plugin-permission-backend-module-allow-all-policy["']\s*,?\s*\n?/g
-      ];
+      const originalContent = await fs.readFile(backendIndexPath, "utf8");
 
-      for (const pattern of patterns) {
-        content = content.replace(pattern, '');
-      }
+      // backend.add(import('…allow-all-policy')) in any formatting
+      let content = this.codeModifier.removeCallExpression(originalContent, {
+        callee: "backend.add",
+        importSpecifier: ALLOW_ALL_POLICY_MODULE
+      });
 
       // Clean up any duplicate empty lines
       content = content.replace(/\n\n\n+/g, '\n\n');
 
       if (content !== originalContent) {
+        await ChangeJournal.record(backendIndexPath);
         await fs.writeFile(backendIndexPath, content, "utf8");
         this.logger.info("✅ Removed allow-all-policy import from backend index.ts");
       } else {
@@ -1163,11 +1068,23 @@ export class AuthConfigure {
         let content = await fs.readFile(filePath, "utf8");
         const originalContent = content;
 
-        // Remove the specified code block
-        content = content.replace(codeToRemove, '');
+        // backend.add(...) statements are removed from the syntax tree, whatever their
+        // formatting; other code blocks as written
+        const backendAdds = codeToRemove.match(/^\s*backend\.add\([\s\S]*?\);?\s*$/gm);
+        if (backendAdds && targetFile.endsWith("index.ts")) {
+          for (const backendAdd of backendAdds) {
+            const packageName = this.extractPackageName(backendAdd);
+            content = this.codeModifier.removeCallExpression(content, packageName
+              ? { callee: "backend.add", importSpecifier: packageName }
+              : { callee: "backend.add", argument: backendAdd.trim().replace(/^backend\.add\(/, "").replace(/\);?$/, "") });
+          }
+        } else {
+          content = content.replace(codeToRemove, '');
+        }
         content = content.replace(/\n\n\n+/g, '\n\n'); // Clean up empty lines
 
         if (content !== originalContent) {
+          await ChangeJournal.record(filePath);
           await fs.writeFile(filePath, content, "utf8");
           this.logger.info(`🗑️ Removed code block from ${targetFile}`);
           break;
@@ -1262,36 +1179,21 @@ export class AuthConfigure {
       const configContentText = this.docParser.contentToText(configBlock.content);
       let modified = false;
 
-      // Enhanced deletion logic to handle allow-all-policy variations
-      // Pattern matches: backend.add(import('...' or "..."));  with optional trailing comma
-      const allowAllPolicyPatterns = [
-        // Pattern 1: backend.add(import('@backstage/plugin-permission-backend-module-allow-all-policy'));
-        /backend\.add\(\s*import\(\s*['"]@backstage\/plugin-permission-backend-module-allow-all-policy['"]\s*\)\s*\)\s*,?\s*;?\s*\n?/g,
-        
-        // Pattern 2: Lines with trailing comma: backend.add(import('...'),);
-        /backend\.add\(\s*import\(\s*['"]@backstage\/plugin-permission-backend-module-allow-all-policy['"]\s*\)\s*,\s*\)\s*;?\s*\n?/g,
-        
-        // Pattern 3: Multiline format with proper indentation
-        /\s*backend\.add\(\s*\n?\s*import\(\s*['"]@backstage\/plugin-permission-backend-module-allow-all-policy['"]\s*\)\s*,?\s*\n?\s*\)\s*;?\s*\n?/g,
-        
-        // Pattern 4: Direct import line without backend.add wrapper (edge case)
-        /import\(\s*['"]@backstage\/plugin-permission-backend-module-allow-all-policy['"]\s*\)\s*,?\s*;?\s*\n?/g
-      ];
+      // backend.add(import('…')) calls are found in the syntax tree, so quotes,
+      // line breaks and trailing commas do not matter
+      const removeBackendModule = (packageName) => {
+        const updated = this.codeModifier.removeCallExpression(content, { callee: "backend.add", importSpecifier: packageName });
+        if (updated !== content) {
+          content = updated;
+          modified = true;
+          this.logger.info(`🗑️ Removed backend.add(import('${packageName}'))`);
+        }
+      };
 
       // Check for allow-all-policy deletion first (most common case)
       if (configContentText.includes('allow-all-policy')) {
         this.logger.info('🔍 Processing allow-all-policy deletion...');
-        
-        for (const pattern of allowAllPolicyPatterns) {
-          const matches = content.match(pattern);
-          if (matches) {
-            for (const match of matches) {
-              content = content.replace(match, '');
-              modified = true;
-              this.logger.info(`🗑️ Removed allow-all-policy line: ${match.trim()}`);
-            }
-          }
-        }
+        removeBackendModule(ALLOW_ALL_POLICY_MODULE);
       }
 
       // Fallback: Generic backend.add pattern extraction and removal
@@ -1300,65 +1202,27 @@ export class AuthConfigure {
         this.logger.info('🔍 Processing generic backend.add deletion...');
         
         for (const backendAdd of backendAddMatches) {
-          // Create flexible regex patterns to handle various formats
           const packageName = this.extractPackageName(backendAdd);
           if (packageName) {
-            // Create patterns that handle quote variations, spacing, and trailing commas
-            const flexiblePatterns = [
-              // Standard format: backend.add(import('package'));
-              new RegExp(`backend\\.add\\(\\s*import\\(\\s*['"]${this.escapeRegex(packageName)}['"]\\s*\\)\\s*\\)\\s*;?\\s*\\n?`, 'g'),
-              
-              // With trailing comma: backend.add(import('package'),);
-              new RegExp(`backend\\.add\\(\\s*import\\(\\s*['"]${this.escapeRegex(packageName)}['"]\\s*\\)\\s*,\\s*\\)\\s*;?\\s*\\n?`, 'g'),
-              
-              // With various whitespace: backend.add( import( 'package' ) );
-              new RegExp(`\\s*backend\\.add\\(\\s*import\\(\\s*['"]${this.escapeRegex(packageName)}['"]\\s*\\)\\s*,?\\s*\\)\\s*;?\\s*\\n?`, 'g'),
-              
-              // Multiline format
-              new RegExp(`\\s*backend\\.add\\(\\s*\\n?\\s*import\\(\\s*['"]${this.escapeRegex(packageName)}['"]\\s*\\)\\s*,?\\s*\\n?\\s*\\)\\s*;?\\s*\\n?`, 'g')
-            ];
-            
-            for (const pattern of flexiblePatterns) {
-              const matches = content.match(pattern);
-              if (matches) {
-                for (const match of matches) {
-                  content = content.replace(match, '');
-                  modified = true;
-                  this.logger.info(`🗑️ Removed backend.add line: ${match.trim()}`);
-                }
-              }
-            }
+            removeBackendModule(packageName);
           }
         }
       }
 
-      // Handle deletion markers: // DELETE: Remove this line from index.ts
-      const deleteMarkerPatterns = [
-        // Single line comment followed by backend.add
-        /\/\/\s*DELETE:.*?\n\s*backend\.add\([^)]+\)\s*,?\s*;?\s*\n?/g,
-        
-        // Multi-line comment with backend.add
-        /\/\*[\s\S]*?DELETE[\s\S]*?\*\/\s*\n?\s*backend\.add\([^)]+\)\s*,?\s*;?\s*\n?/g,
-        
-        // Comment on same line
-        /backend\.add\([^)]+\)\s*,?\s*;?\s*\/\/.*DELETE.*\n?/g
-      ];
-
-      for (const pattern of deleteMarkerPatterns) {
-        const matches = content.match(pattern);
-        if (matches) {
-          for (const match of matches) {
-            content = content.replace(match, '');
-            modified = true;
-            this.logger.info('🗑️ Removed marked deletion line from index.ts');
-          }
-        }
+      // Handle deletion markers: // DELETE: Remove this line from index.ts, as a comment
+      // above the backend.add(...) statement or after it on the same line
+      const unmarked = this.codeModifier.removeCallExpression(content, { callee: "backend.add", comment: /DELETE/ });
+      if (unmarked !== content) {
+        content = unmarked;
+        modified = true;
+        this.logger.info('🗑️ Removed marked deletion line from index.ts');
       }
 
       // Clean up any excessive empty lines created by deletions
       content = content.replace(/\n\n\n+/g, '\n\n');
 
       if (modified) {
+        await ChangeJournal.record(indexPath);
         await fs.writeFile(indexPath, content, "utf8");
         this.logger.info("📄 Updated backend index.ts (removed unwanted imports)");
       } else {
@@ -1405,11 +1269,6 @@ export class AuthConfigure {
     return (hasDeletionMarker && hasAllowAllPolicy) || hasBackendAddWithPolicy;
   }
 
-  // Helper method to escape special regex characters
-  escapeRegex(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  }
-
   /**
    * Replace placeholders in a configuration object with real values
    * @param {object} obj - Configuration object that may contain placeholders
@@ -4,85 +4,102 @@ import path from 'path';
 import fs from 'fs-extra';
 import { Logger } from '../utils/Logger.js';
 import chalk from 'chalk';
+import { ChangeJournal } from '../utils/ChangeJournal.js';
+import { SkeletonCache } from '../utils/SkeletonCache.js';
+import { TempWorkspace } from '../utils/TempWorkspace.js';
+
+// Default @backstage/create-app version skeletons are generated with (and cached under)
+export const CREATE_APP_VERSION = '0.5.25';
+
+// create-app versions are 0.x; Backstage releases (backstage.json) are 1.x and later
+const CREATE_APP_VERSION_PATTERN = /^0\.\d+\.\d+$/;
+
+// App name skeletons are generated with for the cache; replaced by the real name on copy
+export const SKELETON_APP_NAME_TOKEN = 'flowsource-skeleton-app';
 
 export class BackstageGenerator {
-  constructor() {
+  /**
+   * @param {Object} options - { cacheRoot, offline, keepTemp }: skeleton cache directory (defaults
+   *   to SkeletonCache.defaultRoot()); offline fails instead of running create-app on a cache miss;
+   *   keepTemp leaves the temporary workspace in place for debugging
+   */
+  constructor(options = {}) {
     this.logger = Logger.getInstance();
+    this.options = { cacheRoot: null, offline: false, keepTemp: false, ...options };
+    this.cache = new SkeletonCache(this.options.cacheRoot);
   }
 
-  async generate(destinationPath, applicationName) {
+  /**
+   * Pick the create-app version to generate with
+   * @param {string|null} requested - --backstage-version: a create-app version (0.x.y) or a
+   *   Backstage release (1.x.y) that a cached skeleton was created for
+   * @param {string|null} packageBackstageVersion - Backstage release of the FlowSource package
+   * @returns {Promise<string>} create-app version
+   */
+  async selectCreateAppVersion(requested = null, packageBackstageVersion = null) {
+    if (requested) {
+      if (CREATE_APP_VERSION_PATTERN.test(requested)) {
+        return requested;
+      }
+      const entry = await this.cache.findByBackstageVersion(requested);
+      if (!entry) {
+        const cached = (await this.cache.list()).map(item => `${item.backstageVersion || 'unknown'} (create-app ${item.createAppVersion})`);
+        throw new Error(
+          `No cached skeleton for Backstage ${requested}. Pass the create-app version that generates it (0.x.y) ` +
+          `or import such a skeleton first. Cached: ${cached.join(', ') || 'none'}`
+        );
+      }
+      return entry.createAppVersion;
+    }
+
+    // Prefer a cached skeleton of the package's own Backstage release
+    const matching = packageBackstageVersion ? await this.cache.findByBackstageVersion(packageBackstageVersion) : null;
+    if (matching) {
+      this.logger.info(`🧩 Using create-app ${matching.createAppVersion} (Backstage ${packageBackstageVersion}, same as the FlowSource package)`);
+      return matching.createAppVersion;
+    }
+    return CREATE_APP_VERSION;
+  }
+
+  /**
+   * Cached skeleton of a create-app version, running create-app first on a cache miss
+   * @param {string} createAppVersion - @backstage/create-app version
+   * @returns {Promise<Object>} Cache entry
+   */
+  async prepareSkeleton(createAppVersion = CREATE_APP_VERSION) {
+    const entry = await this.cache.get(createAppVersion);
+    if (entry) {
+      return entry;
+    }
+    if (this.options.offline) {
+      throw new Error(
+        `No cached skeleton for @backstage/create-app ${createAppVersion} in ${this.cache.cacheRoot}. ` +
+        'Import one with "skeleton import <tarball|directory>" or run "skeleton generate" on a machine with network access'
+      );
+    }
+    return this.generateIntoCache(createAppVersion);
+  }
+
+  async generate(destinationPath, applicationName, createAppVersion = CREATE_APP_VERSION) {
     this.logger.info('🏗️ Generating Backstage skeleton...');
     
     try {
       // Ensure parent directory exists
       await fs.ensureDir(path.dirname(destinationPath));
-      
-      // Generate Backstage application
-      // Fix for Windows paths - use simple relative path for the CLI
-      const relativeDestPath = './backstage-temp';
-      const absoluteDestPath = path.resolve(relativeDestPath);
-      
-      const command = `npx`;
-      const args = [
-        `@backstage/create-app@0.5.25`,
-        `--path`,
-        relativeDestPath,
-        `--skip-install`
-      ];
-      
-      this.logger.info(`📝 Executing: ${command} ${args.join(' ')}`);
+
+      const entry = await this.prepareSkeleton(createAppVersion);
+
+      this.logger.info(`📦 Using cached skeleton: create-app ${entry.createAppVersion} (${entry.origin}, ${entry.skeletonPath})`);
       this.logger.info(`📍 Application name: ${applicationName}`);
-      this.logger.info(`📍 Temporary path: ${relativeDestPath} (${absoluteDestPath})`);
       this.logger.info(`📍 Final destination: ${destinationPath}`);
-      
-      // Execute the command with better handling of stdio
-      // Using stdio: ['pipe', 'pipe', 'pipe'] to properly handle stdin, stdout, stderr
-      this.logger.info('Attempting to execute Backstage creation command...');
-      
-      const result = spawnSync(command, args, {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        input: `${applicationName}\n`,
-        encoding: 'utf8',
-        timeout: 300000, // 5 minutes timeout
-        shell: true,
-        windowsHide: true // Prevent command window from showing on Windows
-      });
-      
-      this.logger.info(`Command completed with status: ${result.status !== null ? result.status : 'null'}`);
-      
-      if (result.error) {
-        this.logger.error(`Command execution error type: ${result.error.name}`);
-        this.logger.error(`Command execution error message: ${result.error.message}`);
-        if (result.error.code) {
-          this.logger.error(`Command execution error code: ${result.error.code}`);
-        }
-        throw new Error(`Command execution error: ${result.error.message}`);
-      }
-      
-      if (result.status !== 0) {
-        this.logger.error(`Command stdout (first 1000 chars): ${result.stdout ? result.stdout.substring(0, 1000) : 'No stdout'}`);
-        this.logger.error(`Command stderr (first 1000 chars): ${result.stderr ? result.stderr.substring(0, 1000) : 'No stderr'}`);
-        throw new Error(`Command failed with exit code ${result.status}: ${result.stderr || 'Unknown error'}`);
-      }
-      
-      this.logger.debug(`Command stdout: ${result.stdout}`);
-      
-      // Verify the temporary structure was created
-      await this.verifySkeletonStructure(absoluteDestPath);
-      
-      // Now copy from temporary location to final destination
-      this.logger.info(`Copying from temporary location ${absoluteDestPath} to ${destinationPath}`);
+
       await fs.ensureDir(destinationPath);
-      await fs.copy(absoluteDestPath, destinationPath);
-      
-      // Clean up temporary directory - but don't fail if it can't be removed
-      try {
-        this.logger.info(`Cleaning up temporary directory ${absoluteDestPath}`);
-        await fs.remove(absoluteDestPath);
-      } catch (error) {
-        this.logger.warn(`⚠️ Could not remove temporary directory: ${error.message}`);
-        this.logger.warn(`⚠️ This is not a critical error, the migration will continue`);
-      }
+      await ChangeJournal.recordCopy(entry.skeletonPath, destinationPath);
+      const files = await this.cache.copyTo(entry, destinationPath, applicationName);
+      this.logger.info(`Copied ${files} skeleton files to ${destinationPath}`);
+
+      // Verify the skeleton the migration continues with
+      await this.verifySkeletonStructure(destinationPath);
       
       this.logger.info('✅ Backstage skeleton generated successfully');
       
@@ -92,6 +109,105 @@ export class BackstageGenerator {
     }
   }
 
+  /**
+   * Run create-app once and store its output in the skeleton cache
+   * @param {string} createAppVersion - @backstage/create-app version
+   * @returns {Promise<Object>} Cache entry
+   */
+  async generateIntoCache(createAppVersion = CREATE_APP_VERSION) {
+    // Every run gets its own workspace, so concurrent migrations never share create-app output
+    const workspace = await TempWorkspace.create('flowsource-skeleton-', { keep: this.options.keepTemp });
+    // Fix for Windows paths - use simple relative path for the CLI (run from the workspace)
+    const relativeDestPath = './backstage-temp';
+    const absoluteDestPath = path.join(workspace, relativeDestPath);
+
+    try {
+      await this.runCreateApp(workspace, relativeDestPath, SKELETON_APP_NAME_TOKEN, createAppVersion);
+
+      // Verify the temporary structure was created
+      await this.verifySkeletonStructure(absoluteDestPath);
+
+      return await this.cache.store(createAppVersion, absoluteDestPath, {
+        appNameToken: SKELETON_APP_NAME_TOKEN,
+        origin: 'generated'
+      });
+    } finally {
+      // Removed whether create-app succeeded or not; a failed removal is only logged
+      await TempWorkspace.release(workspace);
+    }
+  }
+
+  /**
+   * Store a supplied skeleton (tarball or directory created by create-app) in the cache
+   * @param {string} source - Skeleton directory or .tgz / .tar.gz / .tar archive
+   * @param {Object} options - { createAppVersion, appNameToken }: version the skeleton was
+   *   created with and the app name entered when it was created
+   * @returns {Promise<Object>} Cache entry
+   */
+  async importSkeleton(source, { createAppVersion = CREATE_APP_VERSION, appNameToken = SKELETON_APP_NAME_TOKEN } = {}) {
+    const { skeletonDir, cleanup } = await this.cache.unpack(source, { keepTemp: this.options.keepTemp });
+    try {
+      await this.verifySkeletonStructure(skeletonDir);
+      return await this.cache.store(createAppVersion, skeletonDir, {
+        appNameToken,
+        origin: 'imported',
+        importedFrom: source
+      });
+    } finally {
+      await cleanup();
+    }
+  }
+
+  // Run @backstage/create-app into workspace/relativeDestPath, answering the app name prompt
+  async runCreateApp(workspace, relativeDestPath, applicationName, createAppVersion) {
+    const absoluteDestPath = path.join(workspace, relativeDestPath);
+    
+    const command = `npx`;
+    const args = [
+      `@backstage/create-app@${createAppVersion}`,
+      `--path`,
+      relativeDestPath,
+      `--skip-install`
+    ];
+    
+    this.logger.info(`📝 Executing: ${command} ${args.join(' ')}`);
+    this.logger.info(`📍 Application name: ${applicationName}`);
+    this.logger.info(`📍 Temporary path: ${relativeDestPath} (${absoluteDestPath})`);
+    
+    // Execute the command with better handling of stdio
+    // Using stdio: ['pipe', 'pipe', 'pipe'] to properly handle stdin, stdout, stderr
+    this.logger.info('Attempting to execute Backstage creation command...');
+    
+    const result = spawnSync(command, args, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      input: `${applicationName}\n`,
+      cwd: workspace,
+      encoding: 'utf8',
+      timeout: 300000, // 5 minutes timeout
+      shell: true,
+      windowsHide: true // Prevent command window from showing on Windows
+    });
+    
+    this.logger.info(`Command completed with status: ${result.status !== null ? result.status : 'null'}`);
+    
+    if (result.error) {
+      this.logger.error(`Command execution error type: ${result.error.name}`);
+      this.logger.error(`Command execution error message: ${result.error.message}`);
+      if (result.error.code) {
+        this.logger.error(`Command execution error code: ${result.error.code}`);
+      }
+      throw new Error(`Command execution error: ${result.error.message}`);
+    }
+    
+    if (result.status !== 0) {
+      this.logger.error(`Command stdout (first 1000 chars): ${result.stdout ? result.stdout.substring(0, 1000) : 'No stdout'}`);
+      this.logger.error(`Command stderr (first 1000 chars): ${result.stderr ? result.stderr.substring(0, 1000) : 'No stderr'}`);
+      throw new Error(`Command failed with exit code ${result.status}: ${result.stderr || 'Unknown error'}`);
+    }
+    
+    this.logger.debug(`Command stdout: ${result.stdout}`);
+  }
+
   async verifySkeletonStructure(destinationPath) {
     const requiredPaths = [
       'package.json',
@@ -11,7 +11,24 @@ import { ValidationEngine } from "./ValidationEngine.js";
 import { AuthConfigure } from "./AuthConfigure.js";
 import { GitHubAuth } from "./GitHubAuth.js";
 import { TemplateManager } from "./TemplateManager.js";
+import { Phase3Orchestrator } from "./Phase3Orchestrator.js";
+import { PackageUpgrader } from "./PackageUpgrader.js";
+import { PluginManager } from "./PluginManager.js";
 import YamlConfigMerger from "../utils/YamlConfigMerger.js";
+import { MigrationPlanner } from "../utils/MigrationPlanner.js";
+import { MigrationCheckpoint, STATE_FILE_NAME } from "../utils/MigrationCheckpoint.js";
+import { ChangeJournal, JOURNAL_DIR_NAME } from "../utils/ChangeJournal.js";
+import { MigrationManifest } from "../utils/MigrationManifest.js";
+import { BackstageInventory } from "../utils/BackstageInventory.js";
+import { BackstageCompatibility, readBackstageVersion } from "../utils/BackstageCompatibility.js";
+import { SkeletonBaseline } from "../utils/SkeletonBaseline.js";
+import { BrandKit } from "../utils/BrandKit.js";
+import { NavigationSpec } from "../utils/NavigationSpec.js";
+import { EntityPageLayout } from "../utils/EntityPageLayout.js";
+import { saveComplianceReport } from "../utils/ComplianceReport.js";
+import { AUTH_SETUP_RULES } from "../utils/AuthSetupRules.js";
+import { complianceRuleResults, saveValidationReports } from "../utils/ValidationReport.js";
+import { resolveThemeSelection, selectedThemes } from "../utils/ThemeGenerator.js";
 import { execSync } from "child_process";
 import ora from "ora";
 import chalk from "chalk";
@@ -22,22 +39,44 @@ export class FlowSourceAgent {
     this.fileManager = new FileManager();
     this.docParser = new DocumentationParser();
     this.configManager = new ConfigManager();
-    this.backstageGenerator = new BackstageGenerator();
+    this.backstageGenerator = new BackstageGenerator({
+      cacheRoot: options.skeletonCache || null,
+      offline: options.offline || false,
+      keepTemp: options.keepTemp || false,
+    });
     this.transformer = new FlowSourceTransformer();
     this.validator = new ValidationEngine();
     this.templateManager = null; // Will be initialized when needed
     this.interactiveMode = null;
+    this.checkpoint = null; // Progress file in the destination (not used for dry runs)
+    this.journal = null; // Prior content of changed destination files, for rollback
+    this.manifest = null; // flowsource-manifest.json of the destination, once loaded
+    this.activeStepGroup = null;
 
     // Create shared YamlConfigMerger instance for consolidating all config blocks
     this.sharedYamlMerger = new YamlConfigMerger(this.logger);
 
     this.options = {
       dryRun: false,
+      planOutput: null,
       verbose: false,
       phase: 1,
+      keepOnFailure: false,
+      force: false,
+      skeletonCache: null,
+      offline: false,
+      keepTemp: false,
+      complianceReport: false,
+      junitOutput: null,
+      sarifOutput: null,
+      sarifBase: null,
       ...options,
     };
 
+    // Rule results of this run by rule ID, for --junit and --sarif
+    this.ruleResults = new Map();
+    this.complianceResults = null;
+
     this.migrationState = {
       currentStep: 0,
       totalSteps: 0,
@@ -50,9 +89,34 @@ export class FlowSourceAgent {
   async migrate(config) {
     const spinner = ora("🚀 Starting FlowSource migration...").start();
 
+    // Dry run: every phase writes into a staged copy of the destination
+    let planner = null;
+    const realDestinationPath = config.destinationPath;
+
     try {
       // Store config for summary display
       this.migrationConfig = config;
+
+      // In-place runs refuse transforms that would break the existing repository;
+      // resumed runs were checked when they started
+      if (config.inPlace && !this.checkpoint?.resuming) {
+        await this.preflightInPlace(config);
+      }
+
+      if (this.options.dryRun) {
+        planner = new MigrationPlanner({ keepTemp: this.options.keepTemp });
+        const stagedPath = await planner.stage(config.destinationPath);
+        this.setDestinationPath(config, stagedPath);
+        this.logger.info("🧪 Dry run enabled - the real destination will not be modified");
+      } else {
+        // Journal every destination change so a failed run can be rolled back;
+        // a resumed run keeps adding to the journal of the run it continues
+        this.journal = await this.openJournal(config.destinationPath, config.sourcePath);
+
+        // Record progress after every step so a failed run can be resumed
+        this.checkpoint = this.checkpoint || new MigrationCheckpoint(config.destinationPath);
+        await this.checkpoint.start(config);
+      }
       
       // Set default non-interactive mode if not specified
       if (config.nonInteractive === undefined) {
@@ -65,6 +129,9 @@ export class FlowSourceAgent {
       this.logger.info(`📍 Destination: ${config.destinationPath}`);
       this.logger.info(`📍 Application: ${config.applicationName}`);
       this.logger.info(`📍 Phase: ${config.phase}`);
+      if (config.inPlace) {
+        this.logger.info("📍 Mode: in-place (existing Backstage repository)");
+      }
 
       // Phase 1: Basic migration without plugins, auth, and database
       // Phase 2: Migration with Authentication & Permissions
@@ -86,18 +153,69 @@ export class FlowSourceAgent {
         );
       }
 
-      spinner.succeed(chalk.green("✅ Migration completed successfully!"));
       this.migrationState.completed = true;
+      await this.checkpoint?.finish("completed", this.migrationState);
+      await this.journal?.finish("completed");
 
-      this.logger.info("🎉 FlowSource migration completed successfully!");
-      this.displayMigrationSummary();
+      if (planner) {
+        spinner.succeed(chalk.green("✅ Dry run completed - no files were written"));
+        this.logger.info("🎉 FlowSource migration plan generated successfully!");
+      } else {
+        spinner.succeed(chalk.green("✅ Migration completed successfully!"));
+        this.logger.info("🎉 FlowSource migration completed successfully!");
+        this.displayMigrationSummary();
+      }
     } catch (error) {
       spinner.fail(chalk.red(`❌ Migration failed: ${error.message}`));
       this.logger.error(`Migration failed: ${error.message}`);
       if (this.options.verbose) {
         this.logger.error(error.stack);
       }
+      // Resumed runs continue a kept destination, so they keep it too
+      if (this.journal && !this.options.keepOnFailure && !this.checkpoint?.resuming) {
+        await this.rollbackJournal(this.journal);
+        this.logger.info("💡 Use --keep-on-failure to keep a failed run's output and resume it later");
+      } else if (this.checkpoint?.state) {
+        await this.checkpoint.finish("failed", this.migrationState);
+        await this.journal?.finish("failed");
+        this.logger.info(`💾 Progress saved - run "resume --destination ${config.destinationPath}" to continue from the failed step`);
+        this.logger.info(`↩️ Run "rollback --destination ${config.destinationPath}" to undo the migration instead`);
+      }
       throw error;
+    } finally {
+      if (planner) {
+        this.setDestinationPath(config, realDestinationPath);
+        await this.reportDryRunPlan(planner, config);
+      }
+    }
+  }
+
+  // Point the migration (and any Phase 3 execution context) at a destination
+  setDestinationPath(config, destinationPath) {
+    config.destinationPath = destinationPath;
+    if (config.phase3ExecutionContext) {
+      config.phase3ExecutionContext.destinationPath = destinationPath;
+    }
+  }
+
+  // Print and optionally save the dry-run plan, then drop the staged copy.
+  // Runs after failed dry runs too, so the plan shows how far the migration got.
+  async reportDryRunPlan(planner, config) {
+    try {
+      const plan = await planner.buildPlan(config.sourcePath);
+      plan.phase = config.phase;
+      plan.completed = this.migrationState.completed;
+      this.migrationState.plan = plan;
+
+      planner.printPlan(plan, this.options.verbose);
+
+      if (this.options.planOutput) {
+        await planner.savePlan(plan, this.options.planOutput);
+      }
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not build dry-run plan: ${error.message}`);
+    } finally {
+      await planner.cleanup();
     }
   }
 
@@ -116,56 +234,160 @@ export class FlowSourceAgent {
     this.logger.info("🔐 Starting Phase 2: Authentication & Permissions");
 
     // Note: In interactive mode, authentication provider selection and credential collection
-    // is handled in InteractiveMode.start() before calling migrate(). This step is only 
-    // needed for CLI mode or when credentials weren't collected in interactive mode.
+    // is handled in InteractiveMode.start() before calling migrate(). In CLI mode the same
+    // config shapes are built from flags, environment variables or a migration profile.
     if (this.interactiveMode && !config.githubAuth && config.selectedAuthProvider === 'github') {
       // Interactive mode should have already collected GitHub credentials
       this.logger.info("ℹ️ GitHub credentials should have been collected in interactive mode");
     } else if (!this.interactiveMode && !config.githubAuth) {
-      // CLI mode - need to collect GitHub credentials (future enhancement)
-      this.logger.info("ℹ️ CLI mode GitHub authentication not yet implemented");
+      throw new Error(
+        "GitHub authentication settings missing in CLI mode. Provide --github-client-id, --github-client-secret and --github-token " +
+        "(or the GITHUB_* environment variables, a --config profile, or --github-manual-setup)."
+      );
     }
 
     // Step 9: Parse README and validate authentication requirements
     await this.executeStep(spinner, "Parsing documentation...", async () => {
       await this.parseAndValidateAuthRequirements(config);
+    }, { id: "phase2.parse-documentation", rerunOnResume: true });
+
+    // Steps 10-13 share AuthConfigure, GitHubAuth and the shared YAML merger in
+    // memory, so a resumed run repeats all of them unless all of them completed
+    await this.executeStepGroup("phase2.authentication", async () => {
+      // Step 10: Configure authentication using AuthConfigure class
+      await this.executeStep(
+        spinner,
+        "Configuring authentication...",
+        async () => {
+          await this.configureAuthentication(config);
+        },
+        { id: "phase2.configure-authentication" }
+      );
+
+      // Step 11: Setup GitHub authentication if required
+      await this.executeStep(
+        spinner,
+        "Setting up GitHub authentication...",
+        async () => {
+          await this.setupGitHubAuthentication(config);
+        },
+        { id: "phase2.github-authentication" }
+      );
+
+      // Step 12: Validate authentication setup
+      await this.executeStep(
+        spinner,
+        "Validating authentication configuration...",
+        async () => {
+          await this.validateAuthenticationSetup(config);
+        },
+        { id: "phase2.validate-authentication" }
+      );
+
+      // Step 13: Create dual configuration files
+      await this.executeStep(
+        spinner,
+        "Creating dual configuration files...",
+        async () => {
+          await this.createDualConfigurationFiles(config);
+        },
+        { id: "phase2.dual-configuration" }
+      );
     });
 
-    // Step 10: Configure authentication using AuthConfigure class
-    await this.executeStep(
-      spinner,
-      "Configuring authentication...",
-      async () => {
-        await this.configureAuthentication(config);
-      }
+    await this.completePhase(config, 2);
+  }
+
+  /**
+   * Build the Phase 3 orchestrator and execution context without prompting (CLI mode).
+   * Selected templates and plugins are checked against what the source package
+   * provides before anything is written.
+   * @param {Object} config - Migration config with phase3Options already resolved
+   * @returns {Promise<Phase3Orchestrator>} Orchestrator, also stored on config
+   */
+  async createPhase3Orchestrator(config) {
+    const orchestrator = new Phase3Orchestrator(
+      config,
+      this.logger,
+      this.fileManager,
+      this.sharedYamlMerger
     );
 
-    // Step 11: Setup GitHub authentication if required
-    await this.executeStep(
-      spinner,
-      "Setting up GitHub authentication...",
-      async () => {
-        await this.setupGitHubAuthentication(config);
+    const options = config.phase3Options;
+    const errors = [];
+
+    if (options.selectedTemplates?.length > 0) {
+      const available = await orchestrator.discoverAvailableTemplates();
+      const { resolved, unknown } = this.matchAvailableNames(options.selectedTemplates, available);
+      options.selectedTemplates = resolved;
+      if (unknown.length > 0) {
+        errors.push(`Unknown template(s): ${unknown.join(", ")}. Available templates: ${this.listAvailableNames(available)}`);
       }
-    );
+    }
 
-    // Step 12: Validate authentication setup
-    await this.executeStep(
-      spinner,
-      "Validating authentication configuration...",
-      async () => {
-        await this.validateAuthenticationSetup(config);
+    if (options.selectedPlugins?.length > 0) {
+      const available = (await orchestrator.discoverAvailablePlugins()) || [];
+      const { resolved, unknown } = this.matchAvailableNames(options.selectedPlugins, available);
+      options.selectedPlugins = resolved;
+      if (unknown.length > 0) {
+        errors.push(`Unknown plugin(s): ${unknown.join(", ")}. Available plugins: ${this.listAvailableNames(available)}`);
       }
-    );
+    }
 
-    // Step 13: Create dual configuration files
-    await this.executeStep(
-      spinner,
-      "Creating dual configuration files...",
-      async () => {
-        await this.createDualConfigurationFiles(config);
+    if (errors.length > 0) {
+      throw new Error(errors.join("\n"));
+    }
+
+    config.phase3Orchestrator = orchestrator;
+    config.phase3ExecutionContext = this.buildPhase3ExecutionContext(config);
+    return orchestrator;
+  }
+
+  // Match requested names against discovered ones (by name or display name, any case)
+  matchAvailableNames(requested, available) {
+    const resolved = [];
+    const unknown = [];
+
+    for (const name of requested) {
+      const wanted = name.toLowerCase();
+      const match = available.find(item =>
+        item.name.toLowerCase() === wanted || item.displayName?.toLowerCase() === wanted
+      );
+      if (match) {
+        resolved.push(match.name);
+      } else {
+        unknown.push(name);
       }
-    );
+    }
+
+    return { resolved, unknown };
+  }
+
+  listAvailableNames(available) {
+    return available.length > 0 ? available.map(item => item.name).join(", ") : "(none found)";
+  }
+
+  /**
+   * Execution context handed to Phase3Orchestrator.execute()
+   * @param {Object} config - Migration config
+   * @returns {Object} Execution context
+   */
+  buildPhase3ExecutionContext(config) {
+    return {
+      phase3Options: config.phase3Options,
+      sourcePath: config.sourcePath,
+      destinationPath: config.destinationPath,
+      applicationName: config.applicationName,
+      // Phase 2 context (if needed for Phase 3)
+      authConfig: config.authConfig,
+      githubAuth: config.githubAuth,
+      selectedAuthProvider: config.selectedAuthProvider,
+      databaseConfig: config.databaseConfig,
+      // Migration settings
+      nonInteractive: config.nonInteractive,
+      autoInstall: config.autoInstall,
+      dryRun: config.dryRun
+    };
   }
 
   // PHASE 3
@@ -183,7 +405,7 @@ export class FlowSourceAgent {
 
     // Validate that Phase 3 orchestrator and execution context are available
     if (!config.phase3Orchestrator || !config.phase3ExecutionContext) {
-      throw new Error("Phase 3 orchestrator not initialized. Please use interactive mode or ensure proper configuration.");
+      throw new Error("Phase 3 orchestrator not initialized. Select templates and plugins interactively, with --templates/--plugins, or in a --config profile.");
     }
 
     // Calculate dynamic total steps based on user selections
@@ -192,7 +414,7 @@ export class FlowSourceAgent {
     // Step 14: Validate Phase 3 prerequisites
     await this.executeStep(spinner, "Validating Phase 3 prerequisites...", async () => {
       await config.phase3Orchestrator.validatePrerequisites();
-    });
+    }, { id: "phase3.validate-prerequisites", rerunOnResume: true });
 
     // Step 15: Execute Phase 3 integration via orchestrator
     await this.executeStep(spinner, "Executing Phase 3 integrations...", async () => {
@@ -222,12 +444,20 @@ export class FlowSourceAgent {
       this.logger.info(`   📊 Total integrations: ${results.totalIntegrations}`);
       this.logger.info(`   ✅ Successful: ${results.successfulIntegrations}`);
       this.logger.info(`   ❌ Failed: ${results.failedIntegrations}`);
-    });
+
+      return {
+        totalIntegrations: results.totalIntegrations,
+        successfulIntegrations: results.successfulIntegrations,
+        failedIntegrations: results.failedIntegrations
+      };
+    }, { id: "phase3.integrations" });
 
     // Step 16: Final validation and cleanup
     await this.executeStep(spinner, "Final Phase 3 validation...", async () => {
       await this.finalizePhase3Setup(config);
-    });
+    }, { id: "phase3.finalize" });
+
+    await this.completePhase(config, 3);
   }
 
   // PHASE 1
@@ -244,19 +474,22 @@ export class FlowSourceAgent {
       async () => {
         await this.validateSourcePaths(config);
         await this.loadDocumentation(config);
-      }
+        await this.loadBrandKit(config);
+        await this.loadNavigationSpec(config);
+        await this.loadEntityLayout(config);
+        this.resolveThemes(config);
+      },
+      { id: "phase1.validate-source", rerunOnResume: true }
     );
 
-    // Step 2: Generate Backstage skeleton
+    // Step 2: Check Backstage versions, then generate Backstage skeleton
     await this.executeStep(
       spinner,
       "Generating Backstage skeleton...",
       async () => {
-        await this.backstageGenerator.generate(
-          config.destinationPath,
-          config.applicationName
-        );
-      }
+        return await this.generateSkeleton(config);
+      },
+      { id: "phase1.generate-skeleton" }
     );
 
     // Step 3: Apply base configuration files
@@ -265,7 +498,8 @@ export class FlowSourceAgent {
       "Applying base configuration files...",
       async () => {
         await this.applyBaseConfiguration(config);
-      }
+      },
+      { id: "phase1.base-configuration" }
     );
 
     // Step 4: Override package.json files
@@ -274,7 +508,8 @@ export class FlowSourceAgent {
       "Updating package configurations...",
       async () => {
         await this.updatePackageConfigurations(config);
-      }
+      },
+      { id: "phase1.package-configurations" }
     );
 
     // Step 5: Apply UI customizations and FlowSource theme
@@ -283,7 +518,8 @@ export class FlowSourceAgent {
       "Applying FlowSource UI customizations...",
       async () => {
         await this.transformer.applyUICustomizations(config);
-      }
+      },
+      { id: "phase1.ui-customizations" }
     );
 
     // Step 6: Copy and configure packages-core
@@ -292,7 +528,8 @@ export class FlowSourceAgent {
       "Configuring packages-core...",
       async () => {
         await this.configurePackagesCore(config);
-      }
+      },
+      { id: "phase1.packages-core" }
     );
 
     // Step 7: Validate configuration integrity
@@ -300,8 +537,17 @@ export class FlowSourceAgent {
       spinner,
       "Validating configuration integrity...",
       async () => {
-        await this.validator.validateMigration(config);
-      }
+        try {
+          await this.validator.validateMigration(config);
+          if (this.options.complianceReport) {
+            await this.writeComplianceReport(config);
+          }
+        } finally {
+          // Reports are written for failed validations too, which CI needs most
+          await this.writeValidationReports(config, this.validator.ruleResults, { compliance: true });
+        }
+      },
+      { id: "phase1.validate-configuration", rerunOnResume: true }
     );
 
     // Step 8: Optional dependency installation
@@ -311,12 +557,23 @@ export class FlowSourceAgent {
         "Installing dependencies...",
         async () => {
           await this.installDependencies(config);
-        }
+        },
+        { id: "phase1.install-dependencies" }
       );
     }
+
+    await this.completePhase(config, 1);
   }
 
-  async executeStep(spinner, message, stepFunction) {
+  /**
+   * Run one migration step and record it in the checkpoint
+   * @param {Object} spinner - Progress spinner
+   * @param {string} message - Step description
+   * @param {Function} stepFunction - Step body; its return value is recorded as the step output
+   * @param {Object} step - { id, rerunOnResume } - rerunOnResume marks read-only steps that
+   *   rebuild in-memory state and therefore run again when a migration is resumed
+   */
+  async executeStep(spinner, message, stepFunction, step = {}) {
     this.migrationState.currentStep++;
     const stepNumber = this.migrationState.currentStep;
     const totalSteps = this.migrationState.totalSteps;
@@ -327,12 +584,28 @@ export class FlowSourceAgent {
       this.migrationState.totalSteps = stepNumber;
     }
 
+    const group = this.activeStepGroup;
+    const completedEarlier = group
+      ? group.completedEarlier
+      : this.checkpoint?.wasStepCompleted(step.id) && !step.rerunOnResume;
+    if (completedEarlier) {
+      this.logger.info(`⏭️ Step ${stepNumber} (${step.id}) already completed - skipping`);
+      return;
+    }
+
     spinner.text = chalk.blue(`[${stepNumber}/${this.migrationState.totalSteps}] ${message}`);
     this.logger.info(`Step ${stepNumber}: ${message}`);
 
+    if (step.id) {
+      await this.checkpoint?.startStep({ id: step.id, number: stepNumber, title: message, group: group?.id });
+    }
+
     try {
-      await stepFunction();
+      const result = await stepFunction();
       this.logger.info(`✅ Step ${stepNumber} completed successfully`);
+      if (step.id) {
+        await this.checkpoint?.finishStep(step.id, { result, migrationState: this.migrationState });
+      }
     } catch (error) {
       this.logger.error(`❌ Step ${stepNumber} failed: ${error.message}`);
       this.migrationState.errors.push({
@@ -340,10 +613,304 @@ export class FlowSourceAgent {
         message: error.message,
         error: error,
       });
+      if (step.id) {
+        await this.checkpoint?.finishStep(step.id, { error, migrationState: this.migrationState });
+      }
       throw error;
     }
   }
 
+  // Run steps that must be resumed together: skipped only when the whole group completed earlier
+  async executeStepGroup(groupId, groupFunction) {
+    this.activeStepGroup = {
+      id: groupId,
+      completedEarlier: this.checkpoint?.wasGroupCompleted(groupId) || false
+    };
+
+    try {
+      await groupFunction();
+    } finally {
+      this.activeStepGroup = null;
+    }
+
+    await this.checkpoint?.completeGroup(groupId);
+  }
+
+  /**
+   * Mark a phase as completed in the checkpoint and the destination's manifest
+   * @param {Object} config - Migration config
+   * @param {number} phase - Completed phase
+   */
+  async completePhase(config, phase) {
+    await this.checkpoint?.completePhase(phase);
+
+    // Dry runs have no checkpoint and leave the (staged) manifest alone
+    if (this.checkpoint) {
+      const manifest = (await this.loadManifest(config)) || new MigrationManifest(config.destinationPath);
+      await manifest.recordPhase(phase, config, {
+        steps: this.checkpoint.state.steps,
+        files: this.checkpoint.destinationFiles,
+        phase3Results: this.migrationState.phase3Results,
+        sources: this.journal?.sources
+      });
+      this.manifest = manifest;
+    }
+  }
+
+  async loadManifest(config) {
+    if (!this.manifest || this.manifest.destinationPath !== path.resolve(config.destinationPath)) {
+      this.manifest = await MigrationManifest.load(config.destinationPath);
+    }
+    return this.manifest;
+  }
+
+  /**
+   * Whether an earlier run (or the run being resumed) completed a phase
+   * @returns {Promise<boolean|null>} null when neither a checkpoint nor a manifest tells
+   */
+  async isPhaseRecorded(config, phase) {
+    const manifest = await this.loadManifest(config);
+    if (this.checkpoint?.resuming) {
+      return this.checkpoint.wasPhaseCompleted(phase) || Boolean(manifest?.hasPhase(phase));
+    }
+    if (manifest) {
+      return manifest.hasPhase(phase);
+    }
+    // Existing repositories migrated in place have never run a FlowSource phase
+    return config.inPlace ? false : null;
+  }
+
+  /**
+   * Inventory an existing Backstage repository before migrating it in place and
+   * refuse transforms that would break it (unless forced)
+   * @param {Object} config - Migration config
+   * @returns {Promise<Object>} { inventory, assessment }
+   */
+  async preflightInPlace(config) {
+    const inventoryService = new BackstageInventory();
+    const inventory = await inventoryService.inspect(config.destinationPath);
+    const assessment = inventoryService.assess(inventory, config.phase);
+    inventoryService.printInventory(inventory, assessment);
+
+    if (assessment.blockers.length > 0) {
+      if (!this.options.force) {
+        throw new Error(
+          `In-place migration refused:\n  - ${assessment.blockers.join("\n  - ")}\n` +
+          "Resolve these first, or re-run with --force to apply the transforms anyway."
+        );
+      }
+      this.logger.warn("⚠️ --force given - continuing despite the refused transforms");
+    }
+    return { inventory, assessment };
+  }
+
+  // Copy a package file or directory into the destination. In-place migrations keep
+  // existing files that differ and write the FlowSource version next to them instead.
+  async copyIntoDestination(config, sourcePath, destPath) {
+    if (config.inPlace) {
+      const { kept } = await this.fileManager.copyPreservingExisting(sourcePath, destPath);
+      return kept.length === 0;
+    }
+    await ChangeJournal.recordCopy(sourcePath, destPath);
+    await fs.copy(sourcePath, destPath, { overwrite: true });
+    return true;
+  }
+
+  async openJournal(destinationPath, sourcePath) {
+    if (this.checkpoint?.resuming && await ChangeJournal.exists(destinationPath)) {
+      const journal = await ChangeJournal.load(destinationPath);
+      await journal.reopen();
+      return journal;
+    }
+    return ChangeJournal.begin(destinationPath, sourcePath);
+  }
+
+  /**
+   * Start a journal for a command that changes a migrated app (upgrade, validate --fix)
+   * without replacing the journal of a failed or interrupted run, which rollback still needs
+   */
+  async beginJournal(destinationPath, sourcePath = null) {
+    if (await ChangeJournal.exists(destinationPath)) {
+      const { status } = (await ChangeJournal.load(destinationPath)).state;
+      if (status !== "completed") {
+        throw new Error(
+          `${destinationPath} has the journal of a run that did not complete (status: ${status}) - ` +
+            `run "rollback --destination ${destinationPath}" first, or remove ${path.join(destinationPath, JOURNAL_DIR_NAME)} to keep its changes`
+        );
+      }
+    }
+    return ChangeJournal.begin(destinationPath, sourcePath);
+  }
+
+  /**
+   * Undo a migration recorded in the destination's change journal
+   * @param {string} destinationPath - Migration destination
+   * @returns {Promise<Object>} { restored, deleted, unrecoverable } lists of relative paths
+   */
+  async rollback(destinationPath) {
+    if (!(await ChangeJournal.exists(destinationPath))) {
+      throw new Error(`No migration journal found in ${destinationPath} - nothing to roll back`);
+    }
+    return this.rollbackJournal(await ChangeJournal.load(destinationPath));
+  }
+
+  async rollbackJournal(journal) {
+    this.logger.info(`↩️ Rolling back changes to ${journal.destinationPath}...`);
+    const result = await journal.rollback();
+
+    this.logger.info(`↩️ Restored ${result.restored.length} file(s), removed ${result.deleted.length} created file(s)`);
+    if (result.unrecoverable.length > 0) {
+      this.logger.warn(`⚠️ ${result.unrecoverable.length} file(s) changed outside the journal and could not be restored:`);
+      result.unrecoverable.forEach(file => this.logger.warn(`   - ${file}`));
+    } else {
+      this.logger.info("✅ Destination restored to its state before the migration");
+    }
+
+    this.journal = null;
+    this.checkpoint = null;
+    return result;
+  }
+
+  /**
+   * Upgrade a migrated app to a newer FlowSource package
+   * @param {Object} options - { destinationPath, fromPath, toPath, printPlan }
+   * @returns {Promise<Object>} Upgrade plan (applied unless this is a dry run)
+   */
+  async upgrade({ destinationPath, fromPath, toPath, printPlan = true }) {
+    const upgrader = new PackageUpgrader();
+    const plan = await upgrader.plan({ destinationPath, fromPath, toPath });
+
+    if (this.options.dryRun) {
+      if (printPlan) upgrader.printPlan(plan, false);
+      return plan;
+    }
+
+    const journal = await this.beginJournal(plan.destinationPath, plan.to.path);
+    try {
+      await upgrader.apply(plan);
+      await journal.finish("completed");
+    } catch (error) {
+      this.logger.error(`Upgrade failed: ${error.message}`);
+      if (this.options.keepOnFailure) {
+        await journal.finish("failed");
+        this.logger.info(`↩️ Run "rollback --destination ${plan.destinationPath}" to undo the upgrade`);
+      } else {
+        await this.rollbackJournal(journal);
+      }
+      throw error;
+    }
+
+    if (printPlan) upgrader.printPlan(plan, true);
+    return plan;
+  }
+
+  /**
+   * Run the validation rules against a migrated app, fixing what rules can fix
+   * @param {Object} options - { destinationPath, phase (default: the latest recorded phase), fix, report: log the results }
+   * @returns {Promise<Object>} { phase, rules: per-rule results, results: passed, failed, warnings and info messages }
+   */
+  async validate({ destinationPath, phase = null, fix = false, report = true }) {
+    const resolvedPath = path.resolve(destinationPath);
+    if (!(await fs.pathExists(resolvedPath))) {
+      throw new Error(`Destination not found: ${resolvedPath}`);
+    }
+
+    // Authentication, plugins and templates recorded by earlier runs bring their own rules
+    const manifest = await MigrationManifest.load(resolvedPath);
+    const validatePhase = phase || Math.max(1, ...(manifest?.phases || []));
+
+    // Rules check the app against the inputs it was migrated with (e.g. its themes): the
+    // manifest's, falling back to the run inputs of the last checkpoint
+    const inputs = await fs.pathExists(path.join(resolvedPath, STATE_FILE_NAME))
+      ? (await MigrationCheckpoint.load(resolvedPath)).restoreConfig()
+      : {};
+    const config = {
+      ...inputs,
+      themes: manifest?.data.themes || inputs.themes,
+      recordedPhases: manifest?.phases || [],
+      destinationPath: resolvedPath
+    };
+    const validator = new ValidationEngine();
+    if (manifest?.data.auth) {
+      validator.registerRules(AUTH_SETUP_RULES);
+    }
+    validator.registerRules(PluginManager.validationRules(manifest?.data.plugins || []));
+    validator.registerRules(new TemplateManager(config, this.logger, this.fileManager).validationRules(manifest?.data.templates || []));
+
+    let rules;
+    if (fix && !this.options.dryRun) {
+      const journal = await this.beginJournal(resolvedPath);
+      try {
+        rules = await validator.runRules(config, { phase: validatePhase, fix: true });
+        await journal.finish("completed");
+      } catch (error) {
+        if (this.options.keepOnFailure) {
+          await journal.finish("failed");
+          this.logger.info(`↩️ Run "rollback --destination ${resolvedPath}" to undo the fixes`);
+        } else {
+          await this.rollbackJournal(journal);
+        }
+        throw error;
+      }
+    } else {
+      rules = await validator.runRules(config, { phase: validatePhase });
+    }
+
+    if (report) validator.reportValidationResults();
+    await this.writeValidationReports(config, rules);
+    return { phase: validatePhase, rules, results: validator.validationResults };
+  }
+
+  /**
+   * Continue a migration from its checkpoint
+   * @param {Object} config - Config rebuilt from the checkpoint (secrets supplied again)
+   * @param {MigrationCheckpoint} checkpoint - Loaded checkpoint
+   * @param {Object} options - { onChange: 'refuse' | 'replan' }
+   */
+  async resume(config, checkpoint, { onChange = "refuse" } = {}) {
+    if (checkpoint.status === "completed") {
+      this.logger.info(`✅ Migration in ${checkpoint.destinationPath} already completed - nothing to resume`);
+      return;
+    }
+
+    const changes = await checkpoint.detectChanges();
+    if (changes.changed) {
+      const details = [];
+      if (changes.source) {
+        details.push(`source package ${checkpoint.inputs.sourcePath} changed (${changes.source.before} files at checkpoint, ${changes.source.after} now)`);
+      }
+      if (changes.destination) {
+        for (const [kind, files] of Object.entries(changes.destination)) {
+          if (files.length > 0) {
+            const shown = files.slice(0, 5).join(", ") + (files.length > 5 ? `, ... (${files.length - 5} more)` : "");
+            details.push(`destination files ${kind}: ${shown}`);
+          }
+        }
+      }
+
+      if (onChange !== "replan") {
+        throw new Error(
+          `Source or destination changed since the checkpoint:\n  - ${details.join("\n  - ")}\n` +
+          "Run resume with --on-change replan to re-run the migration from its first step."
+        );
+      }
+
+      details.forEach(detail => this.logger.warn(`⚠️ ${detail}`));
+      this.logger.info("🔄 Re-planning: every step of the recorded phase will run again");
+    }
+
+    checkpoint.beginResume(changes.changed);
+    const pending = checkpoint.firstPendingStep();
+    this.logger.info(
+      pending
+        ? `⏯️ Resuming migration at step ${pending.number}: ${pending.title} (${pending.id})`
+        : "⏯️ Resuming migration after the last completed step"
+    );
+
+    this.checkpoint = checkpoint;
+    await this.migrate(config);
+  }
+
   // Utility methods
   async validateSourcePaths(config) {
     const requiredPaths = [
@@ -373,6 +940,98 @@ export class FlowSourceAgent {
     this.logger.info("✅ Source path validation completed");
   }
 
+  /**
+   * Validate the brand kit (--brand-kit) before anything is generated; the UI step brands the app with it
+   * @param {Object} config - Migration config
+   */
+  async loadBrandKit(config) {
+    if (!config.brandKitPath) {
+      return;
+    }
+    config.brandKit = await BrandKit.load(config.brandKitPath);
+    for (const warning of config.brandKit.warnings) {
+      this.logger.warn(`⚠️ Brand kit: ${warning}`);
+      this.migrationState.warnings.push(`Brand kit: ${warning}`);
+    }
+    this.logger.info(`✅ Brand kit validated: ${config.brandKitPath}`);
+  }
+
+  /**
+   * Validate the navigation spec (--navigation) before anything is generated; the UI step applies it to Root.tsx
+   * @param {Object} config - Migration config
+   */
+  async loadNavigationSpec(config) {
+    if (!config.navigationPath) {
+      return;
+    }
+    config.navigation = await NavigationSpec.load(config.navigationPath);
+    this.logger.info(`✅ Navigation spec validated: ${config.navigationPath} (${config.navigation.summary()})`);
+  }
+
+  /**
+   * Validate the entity page layout (--entity-layout) before anything is generated; the UI step applies it to EntityPage.tsx
+   * @param {Object} config - Migration config
+   */
+  async loadEntityLayout(config) {
+    if (!config.entityLayoutPath) {
+      return;
+    }
+    config.entityLayout = await EntityPageLayout.load(config.entityLayoutPath);
+    this.logger.info(`✅ Entity page layout validated: ${config.entityLayoutPath} (${config.entityLayout.summary()})`);
+  }
+
+  /**
+   * Write the UI-Changes.md compliance report (--compliance-report) into the destination
+   * @param {Object} config - Migration config
+   */
+  async writeComplianceReport(config) {
+    const report = await this.transformer.validateUIChangesCompliance(config);
+    this.complianceResults = complianceRuleResults(report);
+    const paths = await saveComplianceReport(report, config.destinationPath);
+    if (!report.compliant) {
+      this.migrationState.warnings.push(`UI-Changes.md compliance: ${report.summary.fail} rules failed`);
+    }
+    this.logger.info(`📄 UI compliance report written to ${paths.markdown} and ${paths.json}`);
+  }
+
+  /**
+   * Write the rule results of this run as JUnit XML (--junit) and SARIF (--sarif)
+   * @param {Object} config - Migration config
+   * @param {Array<Object>} results - Rule results to add to those of earlier steps
+   * @param {Object} options - { compliance: add the UI-Changes.md compliance rules }
+   */
+  async writeValidationReports(config, results, { compliance = false } = {}) {
+    const { junitOutput, sarifOutput, sarifBase } = this.options;
+    if (!junitOutput && !sarifOutput) {
+      return;
+    }
+
+    if (compliance && !this.complianceResults) {
+      this.complianceResults = complianceRuleResults(await this.transformer.validateUIChangesCompliance(config));
+    }
+    for (const result of [...results, ...(compliance ? this.complianceResults : [])]) {
+      this.ruleResults.set(result.id, result);
+    }
+
+    const written = await saveValidationReports([...this.ruleResults.values()], {
+      junit: junitOutput,
+      sarif: sarifOutput,
+      destinationPath: config.destinationPath,
+      sarifBase,
+    });
+    this.logger.info(`📄 Validation results written to ${written.join(" and ")}`);
+  }
+
+  /**
+   * Validate the theme selection (--themes, --backstage-themes) and fill in its defaults
+   * @param {Object} config - Migration config
+   */
+  resolveThemes(config) {
+    config.themes = resolveThemeSelection(config.themes);
+    const titles = selectedThemes(config.themes).map((theme) => theme.title);
+    this.logger.info(`✅ Themes: ${titles.join(", ")}`);
+  }
+
   async loadDocumentation(config) {
     const readmePath = path.join(
       config.sourcePath,
@@ -395,6 +1054,59 @@ export class FlowSourceAgent {
     this.logger.info("✅ Documentation loaded and parsed");
   }
 
+  /**
+   * Pick the create-app version, report Backstage version mismatches between its
+   * skeleton (or the existing repository) and the FlowSource package before anything
+   * is copied, then generate the skeleton
+   * @param {Object} config - Migration config
+   * @returns {Promise<Object>} Skeleton versions and compatibility summary (step output)
+   */
+  async generateSkeleton(config) {
+    const packageBackstageVersion = await readBackstageVersion(config.sourcePath, ["configuration/backstage.json", "backstage.json"]);
+    let createAppVersion = null;
+    let skeletonPath = config.destinationPath;
+
+    if (!config.inPlace) {
+      createAppVersion = await this.backstageGenerator.selectCreateAppVersion(config.backstageVersion, packageBackstageVersion);
+      skeletonPath = (await this.backstageGenerator.prepareSkeleton(createAppVersion)).skeletonPath;
+    }
+
+    const compatibility = new BackstageCompatibility();
+    const report = await compatibility.check(skeletonPath, config.sourcePath);
+    compatibility.printReport(report);
+    for (const warning of compatibility.summarize(report)) {
+      this.logger.warn(`⚠️ ${warning}`);
+      this.migrationState.warnings.push(warning);
+    }
+    config.skeleton = { createAppVersion, backstageVersion: report.skeleton.backstageVersion };
+
+    if (config.inPlace) {
+      this.logger.info("⏭️ In-place migration - using the existing Backstage repository");
+    } else {
+      // Files FlowSource generated on an earlier run keep the team's changes through the skeleton copy
+      const baseline = new SkeletonBaseline(config.destinationPath);
+      const generatedFiles = await baseline.readGeneratedFiles();
+      await this.backstageGenerator.generate(
+        config.destinationPath,
+        config.applicationName,
+        createAppVersion
+      );
+      // Pristine skeleton files are the base of the three-way merges of App.tsx, EntityPage.tsx and Root.tsx
+      await baseline.captureSkeleton();
+      await baseline.restore(generatedFiles);
+    }
+
+    return {
+      skeleton: config.skeleton,
+      compatibility: {
+        compatible: report.compatible,
+        releaseMismatch: report.releaseMismatch,
+        mismatches: report.mismatches.length,
+        unlocked: report.unlocked.length,
+      },
+    };
+  }
+
   async applyBaseConfiguration(config) {
     const configSource = path.join(config.sourcePath, "configuration");
     const destRoot = config.destinationPath;
@@ -414,8 +1126,9 @@ export class FlowSourceAgent {
       const destPath = path.join(destRoot, file.dest);
 
       if (await fs.pathExists(sourcePath)) {
-        await fs.copy(sourcePath, destPath, { overwrite: true });
-        this.logger.info(`📄 Replaced: ${file.dest}`);
+        if (await this.copyIntoDestination(config, sourcePath, destPath)) {
+          this.logger.info(`📄 Replaced: ${file.dest}`);
+        }
       }
     }
 
@@ -425,7 +1138,7 @@ export class FlowSourceAgent {
     // Copy .yarn directory if it exists
     const yarnDir = path.join(configSource, ".yarn");
     if (await fs.pathExists(yarnDir)) {
-      await fs.copy(yarnDir, path.join(destRoot, ".yarn"), { overwrite: true });
+      await this.copyIntoDestination(config, yarnDir, path.join(destRoot, ".yarn"));
       this.logger.info("📁 Copied .yarn directory");
     }
   }
@@ -439,10 +1152,11 @@ export class FlowSourceAgent {
     const rootPackageDest = path.join(destRoot, "package.json");
 
     if (await fs.pathExists(rootPackageSource)) {
-      await fs.copy(rootPackageSource, rootPackageDest, { overwrite: true });
-      this.logger.info(
-        "📦 Root package.json overridden with FlowSource configuration"
-      );
+      if (await this.copyIntoDestination(config, rootPackageSource, rootPackageDest)) {
+        this.logger.info(
+          "📦 Root package.json overridden with FlowSource configuration"
+        );
+      }
     }
 
     // Update app package.json
@@ -489,6 +1203,7 @@ export class FlowSourceAgent {
         },
       };
 
+      await ChangeJournal.record(destAppPackage);
       await fs.writeJson(destAppPackage, mergedConfig, { spaces: 2 });
       this.logger.info(
         "📦 App package.json updated with essential FlowSource dependencies (plugins removed for Phase 1)"
@@ -522,6 +1237,7 @@ export class FlowSourceAgent {
         },
       };
 
+      await ChangeJournal.record(destBackendPackage);
       await fs.writeJson(destBackendPackage, mergedConfig, { spaces: 2 });
       this.logger.info(
         "📦 Backend package.json updated with essential FlowSource dependencies"
@@ -534,8 +1250,10 @@ export class FlowSourceAgent {
     await this.copyEssentialAppFiles(config);
     await this.copyEssentialBackendFiles(config);
 
-    // Remove backend Dockerfile as it's not required
-    await this.removeBackendDockerfile(config);
+    // Remove backend Dockerfile as it's not required (existing repositories keep theirs)
+    if (!config.inPlace) {
+      await this.removeBackendDockerfile(config);
+    }
   }
 
   async removeBackendDockerfile(config) {
@@ -547,6 +1265,7 @@ export class FlowSourceAgent {
     );
 
     if (await fs.pathExists(backendDockerfile)) {
+      await ChangeJournal.record(backendDockerfile);
       await fs.remove(backendDockerfile);
       this.logger.info("📄 Removed unnecessary backend Dockerfile");
     }
@@ -579,7 +1298,7 @@ export class FlowSourceAgent {
       const destPath = path.join(destApp, file);
 
       if (await fs.pathExists(sourcePath)) {
-        await fs.copy(sourcePath, destPath, { overwrite: true });
+        await this.copyIntoDestination(config, sourcePath, destPath);
         this.logger.info(`📄 Copied: ${file}`);
       } else {
         // Log when file is not found but don't fail
@@ -608,13 +1327,18 @@ export class FlowSourceAgent {
       const destPath = path.join(destBackend, file);
 
       if (await fs.pathExists(sourcePath)) {
-        await fs.copy(sourcePath, destPath, { overwrite: true });
+        await this.copyIntoDestination(config, sourcePath, destPath);
         this.logger.info(`📄 Copied: ${file}`);
       }
     }
   }
 
   async installDependencies(config) {
+    if (this.options.dryRun) {
+      this.logger.info("🧪 Dry run: skipping 'yarn install' in the staged destination");
+      return;
+    }
+
     try {
       this.logger.info("📦 Installing dependencies with yarn...");
       execSync("yarn install", {
@@ -642,6 +1366,12 @@ export class FlowSourceAgent {
         .filter((line) => line.trim() !== "/packages")
         .join("\n");
 
+      // Keep the migration's rollback journal out of version control
+      if (!gitignoreContent.split("\n").some((line) => line.trim() === `/${JOURNAL_DIR_NAME}`)) {
+        gitignoreContent = `${gitignoreContent.replace(/\n*$/, "\n")}\n# FlowSource migration journal\n/${JOURNAL_DIR_NAME}\n`;
+      }
+
+      await ChangeJournal.record(gitignorePath);
       await fs.writeFile(gitignorePath, gitignoreContent, "utf8");
       this.logger.info("📄 Fixed .gitignore - removed /packages exclusion");
     }
@@ -686,13 +1416,20 @@ export class FlowSourceAgent {
       path.join(config.destinationPath, "app-config.yaml"),
     ];
 
-    let phase1Completed = true;
     const missingItems = [];
+    let phase1Completed = await this.isPhaseRecorded(config, 1);
 
-    for (const indicator of phase1Indicators) {
-      if (!(await fs.pathExists(indicator))) {
-        phase1Completed = false;
-        missingItems.push(indicator);
+    if (phase1Completed !== null) {
+      // The checkpoint or the migration manifest records exactly which phases completed
+      if (!phase1Completed) missingItems.push("Phase 1 not recorded in the migration manifest");
+    } else {
+      // Apps migrated before the manifest existed: detect Phase 1 output from files
+      phase1Completed = true;
+      for (const indicator of phase1Indicators) {
+        if (!(await fs.pathExists(indicator))) {
+          phase1Completed = false;
+          missingItems.push(indicator);
+        }
       }
     }
 
@@ -705,13 +1442,20 @@ export class FlowSourceAgent {
       await this.executePhase1(config, spinner);
     } else {
       this.logger.info("✅ Phase 1 already completed, proceeding with Phase 2");
+      // Phase 1 did not run, so the themes it was migrated with stay as the manifest recorded them
+      await this.completePhase({ ...config, themes: null }, 1);
       // Update step counter to reflect completed Phase 1 steps
       this.migrationState.currentStep = 8; // Phase 1 has fixed 8 steps
     }
   }
 
-  async validateAndExecutePhase2(config, spinner) {
-    // Check if Phase 2 has been completed
+  /**
+   * What keeps Phase 2 from counting as done: recorded by the checkpoint or the manifest,
+   * or, for apps migrated before the manifest existed, detected from its output files
+   * @param {Object} config - Migration config
+   * @returns {Promise<Array<string>>} Missing items; empty when Phase 2 has run
+   */
+  async missingPhase2Items(config) {
     const phase2Indicators = [
       path.join(config.destinationPath, "packages", "backend", "src", "plugins", "auth.ts"),
       path.join(config.destinationPath, "app-config.local.yaml"),
@@ -719,12 +1463,16 @@ export class FlowSourceAgent {
       path.join(config.destinationPath, "packages", "backend", "src", "plugins", "database"),
     ];
 
-    let phase2Completed = true;
-    const missingItems = [];
+    const recorded = await this.isPhaseRecorded(config, 2);
+    if (recorded !== null) {
+      // The checkpoint or the migration manifest records exactly which phases completed
+      return recorded ? [] : ["Phase 2 not recorded in the migration manifest"];
+    }
 
+    // Apps migrated before the manifest existed: detect Phase 2 output from files
+    const missingItems = [];
     for (const indicator of phase2Indicators) {
       if (!(await fs.pathExists(indicator))) {
-        phase2Completed = false;
         missingItems.push(indicator);
       }
     }
@@ -734,26 +1482,28 @@ export class FlowSourceAgent {
     if (await fs.pathExists(appConfigPath)) {
       const configContent = await fs.readFile(appConfigPath, 'utf8');
       if (!configContent.includes('auth:') || !configContent.includes('providers:')) {
-        phase2Completed = false;
         missingItems.push("Authentication configuration in app-config.yaml");
       }
     }
+    return missingItems;
+  }
+
+  async validateAndExecutePhase2(config, spinner) {
+    // Check if Phase 2 has been completed
+    const missingItems = await this.missingPhase2Items(config);
+    const phase2Completed = missingItems.length === 0;
 
     if (!phase2Completed) {
       this.logger.warn("⚠️ Phase 2 not completed. Missing items:");
       missingItems.forEach((item) => this.logger.warn(`   - ${item}`));
       
-      // Check if we're in CLI mode and Phase 2 is incomplete
-      if (!this.interactiveMode) {
-        throw new Error("Phase 2 not completed and CLI mode cannot collect credentials. Please run Phase 2 first or use interactive mode for Phase 3.");
-      }
-      
       this.logger.info("🔄 Executing Phase 2 first...");
 
       // Execute Phase 2 steps
       await this.executePhase2(config, spinner);
     } else {
       this.logger.info("✅ Phase 2 already completed, proceeding with Phase 3");
+      await this.completePhase(config, 2);
       // Update step counter to reflect completed Phase 1 + Phase 2 steps
       this.migrationState.currentStep = this.calculatePhase2TotalSteps();
     }
@@ -889,6 +1639,17 @@ export class FlowSourceAgent {
       throw new Error(`Authentication validation failed: ${errorMessage}`);
     }
 
+    // Static check that index.ts, auth.ts, App.tsx and app-config.yaml agree
+    const validator = new ValidationEngine();
+    validator.registerRules(AUTH_SETUP_RULES);
+    const results = await validator.runRules(config, { ids: AUTH_SETUP_RULES.map((rule) => rule.id) });
+    await this.writeValidationReports(config, results);
+    const { failed, warnings } = validator.validationResults;
+    warnings.forEach((warning) => this.logger.warn(`⚠️ ${warning}`));
+    if (failed.length > 0) {
+      throw new Error(`Authentication validation failed: ${failed.join("; ")}`);
+    }
+
     this.logger.info("✅ Authentication configuration validated successfully");
   }
 
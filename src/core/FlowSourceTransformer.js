@@ -2,10 +2,218 @@
 import path from 'path';
 import fs from 'fs-extra';
 import { Logger } from '../utils/Logger.js';
+import { ChangeJournal } from '../utils/ChangeJournal.js';
+import { FileManager, INCOMING_SUFFIX, CONFLICT_SUFFIX } from '../utils/FileManager.js';
+import { CodeModifier } from '../utils/CodeModifier.js';
+import { SkeletonBaseline } from '../utils/SkeletonBaseline.js';
+import YamlConfigMerger from '../utils/YamlConfigMerger.js';
+import { selectedThemes, themeImports, themeEntrySource, themeModuleSource } from '../utils/ThemeGenerator.js';
+import { buildComplianceReport } from '../utils/ComplianceReport.js';
+
+// App files FlowSource edits (merged with the team's changes, see SkeletonBaseline)
+const APP_FILE = 'packages/app/src/App.tsx';
+const ENTITY_PAGE_FILE = 'packages/app/src/components/catalog/EntityPage.tsx';
+const ROOT_FILE = 'packages/app/src/components/Root/Root.tsx';
+
+const MERMAID_MODULE = 'backstage-plugin-techdocs-addon-mermaid';
+
+// Imports App.tsx needs besides the theme imports (UI-Changes.md Step 1)
+const APP_IMPORTS = [
+  { name: 'FlowsourceHome', from: './components/catalog/customcatalog/FlowsourceHome' },
+  { name: 'Mermaid', from: MERMAID_MODULE }
+];
+
+// Theme module file names (FlowsourceTheme.js in older packages, .ts when generated)
+const THEME_MODULE_PATTERN = /^(\w+)\.(ts|tsx|js|jsx)$/;
+
+const MERMAID_ELEMENT = `<Mermaid config={{ theme: 'forest', themeVariables: { lineColor: '#000000' } }} />`;
+
+// Catalog route FlowsourceHome is nested in (UI-Changes.md Step 3)
+const CATALOG_ROUTE = { tag: 'Route', attributes: { path: '/catalog' } };
+
+// createApp options generated apps get when create-app did not write them
+const DEFAULT_BIND_ROUTES = `bindRoutes({ bind }) {
+  bind(catalogPlugin.externalRoutes, {
+    createComponent: scaffolderPlugin.routes.root,
+    viewTechDoc: techdocsPlugin.routes.docRoot,
+    createFromTemplate: scaffolderPlugin.routes.selectedTemplate,
+  });
+  bind(apiDocsPlugin.externalRoutes, {
+    registerApi: catalogImportPlugin.routes.importPage,
+  });
+  bind(scaffolderPlugin.externalRoutes, {
+    registerComponent: catalogImportPlugin.routes.importPage,
+    viewTechDoc: techdocsPlugin.routes.docRoot,
+  });
+  bind(orgPlugin.externalRoutes, {
+    catalogIndex: catalogPlugin.routes.catalogIndex,
+  });
+}`;
+
+const DEFAULT_COMPONENTS = `components: {
+  SignInPage: props => <SignInPage {...props} auto providers={['guest']} />,
+}`;
+
+const APP_DIR = 'packages/app';
+const PUBLIC_ASSETS = ['catalog-banner.png', 'cognizant-logo-flowsource.svg', 'favicon-16x16.png', 'favicon-32x32.png', 'favicon.ico'];
+const CUSTOM_CATALOG_FILES = ['FlowsourceHome.tsx', 'FlowsourceHomeThemeCss.tsx'];
+// Plugin pages UI-Changes.md adds to the Menu group; Phase 1 leaves them out until the plugins are integrated
+const FLOWSOURCE_SIDEBAR_ITEMS = ['flowsource-infra-provision', 'flowsource-core', 'flowsource-github-copilot', 'flowsource-dashboard'];
+
+/**
+ * UI-Changes.md requirements as compliance rules. check() returns the problems it
+ * finds (none: the rule passes); a rule with problems gets its severity as result.
+ */
+const UI_CHANGES_RULES = [
+  {
+    id: 'UI-001',
+    section: 'Public',
+    description: 'FlowSource banner, logo and favicons are in the app\'s public directory',
+    file: `${APP_DIR}/public`,
+    severity: 'fail',
+    remediation: `Copy ${PUBLIC_ASSETS.join(', ')} from packages-core/app/public of the FlowSource package.`,
+    check: async (app) => app.missing(PUBLIC_ASSETS.map(name => `${APP_DIR}/public/${name}`))
+  },
+  {
+    id: 'UI-002',
+    section: 'Themes',
+    description: 'A theme module exists for every selected FlowSource theme',
+    file: `${APP_DIR}/src/components/theme`,
+    severity: 'fail',
+    remediation: 'Run the migration again to generate the theme modules, or copy FlowsourceTheme.js from the package into components/theme.',
+    check: async (app) => {
+      const problems = [];
+      for (const theme of selectedThemes(app.config.themes).filter(candidate => candidate.flowsource)) {
+        if (!(await app.transformer.findThemeModule(app.path(`${APP_DIR}/src/components/theme`), theme.exportName))) {
+          problems.push(`No ${theme.exportName} module for the ${theme.title}`);
+        }
+      }
+      return problems;
+    }
+  },
+  {
+    id: 'UI-003',
+    section: 'Root',
+    description: 'Root.tsx styles the sidebar with useSidebarStyles',
+    file: `${APP_DIR}/src/components/Root/Root.tsx`,
+    severity: 'warn',
+    remediation: 'Declare useSidebarStyles in Root.tsx and wrap the sidebar contents in <div className={classes.sb1}>.',
+    check: async (app) => {
+      const root = await app.read(`${APP_DIR}/src/components/Root/Root.tsx`);
+      if (root === null) return ['Root.tsx not found'];
+      return app.codeModifier.hasDeclaration(root, 'useSidebarStyles') ? [] : ['useSidebarStyles is not declared'];
+    }
+  },
+  {
+    id: 'UI-004',
+    section: 'Root',
+    description: 'The Menu sidebar group links the FlowSource plugin pages',
+    file: `${APP_DIR}/src/components/Root/Root.tsx`,
+    severity: 'warn',
+    remediation: 'Integrate the FlowSource plugins (Phase 3); each adds its sidebar item. Items hidden by the navigation spec are not required.',
+    check: async (app) => {
+      const root = await app.read(`${APP_DIR}/src/components/Root/Root.tsx`);
+      if (root === null) return ['Root.tsx not found'];
+      const hidden = app.config.navigation?.hide || [];
+      return FLOWSOURCE_SIDEBAR_ITEMS
+        .filter(target => !hidden.some(entry => entry.replace(/^\/+/, '') === target))
+        .filter(target => ![target, `/${target}`].some(to => app.codeModifier.hasJsxElement(root, { tag: 'SidebarItem', attributes: { to } })))
+        .map(target => `No sidebar item for ${target}`);
+    }
+  },
+  {
+    id: 'UI-005',
+    section: 'Root',
+    description: 'FlowSource LogoFull and LogoIcon components are in place',
+    file: `${APP_DIR}/src/components/Root`,
+    severity: 'fail',
+    remediation: 'Copy LogoFull.tsx and LogoIcon.tsx from packages-core/app/src/components/Root, or set logos in the brand kit.',
+    check: async (app) => app.missing(['LogoFull.tsx', 'LogoIcon.tsx'].map(name => `${APP_DIR}/src/components/Root/${name}`))
+  },
+  {
+    id: 'UI-006',
+    section: 'Assets',
+    description: 'The FlowSource assets directory is populated',
+    file: `${APP_DIR}/src/assets`,
+    severity: 'fail',
+    remediation: 'Copy packages-core/app/src/assets of the FlowSource package into packages/app/src/assets.',
+    check: async (app) => {
+      const assetsDir = app.path(`${APP_DIR}/src/assets`);
+      return (await fs.pathExists(assetsDir)) && (await fs.readdir(assetsDir)).length > 0 ? [] : ['packages/app/src/assets is missing or empty'];
+    }
+  },
+  {
+    id: 'UI-007',
+    section: 'Catalog',
+    description: 'The custom catalog home page components exist',
+    file: `${APP_DIR}/src/components/catalog/customcatalog`,
+    severity: 'fail',
+    remediation: `Copy ${CUSTOM_CATALOG_FILES.join(' and ')} from the package into components/catalog/customcatalog.`,
+    check: async (app) => app.missing(CUSTOM_CATALOG_FILES.map(name => `${APP_DIR}/src/components/catalog/customcatalog/${name}`))
+  },
+  {
+    id: 'UI-008',
+    section: 'App.tsx',
+    description: 'App.tsx imports the theme modules, UnifiedThemeProvider, FlowsourceHome and Mermaid',
+    file: APP_FILE,
+    severity: 'fail',
+    remediation: 'Add the missing imports listed in UI-Changes.md (App.tsx, Step 1), or run the migration again.',
+    check: async (app) => {
+      const appContent = await app.read(APP_FILE);
+      if (appContent === null) return ['App.tsx not found'];
+      const importedNames = app.codeModifier.importedNames(appContent);
+      return [...themeImports(app.config.themes), ...APP_IMPORTS]
+        .filter(({ name }) => !importedNames.has(name))
+        .map(({ name, from }) => `Missing import ${name} from '${from}'`);
+    }
+  },
+  {
+    id: 'UI-009',
+    section: 'App.tsx',
+    description: 'createApp declares every selected theme with its UnifiedThemeProvider',
+    file: APP_FILE,
+    severity: 'fail',
+    remediation: 'Add the theme entries to createApp({ themes }) as shown in UI-Changes.md (App.tsx, Step 2), or run the migration again.',
+    check: async (app) => {
+      const appContent = await app.read(APP_FILE);
+      if (appContent === null) return ['App.tsx not found'];
+      const declaredThemes = app.codeModifier.arrayElements(appContent, 'createApp', 'themes') || [];
+      return selectedThemes(app.config.themes)
+        .filter(theme => !declaredThemes.some(entry => entry.values.id === theme.id && entry.text.includes(`UnifiedThemeProvider theme={${theme.exportName}}`)))
+        .map(theme => `Theme ${theme.id} is not declared with ${theme.exportName}`);
+    }
+  },
+  {
+    id: 'UI-010',
+    section: 'App.tsx',
+    description: 'The catalog route renders FlowsourceHome',
+    file: APP_FILE,
+    severity: 'fail',
+    remediation: 'Nest <FlowsourceHome /> in <Route path="/catalog" element={<CatalogIndexPage />}> (UI-Changes.md, App.tsx, Step 3).',
+    check: async (app) => {
+      const appContent = await app.read(APP_FILE);
+      if (appContent === null) return ['App.tsx not found'];
+      return app.codeModifier.hasJsxElement(appContent, 'FlowsourceHome') ? [] : ['FlowsourceHome is not rendered in the catalog route'];
+    }
+  }
+];
 
 export class FlowSourceTransformer {
   constructor() {
     this.logger = Logger.getInstance();
+    this.fileManager = new FileManager();
+    this.codeModifier = new CodeModifier();
+  }
+
+  // Copy a package file or directory into the app. In-place migrations keep
+  // existing files that differ and write the FlowSource version next to them.
+  async copyIntoApp(config, source, destination) {
+    if (config.inPlace) {
+      await this.fileManager.copyPreservingExisting(source, destination);
+      return;
+    }
+    await ChangeJournal.recordCopy(source, destination);
+    await fs.copy(source, destination, { overwrite: true });
   }
 
   async applyUICustomizations(config) {
@@ -23,8 +231,10 @@ export class FlowSourceTransformer {
     // Update App.tsx with theme integration
     await this.updateAppComponent(config);
     
-    // Clean up any duplicate or malformed structures
-    await this.cleanupAppStructure(config);
+    // Apply the brand kit's favicon, title and organization
+    if (config.brandKit) {
+      await this.applyBrandConfiguration(config);
+    }
     
     // Validate compliance with UI-Changes.md requirements
     await this.validateUIChangesCompliance(config);
@@ -37,9 +247,34 @@ export class FlowSourceTransformer {
     const destTheme = path.join(config.destinationPath, 'packages', 'app', 'src', 'components', 'theme');
     
     if (await fs.pathExists(sourceTheme)) {
-      await fs.copy(sourceTheme, destTheme, { overwrite: true });
+      await this.copyIntoApp(config, sourceTheme, destTheme);
       this.logger.info('🎨 FlowSource theme applied');
     }
+    
+    // Generate the selected theme variants: all of them from a brand kit, otherwise
+    // the ones the package does not ship (dark and high-contrast)
+    for (const theme of selectedThemes(config.themes).filter(candidate => candidate.flowsource)) {
+      const existing = await this.findThemeModule(destTheme, theme.exportName);
+      if (config.brandKit) {
+        await this.writeThemeModule(existing || path.join(destTheme, `${theme.exportName}.ts`), config.brandKit.themeSource(theme.key));
+        this.logger.info(`🎨 ${theme.title} generated from the brand kit`);
+      } else if (!existing) {
+        await this.writeThemeModule(path.join(destTheme, `${theme.exportName}.ts`), themeModuleSource(theme.key));
+        this.logger.info(`🎨 ${theme.title} generated`);
+      }
+    }
+  }
+
+  // Path of a theme module in the app's theme directory, whatever its extension
+  async findThemeModule(themeDir, exportName) {
+    const names = await fs.pathExists(themeDir) ? await fs.readdir(themeDir) : [];
+    const name = names.find(candidate => candidate.match(THEME_MODULE_PATTERN)?.[1] === exportName);
+    return name ? path.join(themeDir, name) : null;
+  }
+
+  async writeThemeModule(themeFile, source) {
+    await ChangeJournal.record(themeFile);
+    await fs.outputFile(themeFile, source, 'utf8');
   }
 
   async updateReactComponents(config) {
@@ -69,8 +304,34 @@ export class FlowSourceTransformer {
         // Remove plugin-specific imports and routes for Phase 1
         rootContent = this.removePluginSpecificContent(rootContent);
         
-        await fs.writeFile(destRootTsx, rootContent, 'utf8');
-        this.logger.info('🧭 Root component updated with FlowSource navigation');
+        // Apply the navigation spec (--navigation) to the FlowSource sidebar
+        if (config.navigation) {
+          rootContent = this.applyNavigation(config, rootContent);
+        }
+        
+        const existingRoot = await fs.pathExists(destRootTsx) ? await fs.readFile(destRootTsx, 'utf8') : null;
+        const merged = existingRoot !== null ? await this.mergeWithBaseline(config, ROOT_FILE, existingRoot, rootContent) : null;
+        if (merged?.conflicts > 0) {
+          // Sidebar edits overlap FlowSource's: keep the team's Root.tsx and write the marked-up merge next to it
+          await ChangeJournal.record(`${destRootTsx}${CONFLICT_SUFFIX}`);
+          await fs.writeFile(`${destRootTsx}${CONFLICT_SUFFIX}`, merged.text, 'utf8');
+          this.logger.warn(`⚠️ Kept customised Root.tsx; ${merged.conflicts} conflicting changes written to Root.tsx${CONFLICT_SUFFIX}`);
+        } else if (merged) {
+          if (merged.text !== existingRoot) {
+            await ChangeJournal.recordFrom(sourceRootTsx, destRootTsx);
+            await fs.writeFile(destRootTsx, merged.text, 'utf8');
+          }
+          this.logger.info('🧭 Root component updated with FlowSource navigation');
+        } else if (config.inPlace && existingRoot !== null && existingRoot !== rootContent) {
+          // An existing repository's sidebar is kept; the FlowSource one is written next to it
+          await ChangeJournal.recordFrom(sourceRootTsx, `${destRootTsx}${INCOMING_SUFFIX}`);
+          await fs.writeFile(`${destRootTsx}${INCOMING_SUFFIX}`, rootContent, 'utf8');
+          this.logger.warn(`⚠️ Kept existing Root.tsx; FlowSource navigation written to Root.tsx${INCOMING_SUFFIX}`);
+        } else {
+          await ChangeJournal.recordFrom(sourceRootTsx, destRootTsx);
+          await fs.writeFile(destRootTsx, rootContent, 'utf8');
+          this.logger.info('🧭 Root component updated with FlowSource navigation');
+        }
       }
       
       // Copy logo components
@@ -80,277 +341,212 @@ export class FlowSourceTransformer {
         const destLogo = path.join(destRoot, logoFile);
         
         if (await fs.pathExists(sourceLogo)) {
-          await fs.copy(sourceLogo, destLogo, { overwrite: true });
+          await this.copyIntoApp(config, sourceLogo, destLogo);
         }
       }
     }
   }
 
+  // Sidebar items, groups and hidden items of the navigation spec; entries that do not fit are reported
+  applyNavigation(config, rootContent) {
+    const { content, skipped } = config.navigation.apply(rootContent);
+    for (const entry of skipped) {
+      this.logger.warn(`⚠️ Navigation spec: ${entry}`);
+    }
+    this.logger.info(`🧭 Navigation spec applied to Root.tsx (${config.navigation.summary()})`);
+    return content;
+  }
+
   async updateLogoComponents(config) {
-    // Logos are handled in updateRootComponent
+    // FlowSource logos are copied in updateRootComponent; brand kit logos replace them
+    const images = config.brandKit?.images || {};
+    const destRoot = path.join(config.destinationPath, 'packages', 'app', 'src', 'components', 'Root');
+    const logos = [
+      { key: 'logos.full', component: 'LogoFull', imageName: 'logo-full' },
+      { key: 'logos.icon', component: 'LogoIcon', imageName: 'logo-icon' }
+    ];
+    
+    for (const { key, component, imageName } of logos.filter(logo => images[logo.key])) {
+      const image = images[key];
+      const imageFile = `${imageName}${image.format}`;
+      const destImage = path.join(destRoot, 'brand', imageFile);
+      const destComponent = path.join(destRoot, `${component}.tsx`);
+      
+      await ChangeJournal.recordCopy(image.path, destImage);
+      await fs.copy(image.path, destImage, { overwrite: true });
+      await ChangeJournal.record(destComponent);
+      await fs.outputFile(destComponent, config.brandKit.logoComponentSource(component, `./brand/${imageFile}`), 'utf8');
+      this.logger.info(`🏷️ ${component} shows the brand logo (${image.width}x${image.height})`);
+    }
     this.logger.info('🏷️ Logo components updated');
   }
 
+  // Favicon, app.title and organization.name from the brand kit
+  async applyBrandConfiguration(config) {
+    const brandKit = config.brandKit;
+    const favicon = brandKit.images.favicon;
+    if (favicon) {
+      const destFavicon = path.join(config.destinationPath, 'packages', 'app', 'public', 'favicon.ico');
+      await ChangeJournal.recordCopy(favicon.path, destFavicon);
+      await fs.copy(favicon.path, destFavicon, { overwrite: true });
+      this.logger.info('🔖 Favicon replaced with the brand favicon');
+    }
+    
+    const appConfig = {};
+    if (brandKit.title) appConfig.app = { title: brandKit.title };
+    if (brandKit.organization) appConfig.organization = { name: brandKit.organization };
+    const appConfigPath = path.join(config.destinationPath, 'app-config.yaml');
+    if (Object.keys(appConfig).length > 0 && await fs.pathExists(appConfigPath)) {
+      await new YamlConfigMerger(this.logger).mergeIntoYamlFile(appConfigPath, appConfig);
+    }
+  }
+
   async updateSearchComponent(config) {
     const sourceSearch = path.join(config.sourcePath, 'packages-core', 'app', 'src', 'components', 'search');
     const destSearch = path.join(config.destinationPath, 'packages', 'app', 'src', 'components', 'search');
     
     if (await fs.pathExists(sourceSearch)) {
-      await fs.copy(sourceSearch, destSearch, { overwrite: true });
+      await this.copyIntoApp(config, sourceSearch, destSearch);
       this.logger.info('🔍 Search component updated');
     }
   }
 
   async updateEntityPage(config) {
-    const destEntityPage = path.join(config.destinationPath, 'packages', 'app', 'src', 'components', 'catalog', 'EntityPage.tsx');
+    const destEntityPage = path.join(config.destinationPath, ENTITY_PAGE_FILE);
     
     if (await fs.pathExists(destEntityPage)) {
-      let entityContent = await fs.readFile(destEntityPage, 'utf8');
-      
-      // Add required imports if not present
-      const requiredImports = [
-        "import { Button, Grid } from '@material-ui/core';",
-        "import { Mermaid } from 'backstage-plugin-techdocs-addon-mermaid';"
-      ];
-      
-      for (const importStatement of requiredImports) {
-        if (!entityContent.includes(importStatement)) {
-          // Find the last import statement and add after it
-          const importRegex = /(import.*from.*['"];?\n)/g;
-          const imports = entityContent.match(importRegex) || [];
-          
-          if (imports.length > 0) {
-            const lastImport = imports[imports.length - 1];
-            const lastImportIndex = entityContent.lastIndexOf(lastImport) + lastImport.length;
-            entityContent = entityContent.slice(0, lastImportIndex) + importStatement + '\n' + entityContent.slice(lastImportIndex);
-          }
-        }
+      await this.updateTrackedFile(config, ENTITY_PAGE_FILE, content => this.transformEntityPageContent(content, config));
+      this.logger.info('📋 Entity page updated with required imports and Mermaid support');
+    }
+  }
+
+  transformEntityPageContent(content, config = {}) {
+    // Add required imports if not present
+    let entityContent = this.codeModifier.addNamedImport(content, '@material-ui/core', ['Button', 'Grid']);
+    entityContent = this.codeModifier.addNamedImport(entityContent, MERMAID_MODULE, 'Mermaid');
+    
+    // Add Mermaid to TechDocsAddons if not present
+    if (this.codeModifier.hasJsxElement(entityContent, 'TechDocsAddons')) {
+      const withMermaid = this.codeModifier.addJsxChild(entityContent, 'TechDocsAddons', MERMAID_ELEMENT);
+      if (withMermaid !== entityContent) {
+        entityContent = withMermaid;
+        this.logger.info('📊 Added Mermaid to EntityPage TechDocsAddons');
       }
-      
-      // Add Mermaid to TechDocsAddons if not present
-      if (entityContent.includes('<TechDocsAddons>') && !entityContent.includes('<Mermaid')) {
-        const techDocsAddonsPattern = /(<TechDocsAddons>\s*<ReportIssue \/>)\s*(<\/TechDocsAddons>)/;
-        if (techDocsAddonsPattern.test(entityContent)) {
-          entityContent = entityContent.replace(
-            techDocsAddonsPattern,
-            `$1
-          <Mermaid config={{ theme: 'forest', themeVariables: { lineColor: '#000000' } }} />
-        $2`
-          );
-          this.logger.info('📊 Added Mermaid to EntityPage TechDocsAddons');
-        }
+    }
+
+    // Reconcile the entity pages with the layout (--entity-layout)
+    if (config.entityLayout) {
+      const { content: laidOut, skipped } = config.entityLayout.apply(entityContent);
+      for (const entry of skipped) {
+        this.logger.warn(`⚠️ Entity page layout: ${entry}`);
       }
-      
-      await fs.writeFile(destEntityPage, entityContent, 'utf8');
-      this.logger.info('📋 Entity page updated with required imports and Mermaid support');
+      this.logger.info(`🗂️ Entity page layout applied to EntityPage.tsx (${config.entityLayout.summary()})`);
+      entityContent = laidOut;
     }
+    return entityContent;
   }
 
   async updateAppComponent(config) {
-    const destApp = path.join(config.destinationPath, 'packages', 'app', 'src', 'App.tsx');
+    const destApp = path.join(config.destinationPath, APP_FILE);
     
     if (await fs.pathExists(destApp)) {
-      let appContent = await fs.readFile(destApp, 'utf8');
-      
-      // Add FlowSource theme imports if not present (from UI-Changes.md documentation)
-      const themeImports = [
-        `import { FlowsourceTheme } from './components/theme/FlowsourceTheme';`,
-        `import { UnifiedThemeProvider } from '@backstage/theme';`,
-        `import { FlowsourceHome } from './components/catalog/customcatalog/FlowsourceHome';`,
-        `import { Mermaid } from 'backstage-plugin-techdocs-addon-mermaid';`
-      ];
-      
-      // Add imports after the last existing import
-      themeImports.forEach(importStatement => {
-        const importName = importStatement.match(/import\s+\{\s*([^}]+)\s*\}\s+from/)[1].trim();
-        // Check if the specific import name is already present in the file
-        if (!appContent.includes(`import { ${importName} }`)) {
-          const importRegex = /(import.*from.*['"];?\n)/g;
-          const imports = appContent.match(importRegex) || [];
-          if (imports.length > 0) {
-            const lastImportIndex = appContent.lastIndexOf(imports[imports.length - 1]) + imports[imports.length - 1].length;
-            appContent = appContent.slice(0, lastImportIndex) + importStatement + '\n' + appContent.slice(lastImportIndex);
-            this.logger.info(`📦 Added import: ${importName}`);
-          }
-        } else {
-          this.logger.info(`✅ Import already exists: ${importName}`);
-        }
-      });
-      
-      // Ensure FlowsourceHome integration according to UI-Changes.md
-      appContent = await this.ensureFlowsourceHomeIntegration(appContent);
-      
-      // Fix catalog route to include FlowsourceHome properly
-      if (appContent.includes('<FlowsourceHome />') && appContent.includes('<Route path="/catalog" element={<CatalogIndexPage />} />')) {
-        // Fix malformed catalog route
-        const malformedRoute = /<Route path="\/catalog" element={<CatalogIndexPage \/>} \/>\s*<FlowsourceHome \/>\s*<Route/;
-        if (malformedRoute.test(appContent)) {
-          appContent = appContent.replace(
-            malformedRoute,
-            `<Route path="/catalog" element={<CatalogIndexPage />}>
-      <FlowsourceHome />
-    </Route>
-    <Route`
-          );
-          this.logger.info('🔧 Fixed catalog route with FlowsourceHome');
-        }
-      } else if (!appContent.includes('<FlowsourceHome />')) {
-        // Add FlowsourceHome to catalog route if not present
-        const catalogRoutePattern = /<Route path="\/catalog" element={<CatalogIndexPage \/>} \/>/;
-        if (catalogRoutePattern.test(appContent)) {
-          appContent = appContent.replace(
-            catalogRoutePattern,
-            `<Route path="/catalog" element={<CatalogIndexPage />}>
-      <FlowsourceHome />
-    </Route>`
-          );
-          this.logger.info('✅ Added FlowsourceHome to catalog route');
-        }
+      await this.updateTrackedFile(config, APP_FILE, content => this.transformAppContent(content, config));
+      this.logger.info('📱 App component updated with FlowSource theme and proper structure');
+    }
+  }
+
+  transformAppContent(content, config) {
+    let appContent = content;
+    
+    // Add FlowSource theme imports if not present (from UI-Changes.md documentation)
+    for (const { name, from } of [...themeImports(config.themes), ...APP_IMPORTS]) {
+      const updated = this.codeModifier.addNamedImport(appContent, from, name);
+      this.logger.info(updated !== appContent ? `📦 Added import: ${name}` : `✅ Import already exists: ${name}`);
+      appContent = updated;
+    }
+    
+    // Ensure FlowsourceHome integration according to UI-Changes.md
+    appContent = this.ensureFlowsourceHomeIntegration(appContent);
+    
+    // Add Mermaid to TechDocsAddons if not present
+    if (this.codeModifier.hasJsxElement(appContent, 'TechDocsAddons')) {
+      const withMermaid = this.codeModifier.addJsxChild(appContent, 'TechDocsAddons', MERMAID_ELEMENT);
+      if (withMermaid !== appContent) {
+        appContent = withMermaid;
+        this.logger.info('📊 Added Mermaid to TechDocsAddons');
       }
-      
-      // Add Mermaid to TechDocsAddons if not present
-      if (appContent.includes('<TechDocsAddons>') && !appContent.includes('<Mermaid')) {
-        const techDocsAddonsPattern = /(<TechDocsAddons>\s*<ReportIssue \/>)\s*(<\/TechDocsAddons>)/;
-        if (techDocsAddonsPattern.test(appContent)) {
-          appContent = appContent.replace(
-            techDocsAddonsPattern,
-            `$1
-        <Mermaid config={{ theme: 'forest', themeVariables: { lineColor: '#000000' } }} />
-      $2`
-          );
-          this.logger.info('📊 Added Mermaid to TechDocsAddons');
-        }
+    }
+    
+    // Add the selected themes first in createApp's themes, FlowSource ones before the kept
+    // Backstage defaults. Options the app already has are kept; bindRoutes and components
+    // are only added when missing.
+    try {
+      let previous = null;
+      for (const theme of selectedThemes(config.themes)) {
+        appContent = this.codeModifier.addArrayElement(appContent, 'createApp', 'themes', themeEntrySource(theme), { key: 'id', position: 'start', after: previous });
+        previous = theme.id;
       }
-      
-      // Only modify the createApp structure if FlowSource theme is not already configured
-      if (!appContent.includes('flowsource-theme')) {
-        // Find the createApp call
-        const createAppMatch = appContent.match(/(const app = createApp\(\{[\s\S]*?\}\);)/);
-        
-        if (createAppMatch) {
-          const existingConfig = createAppMatch[1];
-          
-          // Extract existing apis section
-          const apisMatch = existingConfig.match(/(apis[^,]*)/);
-          const apis = apisMatch ? apisMatch[1] : 'apis';
-          
-          // Check if themes array already exists
-          let newCreateApp;
-          if (existingConfig.includes('themes:')) {
-            // If themes already exist, just add our FlowSource theme to it
-            newCreateApp = existingConfig.replace(
-              /themes:\s*\[([^\]]*)\]/,
-              `themes: [
-    {
-      id: 'flowsource-theme',
-      title: 'Flowsource Theme',
-      variant: 'light',
-      Provider: ({ children }) => (
-        <UnifiedThemeProvider theme={FlowsourceTheme} children={children} />
-      ),
-    },
-    $1
-  ]`
-            );
-          } else {
-            // Extract existing bindRoutes and components sections to preserve them
-            const bindRoutesMatch = existingConfig.match(/(bindRoutes\([^{]*\{[^}]*\}[^}]*\}[^,]*)/);
-            const componentsMatch = existingConfig.match(/(components:\s*\{[^}]*\})/);
-            
-            let bindRoutes = '';
-            let components = `components: {
-    SignInPage: props => <SignInPage {...props} auto providers={['guest']} />,
-  }`;
-            
-            if (bindRoutesMatch) {
-              bindRoutes = bindRoutesMatch[1];
-            } else {
-              // Create the required bindRoutes structure as specified in the requirements
-              bindRoutes = `bindRoutes({ bind }) {
-    bind(catalogPlugin.externalRoutes, {
-      createComponent: scaffolderPlugin.routes.root,
-      viewTechDoc: techdocsPlugin.routes.docRoot,
-      createFromTemplate: scaffolderPlugin.routes.selectedTemplate,
-    });
-    bind(apiDocsPlugin.externalRoutes, {
-      registerApi: catalogImportPlugin.routes.importPage,
-    });
-    bind(scaffolderPlugin.externalRoutes, {
-      registerComponent: catalogImportPlugin.routes.importPage,
-      viewTechDoc: techdocsPlugin.routes.docRoot,
-    });
-    bind(orgPlugin.externalRoutes, {
-      catalogIndex: catalogPlugin.routes.catalogIndex,
-    });
-  }`;
-            }
-            
-            if (componentsMatch) {
-              components = componentsMatch[1];
-            }
-            
-            // Create the new createApp structure - NO EXTRA COMMAS
-            newCreateApp = `const app = createApp({
-  ${apis},
-  themes: [
-    {
-      id: 'flowsource-theme',
-      title: 'Flowsource Theme',
-      variant: 'light',
-      Provider: ({ children }) => (
-        <UnifiedThemeProvider theme={FlowsourceTheme} children={children} />
-      ),
-    },
-  ],
-  ${bindRoutes},
-  ${components},
-});`;
-          }
-          
-          appContent = appContent.replace(createAppMatch[1], newCreateApp);
-        }
+      if (!config.inPlace) {
+        appContent = this.codeModifier.addObjectProperty(appContent, 'createApp', DEFAULT_BIND_ROUTES);
+        appContent = this.codeModifier.addObjectProperty(appContent, 'createApp', DEFAULT_COMPONENTS);
       }
-      
-      await fs.writeFile(destApp, appContent, 'utf8');
-      this.logger.info('📱 App component updated with FlowSource theme and proper structure');
+    } catch (error) {
+      this.logger.warn(`⚠️ ${error.message} in App.tsx; FlowSource theme not added`);
     }
+    return appContent;
   }
 
-  async cleanupAppStructure(config) {
-    const destApp = path.join(config.destinationPath, 'packages', 'app', 'src', 'App.tsx');
-    
-    if (await fs.pathExists(destApp)) {
-      let appContent = await fs.readFile(destApp, 'utf8');
-      
-      // Fix the specific comma issue after bindRoutes
-      appContent = appContent.replace(/(\}\);),(\s*components:)/g, '$1$2');
-      
-      // Remove duplicate bindRoutes sections that might exist outside createApp
-      const duplicateBindRoutesPattern = /\n\s*bind\(apiDocsPlugin\.externalRoutes[\s\S]*?\}\);[\s\S]*?\n/g;
-      appContent = appContent.replace(duplicateBindRoutesPattern, '\n');
-      
-      // Remove any duplicate components sections
-      const duplicateComponentsPattern = /\n\s*components:\s*\{[\s\S]*?SignInPage[\s\S]*?\},[\s\S]*?\}\);/g;
-      const matches = appContent.match(duplicateComponentsPattern);
-      if (matches && matches.length > 1) {
-        // Keep only the first components section
-        for (let i = 1; i < matches.length; i++) {
-          appContent = appContent.replace(matches[i], '');
-        }
+  /**
+   * Apply a FlowSource transform to a tracked app file. With a skeleton baseline the
+   * transform runs on the pristine skeleton file and the result is three-way merged
+   * with the file in the app, so custom routes and entity tabs survive migrations and
+   * re-runs; without one (in-place migrations) the file in the app is transformed.
+   * @param {Object} config - Migration config
+   * @param {string} relativePath - Destination-relative file
+   * @param {Function} transform - content => FlowSource version of the content
+   */
+  async updateTrackedFile(config, relativePath, transform) {
+    const filePath = path.join(config.destinationPath, relativePath);
+    const current = await fs.readFile(filePath, 'utf8');
+    const pristine = config.inPlace ? null : await new SkeletonBaseline(config.destinationPath).readSkeleton(relativePath);
+
+    let content = null;
+    if (pristine !== null) {
+      const flowsourceVersion = transform(pristine);
+      const merged = await this.mergeWithBaseline(config, relativePath, current, flowsourceVersion);
+      if (merged.conflicts > 0) {
+        this.logger.warn(`⚠️ Customisations in ${path.basename(relativePath)} overlap FlowSource changes (${merged.conflicts} conflicts); FlowSource changes applied to the customised file instead`);
+        await new SkeletonBaseline(config.destinationPath).recordGenerated(relativePath, flowsourceVersion);
+      } else {
+        content = merged.text;
       }
-      
-      // Clean up extra semicolons and malformed structures
-      appContent = appContent.replace(/\}\);[\s\n]*\}\);/g, '});');
-      appContent = appContent.replace(/,[\s\n]*,/g, ',');
-      
-      // Ensure FlowsourceHome is properly integrated (per UI-Changes.md documentation)
-      appContent = await this.ensureFlowsourceHomeIntegration(appContent);
-      
-      await fs.writeFile(destApp, appContent, 'utf8');
-      this.logger.info('🧹 App structure cleaned up - fixed comma issues and ensured FlowsourceHome integration');
+    }
+    content ??= transform(current);
+
+    if (content !== current) {
+      await ChangeJournal.record(filePath);
+      await fs.writeFile(filePath, content, 'utf8');
     }
   }
 
+  // Three-way merge of a tracked app file with its FlowSource version; null when the
+  // file has no skeleton baseline. A clean merge makes the FlowSource version the base
+  // of the next one, a conflicting merge leaves the base for the next run to retry.
+  async mergeWithBaseline(config, relativePath, current, flowsourceVersion) {
+    if (config.inPlace) {
+      return null;
+    }
+    const baseline = new SkeletonBaseline(config.destinationPath);
+    const merged = await baseline.merge(relativePath, current, flowsourceVersion);
+    if (merged?.conflicts === 0) {
+      await baseline.recordGenerated(relativePath, flowsourceVersion);
+      if (merged.text !== flowsourceVersion) {
+        this.logger.info(`🧩 Kept customisations in ${path.basename(relativePath)}`);
+      }
+    }
+    return merged;
+  }
+
   removePluginSpecificContent(content) {
     // Remove plugin-specific imports and routes for Phase 1
     const pluginPatterns = [
@@ -385,83 +581,55 @@ export class FlowSourceTransformer {
     return cleanContent;
   }
 
-  async ensureFlowsourceHomeIntegration(appContent) {
+  ensureFlowsourceHomeIntegration(appContent) {
     // According to UI-Changes.md Step 3: Update Catalog Route
-    // Replace the standard catalog route with FlowsourceHome integration
-    if (!appContent.includes('<FlowsourceHome />')) {
-      // Handle different possible catalog route formats
-      const catalogRoutePatterns = [
-        /<Route path="\/catalog" element={<CatalogIndexPage \/>} \/>/,
-        /<Route path="\/catalog" element={<CatalogIndexPage \/>}>/,
-        /<Route path='\/catalog' element={<CatalogIndexPage \/>} \/>/,
-        /<Route path='\/catalog' element={<CatalogIndexPage \/>}>/
-      ];
-      
-      for (const pattern of catalogRoutePatterns) {
-        if (pattern.test(appContent)) {
-          appContent = appContent.replace(
-            pattern,
-            `<Route path="/catalog" element={<CatalogIndexPage />}>
-      <FlowsourceHome />
-    </Route>`
-          );
-          this.logger.info('📋 Added FlowsourceHome to catalog route');
-          break;
-        }
-      }
-    } else {
-      this.logger.info('✅ FlowsourceHome already integrated in catalog route');
+    // <Route path="/catalog" element={<CatalogIndexPage />} /> takes FlowsourceHome as its child
+    if (!this.codeModifier.hasJsxElement(appContent, CATALOG_ROUTE)) {
+      this.logger.warn('⚠️ No /catalog route found in App.tsx; FlowsourceHome not added');
+      return appContent;
     }
-    
-    return appContent;
+
+    const updated = this.codeModifier.addJsxChild(appContent, CATALOG_ROUTE, '<FlowsourceHome />');
+    this.logger.info(updated !== appContent
+      ? '📋 Added FlowsourceHome to catalog route'
+      : '✅ FlowsourceHome already integrated in catalog route');
+    return updated;
   }
 
+  /**
+   * Check the app against the UI-Changes.md rules
+   * @param {Object} config - Migration config
+   * @returns {Promise<Object>} Compliance report (see buildComplianceReport)
+   */
   async validateUIChangesCompliance(config) {
-    const destApp = path.join(config.destinationPath, 'packages', 'app', 'src', 'App.tsx');
-    
-    if (await fs.pathExists(destApp)) {
-      const appContent = await fs.readFile(destApp, 'utf8');
-      
-      // Check required imports from UI-Changes.md Step 1
-      const requiredImports = [
-        'FlowsourceTheme',
-        'UnifiedThemeProvider', 
-        'FlowsourceHome',
-        'Mermaid'
-      ];
-      
-      const missingImports = [];
-      requiredImports.forEach(importName => {
-        if (!appContent.includes(`import { ${importName} }`)) {
-          missingImports.push(importName);
+    const app = {
+      config,
+      transformer: this,
+      codeModifier: this.codeModifier,
+      path: file => path.join(config.destinationPath, file),
+      read: async file => (await fs.pathExists(app.path(file)) ? fs.readFile(app.path(file), 'utf8') : null),
+      missing: async files => {
+        const missing = [];
+        for (const file of files) {
+          if (!(await fs.pathExists(app.path(file)))) missing.push(`${file} not found`);
         }
-      });
-      
-      // Check theme configuration from UI-Changes.md Step 2
-      const hasThemeConfig = appContent.includes('flowsource-theme') && 
-                           appContent.includes('UnifiedThemeProvider theme={FlowsourceTheme}');
-      
-      // Check catalog route integration from UI-Changes.md Step 3
-      const hasFlowsourceHomeRoute = appContent.includes('<FlowsourceHome />');
-      
-      if (missingImports.length > 0) {
-        this.logger.warn(`⚠️ Missing required imports: ${missingImports.join(', ')}`);
-      }
-      
-      if (!hasThemeConfig) {
-        this.logger.warn('⚠️ FlowSource theme configuration may be incomplete');
-      }
-      
-      if (!hasFlowsourceHomeRoute) {
-        this.logger.warn('⚠️ FlowsourceHome not integrated in catalog route');
-      }
-      
-      if (missingImports.length === 0 && hasThemeConfig && hasFlowsourceHomeRoute) {
-        this.logger.info('✅ App.tsx complies with UI-Changes.md requirements');
-        return true;
+        return missing;
       }
+    };
+
+    const results = [];
+    for (const { check, ...rule } of UI_CHANGES_RULES) {
+      const problems = await check(app);
+      results.push({ ...rule, status: problems.length > 0 ? rule.severity : 'pass', problems });
     }
-    
-    return false;
+    const report = buildComplianceReport(results, { document: 'DOCS/UI-Changes.md', destinationPath: config.destinationPath });
+
+    for (const result of report.rules.filter(rule => rule.status !== 'pass')) {
+      this.logger.warn(`⚠️ ${result.id} ${result.description}: ${result.problems.join('; ')}`);
+    }
+    if (report.compliant) {
+      this.logger.info(`✅ App complies with UI-Changes.md requirements (${report.summary.pass} passed, ${report.summary.warn} warnings)`);
+    }
+    return report;
   }
 }
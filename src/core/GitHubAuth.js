@@ -1,6 +1,8 @@
 import path from "path";
 import fs from "fs-extra";
 import YamlConfigMerger from "../utils/YamlConfigMerger.js";
+import { ChangeJournal } from "../utils/ChangeJournal.js";
+import { CodeModifier } from "../utils/CodeModifier.js";
 
 export class GitHubAuth {
   constructor(config, logger, docParser, fileManager, authConfigure, sharedYamlMerger = null) {
@@ -411,6 +413,7 @@ export class GitHubAuth {
     );
 
     if (await fs.pathExists(authSourcePath)) {
+      await ChangeJournal.recordCopy(authSourcePath, authDestPath);
       await fs.copy(authSourcePath, authDestPath, { overwrite: true });
       this.logger.info("📄 Copied authentication plugin files");
     }
@@ -436,6 +439,7 @@ export class GitHubAuth {
     );
 
     if (await fs.pathExists(signInSourcePath)) {
+      await ChangeJournal.recordCopy(signInSourcePath, signInDestPath);
       await fs.copy(signInSourcePath, signInDestPath, { overwrite: true });
       this.logger.info("📄 Copied SignInPage component");
 
@@ -489,6 +493,7 @@ export class GitHubAuth {
           }
         }
 
+        await ChangeJournal.record(appTsxPath);
         await fs.writeFile(appTsxPath, appContent, "utf8");
         this.logger.info(
           "📄 Updated App.tsx with SignInPage and GitHub provider"
@@ -690,6 +695,7 @@ export class GitHubAuth {
       if (!authContent.includes("githubResolver")) {
         const resolverCode = configBlock.content;
         authContent += "\n\n" + resolverCode;
+        await ChangeJournal.record(authFilePath);
         await fs.writeFile(authFilePath, authContent, "utf8");
         this.logger.info("📄 Added GitHub resolver to auth.ts");
       }
@@ -721,6 +727,7 @@ export class GitHubAuth {
     // Build clean auth.ts content from documentation
     const authContent = this.buildAuthFileContent();
     
+    await ChangeJournal.record(authDestPath);
     await fs.writeFile(authDestPath, authContent, "utf8");
     this.logger.info("📄 Generated clean auth.ts with GitHub authentication only");
   }
@@ -1085,6 +1092,7 @@ const authProviders: AuthProvider[] = [
     }
 
     if (modified) {
+      await ChangeJournal.record(appTsxPath);
       await fs.writeFile(appTsxPath, appContent, "utf8");
       this.logger.info("✅ Frontend GitHub provider setup completed in App.tsx");
     } else {
@@ -1376,6 +1384,7 @@ const authProviders: AuthProvider[] = [
         ...appPackage.dependencies,
         ...authDependencies,
       };
+      await ChangeJournal.record(appPackagePath);
       await fs.writeJson(appPackagePath, appPackage, { spaces: 2 });
       this.logger.info("📦 Updated app package.json with auth dependencies");
     }
@@ -1400,6 +1409,7 @@ const authProviders: AuthProvider[] = [
         ...backendPackage.dependencies,
         ...authBackendDependencies,
       };
+      await ChangeJournal.record(backendPackagePath);
       await fs.writeJson(backendPackagePath, backendPackage, { spaces: 2 });
       this.logger.info(
         "📦 Updated backend package.json with auth dependencies"
@@ -1495,6 +1505,7 @@ const authProviders: AuthProvider[] = [
             match[0].replace(initBody, newInitBody)
           );
 
+          await ChangeJournal.record(authFilePath);
           await fs.writeFile(authFilePath, authContent, "utf8");
           this.logger.info("📄 Added GitHub provider registration to auth.ts");
         }
@@ -1514,6 +1525,7 @@ const authProviders: AuthProvider[] = [
         const restOfFile = content.substring(importSection.length);
 
         content = importSection + importStatement + "\n" + restOfFile;
+        await ChangeJournal.record(fullPath);
         await fs.writeFile(fullPath, content, "utf8");
         this.logger.info(`📥 Added import to ${filePath}`);
       }
@@ -1557,7 +1569,8 @@ const authProviders: AuthProvider[] = [
       try {
         const authContent = await fs.readFile(authFilePath, "utf8");
         
-        if (authContent.includes('github') && authContent.includes('resolver')) {
+        const providerIds = new CodeModifier().callPropertyValues(authContent, "registerProvider", "providerId");
+        if (providerIds.includes("github") && authContent.includes('resolver')) {
           validationResults.details.push("✅ GitHub authentication code found in auth.ts");
         } else {
           validationResults.success = false;
@@ -0,0 +1,280 @@
+// Package Upgrader - Applies the changes between two FlowSource packages to a migrated app
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { Logger } from '../utils/Logger.js';
+import { ChangeJournal } from '../utils/ChangeJournal.js';
+import { MigrationManifest, describeSource } from '../utils/MigrationManifest.js';
+import { hashFiles, hashFile, diffFileMaps } from '../utils/FileTree.js';
+import { mergeThreeWay } from '../utils/TextDiff.js';
+import { INCOMING_SUFFIX, CONFLICT_SUFFIX } from '../utils/FileManager.js';
+
+// Package areas compared between the old and the new package
+export const UPGRADE_SCOPES = [
+  'configuration',
+  'packages-core',
+  'FlowSourceInstaller/FlowsourceSetupDoc',
+  'plugins'
+];
+
+// Suffixes of the files written next to app files that could not be updated automatically
+export { INCOMING_SUFFIX, CONFLICT_SUFFIX };
+
+// Bytes inspected when deciding whether a file is binary
+const BINARY_SNIFF_LENGTH = 8000;
+
+/**
+ * Upgrades an app migrated from one FlowSource package to a newer package.
+ *
+ * The two packages are compared file by file. Each changed package file is
+ * mapped to the app files generated from it (the `source` entries of the
+ * migration manifest) and the change is applied with a three-way merge:
+ * base = old package file, theirs = new package file, ours = app file.
+ * Files the app never took from the package (docs, plugins that were not
+ * integrated) are reported but not touched. Local edits are never overwritten:
+ * conflicting merges are written next to the app file as <file>.flowsource-conflict
+ * (or <file>.flowsource-new for binary files) for review.
+ */
+export class PackageUpgrader {
+  constructor() {
+    this.logger = Logger.getInstance();
+  }
+
+  /**
+   * Work out what an upgrade would do, without writing anything
+   * @param {Object} options - { destinationPath, fromPath, toPath }; fromPath defaults to the manifest's package
+   * @returns {Promise<Object>} Upgrade plan
+   */
+  async plan({ destinationPath, fromPath = null, toPath }) {
+    const manifest = await MigrationManifest.load(destinationPath);
+    if (!manifest) {
+      throw new Error(`No migration manifest found in ${path.resolve(destinationPath)} - only apps migrated with a manifest can be upgraded`);
+    }
+
+    const recordedPath = fromPath || manifest.data.source?.path;
+    if (!recordedPath) {
+      throw new Error(`The migration manifest in ${path.resolve(destinationPath)} records no source package path - pass the package the app was migrated from with --from`);
+    }
+    const from = path.resolve(recordedPath);
+    const to = path.resolve(toPath);
+    for (const [label, packagePath] of [['--from', from], ['--to', to]]) {
+      if (!(await fs.pathExists(packagePath))) {
+        throw new Error(`FlowSource package not found (${label}): ${packagePath}`);
+      }
+    }
+
+    const fromSource = await describeSource(from);
+    const toSource = await describeSource(to);
+    const recordedVersion = manifest.data.source?.version || null;
+    const warnings = [];
+    if (recordedVersion && fromSource.version && recordedVersion !== fromSource.version) {
+      warnings.push(`The app was migrated from package version ${recordedVersion}, but --from is version ${fromSource.version}`);
+    }
+
+    const origins = this.indexOrigins(manifest);
+    const actions = [];
+
+    for (const scope of UPGRADE_SCOPES) {
+      const before = await hashFiles(path.join(from, scope));
+      const after = await hashFiles(path.join(to, scope));
+      const changes = diffFileMaps(before, after);
+
+      for (const [change, files] of [['added', changes.created], ['modified', changes.modified], ['removed', changes.deleted]]) {
+        for (const file of files) {
+          const sourceFile = `${scope}/${file}`;
+          const targets = change === 'added'
+            ? this.mapAddedFile(sourceFile, origins)
+            : origins.files.get(sourceFile) || [];
+
+          if (targets.length === 0) {
+            actions.push({ action: 'not-used', change, source: sourceFile, path: null });
+            continue;
+          }
+          for (const target of targets) {
+            actions.push(await this.planFile(manifest.destinationPath, from, to, sourceFile, target, change));
+          }
+        }
+      }
+    }
+
+    const summary = {};
+    actions.forEach(entry => { summary[entry.action] = (summary[entry.action] || 0) + 1; });
+
+    return {
+      destinationPath: manifest.destinationPath,
+      from: { path: from, version: fromSource.version },
+      to: { path: to, version: toSource.version },
+      generatedAt: new Date().toISOString(),
+      warnings,
+      summary,
+      actions
+    };
+  }
+
+  // Package files the app took, and package directories that were copied as a whole
+  indexOrigins(manifest) {
+    const files = new Map();
+    for (const [file, entry] of Object.entries(manifest.files)) {
+      if (!entry.source) continue;
+      if (!files.has(entry.source)) files.set(entry.source, []);
+      files.get(entry.source).push(file);
+    }
+
+    // A package directory maps to an app directory when the file names match, e.g.
+    // packages-core/app/src/components/theme -> packages/app/src/components/theme
+    const directories = new Map();
+    for (const [source, targets] of files) {
+      for (const target of targets) {
+        if (path.posix.basename(source) === path.posix.basename(target)) {
+          directories.set(path.posix.dirname(source), path.posix.dirname(target));
+        }
+      }
+    }
+    return { files, directories };
+  }
+
+  // New package files are only added where the app mirrors the package directory.
+  // Top-level areas (configuration/, plugins/) are copied file by file, never as a whole.
+  mapAddedFile(sourceFile, origins) {
+    const sourceDir = path.posix.dirname(sourceFile);
+    if (!origins.directories.has(sourceDir) || sourceDir.split('/').length < 2) {
+      return [];
+    }
+    const targetDir = origins.directories.get(sourceDir);
+    return [targetDir === '.' ? path.posix.basename(sourceFile) : `${targetDir}/${path.posix.basename(sourceFile)}`];
+  }
+
+  async planFile(destinationPath, from, to, sourceFile, target, change) {
+    const base = change === 'added' ? null : await fs.readFile(path.join(from, sourceFile));
+    const theirs = change === 'removed' ? null : await fs.readFile(path.join(to, sourceFile));
+    const targetPath = path.join(destinationPath, target);
+    const ours = await fs.pathExists(targetPath) ? await fs.readFile(targetPath) : null;
+    const entry = { change, source: sourceFile, path: target };
+
+    if (ours === null) {
+      // Added files are created; files the developer deleted stay deleted
+      return change === 'added'
+        ? { ...entry, action: 'add', content: theirs }
+        : { ...entry, action: 'skip', reason: 'deleted locally' };
+    }
+    if (theirs !== null && ours.equals(theirs)) {
+      return { ...entry, action: 'up-to-date' };
+    }
+    if (change === 'removed') {
+      return base.equals(ours)
+        ? { ...entry, action: 'remove' }
+        : { ...entry, action: 'conflict', reason: 'removed from the package but edited locally' };
+    }
+    if (base && base.equals(ours)) {
+      return { ...entry, action: 'update', content: theirs };
+    }
+
+    if ([base, ours, theirs].some(content => content && isBinary(content))) {
+      return { ...entry, action: 'conflict', reason: 'binary file edited locally', conflictPath: `${target}${INCOMING_SUFFIX}`, content: theirs };
+    }
+
+    const merged = mergeThreeWay(
+      base ? base.toString('utf8') : '',
+      ours.toString('utf8'),
+      theirs.toString('utf8'),
+      { ours: `app ${target}`, base: `old package ${sourceFile}`, theirs: `new package ${sourceFile}` }
+    );
+    if (merged.conflicts > 0) {
+      return {
+        ...entry,
+        action: 'conflict',
+        reason: `${merged.conflicts} conflicting change(s) with local edits`,
+        conflictPath: `${target}${CONFLICT_SUFFIX}`,
+        content: Buffer.from(merged.text, 'utf8')
+      };
+    }
+    return { ...entry, action: 'merge', content: Buffer.from(merged.text, 'utf8') };
+  }
+
+  /**
+   * Apply a plan to the app and record the new package in its manifest
+   * @param {Object} plan - Plan returned by plan()
+   */
+  async apply(plan) {
+    const manifest = await MigrationManifest.load(plan.destinationPath);
+
+    for (const entry of plan.actions) {
+      const targetPath = entry.path ? path.join(plan.destinationPath, entry.path) : null;
+
+      if (['add', 'update', 'merge'].includes(entry.action)) {
+        await ChangeJournal.record(targetPath);
+        await fs.outputFile(targetPath, entry.content);
+        manifest.files[entry.path] = {
+          sha256: await hashFile(targetPath),
+          step: 'upgrade',
+          source: entry.source,
+          sourceSha256: await hashFile(path.join(plan.to.path, entry.source))
+        };
+      } else if (entry.action === 'remove') {
+        await ChangeJournal.record(targetPath);
+        await fs.remove(targetPath);
+        delete manifest.files[entry.path];
+      } else if (entry.action === 'up-to-date' && manifest.files[entry.path]) {
+        manifest.files[entry.path].sourceSha256 = await hashFile(path.join(plan.to.path, entry.source));
+      } else if (entry.action === 'conflict' && entry.conflictPath) {
+        const conflictPath = path.join(plan.destinationPath, entry.conflictPath);
+        await ChangeJournal.record(conflictPath);
+        await fs.outputFile(conflictPath, entry.content);
+      }
+    }
+
+    manifest.data.upgrades = [
+      ...(manifest.data.upgrades || []),
+      { from: plan.from.version, to: plan.to.version, upgradedAt: new Date().toISOString(), summary: plan.summary }
+    ];
+    manifest.data.source = await describeSource(plan.to.path);
+    manifest.data.updatedAt = new Date().toISOString();
+    await manifest.save();
+  }
+
+  /**
+   * Print the plan (or the result of applying it) to the console
+   * @param {Object} plan - Plan returned by plan()
+   * @param {boolean} applied - Whether the plan was applied
+   */
+  printPlan(plan, applied) {
+    const symbols = {
+      add: chalk.green('+ add      '),
+      update: chalk.cyan('~ update   '),
+      merge: chalk.cyan('~ merge    '),
+      remove: chalk.red('- remove   '),
+      conflict: chalk.yellow('! conflict '),
+      skip: chalk.gray('  skip     ')
+    };
+
+    console.log('\n' + chalk.magenta(`⬆️ FlowSource Upgrade ${applied ? 'Result' : 'Plan (dry run)'}:`));
+    console.log(chalk.gray(`   App: ${plan.destinationPath}`));
+    console.log(chalk.gray(`   From: ${plan.from.path} (${plan.from.version || 'unknown version'})`));
+    console.log(chalk.gray(`   To:   ${plan.to.path} (${plan.to.version || 'unknown version'})`));
+    plan.warnings.forEach(warning => console.log(chalk.yellow(`   ⚠️ ${warning}`)));
+
+    const shown = plan.actions.filter(entry => symbols[entry.action]);
+    if (shown.length === 0) {
+      console.log(chalk.green('\n   ✅ Nothing to upgrade - the app already matches the new package.'));
+    } else {
+      console.log('');
+      shown.forEach(entry => {
+        const detail = entry.reason ? chalk.gray(` (${entry.reason})`) : '';
+        const conflict = entry.conflictPath ? chalk.yellow(` → ${entry.conflictPath}`) : '';
+        console.log(`   ${symbols[entry.action]} ${entry.path}${detail}${conflict}`);
+      });
+    }
+
+    const unused = plan.summary['not-used'] || 0;
+    const upToDate = plan.summary['up-to-date'] || 0;
+    console.log(chalk.gray(`\n   ${upToDate} file(s) already up to date, ${unused} package change(s) not used by this app`));
+
+    if (plan.summary.conflict) {
+      console.log(chalk.yellow(`   Review the ${CONFLICT_SUFFIX} / ${INCOMING_SUFFIX} files, apply the changes you want and delete them.`));
+    }
+  }
+}
+
+function isBinary(buffer) {
+  return buffer.subarray(0, BINARY_SNIFF_LENGTH).includes(0);
+}
@@ -6,6 +6,14 @@ import { GithubPluginHandler } from '../plugin_handlers/GithubPluginHandler.js';
 import { FileManager } from '../utils/FileManager.js';
 import YamlConfigMerger from '../utils/YamlConfigMerger.js';
 import { DocumentationParser } from '../utils/DocumentationParser.js';
+import { NavigationSpec } from '../utils/NavigationSpec.js';
+import PluginReadmeParser from '../parsers/PluginReadmeParser.js';
+
+// Navigation spec a frontend plugin directory can ship with its sidebar entries
+const PLUGIN_NAVIGATION_FILES = ['navigation.yaml', 'navigation.yml', 'navigation.json'];
+
+// Plugins with a dedicated handler, which also contributes validation rules
+const PLUGIN_HANDLERS = { github: GithubPluginHandler };
 
 export class PluginManager {
     constructor(context = {}) {
@@ -16,7 +24,9 @@ export class PluginManager {
         
         // Initialize utility classes
         this.fileManager = new FileManager();
-        this.yamlMerger = new YamlConfigMerger(this.logger);
+        this.yamlMerger = context.yamlConfigMerger || new YamlConfigMerger(this.logger);
+        // Plugin handlers merge into app-config through the same merger and its strategies
+        this.context.yamlConfigMerger = this.yamlMerger;
         this.docParser = new DocumentationParser();
         
         // Enhanced context for target application paths
@@ -656,6 +666,13 @@ export class PluginManager {
             // Execute plugin integration
             const result = await handler.integrate(this.context);
             
+            // Add the sidebar entries the plugin contributes through a navigation spec
+            const navigation = await this.loadPluginNavigation(pluginMetadata);
+            if (navigation) {
+                const parser = this.context.pluginReadmeParser || new PluginReadmeParser(this.targetAppPath, this.logger);
+                result.sidebarSkipped = await parser.modifySidebar(navigation);
+            }
+            
             this.logger.info(`Plugin ${pluginMetadata.name} integrated successfully`);
             return {
                 plugin: pluginMetadata.name,
@@ -673,6 +690,18 @@ export class PluginManager {
         }
     }
 
+    /**
+     * Validation rules contributed by the handlers of integrated plugins
+     * @param {Array<string>} pluginNames - Plugins integrated into the app
+     * @returns {Array<Object>} Rules for ValidationEngine.registerRules()
+     */
+    static validationRules(pluginNames = []) {
+        return pluginNames
+            .map(name => PLUGIN_HANDLERS[name.toLowerCase()])
+            .filter(handler => handler && typeof handler.validationRules === 'function')
+            .flatMap(handler => handler.validationRules());
+    }
+
     createPluginHandler(pluginMetadata) {
         // Use existing external handler and pass plugin references
         switch (pluginMetadata.name.toLowerCase()) {
@@ -756,6 +785,31 @@ export class PluginManager {
         }
     }
 
+    /**
+     * Navigation spec of a plugin: `navigation` in its metadata, or a navigation.yaml
+     * in its frontend directory of the FlowSource package
+     * @param {Object} pluginMetadata - Plugin metadata
+     * @returns {Promise<NavigationSpec|null>} Validated spec, or null when the plugin has none
+     */
+    async loadPluginNavigation(pluginMetadata) {
+        if (pluginMetadata.navigation) {
+            return NavigationSpec.fromObject(pluginMetadata.navigation, `${pluginMetadata.name} plugin navigation`);
+        }
+        if (!pluginMetadata.frontendPath || !this.sourcePluginsPath) {
+            return null;
+        }
+        
+        const frontendDirName = this.extractPluginDirNameFromPath(pluginMetadata.frontendPath, 'frontend');
+        for (const fileName of frontendDirName ? PLUGIN_NAVIGATION_FILES : []) {
+            const specPath = path.join(this.sourcePluginsPath, frontendDirName, fileName);
+            if (await this.fileManager.pathExists(specPath)) {
+                this.logger.info(`🧭 Using sidebar entries of ${pluginMetadata.displayName} from ${specPath}`);
+                return NavigationSpec.load(specPath);
+            }
+        }
+        return null;
+    }
+
     async copyPluginDirectories(pluginsMetadata) {
         this.logger.info('Starting plugin directory copying (Step 2: Plugin Directory Setup)...');
         
@@ -1,8 +1,15 @@
 // Template Manager - Handles intelligent template integration
 import path from "path";
 import fs from "fs-extra";
+import yaml from "js-yaml";
 import { DocumentationParser } from "../utils/DocumentationParser.js";
 import YamlConfigMerger from "../utils/YamlConfigMerger.js";
+import { ChangeJournal } from "../utils/ChangeJournal.js";
+
+// Template catalog locations are merged one per target, so re-integrating a template updates its entry
+const TEMPLATE_MERGE_STRATEGIES = {
+  "catalog.locations": { strategy: "union", key: "target" }
+};
 
 export class TemplateManager {
   constructor(config, logger, fileManager, sharedYamlMerger = null) {
@@ -12,6 +19,7 @@ export class TemplateManager {
     this.docParser = new DocumentationParser();
     // Use shared YamlMerger from FlowSourceAgent if provided, otherwise create new one
     this.yamlMerger = sharedYamlMerger || new YamlConfigMerger(logger);
+    this.yamlMerger.registerMergeStrategies(TEMPLATE_MERGE_STRATEGIES, "templates");
   }
 
   async integrateSelectedTemplates(selectedTemplates) {
@@ -212,6 +220,7 @@ export class TemplateManager {
     }
 
     // Copy template directory
+    await ChangeJournal.recordCopy(sourcePath, targetPath);
     await fs.copy(sourcePath, targetPath, { overwrite: true });
     this.logger.info(`📄 Copied ${templateName} from ${sourcePath} to ${targetPath}`);
 
@@ -335,6 +344,45 @@ export class TemplateManager {
     }
   }
 
+  /**
+   * Validation rules for an app the templates were integrated into (ValidationEngine.registerRules)
+   * @param {Array<string>} templateNames - Templates integrated into the app
+   * @returns {Array<Object>} Phase 3 rules
+   */
+  validationRules(templateNames = []) {
+    if (templateNames.length === 0) {
+      return [];
+    }
+    const missingLocations = async (context) => {
+      const content = await context.read('app-config.yaml');
+      const locations = (content && yaml.load(content)?.catalog?.locations) || [];
+      return templateNames.filter(template => !this.buildCatalogEntries([template])
+        .every(entry => locations.some(location => location.target === entry.target)));
+    };
+
+    return [
+      {
+        id: 'template.files',
+        phase: 3,
+        severity: 'error',
+        description: 'Integrated templates have a template.yaml of kind Template',
+        check: async () => {
+          const results = await Promise.all(templateNames.map(template => this.validateSingleTemplate(template)));
+          return results.filter(result => !result.success).map(result => `Template ${result.template}: ${result.error}`);
+        }
+      },
+      {
+        id: 'template.catalog-locations',
+        phase: 3,
+        severity: 'warning',
+        description: 'app-config.yaml lists integrated templates as catalog locations',
+        check: async (context) => (await missingLocations(context))
+          .map(template => `app-config.yaml has no catalog location for template ${template}`),
+        fix: async (context) => this.updateAppConfigForTemplates(await missingLocations(context))
+      }
+    ];
+  }
+
   async getAvailableTemplates() {
     this.logger.info("🔍 Scanning for available templates...");
     
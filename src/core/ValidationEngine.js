@@ -2,302 +2,621 @@
 import path from 'path';
 import fs from 'fs-extra';
 import { Logger } from '../utils/Logger.js';
+import { ChangeJournal } from '../utils/ChangeJournal.js';
+import { MigrationManifest } from '../utils/MigrationManifest.js';
+import { hashFile } from '../utils/FileTree.js';
+import { CodeModifier } from '../utils/CodeModifier.js';
+import { FLOWSOURCE_THEMES, selectedThemes, themeModuleSource } from '../utils/ThemeGenerator.js';
+import { FlowSourceTransformer } from './FlowSourceTransformer.js';
 
-export class ValidationEngine {
-  constructor() {
-    this.logger = Logger.getInstance();
-    this.validationResults = {
-      passed: [],
-      failed: [],
-      warnings: []
-    };
-  }
+export const VALIDATION_SEVERITIES = ['error', 'warning', 'info'];
 
-  async validateMigration(config) {
-    this.logger.info('🔍 Validating migration integrity...');
-    
-    // Validate file structure
-    await this.validateFileStructure(config);
-    
-    // Validate package.json files
-    await this.validatePackageConfigurations(config);
-    
-    // Validate theme integration
-    await this.validateThemeIntegration(config);
-    
-    // Validate App.tsx structure
-    await this.validateAppTsxStructure(config);
-    
-    // Validate assets
-    await this.validateAssets(config);
-    
-    // Report validation results
-    this.reportValidationResults();
-    
-    if (this.validationResults.failed.length > 0) {
-      throw new Error(`Validation failed: ${this.validationResults.failed.length} issues found`);
-    }
-    
-    this.logger.info('✅ Migration validation completed successfully');
-  }
+const APP_FILE = 'packages/app/src/App.tsx';
+const THEME_DIR = 'packages/app/src/components/theme';
+
+/**
+ * Line of the first match in a file's content, for locating findings
+ * @param {string} content - File content
+ * @param {string|RegExp} pattern - Text or pattern to find
+ * @returns {number|null} 1-based line, or null when nothing matches
+ */
+export function lineOf(content, pattern) {
+  const index = typeof pattern === 'string' ? content.indexOf(pattern) : content.search(pattern);
+  return index === -1 ? null : content.slice(0, index).split('\n').length;
+}
 
-  async validateFileStructure(config) {
-    const requiredFiles = [
-      'package.json',
-      'app-config.yaml',
-      'Dockerfile',
-      '.dockerignore',
-      '.gitignore',
-      'packages/app/package.json',
-      'packages/backend/package.json',
-      'packages/app/src/App.tsx',
-      'packages/app/src/components/Root/Root.tsx',
-      'packages/app/src/components/theme/FlowsourceTheme.js'
-    ];
+// Check of App.tsx content; a missing App.tsx is reported once, by app.theme-id
+const appTsxCheck = (check) => async (context) => {
+  const appContent = await context.read(APP_FILE);
+  return appContent === null ? [] : check(appContent, context);
+};
 
-    // Files that should NOT exist in Phase 1
-    const excludedFiles = [
-      'packages/backend/Dockerfile' // Should be removed as per requirements
-    ];
+// App.tsx rules share one fix: the Phase 1 App.tsx transform, which only adds what is missing
+const fixAppTsx = async (context) => {
+  const content = await context.read(APP_FILE);
+  if (content !== null) {
+    await context.write(APP_FILE, new FlowSourceTransformer().transformAppContent(content, context.config));
+  }
+};
 
-    for (const file of requiredFiles) {
-      const filePath = path.join(config.destinationPath, file);
-      if (await fs.pathExists(filePath)) {
-        this.validationResults.passed.push(`File exists: ${file}`);
-      } else {
-        this.validationResults.failed.push(`Missing file: ${file}`);
+/**
+ * Rules every app is checked against. A rule's check(context) returns its findings
+ * (none: the rule passes), as messages reported with the rule's severity or as
+ * { message, severity, file, line }. Findings without a file are located at the
+ * rule's file, if it has one. fix(context, findings), when a rule has one, repairs the app.
+ */
+const CORE_RULES = [
+  {
+    id: 'structure.required-files',
+    phase: 1,
+    severity: 'error',
+    description: 'Files every migrated app has exist',
+    check: async (context) => {
+      const requiredFiles = [
+        'package.json',
+        'app-config.yaml',
+        'Dockerfile',
+        '.dockerignore',
+        '.gitignore',
+        'packages/app/package.json',
+        'packages/backend/package.json',
+        APP_FILE,
+        'packages/app/src/components/Root/Root.tsx'
+      ];
+      const findings = [];
+      for (const file of requiredFiles) {
+        if (await context.exists(file)) {
+          context.pass(`File exists: ${file}`);
+        } else {
+          findings.push(`Missing file: ${file}`);
+        }
       }
+      return findings;
     }
-    
-    // Validate that certain files are properly removed
-    for (const file of excludedFiles) {
-      const filePath = path.join(config.destinationPath, file);
-      if (await fs.pathExists(filePath)) {
-        this.validationResults.failed.push(`File should be removed: ${file}`);
-      } else {
-        this.validationResults.passed.push(`File correctly removed: ${file}`);
+  },
+  {
+    id: 'structure.excluded-files',
+    phase: 1,
+    severity: 'error',
+    description: 'Files Phase 1 removes are gone',
+    check: async (context) => {
+      const excludedFiles = [
+        'packages/backend/Dockerfile' // Should be removed as per requirements
+      ];
+      const findings = [];
+      for (const file of excludedFiles) {
+        if (await context.exists(file)) {
+          findings.push({ message: `File should be removed: ${file}`, file });
+        } else {
+          context.pass(`File correctly removed: ${file}`);
+        }
+      }
+      return findings;
+    },
+    fix: async (context, findings) => {
+      for (const finding of findings) {
+        await context.remove(finding.file);
       }
     }
-  }
-
-  async validatePackageConfigurations(config) {
-    // Validate root package.json
-    await this.validateRootPackageJson(config);
-    
-    // Validate app package.json
-    await this.validateAppPackageJson(config);
-    
-    // Validate backend package.json
-    await this.validateBackendPackageJson(config);
-  }
-
-  async validateRootPackageJson(config) {
-    const packagePath = path.join(config.destinationPath, 'package.json');
-    
-    try {
-      const packageJson = await fs.readJson(packagePath);
-      
-      // Check for required fields
-      const requiredFields = ['name', 'version', 'workspaces'];
-      for (const field of requiredFields) {
+  },
+  {
+    id: 'package.root',
+    phase: 1,
+    file: 'package.json',
+    severity: 'error',
+    description: 'Root package.json has a name, version, workspaces and the Backstage CLI',
+    check: async (context) => {
+      let packageJson;
+      try {
+        packageJson = await context.readJson('package.json');
+      } catch (error) {
+        return [`Invalid root package.json: ${error.message}`];
+      }
+      const findings = [];
+      for (const field of ['name', 'version', 'workspaces']) {
         if (packageJson[field]) {
-          this.validationResults.passed.push(`Root package.json has ${field}`);
+          context.pass(`Root package.json has ${field}`);
         } else {
-          this.validationResults.failed.push(`Root package.json missing ${field}`);
+          findings.push(`Root package.json missing ${field}`);
         }
       }
-      
-      // Check for FlowSource-specific dependencies
-      if (packageJson.devDependencies && packageJson.devDependencies['@backstage/cli']) {
-        this.validationResults.passed.push('Backstage CLI dependency found');
+      if (packageJson.devDependencies?.['@backstage/cli']) {
+        context.pass('Backstage CLI dependency found');
       } else {
-        this.validationResults.warnings.push('Backstage CLI dependency not found in root package.json');
+        findings.push({ message: 'Backstage CLI dependency not found in root package.json', severity: 'warning' });
       }
-      
-    } catch (error) {
-      this.validationResults.failed.push(`Invalid root package.json: ${error.message}`);
+      return findings;
     }
-  }
-
-  async validateAppPackageJson(config) {
-    const packagePath = path.join(config.destinationPath, 'packages', 'app', 'package.json');
-    
-    try {
-      const packageJson = await fs.readJson(packagePath);
-      
-      // Check for Backstage frontend role
-      if (packageJson.backstage && packageJson.backstage.role === 'frontend') {
-        this.validationResults.passed.push('App package has correct Backstage role');
+  },
+  {
+    id: 'package.app',
+    phase: 1,
+    file: 'packages/app/package.json',
+    severity: 'error',
+    description: 'App package.json is a Backstage frontend with the core dependencies',
+    check: async (context) => {
+      let packageJson;
+      try {
+        packageJson = await context.readJson('packages/app/package.json');
+      } catch (error) {
+        return [`Invalid app package.json: ${error.message}`];
+      }
+      const findings = [];
+      if (packageJson.backstage?.role === 'frontend') {
+        context.pass('App package has correct Backstage role');
       } else {
-        this.validationResults.failed.push('App package missing or incorrect Backstage role');
-      }
-      
-      // Check for essential dependencies
-      const requiredDeps = [
-        '@backstage/core-app-api',
-        '@backstage/core-components',
-        '@backstage/theme'
-      ];
-      
-      for (const dep of requiredDeps) {
-        if (packageJson.dependencies && packageJson.dependencies[dep]) {
-          this.validationResults.passed.push(`App has dependency: ${dep}`);
+        findings.push('App package missing or incorrect Backstage role');
+      }
+      for (const dep of ['@backstage/core-app-api', '@backstage/core-components', '@backstage/theme']) {
+        if (packageJson.dependencies?.[dep]) {
+          context.pass(`App has dependency: ${dep}`);
         } else {
-          this.validationResults.failed.push(`App missing dependency: ${dep}`);
+          findings.push(`App missing dependency: ${dep}`);
         }
       }
-      
-    } catch (error) {
-      this.validationResults.failed.push(`Invalid app package.json: ${error.message}`);
+      return findings;
     }
-  }
-
-  async validateBackendPackageJson(config) {
-    const packagePath = path.join(config.destinationPath, 'packages', 'backend', 'package.json');
-    
-    try {
-      const packageJson = await fs.readJson(packagePath);
-      
-      // Check for Backstage backend role
-      if (packageJson.backstage && packageJson.backstage.role === 'backend') {
-        this.validationResults.passed.push('Backend package has correct Backstage role');
+  },
+  {
+    id: 'package.backend',
+    phase: 1,
+    file: 'packages/backend/package.json',
+    severity: 'error',
+    description: 'Backend package.json is a Backstage backend with dependencies',
+    check: async (context) => {
+      let packageJson;
+      try {
+        packageJson = await context.readJson('packages/backend/package.json');
+      } catch (error) {
+        return [`Invalid backend package.json: ${error.message}`];
+      }
+      const findings = [];
+      if (packageJson.backstage?.role === 'backend') {
+        context.pass('Backend package has correct Backstage role');
       } else {
-        this.validationResults.failed.push('Backend package missing or incorrect Backstage role');
+        findings.push('Backend package missing or incorrect Backstage role');
       }
-      
       // For Phase 1, only check for essential backend dependencies that should exist
-      const essentialDeps = [
-        '@backstage/backend-defaults'
-      ];
-      
-      for (const dep of essentialDeps) {
-        if (packageJson.dependencies && packageJson.dependencies[dep]) {
-          this.validationResults.passed.push(`Backend has dependency: ${dep}`);
+      for (const dep of ['@backstage/backend-defaults']) {
+        if (packageJson.dependencies?.[dep]) {
+          context.pass(`Backend has dependency: ${dep}`);
         } else {
-          this.validationResults.warnings.push(`Backend missing optional dependency: ${dep}`);
+          findings.push({ message: `Backend missing optional dependency: ${dep}`, severity: 'warning' });
         }
       }
-      
-      // Check if backend has any dependencies at all
-      if (packageJson.dependencies && Object.keys(packageJson.dependencies).length > 0) {
-        this.validationResults.passed.push('Backend package has dependencies');
+      if (Object.keys(packageJson.dependencies || {}).length > 0) {
+        context.pass('Backend package has dependencies');
       } else {
-        this.validationResults.warnings.push('Backend package has no dependencies');
+        findings.push({ message: 'Backend package has no dependencies', severity: 'warning' });
       }
-      
-    } catch (error) {
-      this.validationResults.failed.push(`Invalid backend package.json: ${error.message}`);
+      return findings;
     }
-  }
+  },
+  {
+    id: 'theme.integration',
+    phase: 1,
+    file: APP_FILE,
+    severity: 'error',
+    description: 'Every theme App.tsx declares is valid, imported and has its module',
+    check: async (context) => {
+      const themeModules = await context.exists(THEME_DIR) ? await fs.readdir(context.path(THEME_DIR)) : [];
+      const hasThemeModule = (exportName) => themeModules.some(name => name.replace(/\.(ts|tsx|js|jsx)$/, '') === exportName);
 
-  async validateThemeIntegration(config) {
-    // Check if FlowSource theme file exists
-    const themePath = path.join(config.destinationPath, 'packages', 'app', 'src', 'components', 'theme', 'FlowsourceTheme.js');
-    
-    if (await fs.pathExists(themePath)) {
-      this.validationResults.passed.push('FlowSource theme file exists');
-      
-      // Check if App.tsx imports the theme
-      const appPath = path.join(config.destinationPath, 'packages', 'app', 'src', 'App.tsx');
-      if (await fs.pathExists(appPath)) {
-        const appContent = await fs.readFile(appPath, 'utf8');
-        
-        if (appContent.includes('FlowsourceTheme')) {
-          this.validationResults.passed.push('App.tsx imports FlowSource theme');
-        } else {
-          this.validationResults.warnings.push('App.tsx does not import FlowSource theme');
+      // Check if FlowSource theme file exists (FlowsourceTheme.js in the package, .ts when generated)
+      if (!hasThemeModule('FlowsourceTheme')) {
+        return [{ message: 'FlowSource theme file missing', file: THEME_DIR }];
+      }
+      context.pass('FlowSource theme file exists');
+
+      const appContent = await context.read(APP_FILE);
+      if (appContent === null) {
+        return [];
+      }
+
+      let declaredThemes;
+      let importedNames;
+      try {
+        declaredThemes = context.codeModifier.arrayElements(appContent, 'createApp', 'themes');
+        importedNames = context.codeModifier.importedNames(appContent);
+      } catch (error) {
+        return [{ message: `Could not parse App.tsx themes: ${error.message}`, severity: 'warning' }];
+      }
+      if (!declaredThemes || declaredThemes.length === 0) {
+        return [{ message: 'App.tsx does not configure FlowSource theme', severity: 'warning' }];
+      }
+
+      // Check every theme declared in createApp({ themes })
+      const findings = [];
+      const seenIds = new Set();
+      for (const { text, values } of declaredThemes) {
+        const label = values.id ? `Theme "${values.id}"` : 'Theme entry';
+        const problems = [];
+        if (!values.id) {
+          problems.push('has no id');
+        } else if (seenIds.has(values.id)) {
+          problems.push('duplicates an earlier theme id');
+        }
+        seenIds.add(values.id);
+        if (!['light', 'dark'].includes(values.variant)) {
+          problems.push(`has variant "${values.variant ?? 'none'}" (expected light or dark)`);
+        }
+
+        const providerTheme = text.match(/theme=\{([\w.]+)\}/)?.[1];
+        const flowsourceTheme = Object.values(FLOWSOURCE_THEMES).find(theme => theme.exportName === providerTheme);
+        if (!providerTheme) {
+          problems.push('has no UnifiedThemeProvider theme');
+        } else if (flowsourceTheme) {
+          if (flowsourceTheme.id !== values.id) {
+            problems.push(`uses ${providerTheme}, whose id is "${flowsourceTheme.id}"`);
+          }
+          if (!hasThemeModule(providerTheme)) {
+            problems.push(`uses ${providerTheme}, but components/theme/${providerTheme} is missing`);
+          }
+          if (!importedNames.has(providerTheme)) {
+            problems.push(`uses ${providerTheme}, which App.tsx does not import`);
+          }
+        } else if (/^themes\.(light|dark)$/.test(providerTheme) && !importedNames.has('themes')) {
+          problems.push('uses Backstage default themes, but App.tsx does not import themes from @backstage/theme');
         }
-        
-        if (appContent.includes('flowsource-theme')) {
-          this.validationResults.passed.push('App.tsx configures FlowSource theme');
+
+        if (problems.length > 0) {
+          findings.push({ message: `${label} ${problems.join(', ')}`, line: values.id ? context.lineOf(appContent, new RegExp(`id:\\s*['"]${values.id}['"]`)) : null });
         } else {
-          this.validationResults.warnings.push('App.tsx does not configure FlowSource theme');
+          context.pass(`${label} is configured in App.tsx`);
         }
       }
-    } else {
-      this.validationResults.failed.push('FlowSource theme file missing');
-    }
-  }
 
-  async validateAssets(config) {
-    const requiredAssets = [
-      'packages/app/public/favicon.ico',
-      'packages/app/public/cognizant-logo-flowsource.svg',
-      'packages/app/public/catalog-banner.png',
-      'packages/app/src/assets',
-      'packages/app/src/components/Root/LogoFull.tsx',
-      'packages/app/src/components/Root/LogoIcon.tsx'
-    ];
-
-    for (const asset of requiredAssets) {
-      const assetPath = path.join(config.destinationPath, asset);
-      if (await fs.pathExists(assetPath)) {
-        this.validationResults.passed.push(`Asset exists: ${asset}`);
-      } else {
-        this.validationResults.warnings.push(`Asset missing: ${asset}`);
+      // Themes selected for the migration should all be declared
+      try {
+        for (const theme of selectedThemes(context.config.themes)) {
+          if (!seenIds.has(theme.id)) {
+            findings.push({ message: `App.tsx does not configure selected theme "${theme.id}"`, severity: 'warning' });
+          }
+        }
+      } catch (error) {
+        findings.push({ message: error.message, severity: 'warning' });
+      }
+      return findings;
+    },
+    // Generate missing modules of the selected FlowSource themes, then declare the themes
+    fix: async (context) => {
+      const themeModules = await context.exists(THEME_DIR) ? await fs.readdir(context.path(THEME_DIR)) : [];
+      for (const theme of selectedThemes(context.config.themes).filter(candidate => candidate.flowsource)) {
+        if (!themeModules.some(name => name.replace(/\.(ts|tsx|js|jsx)$/, '') === theme.exportName)) {
+          await context.write(`${THEME_DIR}/${theme.exportName}.ts`, themeModuleSource(theme.key));
+        }
       }
+      await fixAppTsx(context);
     }
-  }
-
-  async validateAppTsxStructure(config) {
-    const appPath = path.join(config.destinationPath, 'packages', 'app', 'src', 'App.tsx');
-    
-    if (await fs.pathExists(appPath)) {
-      const appContent = await fs.readFile(appPath, 'utf8');
-      
-      // Check for required FlowSource imports
-      const requiredImports = [
-        'FlowsourceTheme',
-        'UnifiedThemeProvider',
-        'Mermaid'
+  },
+  {
+    id: 'assets.required',
+    phase: 1,
+    severity: 'warning',
+    description: 'FlowSource public assets, assets directory and logo components exist',
+    check: async (context) => {
+      const requiredAssets = [
+        'packages/app/public/favicon.ico',
+        'packages/app/public/cognizant-logo-flowsource.svg',
+        'packages/app/public/catalog-banner.png',
+        'packages/app/src/assets',
+        'packages/app/src/components/Root/LogoFull.tsx',
+        'packages/app/src/components/Root/LogoIcon.tsx'
       ];
-      
-      for (const importName of requiredImports) {
-        if (appContent.includes(importName)) {
-          this.validationResults.passed.push(`App.tsx imports ${importName}`);
+      const findings = [];
+      for (const asset of requiredAssets) {
+        if (await context.exists(asset)) {
+          context.pass(`Asset exists: ${asset}`);
         } else {
-          this.validationResults.warnings.push(`App.tsx missing import: ${importName}`);
+          findings.push(`Asset missing: ${asset}`);
         }
       }
-      
-      // Check for theme configuration
+      return findings;
+    }
+  },
+  {
+    id: 'app.imports',
+    phase: 1,
+    file: APP_FILE,
+    severity: 'warning',
+    description: 'App.tsx imports UnifiedThemeProvider and Mermaid (theme modules are checked per theme)',
+    check: appTsxCheck((appContent, context) => ['UnifiedThemeProvider', 'Mermaid'].flatMap(importName => {
+      if (appContent.includes(importName)) {
+        context.pass(`App.tsx imports ${importName}`);
+        return [];
+      }
+      return [`App.tsx missing import: ${importName}`];
+    })),
+    fix: fixAppTsx
+  },
+  {
+    id: 'app.theme-id',
+    phase: 1,
+    file: APP_FILE,
+    severity: 'error',
+    description: 'App.tsx declares the FlowSource theme',
+    check: async (context) => {
+      const appContent = await context.read(APP_FILE);
+      if (appContent === null) {
+        return ['App.tsx file missing'];
+      }
       if (appContent.includes('flowsource-theme')) {
-        this.validationResults.passed.push('App.tsx configures FlowSource theme ID');
-      } else {
-        this.validationResults.failed.push('App.tsx missing FlowSource theme configuration');
+        context.pass('App.tsx configures FlowSource theme ID');
+        return [];
       }
-      
-      // Check for proper bindRoutes structure
+      return ['App.tsx missing FlowSource theme configuration'];
+    },
+    fix: fixAppTsx
+  },
+  {
+    id: 'app.bind-routes',
+    phase: 1,
+    file: APP_FILE,
+    severity: 'warning',
+    description: 'App.tsx binds routes with bindRoutes({ bind })',
+    check: appTsxCheck((appContent, context) => {
       if (appContent.includes('bindRoutes({ bind })')) {
-        this.validationResults.passed.push('App.tsx has proper bindRoutes structure');
-      } else {
-        this.validationResults.warnings.push('App.tsx bindRoutes structure may need verification');
+        context.pass('App.tsx has proper bindRoutes structure');
+        return [];
       }
-      
-      // Check for SignInPage configuration
+      return [{ message: 'App.tsx bindRoutes structure may need verification', line: context.lineOf(appContent, 'createApp(') }];
+    }),
+    fix: fixAppTsx
+  },
+  {
+    id: 'app.guest-sign-in',
+    phase: 1,
+    // Phase 2 replaces the guest sign-in with the configured providers
+    replacedInPhase: 2,
+    file: APP_FILE,
+    severity: 'warning',
+    description: 'App.tsx signs users in as guests',
+    check: appTsxCheck((appContent, context) => {
       if (appContent.includes('SignInPage') && appContent.includes("providers={['guest']}")) {
-        this.validationResults.passed.push('App.tsx configures guest authentication');
-      } else {
-        this.validationResults.warnings.push('App.tsx guest authentication configuration missing');
+        context.pass('App.tsx configures guest authentication');
+        return [];
       }
-      
-      // Check for FlowsourceHome in catalog route
+      return [{ message: 'App.tsx guest authentication configuration missing', line: context.lineOf(appContent, 'SignInPage') }];
+    }),
+    fix: fixAppTsx
+  },
+  {
+    id: 'app.catalog-home',
+    phase: 1,
+    file: APP_FILE,
+    severity: 'warning',
+    description: 'The catalog route of App.tsx renders FlowsourceHome',
+    check: appTsxCheck((appContent, context) => {
       if (appContent.includes('<FlowsourceHome />') && appContent.includes('path="/catalog"')) {
-        this.validationResults.passed.push('App.tsx includes FlowsourceHome in catalog route');
-      } else {
-        this.validationResults.warnings.push('App.tsx FlowsourceHome not properly configured in catalog route');
+        context.pass('App.tsx includes FlowsourceHome in catalog route');
+        return [];
       }
-      
-      // Check for Mermaid in TechDocsAddons
+      return [{ message: 'App.tsx FlowsourceHome not properly configured in catalog route', line: context.lineOf(appContent, 'path="/catalog"') }];
+    }),
+    fix: fixAppTsx
+  },
+  {
+    id: 'app.mermaid',
+    phase: 1,
+    file: APP_FILE,
+    severity: 'warning',
+    description: 'TechDocsAddons in App.tsx render Mermaid diagrams',
+    check: appTsxCheck((appContent, context) => {
       if (appContent.includes('<Mermaid') && appContent.includes('TechDocsAddons')) {
-        this.validationResults.passed.push('App.tsx includes Mermaid in TechDocsAddons');
-      } else {
-        this.validationResults.warnings.push('App.tsx Mermaid not configured in TechDocsAddons');
+        context.pass('App.tsx includes Mermaid in TechDocsAddons');
+        return [];
+      }
+      return [{ message: 'App.tsx Mermaid not configured in TechDocsAddons', line: context.lineOf(appContent, 'TechDocsAddons') }];
+    }),
+    fix: fixAppTsx
+  },
+  {
+    // A recorded file that is gone fails validation, one whose checksum changed was edited after the migration
+    id: 'manifest.files',
+    phase: 1,
+    severity: 'error',
+    description: 'Files the migration manifest records exist unchanged',
+    check: async (context) => {
+      const manifest = await MigrationManifest.load(context.destinationPath);
+      if (!manifest) {
+        return [];
       }
-      
-    } else {
-      this.validationResults.failed.push('App.tsx file missing');
+      context.pass(`Migration manifest records phases: ${manifest.phases.join(', ') || 'none'}`);
+
+      const findings = [];
+      for (const [file, entry] of Object.entries(manifest.files)) {
+        if (!(await context.exists(file))) {
+          findings.push({ message: `Generated file missing: ${file}`, file });
+        } else if ((await hashFile(context.path(file))) !== entry.sha256) {
+          findings.push({ message: `Generated file changed since migration: ${file}`, severity: 'warning', file });
+        }
+      }
+      return findings;
+    }
+  }
+];
+
+export class ValidationEngine {
+  constructor() {
+    this.logger = Logger.getInstance();
+    this.codeModifier = new CodeModifier();
+    this.rules = new Map();
+    this.validationResults = {
+      passed: [],
+      failed: [],
+      warnings: [],
+      info: []
+    };
+    this.ruleResults = [];
+    this.registerRules(CORE_RULES);
+  }
+
+  /**
+   * Register a validation rule
+   * @param {Object} rule - { id, phase (1-3, the phase whose output the rule checks), severity
+   *   ('error' | 'warning' | 'info'), description, file (optional, where findings are located),
+   *   replacedInPhase (optional, a later phase whose output supersedes what the rule checks),
+   *   check(context), fix(context, findings) (optional) }
+   */
+  registerRule(rule) {
+    const label = rule?.id ? `Validation rule ${rule.id}` : 'Validation rule';
+    if (typeof rule?.id !== 'string' || rule.id.length === 0) {
+      throw new Error(`${label} has no id`);
     }
+    if (this.rules.has(rule.id)) {
+      throw new Error(`${label} is already registered`);
+    }
+    if (![1, 2, 3].includes(rule.phase)) {
+      throw new Error(`${label} has phase ${rule.phase} (expected 1, 2 or 3)`);
+    }
+    if (!VALIDATION_SEVERITIES.includes(rule.severity)) {
+      throw new Error(`${label} has severity ${rule.severity} (expected ${VALIDATION_SEVERITIES.join(', ')})`);
+    }
+    if (typeof rule.check !== 'function') {
+      throw new Error(`${label} has no check function`);
+    }
+    if (rule.fix !== undefined && typeof rule.fix !== 'function') {
+      throw new Error(`${label} fix is not a function`);
+    }
+    this.rules.set(rule.id, rule);
+  }
+
+  registerRules(rules) {
+    for (const rule of rules) {
+      this.registerRule(rule);
+    }
+  }
+
+  /**
+   * Run registered rules against an app, adding their findings to validationResults
+   * @param {Object} config - { destinationPath, themes, recordedPhases (phases the manifest records), ... }
+   * @param {Object} options - { phase: run rules of this phase and earlier ones (except those
+   *   replaced by it or a recorded phase), ids: run only these rules, fix: let rules with a fix
+   *   repair their findings, then check again }
+   * @returns {Promise<Array<Object>>} { id, phase, severity, description, status ('pass' |
+   *   'error' | 'warning' | 'info'), findings (messages), issues ({ message, severity, file,
+   *   line } per finding), fixed } per rule
+   */
+  async runRules(config, { phase = 1, ids = null, fix = false } = {}) {
+    if (ids) {
+      const unknown = ids.filter(id => !this.rules.has(id));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown validation rules: ${unknown.join(', ')}`);
+      }
+    }
+    const recordedPhases = config.recordedPhases || [];
+    const replaced = (rule) => rule.replacedInPhase !== undefined &&
+      (phase >= rule.replacedInPhase || recordedPhases.some(recorded => recorded >= rule.replacedInPhase));
+    const rules = [...this.rules.values()].filter(rule => (ids ? ids.includes(rule.id) : rule.phase <= phase && !replaced(rule)));
+
+    const results = [];
+    for (const rule of rules) {
+      let context = this.createRuleContext(config);
+      let findings = await this.checkRule(rule, context);
+      let fixed = false;
+      if (fix && rule.fix && findings.length > 0) {
+        try {
+          await rule.fix(context, findings);
+          fixed = true;
+        } catch (error) {
+          this.logger.warn(`⚠️ Could not fix ${rule.id}: ${error.message}`);
+        }
+        context = this.createRuleContext(config);
+        findings = await this.checkRule(rule, context);
+      }
+      results.push(this.recordRuleResult(rule, findings, context.passed, fixed));
+    }
+    this.ruleResults.push(...results);
+    return results;
+  }
+
+  async checkRule(rule, context) {
+    let findings;
+    try {
+      findings = (await rule.check(context)) || [];
+    } catch (error) {
+      findings = [`${rule.id} could not run: ${error.message}`];
+    }
+    return findings.map(finding => (typeof finding === 'string'
+      ? { message: finding, severity: rule.severity, file: rule.file || null, line: null }
+      : {
+        message: finding.message,
+        severity: finding.severity || rule.severity,
+        file: finding.file || rule.file || null,
+        line: finding.line || null
+      }));
+  }
+
+  recordRuleResult(rule, findings, passed, fixed) {
+    const buckets = { error: 'failed', warning: 'warnings', info: 'info' };
+    for (const finding of findings) {
+      this.validationResults[buckets[finding.severity]].push(finding.message);
+    }
+    // Passed checks are kept next to findings; a rule without its own pass messages passes by description
+    this.validationResults.passed.push(...passed);
+    if (findings.length === 0 && passed.length === 0) {
+      this.validationResults.passed.push(`${rule.id}: ${rule.description}`);
+    }
+
+    const status = VALIDATION_SEVERITIES.find(severity => findings.some(finding => finding.severity === severity)) || 'pass';
+    return {
+      id: rule.id,
+      phase: rule.phase,
+      severity: rule.severity,
+      description: rule.description,
+      status,
+      findings: findings.map(finding => finding.message),
+      issues: findings,
+      fixed: fixed && status === 'pass'
+    };
+  }
+
+  // What a rule's check and fix see of the app; fixes write through the change journal
+  createRuleContext(config) {
+    const destinationPath = config.destinationPath;
+    const resolve = (file) => path.join(destinationPath, file);
+    const passed = [];
+    return {
+      config,
+      destinationPath,
+      codeModifier: this.codeModifier,
+      passed,
+      pass: (message) => passed.push(message),
+      path: resolve,
+      exists: (file) => fs.pathExists(resolve(file)),
+      stat: (file) => fs.stat(resolve(file)),
+      read: async (file) => (await fs.pathExists(resolve(file)) ? fs.readFile(resolve(file), 'utf8') : null),
+      readJson: (file) => fs.readJson(resolve(file)),
+      lineOf,
+      write: async (file, content) => {
+        await ChangeJournal.record(resolve(file));
+        await fs.outputFile(resolve(file), content, 'utf8');
+      },
+      remove: async (file) => {
+        await ChangeJournal.record(resolve(file));
+        await fs.remove(resolve(file));
+      }
+    };
+  }
+
+  /**
+   * Validate a migrated app, throwing when a rule reports errors
+   * @param {Object} config - Migration configuration
+   * @param {Object} options - { phase, fix } (see runRules)
+   */
+  async validateMigration(config, { phase = 1, fix = false } = {}) {
+    this.logger.info('🔍 Validating migration integrity...');
+
+    await this.runRules(config, { phase, fix });
+
+    // Report validation results
+    this.reportValidationResults();
+    
+    if (this.validationResults.failed.length > 0) {
+      throw new Error(`Validation failed: ${this.validationResults.failed.length} issues found`);
+    }
+    
+    this.logger.info('✅ Migration validation completed successfully');
   }
 
   reportValidationResults() {
@@ -305,6 +624,11 @@ export class ValidationEngine {
     this.logger.info(`✅ Passed: ${this.validationResults.passed.length}`);
     this.logger.info(`❌ Failed: ${this.validationResults.failed.length}`);
     this.logger.info(`⚠️ Warnings: ${this.validationResults.warnings.length}`);
+
+    const fixed = this.ruleResults.filter(result => result.fixed);
+    if (fixed.length > 0) {
+      this.logger.info(`🔧 Fixed: ${fixed.map(result => result.id).join(', ')}`);
+    }
     
     if (this.validationResults.failed.length > 0) {
       this.logger.error('\n❌ Failed Validations:');
@@ -319,5 +643,12 @@ export class ValidationEngine {
         this.logger.warn(`${index + 1}. ${warning}`);
       });
     }
+
+    if (this.validationResults.info.length > 0) {
+      this.logger.info('\nℹ️ Notes:');
+      this.validationResults.info.forEach((note, index) => {
+        this.logger.info(`${index + 1}. ${note}`);
+      });
+    }
   }
 }
@@ -1,5 +1,6 @@
 // FlowSource Migration Agent - Main Entry Point
-import { Command } from "commander";
+import path from "path";
+import { Command, Option } from "commander";
 import chalk from "chalk";
 import figlet from "figlet";
 import boxen from "boxen";
@@ -7,6 +8,25 @@ import { FlowSourceAgent } from "./core/FlowSourceAgent.js";
 import { InteractiveMode } from "./ui/InteractiveMode.js";
 import { Logger } from "./utils/Logger.js";
 import { ConfigValidator } from "./utils/ConfigValidator.js";
+import { MigrationProfile } from "./utils/MigrationProfile.js";
+import { MigrationCheckpoint } from "./utils/MigrationCheckpoint.js";
+import { DriftDetector } from "./utils/DriftDetector.js";
+import { readRepositoryName } from "./utils/BackstageInventory.js";
+import { SkeletonCache } from "./utils/SkeletonCache.js";
+import { TempWorkspace } from "./utils/TempWorkspace.js";
+import {
+  BackstageGenerator,
+  CREATE_APP_VERSION,
+  SKELETON_APP_NAME_TOKEN,
+} from "./core/BackstageGenerator.js";
+import {
+  registerPhase2Options,
+  resolvePhase2Config,
+} from "./utils/Phase2CliOptions.js";
+import {
+  registerPhase3Options,
+  resolvePhase3Options,
+} from "./utils/Phase3CliOptions.js";
 import {
   showHelp,
   showQuickStart,
@@ -50,22 +70,47 @@ function displayHeader() {
 program
   .name("flowsource-migration-utility")
   .description("Utility for automated migration from Backstage to FlowSource.")
-  .version("1.0.0");
+  .version("1.0.0")
+  // Options after a subcommand (e.g. resume --destination) belong to the subcommand
+  .enablePositionalOptions();
 
 program
   .option("-s, --source <path>", "Source FlowSource package path")
-  .option("-d, --destination <path>", "Destination path for new application")
+  .option("-d, --destination <path>", "Destination path for new application (existing repository with --in-place)")
   .option("-n, --name <name>", "Application name")
   .option("-i, --install", "Auto-install dependencies")
   .option("--mode <mode>", "Operation mode: interactive|cli", "interactive")
   .option("--phase <phase>", "Migration phase: 1|2|3", "1")
-  .option("--dry-run", "Preview changes without executing[Coming Soon]")
+  .option("--dry-run", "Run the migration against a staged copy and print the plan")
+  .option("--plan-output <file>", "Save the dry-run plan (.json for structured output)")
+  .option("--compliance-report", "Write the UI-Changes.md compliance report (Markdown and JSON) into the destination")
+  .option("--junit <file>", "Write validation results as JUnit XML (one test case per rule)")
+  .option("--sarif <file>", "Write validation results as SARIF for code annotations")
+  .option("--sarif-base <dir>", "Directory SARIF file locations are relative to, e.g. the repository root (default: the destination)")
+  .option("--keep-on-failure", "Keep a failed run's output (for resume) instead of rolling it back")
+  .option("--in-place", "Migrate an existing Backstage repository at --destination instead of generating one")
+  .option("--force", "Apply in-place transforms the pre-flight check refused")
+  .option("--offline", "Never run create-app; generate the skeleton from the skeleton cache only")
+  .option("--skeleton-cache <dir>", "Skeleton cache directory (default: FLOWSOURCE_SKELETON_CACHE or ~/.flowsource/skeleton-cache)")
+  .option("--backstage-version <version>", "create-app version (0.x.y) or Backstage release of a cached skeleton (1.x.y) to generate with")
+  .option("--keep-temp", "Keep temporary workspaces (create-app output, dry-run staging) for debugging")
+  .option("--brand-kit <file>", "Brand kit (YAML/JSON) with palette, typography, logos, favicon and title")
+  .option("--navigation <file>", "Navigation spec (YAML/JSON) with sidebar items, groups and hidden default items")
+  .option("--entity-layout <file>", "Entity page layout (YAML/JSON) with the tabs of each entity kind and component type")
+  .option("--themes <list>", "FlowSource themes to generate: light,dark,high-contrast (default: light)")
+  .option("--backstage-themes <list>", "Backstage default themes to keep next to them: light,dark or none (default: none)")
   .option("--verbose", "Enable verbose logging")
-  .option("--config <file>", "Custom configuration file")
+  .option("--config <file>", "Migration profile (YAML/JSON) for unattended runs")
   .option("--help-quick", "Show quick start guide")
   .option("--help-troubleshoot", "Show troubleshooting guide")
   .option("--help-examples", "Show usage examples");
 
+// Phase 2 authentication & database settings for CLI mode (flags or env vars)
+registerPhase2Options(program);
+
+// Phase 3 template, plugin and catalog selections for CLI mode
+registerPhase3Options(program);
+
 program.action(async (options) => {
   try {
     // Handle help options
@@ -84,14 +129,36 @@ program.action(async (options) => {
 
     displayHeader();
 
+    // Load the migration profile first; explicit CLI flags override its values
+    const flagGiven = (name) => program.getOptionValueSource(name) === "cli";
+    let profile = null;
+    let profileConfig = {};
+    if (options.config) {
+      if (flagGiven("mode") && options.mode === "interactive") {
+        throw new Error("--config runs unattended and cannot be combined with --mode interactive");
+      }
+      profile = await MigrationProfile.load(options.config);
+      profileConfig = profile.toMigrationConfig();
+      logger.info(`📄 Loaded migration profile: ${profile.filePath}`);
+    }
+
+    const mode = options.config && !flagGiven("mode") ? "cli" : options.mode;
+    const phase = flagGiven("phase") || profileConfig.phase === undefined
+      ? parseInt(options.phase) || 1
+      : profileConfig.phase;
+    const verbose = options.verbose || profile?.data.verbose || false;
+    if ((options.inPlace || profileConfig.inPlace) && mode === "interactive") {
+      throw new Error("--in-place migrates an existing repository unattended - use it with --mode cli or --config");
+    }
+
     // Initialize logger with verbosity
-    if (options.verbose) {
+    if (verbose) {
       logger.setLevel("debug");
     }
 
     logger.info("🤖 FlowSource Migration Utility initialized");
-    logger.info(`📋 Mode: ${options.mode}`);
-    logger.info(`🎯 Phase: ${options.phase}`);
+    logger.info(`📋 Mode: ${mode}`);
+    logger.info(`🎯 Phase: ${phase}`);
 
     // Validate system prerequisites
     const validator = new ConfigValidator();
@@ -100,52 +167,414 @@ program.action(async (options) => {
     // Initialize the main agent
     const agent = new FlowSourceAgent({
       dryRun: options.dryRun || false,
-      verbose: options.verbose || false,
-      phase: parseInt(options.phase) || 1,
+      planOutput: options.planOutput || null,
+      keepOnFailure: options.keepOnFailure || false,
+      force: options.force || false,
+      offline: options.offline || false,
+      skeletonCache: options.skeletonCache || null,
+      keepTemp: options.keepTemp || false,
+      complianceReport: options.complianceReport || false,
+      junitOutput: options.junit || null,
+      sarifOutput: options.sarif || null,
+      sarifBase: options.sarifBase || null,
+      verbose,
+      phase,
     });
 
-    if (options.mode === "interactive") {
+    if (mode === "interactive") {
       // Interactive mode with UI
       const interactive = new InteractiveMode(agent);
       agent.interactiveMode = interactive;
       await interactive.start();
     } else {
-      // CLI mode with direct parameters
-      if (!options.source || !options.destination || !options.name) {
+      // CLI mode with direct parameters and/or a migration profile
+      const migrationConfig = {
+        ...profileConfig,
+        sourcePath: options.source || profileConfig.sourcePath,
+        destinationPath: options.destination || profileConfig.destinationPath,
+        applicationName: options.name || profileConfig.applicationName,
+        autoInstall: options.install || profileConfig.autoInstall || false,
+        inPlace: options.inPlace || profileConfig.inPlace || false,
+        backstageVersion: options.backstageVersion || profileConfig.backstageVersion || null,
+        brandKitPath: options.brandKit ? path.resolve(options.brandKit) : profileConfig.brandKitPath || null,
+        navigationPath: options.navigation ? path.resolve(options.navigation) : profileConfig.navigationPath || null,
+        entityLayoutPath: options.entityLayout ? path.resolve(options.entityLayout) : profileConfig.entityLayoutPath || null,
+        // Left unset unless given, so Phase 1 applies its defaults
+        themes: options.themes || options.backstageThemes || profileConfig.themes
+          ? {
+            flowsource: parseThemeList(options.themes) ?? profileConfig.themes?.flowsource,
+            backstage: parseThemeList(options.backstageThemes) ?? profileConfig.themes?.backstage,
+          }
+          : null,
+        phase,
+      };
+
+      // An existing repository already has a name
+      if (migrationConfig.inPlace && !migrationConfig.applicationName && migrationConfig.destinationPath) {
+        migrationConfig.applicationName = await readRepositoryName(migrationConfig.destinationPath);
+      }
+
+      if (
+        !migrationConfig.sourcePath ||
+        !migrationConfig.destinationPath ||
+        !migrationConfig.applicationName
+      ) {
         logger.error(
-          "❌ CLI mode requires --source, --destination, and --name parameters"
+          "❌ CLI mode requires --source, --destination, and --name parameters (or source, destination and name in --config)"
         );
         logger.info("💡 Use --help-examples to see usage examples");
         process.exit(1);
       }
 
-      const migrationConfig = {
-        sourcePath: options.source,
-        destinationPath: options.destination,
-        applicationName: options.name,
-        autoInstall: options.install || false,
-        phase: parseInt(options.phase) || 1,
-      };
+      // Phase 2+ credentials come from flags, the profile or environment variables.
+      // Phase 3 only needs them when the app has not been through Phase 2 yet.
+      if (phase === 2 || (phase === 3 && (await phase2Pending(migrationConfig)))) {
+        Object.assign(
+          migrationConfig,
+          await resolvePhase2Config(
+            options,
+            (name) => program.getOptionValueSource(name),
+            profileConfig
+          )
+        );
+      }
+
+      // Phase 3 selections come from flags or the profile; unknown names fail here
+      if (phase === 3) {
+        Object.assign(migrationConfig, resolvePhase3Options(options, profileConfig));
+        await agent.createPhase3Orchestrator(migrationConfig);
+      }
 
       await agent.migrate(migrationConfig);
     }
   } catch (error) {
-    if (error.message.includes("authentication")) {
-      logger.error(
-        "🔐 Authentication setup failed. Check your GitHub OAuth configuration."
+    reportFailure(error, options.verbose);
+  }
+});
+
+// Resume a failed or interrupted migration from <destination>/.migration-state.json
+const resumeCommand = program
+  .command("resume")
+  .description("Resume a failed or interrupted migration from its checkpoint")
+  .requiredOption("-d, --destination <path>", "Destination of the migration to resume")
+  .addOption(
+    new Option("--on-change <mode>", "When the source or destination changed since the checkpoint: refuse|replan")
+      .choices(["refuse", "replan"])
+      .default("refuse")
+  )
+  .option("--config <file>", "Migration profile supplying the secrets for the resumed run")
+  .option("--offline", "Never run create-app; generate the skeleton from the skeleton cache only")
+  .option("--skeleton-cache <dir>", "Skeleton cache directory")
+  .option("--keep-temp", "Keep temporary workspaces for debugging")
+  .option("--verbose", "Enable verbose logging");
+
+// Secrets are never written to the checkpoint, so Phase 2 settings are read again
+registerPhase2Options(resumeCommand);
+
+resumeCommand.action(async (options, command) => {
+  try {
+    displayHeader();
+
+    if (options.verbose) {
+      logger.setLevel("debug");
+    }
+
+    const checkpoint = await MigrationCheckpoint.load(options.destination);
+    const profileConfig = options.config
+      ? (await MigrationProfile.load(options.config)).toMigrationConfig()
+      : {};
+    const migrationConfig = checkpoint.restoreConfig(profileConfig);
+
+    logger.info(`💾 Loaded checkpoint: ${checkpoint.filePath} (${checkpoint.status})`);
+    logger.info(`🎯 Phase: ${migrationConfig.phase}`);
+
+    const validator = new ConfigValidator();
+    await validator.validatePrerequisites();
+
+    const agent = new FlowSourceAgent({
+      verbose: options.verbose || false,
+      offline: options.offline || false,
+      skeletonCache: options.skeletonCache || null,
+      keepTemp: options.keepTemp || false,
+      phase: migrationConfig.phase,
+    });
+
+    if (
+      migrationConfig.phase === 2 ||
+      (migrationConfig.phase === 3 && (await phase2Pending(migrationConfig, checkpoint)))
+    ) {
+      Object.assign(
+        migrationConfig,
+        await resolvePhase2Config(
+          options,
+          (name) => command.getOptionValueSource(name),
+          migrationConfig
+        )
       );
-      logger.info("💡 Use --help-troubleshoot for authentication issues");
-    } else {
-      logger.error(`💥 Migration failed: ${error.message}`);
     }
 
-    if (options.verbose) {
-      logger.error(error.stack);
+    if (migrationConfig.phase === 3) {
+      Object.assign(migrationConfig, resolvePhase3Options({}, migrationConfig));
+      await agent.createPhase3Orchestrator(migrationConfig);
     }
-    process.exit(1);
+
+    await agent.resume(migrationConfig, checkpoint, { onChange: options.onChange });
+  } catch (error) {
+    reportFailure(error, options.verbose);
   }
 });
 
+// Undo a migration using <destination>/.migration-journal
+program
+  .command("rollback")
+  .description("Restore a migration destination to its state before the migration")
+  .requiredOption("-d, --destination <path>", "Destination of the migration to roll back")
+  .option("--verbose", "Enable verbose logging")
+  .action(async (options) => {
+    try {
+      displayHeader();
+
+      if (options.verbose) {
+        logger.setLevel("debug");
+      }
+
+      const agent = new FlowSourceAgent({ verbose: options.verbose || false });
+      const result = await agent.rollback(options.destination);
+      if (result.unrecoverable.length > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      logger.error(`💥 Rollback failed: ${error.message}`);
+      if (options.verbose) {
+        logger.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+// Apply the changes between two FlowSource packages to a migrated app
+program
+  .command("upgrade")
+  .description("Upgrade a migrated app to a newer FlowSource package with a three-way merge")
+  .requiredOption("-d, --destination <path>", "Migrated application to upgrade")
+  .requiredOption("--to <package>", "New FlowSource package")
+  .option("--from <package>", "FlowSource package the app was migrated from (default: the one recorded in the manifest)")
+  .option("--dry-run", "Show what the upgrade would change without writing anything")
+  .option("--json", "Print the upgrade plan as JSON")
+  .option("--keep-on-failure", "Keep a failed upgrade's changes instead of rolling them back")
+  .option("--verbose", "Enable verbose logging")
+  .action(async (options) => {
+    try {
+      if (!options.json) {
+        displayHeader();
+      }
+      if (options.verbose) {
+        logger.setLevel("debug");
+      }
+
+      const agent = new FlowSourceAgent({
+        dryRun: options.dryRun || false,
+        keepOnFailure: options.keepOnFailure || false,
+        verbose: options.verbose || false,
+      });
+      const plan = await agent.upgrade({
+        destinationPath: options.destination,
+        fromPath: options.from,
+        toPath: options.to,
+        printPlan: !options.json,
+      });
+
+      if (options.json) {
+        const actions = plan.actions.map(({ content, ...entry }) => entry);
+        console.log(JSON.stringify({ ...plan, actions }, null, 2));
+      }
+    } catch (error) {
+      logger.error(`💥 Upgrade failed: ${error.message}`);
+      if (options.verbose) {
+        logger.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+// Backstage skeletons cached per create-app version, for offline (air-gapped) generation
+const skeletonCommand = program
+  .command("skeleton")
+  .description("Manage the Backstage skeleton cache used for offline generation");
+
+skeletonCommand
+  .command("generate")
+  .description("Run @backstage/create-app once and cache its output")
+  .option("--cache <dir>", "Skeleton cache directory")
+  .option("--create-app-version <version>", "create-app version to run", CREATE_APP_VERSION)
+  .option("--keep-temp", "Keep the create-app workspace for debugging")
+  .action(async (options) => {
+    try {
+      const generator = new BackstageGenerator({ cacheRoot: options.cache, keepTemp: options.keepTemp });
+      const entry = await generator.generateIntoCache(options.createAppVersion);
+      logger.info(`✅ Skeleton cached: ${entry.skeletonPath}`);
+    } catch (error) {
+      logger.error(`💥 Skeleton generation failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+skeletonCommand
+  .command("import <source>")
+  .description("Cache a skeleton created by @backstage/create-app (directory, .tgz, .tar.gz or .tar)")
+  .option("--cache <dir>", "Skeleton cache directory")
+  .option("--create-app-version <version>", "create-app version the skeleton was created with", CREATE_APP_VERSION)
+  .option("--app-name <name>", "App name entered when the skeleton was created (replaced on copy)", SKELETON_APP_NAME_TOKEN)
+  .option("--keep-temp", "Keep the extracted archive for debugging")
+  .action(async (source, options) => {
+    try {
+      const generator = new BackstageGenerator({ cacheRoot: options.cache, keepTemp: options.keepTemp });
+      const entry = await generator.importSkeleton(source, {
+        createAppVersion: options.createAppVersion,
+        appNameToken: options.appName,
+      });
+      logger.info(`✅ Skeleton imported: ${entry.skeletonPath} (Backstage ${entry.backstageVersion || "unknown"})`);
+      if (entry.createAppVersion !== CREATE_APP_VERSION) {
+        logger.info(`💡 Migrations use create-app ${CREATE_APP_VERSION} by default; select this skeleton with --backstage-version ${entry.createAppVersion}`);
+      }
+    } catch (error) {
+      logger.error(`💥 Skeleton import failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+skeletonCommand
+  .command("list")
+  .description("List cached skeletons")
+  .option("--cache <dir>", "Skeleton cache directory")
+  .action(async (options) => {
+    const cache = new SkeletonCache(options.cache);
+    const entries = await cache.list();
+    console.log(chalk.gray(`Skeleton cache: ${cache.cacheRoot}`));
+    if (entries.length === 0) {
+      console.log(chalk.yellow("No cached skeletons - run \"skeleton generate\" or \"skeleton import <source>\""));
+    }
+    entries.forEach((entry) => {
+      const used = entry.createAppVersion === CREATE_APP_VERSION ? chalk.green(" (default)") : "";
+      console.log(`  create-app ${entry.createAppVersion}${used}: Backstage ${entry.backstageVersion || "unknown"}, ${entry.origin}, ${entry.files} files, stored ${entry.storedAt}`);
+    });
+  });
+
+// Check a migrated app against the validation rules, fixing what they can with --fix
+program
+  .command("validate")
+  .description("Run the validation rules against a migrated app, including those of its plugins and templates")
+  .requiredOption("-d, --destination <path>", "Migrated application to validate")
+  .option("--phase <number>", "Run the rules of this phase and earlier ones (default: the latest recorded phase)", (value) => parseInt(value, 10))
+  .option("--fix", "Let rules that can fix their findings repair the app (rollback undoes the fixes)")
+  .option("--keep-on-failure", "Keep the fixes made before a fix fails instead of rolling them back")
+  .option("--json", "Print the rule results as JSON")
+  .option("--junit <file>", "Write the rule results as JUnit XML (one test case per rule)")
+  .option("--sarif <file>", "Write the rule results as SARIF for code annotations")
+  .option("--sarif-base <dir>", "Directory SARIF file locations are relative to, e.g. the repository root (default: the destination)")
+  .option("--verbose", "Enable verbose logging")
+  .action(async (options) => {
+    try {
+      if (!options.json) {
+        displayHeader();
+      }
+      if (options.verbose) {
+        logger.setLevel("debug");
+      }
+
+      const agent = new FlowSourceAgent({
+        keepOnFailure: options.keepOnFailure || false,
+        verbose: options.verbose || false,
+        junitOutput: options.junit || null,
+        sarifOutput: options.sarif || null,
+        sarifBase: options.sarifBase || null,
+      });
+      const { phase, rules, results } = await agent.validate({
+        destinationPath: options.destination,
+        phase: options.phase,
+        fix: options.fix || false,
+        report: !options.json,
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify({ phase, rules }, null, 2));
+      }
+      if (results.failed.length > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      logger.error(`💥 Validation failed: ${error.message}`);
+      if (options.verbose) {
+        logger.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+// Compare a migrated app with its manifest and the current FlowSource package
+program
+  .command("drift")
+  .alias("status")
+  .description("Report generated files that were hand-edited, deleted or are stale against the FlowSource package")
+  .requiredOption("-d, --destination <path>", "Migrated application to check")
+  .option("-s, --source <path>", "FlowSource package to compare with (default: the one recorded in the manifest)")
+  .option("--json", "Print the report as JSON")
+  .option("--fail-on-drift", "Exit with code 2 when drift is found")
+  .action(async (options) => {
+    try {
+      const detector = new DriftDetector();
+      const report = await detector.detect(options.destination, { sourcePath: options.source });
+
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        displayHeader();
+        detector.printReport(report);
+      }
+
+      if (options.failOnDrift && !report.clean) {
+        process.exit(2);
+      }
+    } catch (error) {
+      logger.error(`💥 Drift check failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// "dark, high-contrast" -> ["dark", "high-contrast"]; "none" -> []
+function parseThemeList(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  return value.trim() === "none" ? [] : value.split(",").map((theme) => theme.trim()).filter(Boolean);
+}
+
+// Whether a Phase 3 run still has to run Phase 2 first, decided the way the agent
+// decides it: the checkpoint of the run being resumed, the app's migration manifest,
+// or the Phase 2 output files of apps migrated before the manifest existed
+async function phase2Pending(config, checkpoint = null) {
+  if (checkpoint?.state.completedPhases?.includes(2)) {
+    return false;
+  }
+  return (await new FlowSourceAgent().missingPhase2Items(config)).length > 0;
+}
+
+function reportFailure(error, verbose) {
+  if (error.message.includes("authentication")) {
+    logger.error(
+      "🔐 Authentication setup failed. Check your GitHub OAuth configuration."
+    );
+    logger.info("💡 Use --help-troubleshoot for authentication issues");
+  } else {
+    logger.error(`💥 Migration failed: ${error.message}`);
+  }
+
+  if (verbose) {
+    logger.error(error.stack);
+  }
+  process.exit(1);
+}
+
 // Error handling
 process.on("uncaughtException", (error) => {
   logger.error(`💥 Uncaught Exception: ${error.message}`);
@@ -157,11 +586,17 @@ process.on("unhandledRejection", (reason, promise) => {
   process.exit(1);
 });
 
+// Temporary workspaces are removed however the process ends (unless --keep-temp)
+process.on("exit", () => {
+  TempWorkspace.releaseAllSync();
+});
+
 // Graceful shutdown
 // Handler for SIGINT signal (Ctrl+C)
 process.on("SIGINT", () => {
   logger.info("👋 Graceful shutdown initiated...");
-  process.exit(0);
+  TempWorkspace.releaseAllSync();
+  process.exit(130);
 });
 
 // Parses command-line arguments and starts execution
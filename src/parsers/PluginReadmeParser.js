@@ -1,7 +1,7 @@
 /**
  * PluginReadmeParser - Generic file modification utilities for plugin integration
  * 
- * This class provides generic file modification methods for the 6 key files that
+ * This class provides generic file modification methods for the 7 key files that
  * need modification during plugin integration. Plugin-specific parsing and content
  * generation should be handled by individual plugin handlers.
  * 
@@ -12,11 +12,14 @@
  * 4. packages/app/package.json
  * 5. packages/backend/package.json
  * 6. packages/backend/src/index.ts
+ * 7. packages/app/src/components/Root/Root.tsx (sidebar, through a navigation spec)
  */
 
 import { DocumentationParser } from '../utils/DocumentationParser.js';
 import { FileManager } from '../utils/FileManager.js';
 import YamlConfigMerger from '../utils/YamlConfigMerger.js';
+import { CodeModifier } from '../utils/CodeModifier.js';
+import { EntityPageLayout, entityPageOf } from '../utils/EntityPageLayout.js';
 import path from 'path';
 
 class PluginReadmeParser {
@@ -26,6 +29,7 @@ class PluginReadmeParser {
         this.documentationParser = new DocumentationParser();
         this.fileManager = new FileManager();
         this.yamlConfigMerger = new YamlConfigMerger(logger);
+        this.codeModifier = new CodeModifier();
     }
 
     /**
@@ -154,6 +158,42 @@ class PluginReadmeParser {
         }
     }
 
+    /**
+     * Generic method to add a plugin's sidebar entries to Root.tsx
+     * @param {NavigationSpec} navigationSpec - Validated navigation spec (items, groups, hidden items)
+     * @returns {Array<string>} Entries that could not be applied, with the reason
+     */
+    async modifySidebar(navigationSpec) {
+        this.logger.info('🔧 Modifying Root.tsx sidebar...');
+        
+        try {
+            const filePath = path.join(this.targetAppPath, 'packages/app/src/components/Root/Root.tsx');
+            
+            if (!await this.fileManager.pathExists(filePath)) {
+                this.logger.error(`❌ Root.tsx not found at: ${filePath}`);
+                throw new Error(`Root.tsx not found at: ${filePath}`);
+            }
+
+            const original = await this.fileManager.readFile(filePath);
+            const { content, skipped } = navigationSpec.apply(original);
+            for (const entry of skipped) {
+                this.logger.warn(`⚠️ Sidebar entry not added: ${entry}`);
+            }
+
+            if (content !== original) {
+                await this.fileManager.writeFile(filePath, content);
+                this.logger.info(`✅ Successfully updated Root.tsx sidebar (${navigationSpec.summary()})`);
+            } else {
+                this.logger.info(`ℹ️ Root.tsx - no changes needed (sidebar entries already present)`);
+            }
+            return skipped;
+
+        } catch (error) {
+            this.logger.error(`❌ Error modifying Root.tsx: ${error.message}`);
+            throw error;
+        }
+    }
+
     /**
      * Generic method to modify catalog-info.yaml file
      * @param {Object} catalogData - Catalog modification data
@@ -322,32 +362,11 @@ class PluginReadmeParser {
      * @returns {string} Modified content
      */
     _addImportToFile(content, importStatement) {
-        if (!importStatement || content.includes(importStatement.trim())) {
+        if (!importStatement) {
             return content;
         }
-
-        // Clean the import statement by removing code block headers
-        let cleanImport = importStatement.replace(/```typescript\s*/g, '').replace(/```\s*/g, '').trim();
-
-        // Find existing imports and add after them
-        const lines = content.split('\n');
-        let lastImportIndex = -1;
-        
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].trim().startsWith('import ')) {
-                lastImportIndex = i;
-            }
-        }
-
-        if (lastImportIndex >= 0) {
-            // Insert after last import
-            lines.splice(lastImportIndex + 1, 0, cleanImport);
-        } else {
-            // No imports found, add at the beginning
-            lines.unshift(cleanImport);
-        }
-
-        return lines.join('\n');
+        // Named imports are merged into an existing import of the same module
+        return this.codeModifier.addImports(content, importStatement);
     }
 
     /**
@@ -357,35 +376,11 @@ class PluginReadmeParser {
      * @returns {string} Modified content
      */
     _addConstantsToEntityPage(content, constantsToAdd) {
-        if (!constantsToAdd || content.includes(constantsToAdd.trim())) {
+        if (!constantsToAdd) {
             return content;
         }
-
-        // Clean constants by removing code block headers
-        let cleanConstants = constantsToAdd.replace(/```typescript\s*/g, '').replace(/```\s*/g, '').trim();
-
-        // Find the component definition and add constants before it
-        const componentRegex = /const\s+EntityPage\s*=|export\s+const\s+EntityPage\s*=/;
-        const match = content.match(componentRegex);
-        
-        if (match) {
-            const insertIndex = match.index;
-            return content.slice(0, insertIndex) + cleanConstants + '\n\n' + content.slice(insertIndex);
-        }
-
-        // If no component found, add at the end of imports section
-        const lines = content.split('\n');
-        let insertIndex = 0;
-        
-        for (let i = 0; i < lines.length; i++) {
-            if (!lines[i].trim().startsWith('import ') && lines[i].trim() !== '') {
-                insertIndex = i;
-                break;
-            }
-        }
-
-        lines.splice(insertIndex, 0, constantsToAdd, '');
-        return lines.join('\n');
+        // Before the EntityPage component when there is one, otherwise after the imports
+        return this.codeModifier.addStatements(content, constantsToAdd, { before: 'EntityPage' });
     }
 
     /**
@@ -395,36 +390,13 @@ class PluginReadmeParser {
      * @returns {string} Modified content
      */
     _addComponentsToEntityPage(content, componentsToAdd) {
-        if (!componentsToAdd || content.includes(componentsToAdd.trim())) {
+        if (!componentsToAdd) {
             return content;
         }
-
-        // Look for the service entity case or overview content
-        const serviceRegex = /<EntityLayout\.Route\s+path="\/"\s+title="Overview"[\s\S]*?<\/EntityLayout\.Route>/;
-        const match = content.match(serviceRegex);
-        
-        if (match) {
-            // Find the Grid container and add the component
-            const gridRegex = /(<Grid\s+container\s+spacing[^>]*>)([\s\S]*?)(<\/Grid>)/;
-            const gridMatch = content.match(gridRegex);
-            
-            if (gridMatch) {
-                const beforeGrid = content.substring(0, gridMatch.index + gridMatch[1].length);
-                const afterGrid = content.substring(gridMatch.index + gridMatch[1].length + gridMatch[2].length);
-                return beforeGrid + gridMatch[2] + '\n' + componentsToAdd + '\n' + afterGrid;
-            }
-        }
-
-        // If no specific location found, add before the closing of the service entity case
-        const serviceCloseRegex = /(\s*<\/EntityLayout>[\s\S]*?case\s+'service':[\s\S]*?)(\s*break;)/;
-        const serviceClose = content.match(serviceCloseRegex);
-        
-        if (serviceClose) {
-            return content.replace(serviceCloseRegex, serviceClose[1] + '\n' + componentsToAdd + '\n' + serviceClose[2]);
-        }
-
-        // Fallback: add at the end of the file before the last closing bracket
-        return content.replace(/(\s*)}\s*$/, '\n' + componentsToAdd + '\n$1}');
+        // Components go into the overview grid (<Grid container> of overviewContent)
+        return this.codeModifier.addJsxChild(content, { tag: 'Grid', attributes: { container: true } }, componentsToAdd, {
+            within: 'overviewContent'
+        });
     }
 
     /**
@@ -434,154 +406,69 @@ class PluginReadmeParser {
      * @returns {string} Modified content
      */
     _addRouteToApp(content, routeToAdd) {
-        if (!routeToAdd || content.includes(routeToAdd.trim())) {
+        if (!routeToAdd) {
             return content;
         }
-
-        // Clean the route by removing code block headers
-        let cleanRoute = routeToAdd.replace(/```typescript\s*/g, '').replace(/```\s*/g, '').trim();
-
-        // Look for existing routes and add the new route
-        const routesRegex = /<FlatRoutes>([\s\S]*?)<\/FlatRoutes>/;
-        const match = content.match(routesRegex);
-        
-        if (match) {
-            const routesContent = match[1];
-            // Get proper indentation by looking at existing routes
-            const routeLines = routesContent.split('\n');
-            let indent = '    '; // default indentation
-            
-            // Find indentation from existing routes
-            for (let line of routeLines) {
-                if (line.trim().startsWith('<Route')) {
-                    const leadingSpaces = line.match(/^(\s*)/)[1];
-                    if (leadingSpaces.length > 0) {
-                        indent = leadingSpaces;
-                        break;
-                    }
-                }
-            }
-            
-            // Add proper indentation to the new route
-            const indentedRoute = indent + cleanRoute;
-            const newRoutesContent = routesContent + '\n' + indentedRoute;
-            return content.replace(routesRegex, `<FlatRoutes>${newRoutesContent}\n</FlatRoutes>`);
-        }
-
-        // If no FlatRoutes found, look for Route components
-        const routeRegex = /(<Route[^>]*\/>|<Route[^>]*>[\s\S]*?<\/Route>)/g;
-        const routes = content.match(routeRegex);
-        
-        if (routes && routes.length > 0) {
-            // Add after the last route
-            const lastRoute = routes[routes.length - 1];
-            const lastRouteIndex = content.lastIndexOf(lastRoute);
-            const insertIndex = lastRouteIndex + lastRoute.length;
-            return content.slice(0, insertIndex) + '\n' + cleanRoute + content.slice(insertIndex);
-        }
-
-        // Fallback: add before the closing of the App component
-        return content.replace(/(\s*<\/.*>[\s\S]*?function\s+App\(\)[\s\S]*?)(\s*}\s*export)/, '$1\n' + cleanRoute + '\n$2');
+        // Routes with the same path are not added twice
+        return this.codeModifier.addJsxChild(content, 'FlatRoutes', routeToAdd);
     }
 
     /**
-     * Add route to Entity Layout (service or website entity page)
+     * Add route to Entity Layout (service or website entity page), after the Overview tab
      * @param {string} content - File content
-     * @param {string} routeToAdd - Route layout to add
+     * @param {string} routeToAdd - <EntityLayout.Route> elements to add
      * @param {string} entityPageType - Type of entity page (serviceEntityPage or websiteEntityPage)
      * @returns {string} Modified content
      */
     _addRouteToEntityLayout(content, routeToAdd, entityPageType) {
-        if (!routeToAdd || content.includes(routeToAdd.trim())) {
+        if (!routeToAdd) {
             return content;
         }
-
-        // Find the specific entity page (serviceEntityPage or websiteEntityPage)
-        const entityPageRegex = new RegExp(`const\\s+${entityPageType}\\s*=\\s*\\([\\s\\S]*?<EntityLayout>([\\s\\S]*?)<\\/EntityLayout>[\\s\\S]*?\\);?`, 'i');
-        const match = content.match(entityPageRegex);
-        
-        if (match) {
-            const entityLayoutContent = match[1];
-            
-            // Look for existing EntityLayout.Route elements to insert between them
-            const routeRegex = /<EntityLayout\.Route[\s\S]*?<\/EntityLayout\.Route>/g;
-            const existingRoutes = [...entityLayoutContent.matchAll(routeRegex)];
-            
-            if (existingRoutes.length > 0) {
-                // Find a good insertion point (after the first route or before the last route)
-                const firstRoute = existingRoutes[0];
-                const insertionPoint = match.index + match[0].indexOf(firstRoute[0]) + firstRoute[0].length;
-                
-                return content.slice(0, insertionPoint) + '\n\n    ' + routeToAdd + '\n' + content.slice(insertionPoint);
-            } else {
-                // No existing routes found, add after the opening EntityLayout tag
-                const entityLayoutStart = match.index + match[0].indexOf('<EntityLayout>') + '<EntityLayout>'.length;
-                
-                return content.slice(0, entityLayoutStart) + '\n    ' + routeToAdd + '\n' + content.slice(entityLayoutStart);
-            }
+        const layout = this._entityLayoutFromRoutes(routeToAdd, entityPageType);
+        const { content: updated, skipped } = layout.apply(content);
+        for (const entry of skipped) {
+            this.logger.warn(`⚠️ Entity page tab not added: ${entry}`);
         }
+        return updated;
+    }
 
-        // Fallback: if we can't find the specific entity page, try to find any EntityLayout and add there
-        const genericLayoutRegex = /<EntityLayout>([\s\S]*?)<\/EntityLayout>/;
-        const genericMatch = content.match(genericLayoutRegex);
-        
-        if (genericMatch) {
-            const layoutContent = genericMatch[1];
-            const routeRegex = /<EntityLayout\.Route[\s\S]*?<\/EntityLayout\.Route>/g;
-            const routes = [...layoutContent.matchAll(routeRegex)];
-            
-            if (routes.length > 0) {
-                const lastRoute = routes[routes.length - 1];
-                const insertionPoint = genericMatch.index + genericMatch[0].indexOf(lastRoute[0]) + lastRoute[0].length;
-                
-                return content.slice(0, insertionPoint) + '\n\n    ' + routeToAdd + '\n' + content.slice(insertionPoint);
-            }
+    /**
+     * Entity page layout of documented <EntityLayout.Route> elements
+     * @param {string} routes - Route layout from the plugin README
+     * @param {string} entityPageType - EntityPage.tsx variable, e.g. serviceEntityPage
+     * @returns {EntityPageLayout} Layout placing the routes after the Overview tab
+     */
+    _entityLayoutFromRoutes(routes, entityPageType) {
+        const page = entityPageOf(entityPageType);
+        if (!page) {
+            throw new Error(`Unknown entity page: ${entityPageType}`);
         }
-
-        // Final fallback: add before the end of the file
-        return content.replace(/(\s*)}\s*$/, '\n' + routeToAdd + '\n$1}');
+        return EntityPageLayout.fromRoutes(page, routes, { after: '/' });
     }
 
     /**
      * Add backend plugin registration to backend index
-     * Ensures proper placement before backend.start()
+     * Ensures proper placement after the other backend.add() calls, before backend.start()
      * @param {string} content - File content
      * @param {string} pluginRegistration - Backend plugin registration statement
      * @returns {string} Modified content
      */
     _addBackendPluginRegistration(content, pluginRegistration) {
-        if (!pluginRegistration || content.includes(pluginRegistration.trim())) {
+        if (!pluginRegistration) {
             return content;
         }
+        return this.codeModifier.addBackendRegistrations(content, pluginRegistration);
+    }
 
-        const lines = content.split('\n');
-        let backendStartIndex = -1;
-        
-        // Find the backend.start() line
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].trim() === 'backend.start();') {
-                backendStartIndex = i;
-                break;
-            }
-        }
-
-        if (backendStartIndex >= 0) {
-            // Insert before backend.start(), after an empty line if needed
-            const insertIndex = backendStartIndex;
-            
-            // Check if there's already an empty line before backend.start()
-            if (insertIndex > 0 && lines[insertIndex - 1].trim() !== '') {
-                lines.splice(insertIndex, 0, '', pluginRegistration);
-            } else {
-                lines.splice(insertIndex, 0, pluginRegistration);
-            }
-        } else {
-            // If backend.start() not found, add at the end
-            this.logger.warn('backend.start() not found, adding plugin registration at end of file');
-            lines.push('', pluginRegistration);
-        }
-
-        return lines.join('\n');
+    /**
+     * Add plugin registrations (backend.add() calls, with their imports) to backend index
+     * @param {string} content - File content
+     * @param {string} plugins - Code with backend.add() calls and imports
+     * @returns {string} Modified content
+     */
+    _addPluginToBackend(content, plugins) {
+        const withImports = this.codeModifier.addImports(content, plugins);
+        return this._addBackendPluginRegistration(withImports, plugins);
     }
 
     // =====================================
@@ -626,14 +513,18 @@ class PluginReadmeParser {
             if (entityPageData.imports) checks.push({ name: 'imports', content: entityPageData.imports });
             if (entityPageData.constants) checks.push({ name: 'constants', content: entityPageData.constants });
             if (entityPageData.components) checks.push({ name: 'components', content: entityPageData.components });
-            if (entityPageData.serviceLayout) checks.push({ name: 'serviceLayout', content: entityPageData.serviceLayout });
-            if (entityPageData.websiteLayout) checks.push({ name: 'websiteLayout', content: entityPageData.websiteLayout });
+            // Tabs are checked by page and path, whatever their formatting
+            if (entityPageData.serviceLayout) checks.push({ name: 'serviceLayout', layout: this._entityLayoutFromRoutes(entityPageData.serviceLayout, 'serviceEntityPage') });
+            if (entityPageData.websiteLayout) checks.push({ name: 'websiteLayout', layout: this._entityLayoutFromRoutes(entityPageData.websiteLayout, 'websiteEntityPage') });
 
             let validCount = 0;
             const missing = [];
 
             for (const check of checks) {
-                if (content.includes(check.content.trim())) {
+                const present = check.layout
+                    ? check.layout.missingTabs(content).length === 0
+                    : content.includes(check.content.trim());
+                if (present) {
                     validCount++;
                 } else {
                     missing.push(check.name);
@@ -4,6 +4,12 @@ import fs from 'fs';
 import PluginReadmeParser from '../parsers/PluginReadmeParser.js';
 import YamlConfigMerger from '../utils/YamlConfigMerger.js';
 import { FileManager } from '../utils/FileManager.js';
+import { CodeModifier } from '../utils/CodeModifier.js';
+import { EntityPageLayout, entityPageOf } from '../utils/EntityPageLayout.js';
+import yaml from 'js-yaml';
+
+const GITHUB_FRONTEND_PACKAGE = '@flowsource/plugin-flowsource-github';
+const GITHUB_BACKEND_PACKAGE = '@flowsource/plugin-flowsource-github-backend';
 
 export class GithubPluginHandler {
     constructor(pluginMetadata, context = {}) {
@@ -18,7 +24,9 @@ export class GithubPluginHandler {
         // Use shared utilities from context instead of re-initializing
         this.pluginReadmeParser = context.pluginReadmeParser || new PluginReadmeParser(this.targetAppPath, this.logger);
         this.yamlConfigMerger = context.yamlConfigMerger || new YamlConfigMerger(this.logger);
+        this.yamlConfigMerger.registerMergeStrategies(GithubPluginHandler.mergeStrategies(), 'plugin github');
         this.fileManager = context.fileManager || new FileManager();
+        this.codeModifier = new CodeModifier();
         
         // GitHub-specific metadata storage
         this.githubMetadata = {
@@ -29,6 +37,100 @@ export class GithubPluginHandler {
         };
     }
 
+    /**
+     * Merge strategies for the app-config sections the plugin README configures
+     * (YamlConfigMerger.registerMergeStrategies): one integration per host, and the
+     * PR cycle time thresholds replaced as a whole
+     * @returns {Object} Strategies by config path
+     */
+    static mergeStrategies() {
+        return {
+            'integrations.github': { strategy: 'union', key: 'host' },
+            githubPRCycleTime: { strategy: 'replace' }
+        };
+    }
+
+    /**
+     * Validation rules for an app the GitHub plugin was integrated into (ValidationEngine.registerRules)
+     * @returns {Array<Object>} Phase 3 rules
+     */
+    static validationRules() {
+        const route = { tag: 'Route', attributes: { path: '/flowsource-github' } };
+        return [
+            {
+                id: 'plugin.github.app-route',
+                phase: 3,
+                severity: 'error',
+                description: 'App.tsx routes /flowsource-github to FlowsourceGithubPage',
+                check: async (context) => {
+                    const content = await context.read('packages/app/src/App.tsx');
+                    if (content === null) return [];
+                    return context.codeModifier.hasJsxElement(content, route) ? [] : ['App.tsx has no /flowsource-github route'];
+                },
+                fix: async (context) => {
+                    const content = await context.read('packages/app/src/App.tsx');
+                    const withImport = context.codeModifier.addNamedImport(content, GITHUB_FRONTEND_PACKAGE, 'FlowsourceGithubPage');
+                    await context.write('packages/app/src/App.tsx',
+                        context.codeModifier.addJsxChild(withImport, 'FlatRoutes', '<Route path="/flowsource-github" element={<FlowsourceGithubPage />} />'));
+                }
+            },
+            {
+                id: 'plugin.github.backend-module',
+                phase: 3,
+                severity: 'error',
+                description: 'The backend registers the GitHub backend plugin',
+                check: async (context) => {
+                    const content = await context.read('packages/backend/src/index.ts');
+                    if (content === null) return [];
+                    return context.codeModifier.hasBackendModule(content, GITHUB_BACKEND_PACKAGE) ? [] : [`Backend does not register ${GITHUB_BACKEND_PACKAGE}`];
+                },
+                fix: async (context) => {
+                    const content = await context.read('packages/backend/src/index.ts');
+                    await context.write('packages/backend/src/index.ts', context.codeModifier.addBackendModule(content, GITHUB_BACKEND_PACKAGE));
+                }
+            },
+            {
+                // No fix: the plugin version comes from its README
+                id: 'plugin.github.dependencies',
+                phase: 3,
+                severity: 'error',
+                description: 'The app and backend packages depend on the GitHub plugin',
+                check: async (context) => {
+                    const findings = [];
+                    for (const [file, dependency] of [['packages/app/package.json', GITHUB_FRONTEND_PACKAGE], ['packages/backend/package.json', GITHUB_BACKEND_PACKAGE]]) {
+                        if (await context.exists(file) && !(await context.readJson(file)).dependencies?.[dependency]) {
+                            findings.push(`${file} missing dependency: ${dependency}`);
+                        }
+                    }
+                    return findings;
+                }
+            },
+            {
+                id: 'plugin.github.entity-tab',
+                phase: 3,
+                severity: 'warning',
+                description: 'Service entity pages have a Code Repository tab',
+                check: async (context) => {
+                    const content = await context.read('packages/app/src/components/catalog/EntityPage.tsx');
+                    if (content === null) return [];
+                    const layout = EntityPageLayout.fromObject({ pages: [{ kind: 'component', type: 'service', tabs: [{ path: '/code-repository', title: 'Code Repository', content: '<FlowsourceGithubPage />' }] }] });
+                    return layout.missingTabs(content).map(missing => `EntityPage.tsx has no ${missing} tab`);
+                }
+            },
+            {
+                id: 'plugin.github.integration',
+                phase: 3,
+                severity: 'warning',
+                description: 'app-config.yaml configures integrations.github',
+                check: async (context) => {
+                    const content = await context.read('app-config.yaml');
+                    if (content === null) return [];
+                    return yaml.load(content)?.integrations?.github ? [] : ['app-config.yaml has no integrations.github entry'];
+                }
+            }
+        ];
+    }
+
     async integrate(context) {
         this.logger.info(`🔧 Starting ${this.pluginDisplayName} plugin integration...`);
         this.logger.info(`  - Frontend README: ${this.frontendReadmePath}`);
@@ -641,186 +743,51 @@ export class GithubPluginHandler {
     }
 
     /**
-     * Add GitHub import with improved detection for multi-line imports
+     * Add GitHub import, merging named imports into an existing import of the same module
      */
     _addGithubImportToFile(content, importStatement) {
-        if (!importStatement || content.includes(importStatement.trim())) {
+        if (!importStatement) {
             return content;
         }
-
-        // Clean the import statement by removing code block headers
-        let cleanImport = importStatement.replace(/```typescript\s*/g, '').replace(/```\s*/g, '').trim();
-
-        // Find existing imports with better multi-line support
-        const lines = content.split('\n');
-        let lastImportIndex = -1;
-        let inMultiLineImport = false;
-        
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            // Check for import statements
-            if (line.startsWith('import ')) {
-                lastImportIndex = i;
-                // Check if it's a multi-line import
-                if (!line.includes(';') && line.includes('{') && !line.includes('}')) {
-                    inMultiLineImport = true;
-                }
-            } else if (inMultiLineImport && line.includes('}')) {
-                // End of multi-line import
-                lastImportIndex = i;
-                inMultiLineImport = false;
-            } else if (inMultiLineImport) {
-                // Still inside multi-line import
-                lastImportIndex = i;
-            } else if (line.startsWith('const ') || line.startsWith('function ') || 
-                      line.startsWith('export ') || line.includes('= (')) {
-                // Hit actual code, stop looking for imports
-                break;
-            }
-        }
-
-        if (lastImportIndex >= 0) {
-            // Insert after last import
-            lines.splice(lastImportIndex + 1, 0, cleanImport);
-        } else {
-            // No imports found, add at the beginning
-            lines.unshift(cleanImport);
-        }
-
-        return lines.join('\n');
+        return this.codeModifier.addImports(content, importStatement);
     }
 
     /**
      * Add GitHub constants after imports with proper spacing
      */
     _addGithubConstantsToEntityPage(content, constantsToAdd) {
-        if (!constantsToAdd || content.includes(constantsToAdd.trim())) {
+        if (!constantsToAdd) {
             return content;
         }
-
-        // Clean constants by removing code block headers
-        let cleanConstants = constantsToAdd.replace(/```typescript\s*/g, '').replace(/```\s*/g, '').trim();
-
-        // Find the end of all imports to place constants after them
-        const lines = content.split('\n');
-        let lastImportIndex = -1;
-        
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (line.startsWith('import ') || 
-                (line.includes('} from ') && !line.includes('const ')) || 
-                line === '}') {
-                lastImportIndex = i;
-            } else if (line.startsWith('const ') || line.startsWith('export ') || 
-                      line.startsWith('function ') || line.includes('= (')) {
-                // Stop when we hit actual code definitions
-                break;
-            }
-        }
-
-        if (lastImportIndex >= 0) {
-            // Insert constants after the last import with proper spacing
-            lines.splice(lastImportIndex + 1, 0, '', cleanConstants, '');
-        } else {
-            // Fallback: add at beginning of file
-            lines.unshift(cleanConstants, '');
-        }
-
-        return lines.join('\n');
+        return this.codeModifier.addStatements(content, constantsToAdd);
     }
 
     /**
      * Add GitHub components after overviewContent with GitHub-specific placement logic
      */
     _addGithubComponentsToEntityPage(content, componentsToAdd) {
-        if (!componentsToAdd || content.includes(componentsToAdd.trim())) {
+        if (!componentsToAdd) {
             return content;
         }
-
-        // Clean components by removing code block headers
-        let cleanComponents = componentsToAdd.replace(/```typescript\s*/g, '').replace(/```\s*/g, '').trim();
-
-        // Look for the overviewContent definition closing and add the component after it
-        const overviewContentRegex = /const\s+overviewContent\s*=\s*\(([\s\S]*?)\);/;
-        const match = content.match(overviewContentRegex);
-        
-        if (match) {
-            const insertIndex = match.index + match[0].length;
-            return content.slice(0, insertIndex) + '\n\n' + cleanComponents + content.slice(insertIndex);
-        }
-
-        // Alternative: Look for any const definition that ends with a Grid/JSX structure
-        const componentDefRegex = /const\s+\w+Content\s*=\s*\(([\s\S]*?)\);\s*\n/;
-        const componentMatch = content.match(componentDefRegex);
-        
-        if (componentMatch) {
-            const insertIndex = componentMatch.index + componentMatch[0].length;
-            return content.slice(0, insertIndex) + '\n' + cleanComponents + '\n' + content.slice(insertIndex);
-        }
-
-        // Fallback: add before the first const declaration that looks like a page component
-        const serviceEntityRegex = /const\s+serviceEntityPage\s*=/;
-        const serviceMatch = content.match(serviceEntityRegex);
-        
-        if (serviceMatch) {
-            return content.slice(0, serviceMatch.index) + cleanComponents + '\n\n' + content.slice(serviceMatch.index);
-        }
-
-        // Final fallback: add at the end of the file before the last closing bracket
-        return content.replace(/(\s*)}\s*$/, '\n' + cleanComponents + '\n$1}');
+        // After overviewContent, or before serviceEntityPage which uses the components
+        return this.codeModifier.addStatements(content, componentsToAdd, {
+            after: this.codeModifier.hasDeclaration(content, 'overviewContent') ? 'overviewContent' : null,
+            before: 'serviceEntityPage'
+        });
     }
 
     /**
-     * Add GitHub route to EntityLayout with JSX comment fixing
+     * Add GitHub route to EntityLayout, after the Overview tab
      */
     _addGithubRouteToEntityLayout(content, routeToAdd, entityPageType) {
-        if (!routeToAdd || content.includes(routeToAdd.trim())) {
+        if (!routeToAdd) {
             return content;
         }
-
-        // Clean the route by removing code block headers
-        let cleanRoute = routeToAdd.replace(/```typescript\s*/g, '').replace(/```\s*/g, '').trim();
-
-        // Find the specific entity page definition
-        const entityPageRegex = new RegExp(`const\\s+${entityPageType}\\s*=\\s*\\([\\s\\S]*?<EntityLayout>([\\s\\S]*?)<\\/EntityLayout>[\\s\\S]*?\\);`, 'i');
-        const match = content.match(entityPageRegex);
-        
-        if (match) {
-            const entityLayoutContent = match[1];
-            
-            // Look for the Overview route to insert after it
-            const overviewRouteRegex = /<EntityLayout\.Route\s+path="\/"\s+title="Overview"[\s\S]*?<\/EntityLayout\.Route>/;
-            const overviewMatch = entityLayoutContent.match(overviewRouteRegex);
-            
-            if (overviewMatch) {
-                // Insert after the Overview route
-                const overviewEnd = match.index + match[0].indexOf(overviewMatch[0]) + overviewMatch[0].length;
-                return content.slice(0, overviewEnd) + '\n\n    ' + cleanRoute + '\n' + content.slice(overviewEnd);
-            } else {
-                // No overview route found, insert after opening EntityLayout tag
-                const entityLayoutStart = match.index + match[0].indexOf('<EntityLayout>') + '<EntityLayout>'.length;
-                return content.slice(0, entityLayoutStart) + '\n    ' + cleanRoute + '\n' + content.slice(entityLayoutStart);
-            }
+        const layout = EntityPageLayout.fromRoutes(entityPageOf(entityPageType), routeToAdd, { after: '/' });
+        const { content: updated, skipped } = layout.apply(content);
+        for (const entry of skipped) {
+            this.logger.warn(`⚠️ GitHub entity page tab not added: ${entry}`);
         }
-
-        // Fallback: if we can't find the specific entity page, try to find any EntityLayout and add there
-        const genericLayoutRegex = /<EntityLayout>([\s\S]*?)<\/EntityLayout>/;
-        const genericMatch = content.match(genericLayoutRegex);
-        
-        if (genericMatch) {
-            const layoutContent = genericMatch[1];
-            const routeRegex = /<EntityLayout\.Route[\s\S]*?<\/EntityLayout\.Route>/g;
-            const routes = [...layoutContent.matchAll(routeRegex)];
-            
-            if (routes.length > 0) {
-                const firstRoute = routes[0];
-                const insertionPoint = genericMatch.index + genericMatch[0].indexOf(firstRoute[0]) + firstRoute[0].length;
-                return content.slice(0, insertionPoint) + '\n\n    ' + cleanRoute + '\n' + content.slice(insertionPoint);
-            }
-        }
-
-        // Final fallback: add before the end of the file
-        return content.replace(/(\s*)}\s*$/, '\n' + cleanRoute + '\n$1}');
+        return updated;
     }
 }
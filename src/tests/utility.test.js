@@ -1,12 +1,48 @@
 // Test suite for FlowSource Migration Agent
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
+import os from 'os';
 import path from 'path';
 import fs from 'fs-extra';
 import { FlowSourceAgent } from '../core/FlowSourceAgent.js';
 import { ConfigValidator } from '../utils/ConfigValidator.js';
 import { FileManager } from '../utils/FileManager.js';
 import { DocumentationParser } from '../utils/DocumentationParser.js';
+import { MigrationPlanner } from '../utils/MigrationPlanner.js';
+import { MigrationProfile } from '../utils/MigrationProfile.js';
+import { updateYamlContent } from '../utils/YamlDocument.js';
+import { resolvePhase2Config } from '../utils/Phase2CliOptions.js';
+import { resolvePhase3Options } from '../utils/Phase3CliOptions.js';
+import { MigrationCheckpoint } from '../utils/MigrationCheckpoint.js';
+import { ChangeJournal, JOURNAL_DIR_NAME } from '../utils/ChangeJournal.js';
+import { hashFiles } from '../utils/FileTree.js';
+import { MigrationManifest, MANIFEST_FILE_NAME, describeSource } from '../utils/MigrationManifest.js';
+import { ValidationEngine } from '../core/ValidationEngine.js';
+import { DriftDetector } from '../utils/DriftDetector.js';
+import { mergeThreeWay } from '../utils/TextDiff.js';
+import { BackstageInventory } from '../utils/BackstageInventory.js';
+import { FlowSourceTransformer } from '../core/FlowSourceTransformer.js';
+import { BackstageGenerator, CREATE_APP_VERSION } from '../core/BackstageGenerator.js';
+import { SkeletonCache } from '../utils/SkeletonCache.js';
+import { BackstageCompatibility } from '../utils/BackstageCompatibility.js';
+import { TempWorkspace } from '../utils/TempWorkspace.js';
+import { CodeModifier } from '../utils/CodeModifier.js';
+import { BASELINE_DIR_NAME } from '../utils/SkeletonBaseline.js';
+import { BrandKit } from '../utils/BrandKit.js';
+import { resolveThemeSelection, selectedThemes, themeEntrySource, themeImports } from '../utils/ThemeGenerator.js';
+import { NavigationSpec } from '../utils/NavigationSpec.js';
+import { EntityPageLayout } from '../utils/EntityPageLayout.js';
+import { saveComplianceReport, buildComplianceReport, COMPLIANCE_REPORT_FILES } from '../utils/ComplianceReport.js';
+import { PluginManager } from '../core/PluginManager.js';
+import { AUTH_SETUP_RULES } from '../utils/AuthSetupRules.js';
+import { AuthConfigure } from '../core/AuthConfigure.js';
+import { saveValidationReports, complianceRuleResults } from '../utils/ValidationReport.js';
+import PluginReadmeParser from '../parsers/PluginReadmeParser.js';
+import YamlConfigMerger, { DEFAULT_MERGE_STRATEGIES } from '../utils/YamlConfigMerger.js';
+import { GithubPluginHandler } from '../plugin_handlers/GithubPluginHandler.js';
+import { ConfigManager } from '../utils/ConfigManager.js';
+import { Logger } from '../utils/Logger.js';
+import { spawnSync } from 'child_process';
 
 describe('FlowSource Migration Agent Tests', () => {
   
@@ -131,6 +167,1744 @@ console.log('test code');
     }
   });
 
+  test('MigrationPlanner - dry run plan', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-plan');
+    const sourceDir = path.join(testDir, 'source');
+    const destDir = path.join(testDir, 'dest');
+    const planner = new MigrationPlanner();
+
+    try {
+      await fs.outputFile(path.join(sourceDir, 'packages-core', 'theme.ts'), 'export const theme = 1;\n');
+      await fs.outputFile(path.join(destDir, 'app-config.yaml'), 'app:\n  title: Old\n');
+      await fs.outputFile(path.join(destDir, 'Dockerfile'), 'FROM node\n');
+
+      const stagedPath = await planner.stage(destDir);
+      await fs.outputFile(path.join(stagedPath, 'app-config.yaml'), 'app:\n  title: New\n');
+      await fs.remove(path.join(stagedPath, 'Dockerfile'));
+      await fs.copy(path.join(sourceDir, 'packages-core', 'theme.ts'), path.join(stagedPath, 'src', 'theme.ts'));
+      await fs.outputFile(path.join(stagedPath, 'README.md'), '# App\n');
+
+      const plan = await planner.buildPlan(sourceDir);
+      const byPath = Object.fromEntries(plan.entries.map(entry => [entry.path, entry]));
+
+      assert.deepStrictEqual(plan.summary, { created: 1, copied: 1, modified: 1, deleted: 1 });
+      assert.strictEqual(byPath['src/theme.ts'].copiedFrom, 'packages-core/theme.ts');
+      assert.ok(byPath['app-config.yaml'].diff.includes('-  title: Old\n+  title: New'), 'Should include a unified diff');
+      assert.strictEqual(await fs.readFile(path.join(destDir, 'app-config.yaml'), 'utf8'), 'app:\n  title: Old\n', 'Destination must not change');
+
+      await planner.cleanup();
+      await fs.remove(testDir);
+      console.log('✅ MigrationPlanner test passed');
+    } catch (error) {
+      await planner.cleanup();
+      await fs.remove(testDir);
+      throw error;
+    }
+  });
+
+  test('MigrationProfile - validation and secret resolution', async () => {
+    const profile = {
+      source: '/packages/flowsource',
+      destination: '/apps/my-app',
+      name: 'my-app',
+      phase: 2,
+      database: { type: 'postgresql', host: 'db', port: 5432, user: 'postgres', password: '${DB_PASSWORD}' },
+      auth: {
+        github: {
+          clientId: 'client-id',
+          clientSecret: '${GH_SECRET}',
+          integration: { method: 'pat', token: '${GH_TOKEN}' }
+        }
+      }
+    };
+    const env = { DB_PASSWORD: 'db-pass', GH_SECRET: 'gh-secret', GH_TOKEN: 'ghp_token' };
+
+    const config = (await MigrationProfile.fromObject(profile, env)).toMigrationConfig();
+    assert.strictEqual(config.databaseConfig.password, 'db-pass', 'Should resolve env references');
+    assert.strictEqual(config.githubAuth.integrationMethod, 'pat');
+    assert.strictEqual(config.githubAuth.personalAccessToken, 'ghp_token');
+    assert.ok(config.backendAuth.backendSecret, 'Should generate a backend secret when none is given');
+
+    const invalid = {
+      ...profile,
+      phase: 4,
+      database: { ...profile.database, password: 'inline-password' },
+      extra: true
+    };
+    await assert.rejects(MigrationProfile.fromObject(invalid, env), (error) => {
+      assert.ok(error.message.includes('phase: must be one of 1, 2, 3'));
+      assert.ok(error.message.includes('database.password: secrets must be an environment variable reference'));
+      assert.ok(error.message.includes('extra: unknown property'));
+      return true;
+    });
+
+    await assert.rejects(MigrationProfile.fromObject(profile, {}), /auth\.github\.clientSecret: environment variable GH_SECRET is not set/);
+
+    // An integer given as an environment reference is checked (and converted) once resolved
+    const portProfile = { ...profile, database: { ...profile.database, port: '${DB_PORT}' } };
+    const portConfig = (await MigrationProfile.fromObject(portProfile, { ...env, DB_PORT: '5433' })).toMigrationConfig();
+    assert.strictEqual(portConfig.databaseConfig.port, 5433);
+    await assert.rejects(MigrationProfile.fromObject(portProfile, { ...env, DB_PORT: 'db-port' }), /database\.port: expected integer, got string/);
+    await assert.rejects(MigrationProfile.fromObject(portProfile, { ...env, DB_PORT: '70000' }), /database\.port: must be <= 65535/);
+    console.log('✅ MigrationProfile test passed');
+  });
+
+  test('Phase2CliOptions - flags, profile and environment precedence', async () => {
+    const options = {
+      dbType: 'postgresql',
+      dbPassword: 'env-db-pass',
+      githubClientId: 'cli-client-id',
+      githubClientSecret: 'env-client-secret',
+      githubToken: 'ghp_01234567890123456789'
+    };
+    const sources = { dbType: 'cli', dbPassword: 'env', githubClientId: 'cli', githubClientSecret: 'env', githubToken: 'env' };
+    const profile = { githubAuth: { clientId: 'profile-client-id', clientSecret: 'profile-secret' } };
+
+    const config = await resolvePhase2Config(options, (name) => sources[name], profile);
+    assert.strictEqual(config.githubAuth.clientId, 'cli-client-id', 'CLI flags should override the profile');
+    assert.strictEqual(config.githubAuth.clientSecret, 'profile-secret', 'Profile should override the environment');
+    assert.strictEqual(config.githubAuth.integrationMethod, 'pat');
+    assert.deepStrictEqual(
+      { host: config.databaseConfig.host, port: config.databaseConfig.port, password: config.databaseConfig.password },
+      { host: 'localhost', port: 5432, password: 'env-db-pass' }
+    );
+
+    await assert.rejects(
+      resolvePhase2Config({ dbType: 'sqlite', githubAppId: 'abc' }, (name) => (name === 'dbType' || name === 'githubAppId' ? 'cli' : undefined)),
+      /--github-client-id \(or GITHUB_CLIENT_ID\): is required[\s\S]*--github-app-id \(or GITHUB_APP_ID\): should be a number/
+    );
+    console.log('✅ Phase2CliOptions test passed');
+  });
+
+  test('Phase3CliOptions - selections and unknown names', async () => {
+    const { phase3Options, githubRepoOwner } = resolvePhase3Options({
+      templates: 'PDLC-Backend',
+      plugins: 'github,jira',
+      catalog: 'local,remote',
+      catalogRepo: ['https://github.com/acme/portal/blob/main/catalog-info.yaml::Component,API'],
+      githubRepo: 'acme/portal'
+    });
+    assert.strictEqual(phase3Options.integrationType, 'both');
+    assert.deepStrictEqual(phase3Options.executionOrder, ['templates', 'plugins']);
+    assert.deepStrictEqual(phase3Options.catalogOnboarding.configs.remote.repositories[0].rules, ['Component', 'API']);
+    assert.strictEqual(githubRepoOwner, 'acme');
+
+    assert.throws(
+      () => resolvePhase3Options({ plugins: 'github', catalogRepo: ['https://gitlab.com/x::Widget'] }),
+      /must start with a GitHub URL[\s\S]*unknown entity type\(s\) Widget[\s\S]*--github-repo: is required/
+    );
+
+    const sourcePath = path.join(process.cwd(), 'test-temp-phase3');
+    await fs.outputFile(path.join(sourcePath, 'Flowsource-templates', 'PDLC-Backend', 'template.yaml'), 'kind: Template\n');
+    await fs.outputFile(
+      path.join(sourcePath, 'FlowSourceInstaller', 'FlowsourceSetupDoc', 'Plugin-Integration.md'),
+      ['GitHub', 'Jira'].map(name =>
+        `### ${name} Plugin\n- **Frontend**: [README](../../plugins/flowsource-${name.toLowerCase()}/README.md)\n`
+      ).join('\n')
+    );
+    for (const name of ['github', 'jira']) {
+      await fs.outputFile(path.join(sourcePath, 'plugins', `flowsource-${name}`, 'README.md'), `# ${name}\n`);
+    }
+    try {
+      const agent = new FlowSourceAgent();
+      const config = { sourcePath, destinationPath: path.join(sourcePath, 'app'), applicationName: 'app', phase3Options };
+      config.phase3Options.selectedPlugins = ['jira-cloud'];
+      await assert.rejects(agent.createPhase3Orchestrator(config), /Unknown plugin\(s\): jira-cloud\. Available plugins: .*\bjira\b/);
+      assert.strictEqual(config.phase3Orchestrator, undefined, 'Nothing should be set up when a name is unknown');
+
+      config.phase3Options.selectedPlugins = ['GitHub', 'jira'];
+      await agent.createPhase3Orchestrator(config);
+      assert.deepStrictEqual(config.phase3Options.selectedPlugins, ['github', 'jira'], 'Names should resolve case-insensitively');
+      assert.strictEqual(config.phase3ExecutionContext.destinationPath, config.destinationPath);
+
+      config.phase3Options.selectedTemplates = ['PDLC-Mobile'];
+      await assert.rejects(agent.createPhase3Orchestrator(config), /Unknown template\(s\): PDLC-Mobile\. Available templates: PDLC-Backend$/);
+    } finally {
+      await fs.remove(sourcePath);
+    }
+    console.log('✅ Phase3CliOptions test passed');
+  });
+
+  test('MigrationCheckpoint - record, resume and change detection', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-checkpoint');
+    const sourcePath = path.join(testDir, 'source');
+    const destinationPath = path.join(testDir, 'app');
+    const spinner = { text: '' };
+    const config = {
+      sourcePath,
+      destinationPath,
+      applicationName: 'app',
+      phase: 1,
+      databaseConfig: { type: 'postgresql', password: 'db-pass' },
+      githubAuth: { clientId: 'client-id', clientSecret: 'client-secret' }
+    };
+
+    try {
+      await fs.outputFile(path.join(sourcePath, 'configuration', 'Dockerfile'), 'FROM node\n');
+
+      // First run: step one writes a file, step two fails
+      const agent = new FlowSourceAgent();
+      agent.checkpoint = new MigrationCheckpoint(destinationPath);
+      await agent.checkpoint.start(config);
+      await agent.executeStep(spinner, 'Writing Dockerfile...', async () => {
+        await fs.copy(path.join(sourcePath, 'configuration', 'Dockerfile'), path.join(destinationPath, 'Dockerfile'));
+      }, { id: 'phase1.base-configuration' });
+      await assert.rejects(agent.executeStep(spinner, 'Failing...', async () => {
+        throw new Error('boom');
+      }, { id: 'phase1.package-configurations' }), /boom/);
+      await agent.checkpoint.finish('failed', agent.migrationState);
+
+      const checkpoint = await MigrationCheckpoint.load(destinationPath);
+      assert.strictEqual(checkpoint.status, 'failed');
+      assert.deepStrictEqual(checkpoint.state.steps.map(step => step.status), ['completed', 'failed']);
+      assert.deepStrictEqual(checkpoint.state.steps[0].outputs.files.created, ['Dockerfile']);
+      assert.strictEqual(checkpoint.inputs.githubAuth.clientSecret, undefined, 'Secrets must not be recorded');
+      assert.strictEqual(checkpoint.inputs.databaseConfig.password, undefined, 'Secrets must not be recorded');
+      assert.strictEqual(checkpoint.restoreConfig({ databaseConfig: { password: 'again' } }).databaseConfig.password, 'again');
+
+      // Resume: the completed step is skipped, the failed one runs again
+      assert.strictEqual((await checkpoint.detectChanges()).changed, false);
+      checkpoint.beginResume();
+      assert.strictEqual(checkpoint.firstPendingStep().id, 'phase1.package-configurations');
+      const resumed = new FlowSourceAgent();
+      resumed.checkpoint = checkpoint;
+      const ran = [];
+      await resumed.executeStep(spinner, 'Writing Dockerfile...', async () => ran.push('base'), { id: 'phase1.base-configuration' });
+      await resumed.executeStep(spinner, 'Retrying...', async () => ran.push('packages'), { id: 'phase1.package-configurations' });
+      assert.deepStrictEqual(ran, ['packages']);
+
+      // A hand-edited destination is refused
+      await fs.writeFile(path.join(destinationPath, 'Dockerfile'), 'FROM node:20\n');
+      const changed = await MigrationCheckpoint.load(destinationPath);
+      await assert.rejects(new FlowSourceAgent().resume(config, changed), /destination files modified: Dockerfile[\s\S]*--on-change replan/);
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ MigrationCheckpoint test passed');
+  });
+
+  test('ChangeJournal - rollback restores modified and removes created files', async () => {
+    const destinationPath = path.join(process.cwd(), 'test-temp-journal');
+    const appConfig = path.join(destinationPath, 'app-config.yaml');
+    const createdFile = path.join(destinationPath, 'packages', 'app', 'src', 'App.tsx');
+
+    try {
+      await fs.outputFile(appConfig, 'app:\n  title: Original\n');
+      await fs.outputFile(path.join(destinationPath, 'README.md'), 'untouched\n');
+
+      const journal = await ChangeJournal.begin(destinationPath);
+      await new FileManager().writeFile(appConfig, 'app:\n  title: Migrated\n');
+      await fs.outputFile(createdFile, 'export default {};\n');
+      await ChangeJournal.record(appConfig); // Already recorded: keeps the first backup
+      await fs.writeFile(appConfig, 'app:\n  title: Migrated twice\n');
+
+      const result = await new FlowSourceAgent().rollbackJournal(journal);
+
+      assert.strictEqual(await fs.readFile(appConfig, 'utf8'), 'app:\n  title: Original\n');
+      assert.strictEqual(await fs.readFile(path.join(destinationPath, 'README.md'), 'utf8'), 'untouched\n');
+      assert.deepStrictEqual(result.restored, ['app-config.yaml']);
+      assert.deepStrictEqual(result.deleted, ['packages/app/src/App.tsx']);
+      assert.deepStrictEqual(result.unrecoverable, []);
+      assert.ok(!(await fs.pathExists(path.join(destinationPath, 'packages'))), 'Created directories should be removed');
+      assert.ok(!(await fs.pathExists(path.join(destinationPath, JOURNAL_DIR_NAME))), 'Journal should be removed after a full restore');
+      assert.strictEqual(ChangeJournal.active, null);
+    } finally {
+      await fs.remove(destinationPath);
+    }
+    console.log('✅ ChangeJournal test passed');
+  });
+
+  test('ChangeJournal - validate --fix keeps the journal of a failed run', async () => {
+    const destinationPath = path.join(process.cwd(), 'test-temp-journal-kept');
+
+    try {
+      await fs.outputFile(path.join(destinationPath, 'app-config.yaml'), 'app:\n  title: Original\n');
+      const failed = await ChangeJournal.begin(destinationPath);
+      await new FileManager().writeFile(path.join(destinationPath, 'app-config.yaml'), 'app:\n  title: Migrated\n');
+      await failed.finish('failed');
+
+      await assert.rejects(new FlowSourceAgent().validate({ destinationPath, fix: true, report: false }),
+        /did not complete \(status: failed\) - run "rollback --destination .*" first/);
+      const kept = await ChangeJournal.load(destinationPath);
+      assert.strictEqual(kept.state.status, 'failed');
+      assert.deepStrictEqual([...kept.entries.keys()], ['app-config.yaml']);
+
+      // Once that run is rolled back, fixes start a journal of their own
+      await new FlowSourceAgent().rollback(destinationPath);
+      await new FlowSourceAgent().validate({ destinationPath, fix: true, report: false });
+      assert.strictEqual((await ChangeJournal.load(destinationPath)).state.status, 'completed');
+    } finally {
+      await fs.remove(destinationPath);
+    }
+    console.log('✅ ChangeJournal kept journal test passed');
+  });
+
+  test('MigrationManifest - records phases and checksums used for gating and validation', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-manifest');
+    const sourcePath = path.join(testDir, 'source');
+    const destinationPath = path.join(testDir, 'app');
+    const config = {
+      sourcePath,
+      destinationPath,
+      applicationName: 'app',
+      phase: 2,
+      selectedAuthProvider: 'github',
+      databaseConfig: { type: 'postgresql' },
+      themes: { flowsource: ['light', 'dark'], backstage: [] }
+    };
+
+    try {
+      await fs.outputJson(path.join(sourcePath, 'configuration', 'package.json'), { name: 'root', version: '2.3.0' });
+      await fs.outputJson(path.join(sourcePath, 'configuration', 'backstage.json'), { version: '1.29.0' });
+
+      const agent = new FlowSourceAgent();
+      agent.checkpoint = new MigrationCheckpoint(destinationPath);
+      await agent.checkpoint.start(config);
+      await agent.executeStep({ text: '' }, 'Writing files...', async () => {
+        await fs.outputFile(path.join(destinationPath, 'Dockerfile'), 'FROM node\n');
+        await fs.outputFile(path.join(destinationPath, 'app-config.yaml'), 'app:\n  title: App\n');
+      }, { id: 'phase1.base-configuration' });
+      await agent.completePhase(config, 1);
+      await agent.completePhase(config, 2);
+
+      const manifest = await MigrationManifest.load(destinationPath);
+      assert.deepStrictEqual(manifest.phases, [1, 2]);
+      assert.strictEqual(manifest.data.tool.name, 'flowsource-migration-utility');
+      assert.deepStrictEqual(manifest.data.source, { path: path.resolve(sourcePath), version: '2.3.0', backstageVersion: '1.29.0' });
+      assert.deepStrictEqual(manifest.data.auth, { provider: 'github' });
+      assert.deepStrictEqual(manifest.data.database, { type: 'postgresql' });
+      assert.deepStrictEqual(manifest.data.themes, { flowsource: ['light', 'dark'], backstage: [] });
+      assert.deepStrictEqual(Object.keys(manifest.files), ['app-config.yaml', 'Dockerfile']);
+      assert.strictEqual(manifest.files.Dockerfile.step, 'phase1.base-configuration');
+      assert.ok(!(MANIFEST_FILE_NAME in manifest.files), 'The manifest does not list itself');
+
+      // Phase gating reads the manifest instead of looking for files
+      const next = new FlowSourceAgent();
+      assert.strictEqual(await next.isPhaseRecorded(config, 2), true);
+      assert.strictEqual(await next.isPhaseRecorded(config, 3), false);
+      assert.strictEqual(await next.isPhaseRecorded({ destinationPath: path.join(testDir, 'legacy') }, 1), null);
+
+      // Apps migrated before the manifest existed are checked for Phase 2 output instead
+      const legacy = { destinationPath: path.join(testDir, 'legacy') };
+      assert.ok((await next.missingPhase2Items(legacy)).includes(path.join(legacy.destinationPath, 'app-config.local.yaml')));
+      for (const file of ['packages/backend/src/plugins/auth.ts', 'packages/backend/src/plugins/helper/auth-helper.ts', 'app-config.local.yaml']) {
+        await fs.outputFile(path.join(legacy.destinationPath, file), '');
+      }
+      await fs.ensureDir(path.join(legacy.destinationPath, 'packages/backend/src/plugins/database'));
+      await fs.outputFile(path.join(legacy.destinationPath, 'app-config.yaml'), 'auth:\n  providers:\n    github: {}\n');
+      assert.deepStrictEqual(await next.missingPhase2Items(legacy), []);
+      assert.deepStrictEqual(await next.missingPhase2Items(config), []);
+
+      // Phase 2 has replaced the guest sign-in, so validate no longer expects it
+      const validated = await next.validate({ destinationPath, phase: 1, report: false });
+      assert.ok(!validated.rules.some(rule => rule.id === 'app.guest-sign-in'));
+
+      // Validation reports deleted and hand-edited files
+      await fs.remove(path.join(destinationPath, 'Dockerfile'));
+      await fs.writeFile(path.join(destinationPath, 'app-config.yaml'), 'app:\n  title: Edited\n');
+      const validator = new ValidationEngine();
+      await validator.runRules(config, { ids: ['manifest.files'] });
+      assert.deepStrictEqual(validator.validationResults.failed, ['Generated file missing: Dockerfile']);
+      assert.deepStrictEqual(validator.validationResults.warnings, ['Generated file changed since migration: app-config.yaml']);
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ MigrationManifest test passed');
+  });
+
+  test('MigrationManifest - a later phase keeps the themes Phase 1 recorded for validate', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-manifest-themes');
+    const destinationPath = path.join(testDir, 'app');
+    const themes = resolveThemeSelection({ flowsource: ['dark', 'high-contrast'] });
+
+    try {
+      // Phase 1 migrated the app with the dark and high-contrast themes only
+      const phase1 = new FlowSourceAgent();
+      const phase1Config = { sourcePath: testDir, destinationPath, applicationName: 'app', phase: 1, themes };
+      phase1.checkpoint = new MigrationCheckpoint(destinationPath);
+      await phase1.checkpoint.start(phase1Config);
+      for (const theme of ['light', ...themes.flowsource]) {
+        const { exportName } = selectedThemes({ flowsource: [theme] })[0];
+        await fs.outputFile(path.join(destinationPath, `packages/app/src/components/theme/${exportName}.ts`), 'export {};\n');
+      }
+      await fs.outputFile(path.join(destinationPath, 'packages/app/src/App.tsx'), [
+        ...themeImports(themes).map(({ name, from }) => `import { ${name} } from '${from}';`),
+        `const app = createApp({ themes: [${selectedThemes(themes).map(themeEntrySource).join(', ')}] });`
+      ].join('\n'));
+      await phase1.completePhase(phase1Config, 1);
+
+      // A Phase 2 run finds Phase 1 done, so its theme selection (--themes light) does not apply
+      const phase2 = new FlowSourceAgent();
+      const phase2Config = { sourcePath: testDir, destinationPath, applicationName: 'app', phase: 2, themes: { flowsource: ['light'] } };
+      phase2.checkpoint = new MigrationCheckpoint(destinationPath);
+      await phase2.checkpoint.start(phase2Config);
+      await phase2.validateAndExecutePhase1(phase2Config, { text: '' });
+      await phase2.completePhase(phase2Config, 2);
+      assert.deepStrictEqual((await MigrationManifest.load(destinationPath)).data.themes, themes);
+
+      const { rules } = await new FlowSourceAgent().validate({ destinationPath, report: false });
+      const themeRule = rules.find(rule => rule.id === 'theme.integration');
+      assert.deepStrictEqual(themeRule.findings, []);
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ MigrationManifest themes test passed');
+  });
+
+  test('DriftDetector - hand-edited, deleted and stale files', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-drift');
+    const sourcePath = path.join(testDir, 'source');
+    const destinationPath = path.join(testDir, 'app');
+    const config = { sourcePath, destinationPath, applicationName: 'app', phase: 1 };
+    const files = ['Dockerfile', '.dockerignore', 'yarn.lock', '.yarnrc.yml'];
+
+    try {
+      for (const file of files) {
+        await fs.outputFile(path.join(sourcePath, 'configuration', file), `${file} v1\n`);
+      }
+      await fs.outputJson(path.join(sourcePath, 'package.json'), { version: '1.0.0' });
+
+      const agent = new FlowSourceAgent();
+      agent.journal = await ChangeJournal.begin(destinationPath, sourcePath);
+      agent.checkpoint = new MigrationCheckpoint(destinationPath);
+      await agent.checkpoint.start(config);
+      await agent.executeStep({ text: '' }, 'Copying configuration...', async () => {
+        const fileManager = new FileManager();
+        for (const file of files) {
+          await fileManager.copyFile(path.join(sourcePath, 'configuration', file), path.join(destinationPath, file));
+        }
+      }, { id: 'phase1.base-configuration' });
+      await agent.completePhase(config, 1);
+      await agent.journal.finish('completed');
+
+      const detector = new DriftDetector();
+      assert.strictEqual((await detector.detect(destinationPath)).clean, true);
+      assert.strictEqual((await MigrationManifest.load(destinationPath)).files.Dockerfile.source, 'configuration/Dockerfile');
+
+      await fs.writeFile(path.join(destinationPath, 'Dockerfile'), 'FROM node:20\n');
+      await fs.remove(path.join(destinationPath, '.dockerignore'));
+      await fs.writeFile(path.join(sourcePath, 'configuration', 'yarn.lock'), 'yarn.lock v2\n');
+      await fs.outputJson(path.join(sourcePath, 'package.json'), { version: '1.1.0' });
+
+      const report = await detector.detect(destinationPath);
+      assert.strictEqual(report.clean, false);
+      assert.deepStrictEqual(report.modified.map(entry => entry.path), ['Dockerfile']);
+      assert.deepStrictEqual(report.deleted.map(entry => entry.path), ['.dockerignore']);
+      assert.deepStrictEqual(report.stale, [{ path: 'yarn.lock', source: 'configuration/yarn.lock', reason: 'source-changed', locallyModified: false }]);
+      assert.deepStrictEqual(report.summary, { files: 4, unchanged: 1, modified: 1, deleted: 1, stale: 1 });
+      assert.strictEqual(report.source.versionChanged, true);
+      assert.doesNotThrow(() => JSON.parse(JSON.stringify(report)));
+    } finally {
+      ChangeJournal.active = null;
+      await fs.remove(testDir);
+    }
+    console.log('✅ DriftDetector test passed');
+  });
+
+  test('PackageUpgrader - three-way merge of package changes into a migrated app', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-upgrade');
+    const oldPackage = path.join(testDir, 'Flowsource_Package_1_0_0');
+    const newPackage = path.join(testDir, 'Flowsource_Package_1_1_0');
+    const destinationPath = path.join(testDir, 'app');
+    const theme = 'packages-core/app/src/components/theme';
+
+    const writeTree = async (root, files) => {
+      for (const [file, content] of Object.entries(files)) {
+        await fs.outputFile(path.join(root, file), content);
+      }
+    };
+
+    try {
+      assert.deepStrictEqual(mergeThreeWay('a\nb\nc\n', 'A\nb\nc\n', 'a\nb\nC\n'), { text: 'A\nb\nC\n', conflicts: 0 });
+
+      await writeTree(oldPackage, {
+        'package.json': '{ "version": "1.0.0" }',
+        'configuration/Dockerfile': 'FROM node:18\n',
+        [`${theme}/theme.js`]: 'a\nb\nc\n',
+        'packages-core/app/src/global.css': 'body {}\n',
+        'FlowSourceInstaller/FlowsourceSetupDoc/UI-Changes.md': '# UI\n'
+      });
+      await writeTree(newPackage, {
+        'package.json': '{ "version": "1.1.0" }',
+        'configuration/Dockerfile': 'FROM node:20\n',
+        'configuration/new-config.yaml': 'new: true\n',
+        [`${theme}/theme.js`]: 'a\nb\nC\n',
+        [`${theme}/extra.js`]: 'extra\n',
+        'packages-core/app/src/global.css': 'body { margin: 0; }\n',
+        'FlowSourceInstaller/FlowsourceSetupDoc/UI-Changes.md': '# UI v2\n'
+      });
+
+      // The app took these files from the old package; theme.js and global.css were edited since
+      const copied = {
+        'Dockerfile': 'configuration/Dockerfile',
+        'packages/app/src/components/theme/theme.js': `${theme}/theme.js`,
+        'packages/app/src/global.css': 'packages-core/app/src/global.css'
+      };
+      const manifest = new MigrationManifest(destinationPath);
+      manifest.data.source = await describeSource(oldPackage);
+      manifest.data.phases = [1];
+      for (const [file, source] of Object.entries(copied)) {
+        await fs.copy(path.join(oldPackage, source), path.join(destinationPath, file));
+        manifest.files[file] = {
+          sha256: (await hashFiles(destinationPath))[file],
+          step: 'phase1.packages-core',
+          source,
+          sourceSha256: (await hashFiles(oldPackage))[source]
+        };
+      }
+      await manifest.save();
+      await fs.writeFile(path.join(destinationPath, 'packages/app/src/components/theme/theme.js'), 'A\nb\nc\n');
+      await fs.writeFile(path.join(destinationPath, 'packages/app/src/global.css'), 'body { color: red; }\n');
+
+      const dryRun = await new FlowSourceAgent({ dryRun: true }).upgrade({ destinationPath, toPath: newPackage });
+      assert.strictEqual(await fs.readFile(path.join(destinationPath, 'Dockerfile'), 'utf8'), 'FROM node:18\n', 'Dry run writes nothing');
+      assert.deepStrictEqual(dryRun.summary, { 'not-used': 2, add: 1, update: 1, merge: 1, conflict: 1 });
+
+      // The journal of a failed run that was kept is not replaced
+      const read = (file) => fs.readFile(path.join(destinationPath, file), 'utf8');
+      await (await ChangeJournal.begin(destinationPath)).finish('failed');
+      await assert.rejects(new FlowSourceAgent().upgrade({ destinationPath, toPath: newPackage }), /did not complete \(status: failed\)/);
+      assert.strictEqual(await read('Dockerfile'), 'FROM node:18\n');
+      await new FlowSourceAgent().rollback(destinationPath);
+
+      await new FlowSourceAgent().upgrade({ destinationPath, toPath: newPackage });
+      assert.strictEqual(await read('Dockerfile'), 'FROM node:20\n');
+      assert.strictEqual(await read('packages/app/src/components/theme/theme.js'), 'A\nb\nC\n');
+      assert.strictEqual(await read('packages/app/src/components/theme/extra.js'), 'extra\n');
+      assert.strictEqual(await read('packages/app/src/global.css'), 'body { color: red; }\n', 'Local edits are not overwritten');
+      assert.match(await read('packages/app/src/global.css.flowsource-conflict'), /<<<<<<< app[\s\S]*color: red[\s\S]*=======\nbody \{ margin: 0; \}\n>>>>>>> new package/);
+      assert.ok(!(await fs.pathExists(path.join(destinationPath, 'new-config.yaml'))), 'Files the app never took are not added');
+
+      const upgraded = await MigrationManifest.load(destinationPath);
+      assert.strictEqual(upgraded.data.source.version, '1.1.0');
+      assert.deepStrictEqual(upgraded.data.upgrades.map(({ from, to }) => ({ from, to })), [{ from: '1.0.0', to: '1.1.0' }]);
+      assert.strictEqual(upgraded.files['packages/app/src/components/theme/extra.js'].source, `${theme}/extra.js`);
+
+      // Only the conflicting file is still reported by drift
+      const drift = await new DriftDetector().detect(destinationPath);
+      assert.deepStrictEqual(drift.stale.map(entry => entry.path), ['packages/app/src/global.css']);
+
+      // The upgrade can be rolled back
+      await new FlowSourceAgent().rollback(destinationPath);
+      assert.strictEqual(await read('Dockerfile'), 'FROM node:18\n');
+      assert.ok(!(await fs.pathExists(path.join(destinationPath, 'packages/app/src/global.css.flowsource-conflict'))));
+
+      // Without --from and a recorded package path there is nothing to diff against
+      const unrecorded = await MigrationManifest.load(destinationPath);
+      delete unrecorded.data.source.path;
+      await unrecorded.save();
+      await assert.rejects(new FlowSourceAgent({ dryRun: true }).upgrade({ destinationPath, toPath: newPackage }),
+        /records no source package path - pass the package the app was migrated from with --from/);
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ PackageUpgrader test passed');
+  });
+
+  test('BackstageInventory - in-place pre-flight and preserving transforms', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-inplace');
+    const repoPath = path.join(testDir, 'my-backstage');
+    const sourcePath = path.join(testDir, 'package');
+    const appTsx = [
+      "import { createApp } from '@backstage/app-defaults';",
+      "import { MyPage } from './components/MyPage';",
+      'const app = createApp({',
+      '  apis,',
+      '  components: {',
+      "    SignInPage: props => <SignInPage {...props} providers={['guest', githubProvider]} />,",
+      '  },',
+      '});',
+      'const routes = (',
+      '  <FlatRoutes>',
+      '    <Route path="/catalog" element={<CatalogIndexPage />} />',
+      '    <Route path="/my-page" element={<MyPage />} />',
+      '  </FlatRoutes>',
+      ');',
+      ''
+    ].join('\n');
+
+    try {
+      await fs.outputJson(path.join(repoPath, 'package.json'), { name: 'root' });
+      await fs.outputJson(path.join(repoPath, 'backstage.json'), { version: '1.30.0' });
+      await fs.outputFile(path.join(repoPath, 'packages/app/src/App.tsx'), appTsx);
+      await fs.outputFile(path.join(repoPath, 'packages/backend/src/index.ts'), "const backend = createBackend();\nbackend.add(import('@backstage/plugin-auth-backend-module-github-provider'));\n");
+      await fs.outputFile(path.join(repoPath, 'app-config.yaml'), 'auth:\n  providers:\n    guest: {}\n    github: {}\n');
+      await fs.outputFile(path.join(repoPath, 'packages/app/src/components/search/SearchPage.tsx'), 'our search\n');
+      await fs.ensureDir(path.join(repoPath, 'plugins/my-plugin'));
+
+      const inventoryService = new BackstageInventory();
+      const inventory = await inventoryService.inspect(repoPath);
+      assert.strictEqual(inventory.isBackstageRepo, true);
+      assert.strictEqual(inventory.applicationName, 'my-backstage', 'create-app\'s "root" name falls back to the directory name');
+      assert.strictEqual(inventory.backstageVersion, '1.30.0');
+      assert.strictEqual(inventory.backendSystem, 'new');
+      assert.deepStrictEqual(inventory.customRoutes, ['/my-page']);
+      assert.deepStrictEqual(inventory.authProviders, { config: ['github', 'guest'], signInPage: ['github', 'guest'], backendModules: ['github'] });
+      assert.deepStrictEqual(inventory.customizations.plugins, ['my-plugin']);
+
+      assert.deepStrictEqual(inventoryService.assess(inventory, 1).blockers, []);
+      assert.match(inventoryService.assess(inventory, 2).blockers.join('\n'), /Authentication is already configured \(github\)/);
+      const notBackstage = await inventoryService.inspect(sourcePath);
+      assert.strictEqual(inventoryService.assess(notBackstage, 1).blockers.length, 1);
+
+      // Phase 2 is refused before anything is written, unless forced
+      const agent = new FlowSourceAgent({ force: false });
+      await assert.rejects(() => agent.preflightInPlace({ destinationPath: repoPath, phase: 2 }), /In-place migration refused/);
+      await new FlowSourceAgent({ force: true }).preflightInPlace({ destinationPath: repoPath, phase: 2 });
+
+      // Existing files are kept; differing FlowSource versions are written next to them
+      const searchSource = path.join(sourcePath, 'packages-core/app/src/components/search');
+      await fs.outputFile(path.join(searchSource, 'SearchPage.tsx'), 'flowsource search\n');
+      await fs.outputFile(path.join(searchSource, 'SearchModal.tsx'), 'modal\n');
+      const config = { sourcePath, destinationPath: repoPath, inPlace: true };
+      const transformer = new FlowSourceTransformer();
+      await transformer.updateSearchComponent(config);
+      const search = path.join(repoPath, 'packages/app/src/components/search');
+      assert.strictEqual(await fs.readFile(path.join(search, 'SearchPage.tsx'), 'utf8'), 'our search\n');
+      assert.strictEqual(await fs.readFile(path.join(search, 'SearchPage.tsx.flowsource-new'), 'utf8'), 'flowsource search\n');
+      assert.strictEqual(await fs.readFile(path.join(search, 'SearchModal.tsx'), 'utf8'), 'modal\n');
+
+      // createApp keeps its components and custom routes; only the theme is added
+      await transformer.updateAppComponent(config);
+      const updatedApp = await fs.readFile(path.join(repoPath, 'packages/app/src/App.tsx'), 'utf8');
+      assert.match(updatedApp, /createApp\(\{\n  themes: \[\n    \{\n      id: 'flowsource-theme'/);
+      assert.ok(updatedApp.includes("providers={['guest', githubProvider]}"), 'SignInPage is not replaced');
+      assert.ok(updatedApp.includes('<Route path="/my-page" element={<MyPage />} />'), 'Custom routes are preserved');
+      assert.ok(!updatedApp.includes('bind(orgPlugin.externalRoutes'), 'createApp is not rebuilt');
+      assert.ok(updatedApp.includes('<FlowsourceHome />'));
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ BackstageInventory test passed');
+  });
+
+  test('SkeletonCache - offline generation from an imported skeleton', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-skeleton');
+    const cacheRoot = path.join(testDir, 'cache');
+    const skeletonDir = path.join(testDir, 'created/acme-portal');
+    const destinationPath = path.join(testDir, 'my-app');
+
+    try {
+      const generator = new BackstageGenerator({ cacheRoot, offline: true });
+      await assert.rejects(() => generator.generate(destinationPath, 'my-app'), /No cached skeleton for @backstage\/create-app/);
+
+      await fs.outputJson(path.join(skeletonDir, 'package.json'), { name: 'root', private: true });
+      await fs.outputFile(path.join(skeletonDir, 'app-config.yaml'), 'app:\n  title: acme-portal\n');
+      await fs.outputJson(path.join(skeletonDir, 'packages/app/package.json'), { name: 'app' });
+      await fs.outputFile(path.join(skeletonDir, 'packages/backend/src/index.ts'), 'createBackend();\n');
+      await fs.outputFile(path.join(skeletonDir, 'packages/app/public/favicon.ico'), Buffer.from([0, 1, 2, 0x61]));
+
+      // A tarball wrapping the skeleton in one top-level directory
+      const tarball = path.join(testDir, 'skeleton.tgz');
+      const tar = spawnSync('tar', ['-czf', tarball, '-C', path.dirname(skeletonDir), 'acme-portal']);
+      assert.strictEqual(tar.status, 0, 'tar is available');
+
+      await assert.rejects(() => generator.importSkeleton(path.join(testDir, 'created')), /Required structure missing/);
+      const entry = await generator.importSkeleton(tarball, { appNameToken: 'acme-portal' });
+      assert.strictEqual(entry.createAppVersion, CREATE_APP_VERSION);
+      assert.strictEqual(entry.origin, 'imported');
+      assert.strictEqual(entry.files, 5);
+      assert.deepStrictEqual((await new SkeletonCache(cacheRoot).list()).map(cached => cached.createAppVersion), [CREATE_APP_VERSION]);
+      assert.deepStrictEqual((await fs.readdir(cacheRoot)).sort(), [`create-app-${CREATE_APP_VERSION}`], 'Extracted files are cleaned up');
+
+      // Later runs copy from the cache and substitute the app name
+      await generator.generate(destinationPath, 'my-app');
+      assert.strictEqual(await fs.readFile(path.join(destinationPath, 'app-config.yaml'), 'utf8'), 'app:\n  title: my-app\n');
+      assert.deepStrictEqual(await fs.readFile(path.join(destinationPath, 'packages/app/public/favicon.ico')), Buffer.from([0, 1, 2, 0x61]));
+      assert.ok(await fs.pathExists(path.join(destinationPath, 'packages/backend/src/index.ts')));
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ SkeletonCache test passed');
+  });
+
+  test('BackstageCompatibility - skeleton and package version mismatches', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-compat');
+    const cacheRoot = path.join(testDir, 'cache');
+    const skeletonDir = path.join(testDir, 'skeleton');
+    const sourcePath = path.join(testDir, 'package');
+
+    try {
+      await fs.outputJson(path.join(skeletonDir, 'backstage.json'), { version: '1.30.0' });
+      await fs.outputJson(path.join(skeletonDir, 'package.json'), { name: 'root', devDependencies: { '@backstage/cli': '^0.27.0' } });
+      await fs.outputFile(path.join(skeletonDir, 'app-config.yaml'), 'app: {}\n');
+      await fs.outputJson(path.join(skeletonDir, 'packages/app/package.json'), {
+        dependencies: { '@backstage/core-app-api': '^1.14.0', '@backstage/theme': '^0.5.6', react: '^18.0.2' }
+      });
+      await fs.outputJson(path.join(skeletonDir, 'packages/backend/package.json'), { dependencies: { '@backstage/backend-defaults': '^0.4.0' } });
+
+      await fs.outputJson(path.join(sourcePath, 'configuration/backstage.json'), { version: '1.31.0' });
+      await fs.outputJson(path.join(sourcePath, 'configuration/package.json'), { devDependencies: { '@backstage/cli': '^0.27.1' } });
+      await fs.outputJson(path.join(sourcePath, 'packages-core/app/package.json'), {
+        dependencies: { '@backstage/core-app-api': '^1.15.0', '@backstage/theme': '^0.5.6' }
+      });
+      await fs.outputFile(path.join(sourcePath, 'configuration/yarn.lock'), [
+        '__metadata:',
+        '  version: 6',
+        '',
+        '"@backstage/core-app-api@npm:^1.15.0":',
+        '  version: 1.15.0',
+        '',
+        '"@backstage/theme@npm:^0.5.6, @backstage/theme@npm:^0.5.7":',
+        '  version: 0.5.7',
+        ''
+      ].join('\n'));
+
+      const compatibility = new BackstageCompatibility();
+      const report = await compatibility.check(skeletonDir, sourcePath);
+      assert.strictEqual(report.skeleton.backstageVersion, '1.30.0');
+      assert.strictEqual(report.flowsource.backstageVersion, '1.31.0');
+      assert.strictEqual(report.releaseMismatch, true);
+      assert.strictEqual(report.compatible, false);
+      assert.deepStrictEqual(report.mismatches, [
+        { package: 'root', dependency: '@backstage/cli', skeleton: '^0.27.0', flowsource: '^0.27.1' },
+        { package: 'app', dependency: '@backstage/core-app-api', skeleton: '^1.14.0', flowsource: '^1.15.0' }
+      ]);
+      assert.deepStrictEqual(report.unlocked, [
+        { package: 'app', dependency: '@backstage/core-app-api', range: '^1.14.0', locked: ['1.15.0'] },
+        { package: 'backend', dependency: '@backstage/backend-defaults', range: '^0.4.0', locked: [] }
+      ]);
+      assert.strictEqual(compatibility.summarize(report).length, 3);
+
+      // --backstage-version picks a create-app version directly or through a cached skeleton's release
+      const generator = new BackstageGenerator({ cacheRoot, offline: true });
+      await generator.importSkeleton(skeletonDir, { createAppVersion: '0.5.18' });
+      assert.strictEqual(await generator.selectCreateAppVersion('0.5.20'), '0.5.20');
+      assert.strictEqual(await generator.selectCreateAppVersion('1.30.0'), '0.5.18');
+      await assert.rejects(() => generator.selectCreateAppVersion('1.31.0'), /No cached skeleton for Backstage 1\.31\.0[\s\S]*Cached: 1\.30\.0 \(create-app 0\.5\.18\)/);
+      assert.strictEqual(await generator.selectCreateAppVersion(null, '1.30.0'), '0.5.18', 'Prefers a skeleton of the package release');
+      assert.strictEqual(await generator.selectCreateAppVersion(null, '1.31.0'), CREATE_APP_VERSION);
+
+      // The migration step reports before generating and records the versions it used
+      const agent = new FlowSourceAgent({ skeletonCache: cacheRoot, offline: true });
+      const config = { sourcePath, destinationPath: path.join(testDir, 'app'), applicationName: 'app', backstageVersion: '1.30.0' };
+      const output = await agent.generateSkeleton(config);
+      assert.deepStrictEqual(output, {
+        skeleton: { createAppVersion: '0.5.18', backstageVersion: '1.30.0' },
+        compatibility: { compatible: false, releaseMismatch: true, mismatches: 2, unlocked: 2 }
+      });
+      assert.strictEqual(agent.migrationState.warnings.length, 3);
+      assert.ok(await fs.pathExists(path.join(testDir, 'app/packages/backend/package.json')));
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ BackstageCompatibility test passed');
+  });
+
+  test('TempWorkspace - per-run skeleton workspace removed on success and failure', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-workspace');
+    const workspaces = [];
+    const generator = new BackstageGenerator({ cacheRoot: path.join(testDir, 'cache') });
+    // Stand-in for create-app: writes a minimal skeleton, or fails for version 0.0.1
+    generator.runCreateApp = async (workspace, relativeDestPath, applicationName, createAppVersion) => {
+      workspaces.push(workspace);
+      if (createAppVersion === '0.0.1') throw new Error('create-app failed');
+      const skeleton = path.join(workspace, relativeDestPath);
+      await fs.outputJson(path.join(skeleton, 'package.json'), { name: 'root' });
+      await fs.outputFile(path.join(skeleton, 'app-config.yaml'), `app:\n  title: ${applicationName}\n`);
+      await fs.ensureDir(path.join(skeleton, 'packages/app'));
+      await fs.ensureDir(path.join(skeleton, 'packages/backend'));
+    };
+
+    try {
+      await Promise.all([generator.generateIntoCache('0.5.1'), generator.generateIntoCache('0.5.2')]);
+      await assert.rejects(() => generator.generateIntoCache('0.0.1'), /create-app failed/);
+
+      assert.strictEqual(new Set(workspaces).size, 3, 'Every run gets its own workspace');
+      for (const workspace of workspaces) {
+        assert.ok(workspace.startsWith(os.tmpdir()));
+        assert.strictEqual(await fs.pathExists(workspace), false);
+      }
+      assert.strictEqual(await fs.pathExists(path.resolve('backstage-temp')), false);
+      assert.strictEqual((await generator.cache.list()).length, 2);
+
+      // --keep-temp leaves the workspace; releaseAllSync removes whatever is still open
+      const kept = await TempWorkspace.create('flowsource-test-', { keep: true });
+      await TempWorkspace.release(kept);
+      assert.ok(await fs.pathExists(kept));
+      await fs.remove(kept);
+
+      const open = await TempWorkspace.create('flowsource-test-');
+      TempWorkspace.releaseAllSync();
+      assert.strictEqual(await fs.pathExists(open), false);
+      assert.strictEqual(TempWorkspace.open.size, 0);
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ TempWorkspace test passed');
+  });
+
+  test('CodeModifier - idempotent syntax-tree edits of App.tsx and backend index.ts', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-code-modifier');
+    const appTsx = [
+      'import {',
+      '  CatalogIndexPage,',
+      '  catalogPlugin,',
+      "} from '@backstage/plugin-catalog';",
+      "import { TechDocsAddons } from '@backstage/plugin-techdocs-react';",
+      "import { ReportIssue } from '@backstage/plugin-techdocs-module-addons-contrib';",
+      '',
+      'const app = createApp({',
+      '  apis,',
+      '  bindRoutes({ bind }) {',
+      '    bind(catalogPlugin.externalRoutes, {});',
+      '  },',
+      '  components: {',
+      "    SignInPage: props => <SignInPage {...props} auto providers={['guest']} />,",
+      '  },',
+      '});',
+      '',
+      'const routes = (',
+      '  <FlatRoutes>',
+      "    <Route path='/catalog'",
+      '      element={<CatalogIndexPage />} />',
+      '    <Route path="/docs/:namespace/:kind/:name/*" element={<TechDocsReaderPage />}>',
+      '      <TechDocsAddons>',
+      '        <ReportIssue />',
+      '      </TechDocsAddons>',
+      '    </Route>',
+      '  </FlatRoutes>',
+      ');',
+      ''
+    ].join('\n');
+
+    try {
+      const appPath = path.join(testDir, 'packages/app/src/App.tsx');
+      await fs.outputFile(appPath, appTsx);
+      const config = { sourcePath: testDir, destinationPath: testDir };
+      const transformer = new FlowSourceTransformer();
+      await transformer.updateAppComponent(config);
+      const updated = await fs.readFile(appPath, 'utf8');
+
+      // Found despite single quotes and a line break; nothing else is rewritten
+      assert.ok(updated.includes("<Route path='/catalog'\n      element={<CatalogIndexPage />}>\n      <FlowsourceHome />\n    </Route>"));
+      assert.ok(updated.includes("        <ReportIssue />\n        <Mermaid config="));
+      assert.match(updated, /createApp\(\{\n  themes: \[\n    \{\n      id: 'flowsource-theme',[\s\S]*?\n    \},\n  \],\n  apis,/);
+      assert.ok(updated.includes("import { FlowsourceTheme } from './components/theme/FlowsourceTheme';"));
+      assert.ok(updated.includes('    bind(catalogPlugin.externalRoutes, {});'), 'Existing bindRoutes is kept');
+      const compliance = await transformer.validateUIChangesCompliance(config);
+      assert.deepStrictEqual(compliance.rules.filter(rule => rule.file === 'packages/app/src/App.tsx').map(rule => rule.status), ['pass', 'pass', 'pass']);
+
+      await transformer.updateAppComponent(config);
+      assert.strictEqual(await fs.readFile(appPath, 'utf8'), updated, 'A second run changes nothing');
+
+      const modifier = new CodeModifier();
+      const merged = modifier.addImports(updated, "```typescript\nimport { catalogPlugin, CatalogEntityPage } from '@backstage/plugin-catalog';\n```");
+      assert.ok(merged.includes('  catalogPlugin,\n  CatalogEntityPage,\n} from'), 'Named imports merge into the existing import');
+      const routed = modifier.addJsxChild(merged, 'FlatRoutes', '<Route path="/catalog" element={<Other />} />');
+      assert.strictEqual(routed, merged, 'A route with the same path is not added twice');
+
+      const backendIndex = [
+        "import { createBackend } from '@backstage/backend-defaults';",
+        '',
+        'const backend = createBackend();',
+        "backend.add(import('@backstage/plugin-app-backend'));",
+        'backend.add(',
+        '  import("@backstage/plugin-permission-backend-module-allow-all-policy"),',
+        ');',
+        '',
+        'backend.start();',
+        ''
+      ].join('\n');
+      let backend = modifier.addBackendRegistrations(backendIndex, "backend.add(customAuthProvidersModule);\nbackend.add(import('@backstage/plugin-app-backend'));");
+      backend = modifier.removeCallExpression(backend, {
+        callee: 'backend.add',
+        importSpecifier: '@backstage/plugin-permission-backend-module-allow-all-policy'
+      });
+      assert.strictEqual(backend, [
+        "import { createBackend } from '@backstage/backend-defaults';",
+        '',
+        'const backend = createBackend();',
+        "backend.add(import('@backstage/plugin-app-backend'));",
+        'backend.add(customAuthProvidersModule);',
+        '',
+        'backend.start();',
+        ''
+      ].join('\n'));
+      assert.strictEqual(modifier.addBackendModule(backend, '@backstage/plugin-app-backend'), backend);
+      assert.throws(() => modifier.addJsxChild(backend, 'FlatRoutes', '<Route path="/x" />'), /No <FlatRoutes> element found/);
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ CodeModifier test passed');
+  });
+
+  test('SkeletonBaseline - customisations survive migration re-runs through three-way merges', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-baseline');
+    const skeletonDir = path.join(testDir, 'skeleton');
+    const sourcePath = path.join(testDir, 'package');
+    const destinationPath = path.join(testDir, 'my-app');
+    const appFile = path.join(destinationPath, 'packages/app/src/App.tsx');
+    const entityFile = path.join(destinationPath, 'packages/app/src/components/catalog/EntityPage.tsx');
+    const rootFile = path.join(destinationPath, 'packages/app/src/components/Root/Root.tsx');
+    const sourceRoot = path.join(sourcePath, 'packages-core/app/src/components/Root/Root.tsx');
+    const rootTsx = (items) => [
+      "import { SidebarItem } from '@backstage/core-components';",
+      '',
+      'export const Root = () => (',
+      '  <SidebarPage>',
+      ...items.map(item => `    ${item}`),
+      '  </SidebarPage>',
+      ');',
+      ''
+    ].join('\n');
+
+    try {
+      await fs.outputJson(path.join(skeletonDir, 'package.json'), { name: 'root' });
+      await fs.outputFile(path.join(skeletonDir, 'app-config.yaml'), 'app:\n  title: flowsource-skeleton-app\n');
+      await fs.outputFile(path.join(skeletonDir, 'packages/backend/src/index.ts'), 'createBackend();\n');
+      await fs.outputFile(path.join(skeletonDir, 'packages/app/src/App.tsx'), [
+        "import { createApp } from '@backstage/app-defaults';",
+        "import { CatalogIndexPage } from '@backstage/plugin-catalog';",
+        '',
+        'const app = createApp({',
+        '  apis,',
+        '});',
+        '',
+        'const routes = (',
+        '  <FlatRoutes>',
+        '    <Route path="/" element={<Navigate to="catalog" />} />',
+        '    <Route path="/catalog" element={<CatalogIndexPage />} />',
+        '    <Route path="/docs" element={<TechDocsIndexPage />} />',
+        '    <Route path="/create" element={<ScaffolderPage />} />',
+        '    <Route path="/search" element={<SearchPage />} />',
+        '  </FlatRoutes>',
+        ');',
+        ''
+      ].join('\n'));
+      await fs.outputFile(path.join(skeletonDir, 'packages/app/src/components/catalog/EntityPage.tsx'), [
+        "import { EntityLayout } from '@backstage/plugin-catalog';",
+        '',
+        'const serviceEntityPage = (',
+        '  <EntityLayout>',
+        '    <EntityLayout.Route path="/" title="Overview">',
+        '      {overviewContent}',
+        '    </EntityLayout.Route>',
+        '',
+        '    <EntityLayout.Route path="/docs" title="Docs">',
+        '      {techdocsContent}',
+        '    </EntityLayout.Route>',
+        '  </EntityLayout>',
+        ');',
+        ''
+      ].join('\n'));
+      await fs.outputFile(path.join(skeletonDir, 'packages/app/src/components/Root/Root.tsx'), rootTsx(['<SidebarItem to="catalog" text="Home" />']));
+      await fs.outputJson(path.join(sourcePath, 'package.json'), { name: 'flowsource', version: '1.0.0' });
+      await fs.outputFile(sourceRoot, rootTsx([
+        '<SidebarItem to="catalog" text="Home" />',
+        '<SidebarItem to="docs" text="Docs" />',
+        '<SidebarItem to="create" text="Create..." />'
+      ]));
+
+      const cacheRoot = path.join(testDir, 'cache');
+      await new BackstageGenerator({ cacheRoot }).importSkeleton(skeletonDir);
+      const agent = new FlowSourceAgent({ skeletonCache: cacheRoot, offline: true });
+      const transformer = new FlowSourceTransformer();
+      const config = { sourcePath, destinationPath, applicationName: 'my-app' };
+      const migrate = async () => {
+        await agent.generateSkeleton(config);
+        await transformer.updateRootComponent(config);
+        await transformer.updateEntityPage(config);
+        await transformer.updateAppComponent(config);
+      };
+
+      await migrate();
+      assert.ok(await fs.pathExists(path.join(destinationPath, BASELINE_DIR_NAME, 'skeleton/packages/app/src/App.tsx')));
+      const generatedApp = await fs.readFile(appFile, 'utf8');
+      assert.ok(generatedApp.includes('<FlowsourceHome />'));
+      assert.strictEqual(await fs.readFile(rootFile, 'utf8'), await fs.readFile(sourceRoot, 'utf8'));
+
+      // The team adds a route, an entity tab and a sidebar item
+      await fs.writeFile(appFile, generatedApp.replace(
+        '    <Route path="/search" element={<SearchPage />} />\n',
+        '    <Route path="/search" element={<SearchPage />} />\n    <Route path="/my-page" element={<MyPage />} />\n'
+      ));
+      await fs.writeFile(entityFile, (await fs.readFile(entityFile, 'utf8')).replace(
+        '    </EntityLayout.Route>\n  </EntityLayout>',
+        '    </EntityLayout.Route>\n\n    <EntityLayout.Route path="/costs" title="Costs">\n      <CostsContent />\n    </EntityLayout.Route>\n  </EntityLayout>'
+      ));
+      await fs.writeFile(rootFile, (await fs.readFile(rootFile, 'utf8')).replace(
+        '<SidebarItem to="catalog" text="Home" />\n',
+        '<SidebarItem to="catalog" text="Home" />\n    <SidebarItem to="my-page" text="My Page" />\n'
+      ));
+      // ... and a newer FlowSource package changes its sidebar elsewhere
+      await fs.writeFile(sourceRoot, (await fs.readFile(sourceRoot, 'utf8')).replace('Create...', 'Create'));
+
+      // Phase 1 runs again on the same destination: the skeleton copy and the transforms keep both
+      await migrate();
+      const app = await fs.readFile(appFile, 'utf8');
+      assert.ok(app.includes('<Route path="/my-page" element={<MyPage />} />'), 'Custom route kept');
+      assert.strictEqual(app.split('<FlowsourceHome />').length, 2, 'FlowSource changes are not applied twice');
+      assert.strictEqual(app.split("id: 'flowsource-theme'").length, 2);
+      assert.ok((await fs.readFile(entityFile, 'utf8')).includes('<EntityLayout.Route path="/costs" title="Costs">'), 'Custom entity tab kept');
+      const root = await fs.readFile(rootFile, 'utf8');
+      assert.ok(root.includes('<SidebarItem to="my-page" text="My Page" />'), 'Custom sidebar item kept');
+      assert.ok(root.includes('text="Create" />') && !root.includes('Create...'), 'FlowSource sidebar change applied');
+
+      // Overlapping sidebar changes keep Root.tsx and write the conflict next to it
+      await fs.writeFile(rootFile, root.replace('text="Create" />', 'text="New component" />'));
+      await fs.writeFile(sourceRoot, (await fs.readFile(sourceRoot, 'utf8')).replace('text="Create" />', 'text="Create new" />'));
+      await transformer.updateRootComponent(config);
+      assert.ok((await fs.readFile(rootFile, 'utf8')).includes('text="New component" />'));
+      assert.match(await fs.readFile(`${rootFile}.flowsource-conflict`, 'utf8'), /<<<<<<< Root\.tsx \(current\)[\s\S]*text="Create new" \/>[\s\S]*>>>>>>> Root\.tsx \(FlowSource\)/);
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ SkeletonBaseline test passed');
+  });
+
+  test('BrandKit - validated brand kit generates the theme, logos, favicon and title', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-brand-kit');
+    const kitDir = path.join(testDir, 'brand');
+    const destinationPath = path.join(testDir, 'app');
+    // PNG signature and IHDR chunk header carry the dimensions
+    const png = (width, height) => {
+      const buffer = Buffer.alloc(33);
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer);
+      buffer.write('IHDR', 12, 'ascii');
+      buffer.writeUInt32BE(width, 16);
+      buffer.writeUInt32BE(height, 20);
+      return buffer;
+    };
+    const ico = Buffer.from([0, 0, 1, 0, 2, 0, 16, 16, 0, 0, 1, 0, 32, 0, 0, 0, 0, 0, 0, 0, 0, 0, 32, 32, 0, 0, 1, 0, 32, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    const kit = {
+      title: 'Acme Developer Portal',
+      organization: 'Acme',
+      palette: { primary: '#1F4E79', secondary: '#F2A900' },
+      typography: { fontFamily: 'Inter, sans-serif' },
+      logos: { full: 'logo-full.png', icon: 'logo-icon.svg' },
+      favicon: 'favicon.ico'
+    };
+
+    try {
+      await fs.outputFile(path.join(kitDir, 'logo-full.png'), png(200, 40));
+      await fs.outputFile(path.join(kitDir, 'logo-icon.svg'), '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64"><circle r="32"/></svg>');
+      await fs.outputFile(path.join(kitDir, 'favicon.ico'), ico);
+      await fs.outputFile(path.join(kitDir, 'too-tall.png'), png(40, 40));
+      await fs.outputJson(path.join(kitDir, 'brand.json'), kit);
+
+      // Colours, formats and image dimensions are validated
+      await assert.rejects(
+        () => BrandKit.fromObject({ ...kit, palette: { primary: 'blue' }, logos: { full: 'too-tall.png', icon: 'favicon.ico' } }, path.join(kitDir, 'bad.yaml')),
+        (error) => /palette\.primary: must match/.test(error.message)
+      );
+      await assert.rejects(
+        () => BrandKit.fromObject({ ...kit, logos: { full: 'too-tall.png', icon: 'favicon.ico' } }, path.join(kitDir, 'bad.yaml')),
+        (error) => /logos\.full: 40x40 must be between 2:1 and 8:1 wide/.test(error.message) && /logos\.icon: must be \.svg/.test(error.message)
+      );
+      const lowContrast = await BrandKit.fromObject({ palette: { primary: '#FFEE00' } });
+      assert.match(lowContrast.warnings.join('\n'), /palette\.primary #FFEE00 has a contrast ratio/);
+
+      const brandKit = await BrandKit.load(path.join(kitDir, 'brand.json'));
+      assert.deepStrictEqual(brandKit.warnings, []);
+      assert.deepStrictEqual([brandKit.images['logos.icon'].width, brandKit.images.favicon.width], [64, 32]);
+
+      await fs.outputFile(path.join(destinationPath, 'packages/app/src/components/theme/FlowsourceTheme.js'), 'export const FlowsourceTheme = {};\n');
+      await fs.outputFile(path.join(destinationPath, 'app-config.yaml'), 'app:\n  title: app\n  baseUrl: http://localhost:3000\norganization:\n  name: My Company\n');
+      const config = { sourcePath: testDir, destinationPath, brandKit };
+      const transformer = new FlowSourceTransformer();
+      await transformer.applyThemeCustomizations(config);
+      await transformer.updateLogoComponents(config);
+      await transformer.applyBrandConfiguration(config);
+
+      const theme = await fs.readFile(path.join(destinationPath, 'packages/app/src/components/theme/FlowsourceTheme.js'), 'utf8');
+      assert.ok(theme.includes("const primary = '#1F4E79';") && theme.includes("fontFamily: 'Inter, sans-serif',"));
+      assert.ok(theme.includes('export const FlowsourceTheme = createUnifiedTheme({'));
+      const rootDir = path.join(destinationPath, 'packages/app/src/components/Root');
+      assert.ok((await fs.readFile(path.join(rootDir, 'LogoFull.tsx'), 'utf8')).includes("import logo from './brand/logo-full.png';"));
+      assert.ok((await fs.readFile(path.join(rootDir, 'LogoIcon.tsx'), 'utf8')).includes('alt="Acme Developer Portal"'));
+      assert.ok(await fs.pathExists(path.join(rootDir, 'brand/logo-icon.svg')));
+      assert.deepStrictEqual(await fs.readFile(path.join(destinationPath, 'packages/app/public/favicon.ico')), ico);
+      const appConfig = await fs.readFile(path.join(destinationPath, 'app-config.yaml'), 'utf8');
+      assert.match(appConfig, /title: Acme Developer Portal/);
+      assert.match(appConfig, /baseUrl: http:\/\/localhost:3000/);
+      assert.match(appConfig, /name: Acme/);
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ BrandKit test passed');
+  });
+
+  test('ThemeGenerator - selected themes are generated, declared in order and validated', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-themes');
+    const themeDir = path.join(testDir, 'packages/app/src/components/theme');
+    const appPath = path.join(testDir, 'packages/app/src/App.tsx');
+    const themes = { flowsource: ['light', 'dark', 'high-contrast'], backstage: ['light'] };
+    const skeletonApp = [
+      "import { createApp } from '@backstage/app-defaults';",
+      '',
+      'const app = createApp({',
+      '  apis,',
+      '});',
+      ''
+    ].join('\n');
+
+    try {
+      assert.throws(() => resolveThemeSelection({ flowsource: ['sepia'] }), /unknown FlowSource theme "sepia"/);
+      assert.throws(() => resolveThemeSelection({ flowsource: [] }), /select at least one FlowSource theme/);
+
+      await fs.outputFile(path.join(themeDir, 'FlowsourceTheme.js'), 'export const FlowsourceTheme = {};\n');
+      const config = { sourcePath: testDir, destinationPath: testDir, themes };
+      const transformer = new FlowSourceTransformer();
+      await transformer.applyThemeCustomizations(config);
+      assert.strictEqual(await fs.readFile(path.join(themeDir, 'FlowsourceTheme.js'), 'utf8'), 'export const FlowsourceTheme = {};\n');
+      const dark = await fs.readFile(path.join(themeDir, 'FlowsourceDarkTheme.ts'), 'utf8');
+      assert.ok(dark.includes('export const FlowsourceDarkTheme = createUnifiedTheme({') && dark.includes('...palettes.dark,'));
+      assert.ok((await fs.readFile(path.join(themeDir, 'FlowsourceHighContrastTheme.ts'), 'utf8')).includes("const primary = '#FFFF00';"));
+
+      const app = transformer.transformAppContent(skeletonApp, config);
+      assert.strictEqual(transformer.transformAppContent(app, config), app);
+      const declared = new CodeModifier().arrayElements(app, 'createApp', 'themes');
+      assert.deepStrictEqual(declared.map(entry => entry.values.id), ['flowsource-theme', 'flowsource-theme-dark', 'flowsource-theme-high-contrast', 'light']);
+      assert.ok(declared[3].text.includes('<UnifiedThemeProvider theme={themes.light} children={children} />'));
+      assert.match(app, /import \{ FlowsourceDarkTheme \} from '\.\/components\/theme\/FlowsourceDarkTheme';/);
+      assert.match(app, /import \{ UnifiedThemeProvider, themes \} from '@backstage\/theme';/);
+
+      await fs.outputFile(appPath, app);
+      const validator = new ValidationEngine();
+      await validator.runRules(config, { ids: ['theme.integration'] });
+      assert.deepStrictEqual(validator.validationResults.failed, []);
+      assert.deepStrictEqual(validator.validationResults.warnings, []);
+      assert.ok(validator.validationResults.passed.includes('Theme "flowsource-theme-high-contrast" is configured in App.tsx'));
+
+      // A theme whose module is missing, a wrong variant and an undeclared selected theme are reported
+      await fs.remove(path.join(themeDir, 'FlowsourceHighContrastTheme.ts'));
+      await fs.outputFile(appPath, app.replace("title: 'Light Theme',\n      variant: 'light'", "title: 'Light Theme',\n      variant: 'sepia'"));
+      const broken = new ValidationEngine();
+      await broken.runRules({ ...config, themes: { flowsource: ['light', 'dark', 'high-contrast'], backstage: ['light', 'dark'] } }, { ids: ['theme.integration'] });
+      assert.ok(broken.validationResults.failed.includes('Theme "flowsource-theme-high-contrast" uses FlowsourceHighContrastTheme, but components/theme/FlowsourceHighContrastTheme is missing'));
+      assert.ok(broken.validationResults.failed.includes('Theme "light" has variant "sepia" (expected light or dark)'));
+      assert.deepStrictEqual(broken.validationResults.warnings, ['App.tsx does not configure selected theme "dark"']);
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ ThemeGenerator test passed');
+  });
+
+  test('NavigationSpec - sidebar items, groups and hidden items from the spec and plugins', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-navigation');
+    const rootPath = path.join(testDir, 'app/packages/app/src/components/Root/Root.tsx');
+    const skeletonRoot = [
+      "import React, { PropsWithChildren } from 'react';",
+      "import HomeIcon from '@material-ui/icons/Home';",
+      "import LibraryBooks from '@material-ui/icons/LibraryBooks';",
+      "import CreateComponentIcon from '@material-ui/icons/AddCircleOutline';",
+      "import MapIcon from '@material-ui/icons/MyLocation';",
+      "import MenuIcon from '@material-ui/icons/Menu';",
+      "import { Sidebar, SidebarGroup, SidebarItem, SidebarPage, SidebarScrollWrapper } from '@backstage/core-components';",
+      '',
+      'export const Root = ({ children }: PropsWithChildren<{}>) => (',
+      '  <SidebarPage>',
+      '    <Sidebar>',
+      '      <SidebarGroup label="Menu" icon={<MenuIcon />}>',
+      '        <SidebarItem icon={HomeIcon} to="catalog" text="Home" />',
+      '        <SidebarItem icon={LibraryBooks} to="docs" text="Docs" />',
+      '        <SidebarItem icon={CreateComponentIcon} to="create" text="Create..." />',
+      '        <SidebarScrollWrapper>',
+      '          <SidebarItem icon={MapIcon} to="tech-radar" text="Tech Radar" />',
+      '        </SidebarScrollWrapper>',
+      '      </SidebarGroup>',
+      '    </Sidebar>',
+      '    {children}',
+      '  </SidebarPage>',
+      ');',
+      ''
+    ].join('\n');
+
+    try {
+      assert.throws(
+        () => NavigationSpec.fromObject({ items: [{ text: 'Docs', to: 'docs', icon: 'not an icon' }], hide: ['docs'] }),
+        (error) => /items\[0\]\.icon: must match/.test(error.message)
+      );
+      assert.throws(
+        () => NavigationSpec.fromObject({ items: [{ text: 'Docs', to: 'docs', icon: 'HomeIcon' }, { text: 'Docs 2', to: '/docs', icon: 'HomeIcon' }], hide: ['Docs'] }),
+        (error) => /items\[1\]: duplicates the target \/docs/.test(error.message) && /hide\[0\]: Docs is also listed in items/.test(error.message)
+      );
+
+      const spec = NavigationSpec.fromObject({
+        groups: [{ label: 'Tools', icon: '@material-ui/icons/Build' }],
+        items: [
+          { text: 'APIs', to: 'api-docs', icon: '@material-ui/icons/Extension', after: 'catalog' },
+          { text: 'Runbooks', to: '/runbooks', icon: '@material-ui/icons/MenuBook', group: 'Tools' },
+          { text: 'Costs', to: 'costs', icon: 'CostIcon' }
+        ],
+        hide: ['create', 'Tech Radar']
+      });
+      const { content, skipped } = spec.apply(skeletonRoot);
+      assert.deepStrictEqual(skipped, ['item "Costs": icon CostIcon is not imported by Root.tsx (use a module path such as @material-ui/icons/Cost)']);
+      assert.strictEqual(spec.apply(content).content, content);
+      const menu = content.slice(content.indexOf('label="Menu"'), content.indexOf('label="Tools"'));
+      assert.ok(menu.indexOf('to="catalog"') < menu.indexOf('to="api-docs"') && menu.indexOf('to="api-docs"') < menu.indexOf('to="docs"'));
+      assert.ok(!content.includes('to="create"') && !content.includes('Tech Radar'));
+      assert.ok(!content.includes('CreateComponentIcon') && !content.includes('MapIcon'));
+      assert.match(content, /import ExtensionIcon from '@material-ui\/icons\/Extension';/);
+      assert.match(content, /<SidebarGroup label="Tools" icon=\{<BuildIcon \/>\}>\n\s+<SidebarItem icon=\{MenuBookIcon\} to="\/runbooks" text="Runbooks" \/>\n\s+<\/SidebarGroup>/);
+
+      // Plugins contribute entries through navigation.yaml in their frontend directory
+      await fs.outputFile(rootPath, content);
+      await fs.outputFile(path.join(testDir, 'package/plugins/flowsource-jira/navigation.yaml'), [
+        'items:',
+        "  - { text: Jira, to: /jira, icon: '@material-ui/icons/BugReport', group: Tools }",
+        ''
+      ].join('\n'));
+      const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+      const pluginManager = new PluginManager({ logger, workspacePath: path.join(testDir, 'package'), targetAppPath: path.join(testDir, 'app') });
+      const jira = { name: 'jira', displayName: 'Jira', frontendPath: '../../plugins/flowsource-jira/README.md' };
+      const pluginSpec = await pluginManager.loadPluginNavigation(jira);
+      assert.strictEqual(await pluginManager.loadPluginNavigation({ ...jira, frontendPath: '../../plugins/flowsource-other/README.md' }), null);
+      assert.deepStrictEqual(await new PluginReadmeParser(path.join(testDir, 'app'), logger).modifySidebar(pluginSpec), []);
+      const withPlugin = await fs.readFile(rootPath, 'utf8');
+      assert.match(withPlugin, /to="\/runbooks" text="Runbooks" \/>\n\s+<SidebarItem icon=\{BugReportIcon\} to="\/jira" text="Jira" \/>/);
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ NavigationSpec test passed');
+  });
+
+  test('EntityPageLayout - tabs per entity kind reconciled into EntityPage.tsx', () => {
+    const skeletonEntityPage = [
+      "import React from 'react';",
+      "import { Grid } from '@material-ui/core';",
+      "import { EntityAboutCard, EntityLayout, EntitySwitch, isComponentType, isKind } from '@backstage/plugin-catalog';",
+      "import { EntityGithubActionsContent, isGithubActionsAvailable } from '@backstage/plugin-github-actions';",
+      '',
+      'const overviewContent = <EntityAboutCard variant="gridItem" />;',
+      '',
+      'const serviceEntityPage = (',
+      '  <EntityLayout>',
+      '    <EntityLayout.Route path="/" title="Overview">',
+      '      {overviewContent}',
+      '    </EntityLayout.Route>',
+      '    <EntityLayout.Route path="/docs" title="Docs">',
+      '      <EntityTechdocsContent />',
+      '    </EntityLayout.Route>',
+      '  </EntityLayout>',
+      ');',
+      '',
+      'const defaultEntityPage = (',
+      '  <EntityLayout>',
+      '    <EntityLayout.Route path="/" title="Overview">',
+      '      {overviewContent}',
+      '    </EntityLayout.Route>',
+      '  </EntityLayout>',
+      ');',
+      '',
+      'const componentPage = (',
+      '  <EntitySwitch>',
+      '    <EntitySwitch.Case if={isComponentType(\'service\')}>',
+      '      {serviceEntityPage}',
+      '    </EntitySwitch.Case>',
+      '    <EntitySwitch.Case>{defaultEntityPage}</EntitySwitch.Case>',
+      '  </EntitySwitch>',
+      ');',
+      '',
+      'const entityPage = (',
+      '  <EntitySwitch>',
+      '    <EntitySwitch.Case if={isKind(\'component\')} children={componentPage} />',
+      '    <EntitySwitch.Case>{defaultEntityPage}</EntitySwitch.Case>',
+      '  </EntitySwitch>',
+      ');',
+      ''
+    ].join('\n');
+
+    assert.throws(
+      () => EntityPageLayout.fromObject({ pages: [{ kind: 'api', type: 'openapi', tabs: [{ path: '/a', title: 'A', content: '<A />' }, { path: '/a', title: 'B', content: '<B />' }] }] }),
+      (error) => /only component pages have a type/.test(error.message) && /tabs\[1\]: duplicates the path \/a/.test(error.message)
+    );
+
+    const layout = EntityPageLayout.fromObject({
+      pages: [
+        {
+          kind: 'component',
+          type: 'service',
+          tabs: [
+            { path: '/ci-cd', title: 'CI/CD', if: 'isGithubActionsAvailable', after: '/', content: '<EntityGithubActionsContent />' },
+            { path: '/code-repository', title: 'Code Repository', if: 'isGithubAvailable', content: '{repoPage}' }
+          ]
+        },
+        {
+          kind: 'resource',
+          tabs: [{
+            path: '/dependencies',
+            title: 'Dependencies',
+            imports: "import { EntityDependsOnComponentsCard } from '@backstage/plugin-catalog';",
+            content: '<EntityDependsOnComponentsCard variant="gridItem" />'
+          }]
+        }
+      ]
+    });
+    const { content, skipped } = layout.apply(skeletonEntityPage);
+    assert.deepStrictEqual(skipped, ['component:service tab /code-repository: condition isGithubAvailable is not imported or declared in EntityPage.tsx']);
+    assert.strictEqual(layout.apply(content).content, content);
+    assert.deepStrictEqual(layout.missingTabs(content), ['component:service /code-repository']);
+
+    // New tabs follow the one named in `after`, new pages get a switch case ahead of the catch-all
+    const service = content.slice(content.indexOf('const serviceEntityPage'), content.indexOf('const defaultEntityPage'));
+    assert.ok(service.indexOf('path="/"') < service.indexOf('path="/ci-cd" title="CI/CD" if={isGithubActionsAvailable}') && service.indexOf('path="/ci-cd"') < service.indexOf('path="/docs"'));
+    assert.match(content, /const resourcePage = \(\n  <EntityLayout>[\s\S]*path="\/dependencies"[\s\S]*\);\n\nconst entityPage/);
+    assert.match(content, /<EntitySwitch>\n    <EntitySwitch\.Case if=\{isKind\('resource'\)\} children=\{resourcePage\} \/>\n    <EntitySwitch\.Case if=\{isKind\('component'\)\}/);
+    assert.match(content, /import \{ [^}]*EntityDependsOnComponentsCard[^}]*\} from '@backstage\/plugin-catalog';/);
+
+    // Plugin README routes go through the same layout, after the Overview tab
+    const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+    const parser = new PluginReadmeParser(process.cwd(), logger);
+    const repoRoute = '{/* GitHub Plugin */}\n<EntityLayout.Route path="/code-repository" title="Code Repository" if={isGithubAvailable}>\n  {repoPage}\n</EntityLayout.Route>';
+    const withConstants = content.replace("import React from 'react';", "import React from 'react';\nimport { isGithubAvailable } from '@flowsource/plugin-flowsource-github';");
+    const withRoute = parser._addRouteToEntityLayout(withConstants, repoRoute, 'serviceEntityPage');
+    const routes = withRoute.slice(withRoute.indexOf('const serviceEntityPage'), withRoute.indexOf('const defaultEntityPage'));
+    assert.ok(routes.indexOf('path="/"') < routes.indexOf('path="/code-repository"') && routes.indexOf('path="/code-repository"') < routes.indexOf('path="/ci-cd"'));
+    assert.strictEqual(parser._addRouteToEntityLayout(withRoute, repoRoute, 'serviceEntityPage'), withRoute);
+    assert.deepStrictEqual(layout.missingTabs(withRoute), []);
+    console.log('✅ EntityPageLayout test passed');
+  });
+
+  test('ComplianceReport - UI-Changes.md rules with results and remediation as Markdown and JSON', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-compliance');
+    const appDir = path.join(testDir, 'packages/app');
+    const appTsx = [
+      "import { FlowsourceTheme } from './components/theme/FlowsourceTheme';",
+      "import { UnifiedThemeProvider } from '@backstage/theme';",
+      "import { FlowsourceHome } from './components/catalog/customcatalog/FlowsourceHome';",
+      "import { Mermaid } from 'backstage-plugin-techdocs-addon-mermaid';",
+      '',
+      'const app = createApp({',
+      '  themes: [',
+      '    {',
+      "      id: 'flowsource-theme',",
+      "      title: 'Flowsource Theme',",
+      "      variant: 'light',",
+      '      Provider: ({ children }) => (',
+      '        <UnifiedThemeProvider theme={FlowsourceTheme} children={children} />',
+      '      ),',
+      '    },',
+      '  ],',
+      '});',
+      '',
+      'const routes = (',
+      '  <FlatRoutes>',
+      '    <Route path="/catalog" element={<CatalogIndexPage />}>',
+      '      <FlowsourceHome />',
+      '    </Route>',
+      '  </FlatRoutes>',
+      ');',
+      ''
+    ].join('\n');
+    const rootTsx = [
+      "const useSidebarStyles = makeStyles({ sb1: { backgroundColor: '#000048 !important' } });",
+      '',
+      'export const Root = ({ children }) => (',
+      '  <Sidebar>',
+      '    <SidebarGroup label="Menu">',
+      '      <SidebarItem icon={InfraProvisionPng} to="flowsource-infra-provision" text="Provisioning" />',
+      '      <SidebarItem icon={CloudDownloadIcon} to="flowsource-core" text="Downloads" />',
+      '      <SidebarItem icon={DashboardRoundedIcon} to="flowsource-dashboard" text="Dashboard" />',
+      '    </SidebarGroup>',
+      '  </Sidebar>',
+      ');',
+      ''
+    ].join('\n');
+
+    try {
+      for (const name of ['catalog-banner.png', 'cognizant-logo-flowsource.svg', 'favicon-16x16.png', 'favicon-32x32.png', 'favicon.ico']) {
+        await fs.outputFile(path.join(appDir, 'public', name), '');
+      }
+      await fs.outputFile(path.join(appDir, 'src/components/theme/FlowsourceTheme.js'), 'export const FlowsourceTheme = {};');
+      await fs.outputFile(path.join(appDir, 'src/components/Root/Root.tsx'), rootTsx);
+      await fs.outputFile(path.join(appDir, 'src/components/Root/LogoFull.tsx'), '');
+      await fs.outputFile(path.join(appDir, 'src/components/Root/LogoIcon.tsx'), '');
+      await fs.outputFile(path.join(appDir, 'src/assets/icons/CodeCompanionIcon.tsx'), '');
+      await fs.outputFile(path.join(appDir, 'src/components/catalog/customcatalog/FlowsourceHome.tsx'), '');
+      await fs.outputFile(path.join(appDir, 'src/App.tsx'), appTsx);
+
+      const transformer = new FlowSourceTransformer();
+      const config = { destinationPath: testDir, themes: { flowsource: ['light', 'dark'], backstage: [] } };
+      const report = await transformer.validateUIChangesCompliance(config);
+      assert.strictEqual(report.rules.length, 10);
+      assert.strictEqual(report.compliant, false);
+      assert.deepStrictEqual(report.summary, { pass: 5, warn: 1, fail: 4 });
+      const byId = Object.fromEntries(report.rules.map(rule => [rule.id, rule]));
+      assert.deepStrictEqual(byId['UI-002'].problems, ['No FlowsourceDarkTheme module for the Flowsource Dark Theme']);
+      assert.deepStrictEqual(byId['UI-004'], { ...byId['UI-004'], status: 'warn', problems: ['No sidebar item for flowsource-github-copilot'] });
+      assert.deepStrictEqual(byId['UI-007'].problems, ['packages/app/src/components/catalog/customcatalog/FlowsourceHomeThemeCss.tsx not found']);
+      assert.deepStrictEqual(byId['UI-008'].problems, ["Missing import FlowsourceDarkTheme from './components/theme/FlowsourceDarkTheme'"]);
+      assert.deepStrictEqual(byId['UI-009'].problems, ['Theme flowsource-theme-dark is not declared with FlowsourceDarkTheme']);
+      assert.strictEqual(byId['UI-010'].status, 'pass');
+
+      // Items the navigation spec hides are not required
+      const hidden = await transformer.validateUIChangesCompliance({ ...config, themes: undefined, navigation: NavigationSpec.fromObject({ hide: ['flowsource-github-copilot'] }) });
+      assert.deepStrictEqual(hidden.summary, { pass: 9, warn: 0, fail: 1 });
+
+      const paths = await saveComplianceReport(report, testDir);
+      assert.strictEqual(paths.markdown, path.join(testDir, COMPLIANCE_REPORT_FILES.markdown));
+      assert.deepStrictEqual(await fs.readJson(paths.json), report);
+      const markdown = await fs.readFile(paths.markdown, 'utf8');
+      assert.ok(markdown.includes('**Not compliant**: 5 passed, 1 warnings, 4 failed.'));
+      assert.ok(markdown.includes('| UI-001 | Public | FlowSource banner, logo and favicons are in the app\'s public directory | `packages/app/public` | ✅ pass |'));
+      assert.match(markdown, /### UI-004: .* \(⚠️ warn\)\n\n- No sidebar item for flowsource-github-copilot\n\n\*\*Fix:\*\* Integrate the FlowSource plugins/);
+      assert.ok(!markdown.includes('### UI-010'));
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ ComplianceReport test passed');
+  });
+
+  test('ValidationEngine - registered rules with severities and fixes, including plugin rules', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-validation-rules');
+    const config = { destinationPath: testDir };
+    const backendIndex = path.join(testDir, 'packages/backend/src/index.ts');
+
+    try {
+      await fs.outputFile(path.join(testDir, 'packages/backend/Dockerfile'), 'FROM node:20\n');
+      await fs.outputFile(backendIndex, "const backend = createBackend();\nbackend.add(import('@backstage/plugin-app-backend'));\nbackend.start();\n");
+      await fs.outputJson(path.join(testDir, 'packages/app/package.json'), { dependencies: { '@flowsource/plugin-flowsource-github': '1.0.0' } });
+      await fs.outputJson(path.join(testDir, 'packages/backend/package.json'), { dependencies: {} });
+
+      const validator = new ValidationEngine();
+      assert.throws(() => validator.registerRule({ id: 'structure.required-files', phase: 1, severity: 'error', check: () => [] }), /already registered/);
+      assert.throws(() => validator.registerRule({ id: 'custom.bad', phase: 1, severity: 'fatal', check: () => [] }), /severity fatal/);
+      validator.registerRules(PluginManager.validationRules(['GitHub', 'unknown']));
+      validator.registerRule({
+        id: 'custom.readme',
+        phase: 2,
+        severity: 'info',
+        description: 'The app has a README',
+        check: async (context) => (await context.exists('README.md') ? [] : ['README.md missing'])
+      });
+
+      // A fix is followed by a second check; rules without a fix keep their findings
+      const phase1 = await validator.runRules(config, { ids: ['structure.excluded-files'], fix: true });
+      assert.deepStrictEqual(phase1.map(result => [result.status, result.fixed]), [['pass', true]]);
+      assert.strictEqual(await fs.pathExists(path.join(testDir, 'packages/backend/Dockerfile')), false);
+      assert.ok(validator.validationResults.passed.includes('File correctly removed: packages/backend/Dockerfile'));
+
+      const phase3 = new Map((await validator.runRules(config, { phase: 3, fix: true })).map(result => [result.id, result]));
+      assert.strictEqual(phase3.get('custom.readme').status, 'info');
+      assert.ok(validator.validationResults.info.includes('README.md missing'));
+      assert.strictEqual(phase3.get('plugin.github.backend-module').fixed, true);
+      assert.match(await fs.readFile(backendIndex, 'utf8'), /backend\.add\(import\('@flowsource\/plugin-flowsource-github-backend'\)\);/);
+      assert.deepStrictEqual(phase3.get('plugin.github.dependencies').findings,
+        ['packages/backend/package.json missing dependency: @flowsource/plugin-flowsource-github-backend']);
+      assert.strictEqual(phase3.get('plugin.github.dependencies').fixed, false);
+      assert.ok(validator.validationResults.failed.includes('Missing file: app-config.yaml'));
+      await assert.rejects(validator.runRules(config, { ids: ['custom.missing'] }), /Unknown validation rules: custom\.missing/);
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ Validation rules test passed');
+  });
+
+  test('AuthSetupRules - index.ts, auth.ts, SignInPage and auth.providers agree', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-auth-rules');
+    const config = { destinationPath: testDir };
+    const write = (file, lines) => fs.outputFile(path.join(testDir, file), [].concat(lines).join('\n'));
+
+    try {
+      await write('packages/backend/src/index.ts', [
+        "import { createBackend } from '@backstage/backend-defaults';",
+        "import { customAuthProvidersModule } from './plugins/auth';",
+        'const backend = createBackend();',
+        'backend.add(customAuthProvidersModule);',
+        "backend.add(import('@backstage/plugin-permission-backend-module-allow-all-policy'));",
+        'backend.add(customAuthProvidersModule);',
+        'backend.start();'
+      ]);
+      await write('packages/backend/src/plugins/auth.ts', [
+        "import { createBackendModule } from '@backstage/backend-plugin-api';",
+        "import { getUserRoles } from './helper/auth-helper';",
+        "import { initDatabase } from './database/initDatabase.service';",
+        'export const customAuthProvidersModule = createBackendModule({',
+        "  pluginId: 'auth',",
+        "  moduleId: 'custom-auth-providers-module',",
+        '  register(reg) {',
+        '    reg.registerInit({ deps: {}, async init({ providers }) {',
+        "      providers.registerProvider({ providerId: 'github', factory: null });",
+        "      providers.registerProvider({ providerId: 'gitlab', factory: null });",
+        '    } });',
+        '  },',
+        '});'
+      ]);
+      await write('packages/backend/src/plugins/helper/auth-helper.ts', 'export const getUserRoles = () => [];');
+      await write('packages/app/src/App.tsx', [
+        "import { githubAuthApiRef, microsoftAuthApiRef } from '@backstage/core-plugin-api';",
+        "const githubAuthProvider = { id: 'github-auth-provider', title: 'GitHub', apiRef: githubAuthApiRef };",
+        "const authProviders: AuthProvider[] = ['guest', githubAuthProvider, { id: 'azure', title: 'Azure', apiRef: microsoftAuthApiRef }];",
+        'const app = createApp({ components: { SignInPage: props => <SignInPage {...props} providers={authProviders} /> } });'
+      ]);
+      await write('app-config.yaml', ['auth:', '  providers:', '    guest: {}', '    github:', '      development: {}', '']);
+
+      const validator = new ValidationEngine();
+      validator.registerRules(AUTH_SETUP_RULES);
+      const results = new Map((await validator.runRules(config, { phase: 2, ids: AUTH_SETUP_RULES.map(rule => rule.id), fix: true }))
+        .map(result => [result.id, result]));
+
+      assert.deepStrictEqual(results.get('auth.backend-module').findings, ['index.ts registers customAuthProvidersModule 2 times']);
+      assert.strictEqual(results.get('auth.allow-all-policy').fixed, true);
+      assert.ok(!(await fs.readFile(path.join(testDir, 'packages/backend/src/index.ts'), 'utf8')).includes('allow-all-policy'));
+      assert.deepStrictEqual(results.get('auth.module-providers').findings,
+        ['auth.ts registers provider "gitlab", which app-config.yaml auth.providers does not configure']);
+      assert.deepStrictEqual(results.get('auth.sign-in-providers').findings,
+        ['App.tsx SignInPage offers "microsoft", which app-config.yaml auth.providers does not configure']);
+      assert.strictEqual(results.get('auth.sign-in-providers').status, 'warning');
+      assert.deepStrictEqual(results.get('auth.module-imports').findings,
+        ['auth.ts imports ./database/initDatabase.service, but packages/backend/src/plugins/database/initDatabase.service does not exist']);
+      assert.ok(validator.validationResults.passed.includes('auth.ts import exists: ./helper/auth-helper'));
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ AuthSetupRules test passed');
+  });
+
+  test('AuthConfigure - allow-all policy and SignInPage edits through the syntax tree', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-auth-configure');
+    const appPath = path.join(testDir, 'packages/app/src/App.tsx');
+    const indexPath = path.join(testDir, 'packages/backend/src/index.ts');
+
+    try {
+      await fs.outputFile(appPath, [
+        "import { createApp } from '@backstage/app-defaults';",
+        "import { SignInPage } from '@backstage/core-components';",
+        '',
+        'const app = createApp({',
+        '  apis,',
+        '  components: {',
+        "    SignInPage: props => <SignInPage {...props} auto providers={['guest']} />,",
+        '  },',
+        '});',
+        ''
+      ].join('\n'));
+      await fs.outputFile(indexPath, [
+        'const backend = createBackend();',
+        "backend.add(import('@backstage/plugin-permission-backend'));",
+        "backend.add(import('@backstage/plugin-permission-backend-module-allow-all-policy'));",
+        "backend.add(import('@backstage/plugin-search-backend')); // DELETE: not used",
+        'backend.start();',
+        ''
+      ].join('\n'));
+
+      const authConfigure = new AuthConfigure({ destinationPath: testDir }, Logger.getInstance(), null, null);
+      await authConfigure.handleImportRemoval({ instruction: 'Remove the allow-all-policy import from `packages/backend/src/index.ts`' });
+      const codeModifier = new CodeModifier();
+      assert.strictEqual(codeModifier.removeCallExpression(await fs.readFile(indexPath, 'utf8'), { callee: 'backend.add', comment: /DELETE/ }), [
+        'const backend = createBackend();',
+        "backend.add(import('@backstage/plugin-permission-backend'));",
+        'backend.start();',
+        ''
+      ].join('\n'));
+
+      await authConfigure.ensureAppTsxAuthConfiguration();
+      const app = await fs.readFile(appPath, 'utf8');
+      assert.strictEqual(codeModifier.findJsxAttribute(app, 'SignInPage', 'providers'), '{authProviders}');
+      assert.ok(codeModifier.hasDeclaration(app, 'authProviders'));
+      assert.match(app, /components: \{\n {4}SignInPage: props => \{\n {6}const discoveryApi = useApi\(discoveryApiRef\);/);
+      assert.doesNotMatch(app, /providers=\{\['guest'\]\}/);
+
+      await authConfigure.ensureAppTsxAuthConfiguration();
+      assert.strictEqual(await fs.readFile(appPath, 'utf8'), app);
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ AuthConfigure syntax tree test passed');
+  });
+
+  test('ValidationReport - rule results as JUnit XML and SARIF with locations', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-validation-report');
+    const destinationPath = path.join(testDir, 'apps/my-app');
+    const indexPath = path.join(destinationPath, 'packages/backend/src/index.ts');
+
+    try {
+      await fs.outputFile(indexPath, [
+        "import { customAuthProvidersModule } from './plugins/auth';",
+        'const backend = createBackend();',
+        "backend.add(import('@backstage/plugin-permission-backend-module-allow-all-policy'));",
+        'backend.add(customAuthProvidersModule);',
+        'backend.start();',
+        ''
+      ].join('\n'));
+      const validator = new ValidationEngine();
+      validator.registerRules(AUTH_SETUP_RULES);
+      const results = await validator.runRules({ destinationPath }, { ids: ['auth.backend-module', 'auth.allow-all-policy', 'auth.module-providers'] });
+      const compliance = complianceRuleResults(buildComplianceReport([
+        { id: 'UI-001', section: 'Assets', description: 'Public assets copied', file: 'packages/app/public', severity: 'fail', status: 'fail', problems: ['favicon.ico not found'], remediation: 'Copy the public assets' }
+      ], { document: 'DOCS/UI-Changes.md', destinationPath }));
+
+      const junit = path.join(testDir, 'reports/validation.xml');
+      const sarif = path.join(testDir, 'reports/validation.sarif');
+      const written = await saveValidationReports([...results, ...compliance], { junit, sarif, destinationPath, sarifBase: testDir });
+      assert.deepStrictEqual(written, [junit, sarif]);
+
+      const xml = await fs.readFile(junit, 'utf8');
+      assert.match(xml, /<testsuites name="FlowSource validation" tests="4" failures="3" errors="0">/);
+      assert.match(xml, /<testsuite name="FlowSource validation - Phase 2" tests="3" failures="2"/);
+      assert.match(xml, /<testcase name="auth.backend-module" classname="flowsource.phase2.auth" \/>/);
+      assert.match(xml, /\[error\] packages\/backend\/src\/index.ts:3: index.ts still imports @backstage\/plugin-permission-backend-module-allow-all-policy<\/failure>/);
+
+      const log = await fs.readJson(sarif);
+      assert.strictEqual(log.version, '2.1.0');
+      const run = log.runs[0];
+      assert.strictEqual(run.tool.driver.name, 'flowsource-migration-utility');
+      assert.deepStrictEqual(run.tool.driver.rules.map(rule => rule.id), ['auth.backend-module', 'auth.allow-all-policy', 'auth.module-providers', 'UI-001']);
+      const allowAll = run.results.find(result => result.ruleId === 'auth.allow-all-policy');
+      assert.deepStrictEqual(allowAll.locations[0].physicalLocation, {
+        artifactLocation: { uri: 'apps/my-app/packages/backend/src/index.ts' },
+        region: { startLine: 3 }
+      });
+      const ui = run.results.find(result => result.ruleId === 'UI-001');
+      assert.strictEqual(ui.level, 'error');
+      assert.strictEqual(ui.locations[0].physicalLocation.artifactLocation.uri, 'apps/my-app/packages/app/public');
+      assert.strictEqual(run.tool.driver.rules[3].help.text, 'Copy the public assets');
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ ValidationReport test passed');
+  });
+
+  test('YamlConfigMerger - merges keep comments, order and quoting of app-config.yaml', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-yaml-merge');
+    const appConfigPath = path.join(testDir, 'app-config.yaml');
+    const original = [
+      'app:',
+      '  title: Scaffolded Backstage App # shown in the header',
+      "  baseUrl: 'http://localhost:3000'",
+      '',
+      'integrations:',
+      '  github:',
+      '    - host: github.com',
+      '      # Personal Access Token',
+      '      token: ${GITHUB_TOKEN}',
+      '',
+      'catalog:',
+      '  rules:',
+      '    - allow: [Component, System, API]',
+      '  locations:',
+      '    # Local example data',
+      '    - type: file',
+      '      target: ../../examples/entities.yaml',
+      ''
+    ].join('\n');
+
+    try {
+      await fs.outputFile(appConfigPath, original);
+      const merger = new YamlConfigMerger(Logger.getInstance());
+      const config = {
+        integrations: { github: [{ host: 'github.com', token: '${GH_TOKEN}' }] },
+        catalog: { locations: [{ type: 'url', target: 'https://example.com/catalog-info.yaml' }] },
+        kubernetes: { serviceLocatorMethod: { type: 'multiTenant' } }
+      };
+      assert.strictEqual(await merger.mergeIntoYamlFile(appConfigPath, config, 'Kubernetes plugin'), true);
+
+      const merged = await fs.readFile(appConfigPath, 'utf8');
+      assert.strictEqual(merged, original
+        .replace('token: ${GITHUB_TOKEN}', 'token: ${GH_TOKEN}')
+        .replace('entities.yaml\n', 'entities.yaml\n    - type: url\n      target: https://example.com/catalog-info.yaml\n')
+        + '\n# Kubernetes plugin\nkubernetes:\n  serviceLocatorMethod:\n    type: multiTenant\n');
+
+      // Merging again changes nothing
+      assert.strictEqual(await merger.mergeIntoYamlFile(appConfigPath, config, 'Kubernetes plugin'), true);
+      assert.strictEqual(await fs.readFile(appConfigPath, 'utf8'), merged);
+
+      // ConfigManager replaces the FlowSource sections it owns and leaves the rest as written
+      const sourcePath = path.join(testDir, 'flowsource-app-config.yaml');
+      await fs.outputFile(sourcePath, 'app:\n  title: FlowSource\ncatalog:\n  rules:\n    - allow: [Component]\n');
+      await new ConfigManager().mergeYamlConfig(sourcePath, appConfigPath);
+      const managed = await fs.readFile(appConfigPath, 'utf8');
+      assert.ok(managed.startsWith("app:\n  title: FlowSource # shown in the header\n  baseUrl: 'http://localhost:3000'\n\nintegrations:\n  github:\n    - host: github.com\n      # Personal Access Token\n"));
+      assert.match(managed, /\ncatalog:\n  rules:\n    - allow: \[Component\]\n/);
+      assert.doesNotMatch(managed, /locations:/);
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ YamlConfigMerger test passed');
+  });
+
+  test('YamlConfigMerger - dual config files are edited in place', async () => {
+    const testDir = path.join(process.cwd(), 'test-temp-yaml-dual');
+    const appConfigPath = path.join(testDir, 'app-config.yaml');
+    const localConfigPath = path.join(testDir, 'app-config.local.yaml');
+
+    try {
+      const merger = new YamlConfigMerger(Logger.getInstance());
+      const original = updateYamlContent('', () => merger.createCleanBaseConfig()).content
+        .replace('app:\n', 'app:\n  # Shown in the header\n')
+        .replace('baseUrl: http://localhost:3000', "baseUrl: 'http://localhost:3000'");
+      await fs.outputFile(appConfigPath, original);
+
+      merger.enableDualMode();
+      merger.addTemplateBlock({ auth: { providers: { github: { development: { clientId: '${AUTH_GITHUB_CLIENT_ID}' } } } } });
+      merger.addValueBlock({ auth: { providers: { github: { development: { clientId: 'client-id' } } } } });
+      assert.strictEqual((await merger.buildDualConfigFiles(testDir)).success, true);
+
+      // Only the added provider shows up in a diff of app-config.yaml
+      const template = await fs.readFile(appConfigPath, 'utf8');
+      assert.strictEqual(template, original.replace('    guest: {}\n', '    guest: {}\n    github:\n      development:\n        clientId: ${AUTH_GITHUB_CLIENT_ID}\n'));
+      const local = await fs.readFile(localConfigPath, 'utf8');
+      assert.ok(local.startsWith('# Local development configuration'));
+      assert.match(local, /clientId: client-id/);
+
+      await merger.buildDualConfigFiles(testDir);
+      assert.strictEqual(await fs.readFile(appConfigPath, 'utf8'), template);
+    } finally {
+      await fs.remove(testDir);
+    }
+    console.log('✅ YamlConfigMerger dual config test passed');
+  });
+
+  test('YamlConfigMerger - per-path merge strategies from the table, plugins and templates', async () => {
+    const merger = new YamlConfigMerger(Logger.getInstance());
+    const existing = {
+      integrations: { github: [{ host: 'github.com', token: '${GITHUB_TOKEN}' }] },
+      catalog: {
+        rules: [{ allow: ['Component'] }],
+        locations: [{ type: 'file', target: '../../examples/entities.yaml' }]
+      },
+      proxy: { endpoints: { '/jira': { target: 'https://jira.example.com' } } },
+      auth: { providers: { github: { development: { clientId: 'old', clientSecret: 'old' } } } }
+    };
+
+    const merged = merger.deepMerge(existing, {
+      integrations: { github: [{ host: 'github.com', token: '${GH_TOKEN}' }, { host: 'ghe.example.net', token: '${GHE_TOKEN}' }] },
+      catalog: {
+        rules: [{ allow: ['Component'] }, { allow: ['Template'] }],
+        locations: [
+          { type: 'file', target: '../../examples/entities.yaml', rules: [{ allow: ['Component'] }] },
+          { type: 'url', target: 'https://example.com/catalog-info.yaml' }
+        ]
+      },
+      proxy: { endpoints: { '/sonar': { target: 'https://sonar.example.com' } } },
+      auth: { providers: { github: { development: { clientId: 'new' } } } }
+    });
+    assert.deepStrictEqual(merged.integrations.github.map(entry => [entry.host, entry.token]),
+      [['github.com', '${GH_TOKEN}'], ['ghe.example.net', '${GHE_TOKEN}']]);
+    // Arrays of objects without a strategy keep one copy of equal items
+    assert.deepStrictEqual(merged.catalog.rules, [{ allow: ['Component'] }, { allow: ['Template'] }]);
+    assert.deepStrictEqual(merged.catalog.locations, [
+      { type: 'file', target: '../../examples/entities.yaml', rules: [{ allow: ['Component'] }] },
+      { type: 'url', target: 'https://example.com/catalog-info.yaml' }
+    ]);
+    assert.deepStrictEqual(Object.keys(merged.proxy.endpoints), ['/jira', '/sonar']);
+    assert.deepStrictEqual(merged.auth.providers.github, { development: { clientId: 'new' } });
+
+    // append and error-on-conflict, with '*' matching any one key
+    merger.registerMergeStrategies({
+      'backend.csp.*': { strategy: 'append' },
+      'backend.database.client': { strategy: 'error' }
+    }, 'test');
+    const backend = { backend: { csp: { 'img-src': ["'self'"] }, database: { client: 'pg' } } };
+    assert.deepStrictEqual(merger.deepMerge(backend, { backend: { csp: { 'img-src': ["'self'", 'data:'] }, database: { client: 'pg' } } }).backend.csp,
+      { 'img-src': ["'self'", "'self'", 'data:'] });
+    assert.throws(() => merger.deepMerge(backend, { backend: { database: { client: 'better-sqlite3' } } }),
+      /Conflicting values for backend.database.client: "pg" and "better-sqlite3"/);
+
+    // Plugins and templates contribute strategies; a differing one for a path that has one is an error
+    new GithubPluginHandler({ name: 'github' }, { logger: Logger.getInstance(), yamlConfigMerger: merger });
+    assert.deepStrictEqual(merger.strategyFor(['githubPRCycleTime']), { strategy: 'replace', key: undefined, source: 'plugin github' });
+    assert.strictEqual(merger.strategyFor(['integrations', 'github']).source, 'core');
+    assert.throws(() => merger.registerMergeStrategies({ 'catalog.locations': { strategy: 'append' } }, 'template PDLC-Backend'),
+      /Merge strategy for catalog.locations from template PDLC-Backend conflicts with the one from core/);
+    assert.throws(() => merger.registerMergeStrategies({ proxy: { strategy: 'concat' } }, 'test'), /Unknown merge strategy "concat"/);
+    assert.strictEqual(new YamlConfigMerger(Logger.getInstance()).mergeStrategies.size, Object.keys(DEFAULT_MERGE_STRATEGIES).length);
+    console.log('✅ YamlConfigMerger merge strategies test passed');
+  });
+
 });
 
 // Helper function to run tests
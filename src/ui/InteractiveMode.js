@@ -6,6 +6,10 @@ import chalk from "chalk";
 import crypto from "crypto";
 import { Logger } from "../utils/Logger.js";
 import { Phase3Orchestrator } from "../core/Phase3Orchestrator.js";
+import { BrandKit } from "../utils/BrandKit.js";
+import { NavigationSpec } from "../utils/NavigationSpec.js";
+import { EntityPageLayout } from "../utils/EntityPageLayout.js";
+import { FLOWSOURCE_THEMES, BACKSTAGE_THEMES, selectedThemes } from "../utils/ThemeGenerator.js";
 
 export class InteractiveMode {
   constructor(agent) {
@@ -150,6 +154,86 @@ export class InteractiveMode {
         },
         filter: (input) => input.trim().toLowerCase(),
       },
+      {
+        type: "input",
+        name: "brandKitPath",
+        message: "🎨 Brand kit file (optional, leave empty for the standard FlowSource look):",
+        default: "",
+        validate: async (input) => {
+          if (!input) {
+            return true;
+          }
+          try {
+            await BrandKit.load(input);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        },
+        filter: (input) => (input.trim() ? path.resolve(input.trim()) : ""),
+      },
+      {
+        type: "input",
+        name: "navigationPath",
+        message: "🧭 Navigation spec file (optional, leave empty for the FlowSource sidebar):",
+        default: "",
+        validate: async (input) => {
+          if (!input) {
+            return true;
+          }
+          try {
+            await NavigationSpec.load(input);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        },
+        filter: (input) => (input.trim() ? path.resolve(input.trim()) : ""),
+      },
+      {
+        type: "input",
+        name: "entityLayoutPath",
+        message: "🗂️ Entity page layout file (optional, leave empty for the default entity pages):",
+        default: "",
+        validate: async (input) => {
+          if (!input) {
+            return true;
+          }
+          try {
+            await EntityPageLayout.load(input);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        },
+        filter: (input) => (input.trim() ? path.resolve(input.trim()) : ""),
+      },
+      {
+        type: "checkbox",
+        name: "flowsourceThemes",
+        message: "🌗 Select the FlowSource themes to generate:",
+        choices: Object.entries(FLOWSOURCE_THEMES).map(([key, theme]) => ({
+          name: `${theme.title} (${theme.id})`,
+          value: key,
+          checked: key === "light",
+        })),
+        validate: (input) => {
+          if (input.length === 0) {
+            return "Please select at least one FlowSource theme";
+          }
+          return true;
+        },
+      },
+      {
+        type: "checkbox",
+        name: "backstageThemes",
+        message: "🌓 Keep Backstage's default themes as well (optional):",
+        choices: Object.entries(BACKSTAGE_THEMES).map(([key, theme]) => ({
+          name: theme.title,
+          value: key,
+          checked: false,
+        })),
+      },
       {
         type: "list",
         name: "phase",
@@ -198,6 +282,10 @@ export class InteractiveMode {
       sourcePath: answers.sourcePath,
       destinationPath: answers.destinationPath,
       applicationName: answers.applicationName,
+      brandKitPath: answers.brandKitPath || null,
+      navigationPath: answers.navigationPath || null,
+      entityLayoutPath: answers.entityLayoutPath || null,
+      themes: { flowsource: answers.flowsourceThemes, backstage: answers.backstageThemes },
       phase: answers.phase,
       autoInstall: answers.autoInstall,
     };
@@ -208,6 +296,18 @@ export class InteractiveMode {
     console.log(`${chalk.gray("Source Path:")} ${config.sourcePath}`);
     console.log(`${chalk.gray("Destination:")} ${config.destinationPath}`);
     console.log(`${chalk.gray("Application Name:")} ${config.applicationName}`);
+    if (config.brandKitPath) {
+      console.log(`${chalk.gray("Brand Kit:")} ${config.brandKitPath}`);
+    }
+    if (config.navigationPath) {
+      console.log(`${chalk.gray("Navigation Spec:")} ${config.navigationPath}`);
+    }
+    if (config.entityLayoutPath) {
+      console.log(`${chalk.gray("Entity Page Layout:")} ${config.entityLayoutPath}`);
+    }
+    if (config.themes) {
+      console.log(`${chalk.gray("Themes:")} ${selectedThemes(config.themes).map((theme) => theme.title).join(", ")}`);
+    }
     console.log(`${chalk.gray("Phase:")} ${config.phase}`);
     console.log(
       `${chalk.gray("Auto Install:")} ${config.autoInstall ? "Yes" : "No"}`
@@ -1332,25 +1432,9 @@ export class InteractiveMode {
         this.agent.sharedYamlMerger
       );
 
-      // Create execution context with all collected information
-      const executionContext = {
-        phase3Options: config.phase3Options,
-        sourcePath: config.sourcePath,
-        destinationPath: config.destinationPath,
-        applicationName: config.applicationName,
-        // Phase 2 context (if needed for Phase 3)
-        authConfig: config.authConfig,
-        githubAuth: config.githubAuth,
-        selectedAuthProvider: config.selectedAuthProvider,
-        databaseConfig: config.databaseConfig,
-        // Migration settings
-        nonInteractive: config.nonInteractive,
-        autoInstall: config.autoInstall,
-        dryRun: config.dryRun
-      };
-
-      // Store execution context in config for FlowSourceAgent to use
-      config.phase3ExecutionContext = executionContext;
+      // Create execution context with all collected information and
+      // store it in config for FlowSourceAgent to use
+      config.phase3ExecutionContext = this.agent.buildPhase3ExecutionContext(config);
 
       console.log(chalk.green("✅ Phase 3 Orchestrator initialized successfully"));
       console.log(chalk.gray(`   🎯 Integration Type: ${config.phase3Options.integrationType}`));
@@ -0,0 +1,179 @@
+// Auth Setup Rules - Static checks of the authentication Phase 2 wires into the backend and App.tsx
+import path from 'path';
+import yaml from 'js-yaml';
+
+const BACKEND_INDEX = 'packages/backend/src/index.ts';
+const AUTH_MODULE = 'packages/backend/src/plugins/auth.ts';
+const APP_FILE = 'packages/app/src/App.tsx';
+const ALLOW_ALL_POLICY = '@backstage/plugin-permission-backend-module-allow-all-policy';
+
+// Extensions a relative TypeScript import may resolve to
+const MODULE_EXTENSIONS = ['.ts', '.tsx', '.js', '/index.ts', '/index.js'];
+
+/**
+ * Phase 2 validation rules (ValidationEngine.registerRules). They read the generated
+ * sources through the syntax tree: the auth module registered in index.ts, the provider
+ * IDs auth.ts registers, the SignInPage providers of App.tsx and the auth.providers of
+ * app-config.yaml must agree. 'guest' needs no backend provider and is left out.
+ */
+export const AUTH_SETUP_RULES = [
+  {
+    id: 'auth.backend-module',
+    phase: 2,
+    file: BACKEND_INDEX,
+    severity: 'error',
+    description: 'index.ts imports the auth module from ./plugins/auth and registers it once',
+    check: async (context) => {
+      const index = await context.read(BACKEND_INDEX);
+      const auth = await context.read(AUTH_MODULE);
+      if (index === null) {
+        return [`${BACKEND_INDEX} missing`];
+      }
+      const moduleName = (auth !== null && authModule(context, auth)?.name) || 'customAuthProvidersModule';
+
+      const findings = [];
+      if (!context.codeModifier.importedNames(index).has(moduleName)) {
+        findings.push(`index.ts does not import ${moduleName}`);
+      }
+      const registrations = context.codeModifier.countBackendModule(index, moduleName);
+      if (registrations === 1) {
+        context.pass(`index.ts registers ${moduleName} once`);
+      } else if (registrations === 0) {
+        findings.push({ message: `index.ts does not register ${moduleName} with backend.add`, line: context.lineOf(index, 'backend.start(') });
+      } else {
+        findings.push({ message: `index.ts registers ${moduleName} ${registrations} times`, line: context.lineOf(index, `backend.add(${moduleName})`) });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'auth.allow-all-policy',
+    phase: 2,
+    file: BACKEND_INDEX,
+    severity: 'error',
+    description: 'index.ts no longer imports the allow-all permission policy',
+    check: async (context) => {
+      const index = await context.read(BACKEND_INDEX);
+      if (index === null) return [];
+      return context.codeModifier.moduleSpecifiers(index).has(ALLOW_ALL_POLICY)
+        ? [{ message: `index.ts still imports ${ALLOW_ALL_POLICY}`, line: context.lineOf(index, ALLOW_ALL_POLICY) }]
+        : [];
+    },
+    fix: async (context) => {
+      const index = await context.read(BACKEND_INDEX);
+      await context.write(BACKEND_INDEX, context.codeModifier.removeCallExpression(index, { callee: 'backend.add', importSpecifier: ALLOW_ALL_POLICY }));
+    }
+  },
+  {
+    id: 'auth.module-providers',
+    phase: 2,
+    file: AUTH_MODULE,
+    severity: 'error',
+    description: 'auth.ts exports an auth backend module registering the providers app-config.yaml configures',
+    check: async (context) => {
+      const auth = await context.read(AUTH_MODULE);
+      if (auth === null) {
+        return [`${AUTH_MODULE} missing`];
+      }
+      const module = authModule(context, auth);
+      if (!module) {
+        return ["auth.ts does not export a createBackendModule({ pluginId: 'auth' }) module"];
+      }
+      context.pass(`auth.ts exports ${module.name}`);
+
+      const configured = await configuredProviders(context);
+      const registered = context.codeModifier.callPropertyValues(auth, 'registerProvider', 'providerId');
+      return [
+        ...configured.filter(id => !registered.includes(id))
+          .map(id => ({ message: `app-config.yaml configures auth provider "${id}", but auth.ts does not register it`, line: context.lineOf(auth, 'registerInit') })),
+        ...registered.filter(id => !configured.includes(id))
+          .map(id => ({ message: `auth.ts registers provider "${id}", which app-config.yaml auth.providers does not configure`, line: context.lineOf(auth, new RegExp(`providerId:\\s*['"]${id}['"]`)) })),
+        ...(configured.length === 0 ? [{ message: 'app-config.yaml configures no auth providers', severity: 'warning', file: 'app-config.yaml' }] : [])
+      ];
+    }
+  },
+  {
+    id: 'auth.sign-in-providers',
+    phase: 2,
+    file: APP_FILE,
+    severity: 'error',
+    description: 'The App.tsx SignInPage offers the providers app-config.yaml configures',
+    check: async (context) => {
+      const app = await context.read(APP_FILE);
+      if (app === null) return [];
+      const entries = context.codeModifier.jsxArrayAttribute(app, 'SignInPage', 'providers');
+      if (!entries) {
+        return [{ message: 'App.tsx SignInPage providers are not an array of providers', severity: 'warning' }];
+      }
+
+      const offered = entries.map(signInProviderId).filter(id => id && id !== 'guest');
+      const configured = await configuredProviders(context);
+      const line = context.lineOf(app, '<SignInPage');
+      return [
+        ...configured.filter(id => !offered.includes(id))
+          .map(id => ({ message: `App.tsx SignInPage does not offer auth provider "${id}"`, line })),
+        ...offered.filter(id => !configured.includes(id))
+          .map(id => ({ message: `App.tsx SignInPage offers "${id}", which app-config.yaml auth.providers does not configure`, severity: 'warning', line }))
+      ];
+    }
+  },
+  {
+    id: 'auth.module-imports',
+    phase: 2,
+    file: AUTH_MODULE,
+    severity: 'error',
+    description: 'The helper and database service files auth.ts imports exist',
+    check: async (context) => {
+      const auth = await context.read(AUTH_MODULE);
+      if (auth === null) return [];
+      const findings = [];
+      for (const specifier of context.codeModifier.moduleSpecifiers(auth)) {
+        if (!specifier.startsWith('.')) continue;
+        const target = path.posix.join(path.posix.dirname(AUTH_MODULE), specifier);
+        if (await resolvesToFile(context, target)) {
+          context.pass(`auth.ts import exists: ${specifier}`);
+        } else {
+          findings.push({ message: `auth.ts imports ${specifier}, but ${target} does not exist`, line: context.lineOf(auth, specifier) });
+        }
+      }
+      return findings;
+    }
+  }
+];
+
+/**
+ * Provider ID of a SignInPage providers entry: 'guest', or a provider config whose
+ * apiRef names the provider (githubAuthApiRef → github) or whose id does
+ * ('github-auth-provider' → github)
+ * @param {Object} entry - Element from CodeModifier.jsxArrayAttribute()
+ * @returns {string|null} Provider ID
+ */
+export function signInProviderId(entry) {
+  if (entry.value !== null) {
+    return entry.value;
+  }
+  const apiRef = entry.properties.apiRef?.match(/^(\w+)AuthApiRef$/)?.[1];
+  if (apiRef) {
+    return apiRef;
+  }
+  return entry.properties.id?.replace(/-auth-provider$/, '') || null;
+}
+
+function authModule(context, content) {
+  return context.codeModifier.exportedCalls(content, 'createBackendModule').find(call => call.values.pluginId === 'auth') || null;
+}
+
+async function configuredProviders(context) {
+  const content = await context.read('app-config.yaml');
+  const providers = content ? yaml.load(content)?.auth?.providers : null;
+  return Object.keys(providers || {}).filter(id => id !== 'guest');
+}
+
+async function resolvesToFile(context, target) {
+  for (const candidate of [target, ...MODULE_EXTENSIONS.map(extension => `${target}${extension}`)]) {
+    if (await context.exists(candidate) && (await context.stat(candidate)).isFile()) {
+      return true;
+    }
+  }
+  return false;
+}
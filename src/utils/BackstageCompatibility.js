@@ -0,0 +1,194 @@
+// Backstage Compatibility - Compares Backstage versions of a skeleton and a FlowSource package
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { Logger } from './Logger.js';
+
+// Skeleton package.json files and the FlowSource package files they are compared with
+export const COMPARED_PACKAGES = [
+  { name: 'root', skeleton: 'package.json', flowsource: 'configuration/package.json' },
+  { name: 'app', skeleton: 'packages/app/package.json', flowsource: 'packages-core/app/package.json' },
+  { name: 'backend', skeleton: 'packages/backend/package.json', flowsource: 'packages-core/backend/package.json' }
+];
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies'];
+const BACKSTAGE_SCOPE = '@backstage/';
+
+/**
+ * Compares the Backstage release and @backstage/* dependency versions of a
+ * skeleton (or an existing repository) with a FlowSource package:
+ * - release: backstage.json of both sides
+ * - dependencies: the version range of every @backstage/* package declared on
+ *   both sides of root, app and backend package.json
+ * - lockfile: skeleton app/backend ranges the package's yarn.lock cannot satisfy.
+ *   The root package.json and yarn.lock are replaced by the package's, so those
+ *   ranges would be resolved again (or rejected by yarn install --immutable)
+ */
+export class BackstageCompatibility {
+  constructor() {
+    this.logger = Logger.getInstance();
+  }
+
+  /**
+   * Build the compatibility report
+   * @param {string} skeletonPath - Backstage skeleton or repository
+   * @param {string} sourcePath - FlowSource package
+   * @returns {Promise<Object>} { skeleton, flowsource, releaseMismatch, mismatches, unlocked, compatible }
+   */
+  async check(skeletonPath, sourcePath) {
+    const skeletonRelease = await readBackstageVersion(skeletonPath, ['backstage.json']);
+    const flowsourceRelease = await readBackstageVersion(sourcePath, ['configuration/backstage.json', 'backstage.json']);
+    const lockfile = await readLockfile(path.join(sourcePath, 'configuration', 'yarn.lock'));
+
+    const mismatches = [];
+    const unlocked = [];
+
+    for (const pair of COMPARED_PACKAGES) {
+      const skeletonDeps = await readBackstageDependencies(path.join(skeletonPath, pair.skeleton));
+      const flowsourceDeps = await readBackstageDependencies(path.join(sourcePath, pair.flowsource));
+
+      for (const [dependency, skeletonRange] of Object.entries(skeletonDeps)) {
+        const flowsourceRange = flowsourceDeps[dependency];
+        if (flowsourceRange && flowsourceRange !== skeletonRange) {
+          mismatches.push({ package: pair.name, dependency, skeleton: skeletonRange, flowsource: flowsourceRange });
+        }
+        // The root package.json is replaced by the package's, so only app and backend ranges stay
+        if (pair.name !== 'root' && lockfile && !lockfile.has(`${dependency}@${skeletonRange}`)) {
+          unlocked.push({ package: pair.name, dependency, range: skeletonRange, locked: lockfile.versions(dependency) });
+        }
+      }
+    }
+
+    const releaseMismatch = Boolean(skeletonRelease && flowsourceRelease && skeletonRelease !== flowsourceRelease);
+    return {
+      skeleton: { path: path.resolve(skeletonPath), backstageVersion: skeletonRelease },
+      flowsource: { path: path.resolve(sourcePath), backstageVersion: flowsourceRelease, lockfile: Boolean(lockfile) },
+      releaseMismatch,
+      mismatches,
+      unlocked,
+      compatible: !releaseMismatch && mismatches.length === 0 && unlocked.length === 0
+    };
+  }
+
+  /**
+   * Print the report to the console
+   * @param {Object} report - Report returned by check()
+   */
+  printReport(report) {
+    const release = (version) => version || chalk.gray('unknown');
+
+    console.log('\n' + chalk.magenta('🧩 Backstage Version Compatibility:'));
+    console.log(`   Skeleton:           Backstage ${release(report.skeleton.backstageVersion)}`);
+    console.log(`   FlowSource package: Backstage ${release(report.flowsource.backstageVersion)}`);
+
+    if (report.compatible) {
+      console.log(chalk.green('   ✅ Skeleton and FlowSource package use the same Backstage versions'));
+      return;
+    }
+
+    if (report.releaseMismatch) {
+      console.log(chalk.yellow(`   ⚠️ Backstage release differs: ${report.skeleton.backstageVersion} → ${report.flowsource.backstageVersion}`));
+    }
+    if (report.mismatches.length > 0) {
+      console.log(chalk.yellow(`   ⚠️ ${report.mismatches.length} @backstage/* version range(s) differ (skeleton → FlowSource):`));
+      report.mismatches.forEach(entry => {
+        console.log(`      ${entry.package}: ${entry.dependency} ${entry.skeleton} → ${entry.flowsource}`);
+      });
+    }
+    if (report.unlocked.length > 0) {
+      console.log(chalk.yellow(`   ⚠️ ${report.unlocked.length} skeleton range(s) are not in the FlowSource yarn.lock and will be resolved again by yarn install:`));
+      report.unlocked.forEach(entry => {
+        const locked = entry.locked.length > 0 ? chalk.gray(` (locked: ${entry.locked.join(', ')})`) : chalk.gray(' (not locked)');
+        console.log(`      ${entry.package}: ${entry.dependency}@${entry.range}${locked}`);
+      });
+    }
+    console.log(chalk.gray('   💡 Pick the create-app version matching the package with --backstage-version'));
+  }
+
+  /**
+   * One-line summaries of the report's problems, for migration warnings
+   * @param {Object} report - Report returned by check()
+   * @returns {string[]} Warnings
+   */
+  summarize(report) {
+    const warnings = [];
+    if (report.releaseMismatch) {
+      warnings.push(`Skeleton is Backstage ${report.skeleton.backstageVersion}, FlowSource package is Backstage ${report.flowsource.backstageVersion}`);
+    }
+    if (report.mismatches.length > 0) {
+      warnings.push(`${report.mismatches.length} @backstage/* version range(s) differ between the skeleton and the FlowSource package`);
+    }
+    if (report.unlocked.length > 0) {
+      warnings.push(`${report.unlocked.length} skeleton @backstage/* range(s) are not locked in the FlowSource yarn.lock`);
+    }
+    return warnings;
+  }
+}
+
+/**
+ * Backstage release recorded in backstage.json
+ * @param {string} rootPath - Directory to read from
+ * @param {string[]} candidates - backstage.json locations, first match wins
+ * @returns {Promise<string|null>} Version, or null when there is none
+ */
+export async function readBackstageVersion(rootPath, candidates = ['backstage.json']) {
+  for (const candidate of candidates) {
+    const file = path.join(rootPath, candidate);
+    if (await fs.pathExists(file)) {
+      const json = await fs.readJson(file).catch(() => null);
+      if (json?.version) return json.version;
+    }
+  }
+  return null;
+}
+
+async function readBackstageDependencies(packageJsonPath) {
+  if (!(await fs.pathExists(packageJsonPath))) {
+    return {};
+  }
+  const packageJson = await fs.readJson(packageJsonPath).catch(() => ({}));
+  const dependencies = {};
+  for (const field of DEPENDENCY_FIELDS) {
+    for (const [name, range] of Object.entries(packageJson[field] || {})) {
+      if (name.startsWith(BACKSTAGE_SCOPE)) dependencies[name] = range;
+    }
+  }
+  return dependencies;
+}
+
+/**
+ * Descriptors (name@range) and resolved versions of a yarn.lock, classic (v1) or Berry
+ * @returns {Promise<Object|null>} { has(descriptor), versions(name) }, or null without a lockfile
+ */
+async function readLockfile(lockfilePath) {
+  if (!(await fs.pathExists(lockfilePath))) {
+    return null;
+  }
+
+  const descriptors = new Set();
+  const resolved = new Map();
+  let current = [];
+
+  for (const line of (await fs.readFile(lockfilePath, 'utf8')).split('\n')) {
+    if (/^\S.*:$/.test(line) && !line.startsWith('#')) {
+      // "@scope/name@^1.0.0", "@scope/name@npm:^1.0.0":
+      current = line.slice(0, -1).split(/,\s*/).map(descriptor => descriptor.replace(/^"|"$/g, '').replace('@npm:', '@'));
+      current.forEach(descriptor => descriptors.add(descriptor));
+      continue;
+    }
+    const version = line.match(/^\s+version:?\s+"?([^"\s]+)"?/);
+    if (version) {
+      for (const descriptor of current) {
+        const name = descriptor.slice(0, descriptor.lastIndexOf('@'));
+        if (!resolved.has(name)) resolved.set(name, new Set());
+        resolved.get(name).add(version[1]);
+      }
+      current = [];
+    }
+  }
+
+  return {
+    has: (descriptor) => descriptors.has(descriptor),
+    versions: (name) => [...(resolved.get(name) || [])].sort()
+  };
+}
@@ -0,0 +1,261 @@
+// Backstage Inventory - Pre-flight inspection of an existing Backstage repository for in-place migration
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import chalk from 'chalk';
+import { Logger } from './Logger.js';
+import { MigrationManifest } from './MigrationManifest.js';
+
+// Routes @backstage/create-app puts in App.tsx; anything else is a team's own route
+export const DEFAULT_APP_ROUTES = [
+  '/',
+  '/catalog',
+  '/catalog/:namespace/:kind/:name',
+  '/docs',
+  '/docs/:namespace/:kind/:name',
+  '/create',
+  '/api-docs',
+  '/tech-radar',
+  '/catalog-import',
+  '/search',
+  '/settings',
+  '/catalog-graph',
+  '/notifications'
+];
+
+const APP_CONFIG_FILES = ['app-config.yaml', 'app-config.local.yaml', 'app-config.production.yaml'];
+const BACKEND_AUTH_MODULE_PATTERN = /@backstage\/plugin-auth-backend-module-([a-z0-9-]+?)-provider/g;
+
+/**
+ * Inspects an existing Backstage monorepo before FlowSource is migrated into it
+ * in place: Backstage version, backend system, custom App.tsx routes, auth
+ * providers and the customisations the Phase 1-3 transforms would otherwise
+ * overwrite. assess() turns the inventory into the transforms that are adapted
+ * and the ones that are refused.
+ */
+export class BackstageInventory {
+  constructor() {
+    this.logger = Logger.getInstance();
+  }
+
+  /**
+   * Inventory an existing Backstage repository
+   * @param {string} repoPath - Repository root
+   * @returns {Promise<Object>} Inventory
+   */
+  async inspect(repoPath) {
+    const root = path.resolve(repoPath);
+    const read = async (...segments) => {
+      const file = path.join(root, ...segments);
+      return (await fs.pathExists(file)) ? fs.readFile(file, 'utf8') : null;
+    };
+
+    const backstageJson = await read('backstage.json');
+    const rootPackage = await read('package.json');
+    const appTsx = await read('packages', 'app', 'src', 'App.tsx');
+    const backendIndex = await read('packages', 'backend', 'src', 'index.ts');
+    const backendPackage = await read('packages', 'backend', 'package.json');
+    const rootTsx = await read('packages', 'app', 'src', 'components', 'Root', 'Root.tsx');
+
+    const routes = appTsx ? extractRoutes(appTsx) : [];
+    const manifest = await MigrationManifest.load(root).catch(() => null);
+
+    return {
+      path: root,
+      isBackstageRepo: Boolean(rootPackage && appTsx),
+      applicationName: repositoryName(root, parseJson(rootPackage)),
+      backstageVersion: parseJson(backstageJson)?.version || null,
+      backendSystem: detectBackendSystem(backendIndex),
+      routes,
+      customRoutes: routes.filter(route => !DEFAULT_APP_ROUTES.includes(route)),
+      authProviders: {
+        config: await this.readConfiguredProviders(root),
+        signInPage: appTsx ? extractSignInProviders(appTsx) : [],
+        backendModules: extractBackendModules(`${backendIndex || ''}\n${backendPackage || ''}`)
+      },
+      customizations: {
+        createAppComponents: Boolean(appTsx && /createApp\(\{[\s\S]*?components:\s*\{/.test(appTsx)),
+        createAppThemes: Boolean(appTsx && /createApp\(\{[\s\S]*?themes:\s*\[/.test(appTsx)),
+        sidebar: Boolean(rootTsx),
+        plugins: await listDirectories(path.join(root, 'plugins'))
+      },
+      flowsourcePhases: manifest ? manifest.phases : []
+    };
+  }
+
+  async readConfiguredProviders(root) {
+    const providers = new Set();
+    for (const file of APP_CONFIG_FILES) {
+      const filePath = path.join(root, file);
+      if (!(await fs.pathExists(filePath))) continue;
+      try {
+        const config = yaml.load(await fs.readFile(filePath, 'utf8')) || {};
+        Object.keys(config.auth?.providers || {}).forEach(provider => providers.add(provider));
+      } catch (error) {
+        this.logger.warn(`⚠️ Could not parse ${file}: ${error.message}`);
+      }
+    }
+    return [...providers].sort();
+  }
+
+  /**
+   * Decide which transforms can run against the inventoried repository
+   * @param {Object} inventory - Inventory returned by inspect()
+   * @param {number} phase - Phase that will run
+   * @returns {Object} { blockers, adaptations }: refused transforms and how the others are adapted
+   */
+  assess(inventory, phase) {
+    const blockers = [];
+    const adaptations = [
+      'The Backstage skeleton is not generated; Phases run against the existing repository',
+      'Existing files are never replaced: where FlowSource ships a different version (Dockerfile, yarn.lock, root package.json, Root/, search/, public/ assets), the existing file is kept and the FlowSource version is written next to it as <file>.flowsource-new',
+      'packages/backend/Dockerfile is kept'
+    ];
+
+    if (!inventory.isBackstageRepo) {
+      blockers.push(`${inventory.path} is not a Backstage repository (package.json and packages/app/src/App.tsx are required)`);
+      return { blockers, adaptations };
+    }
+
+    if (inventory.customizations.createAppComponents || inventory.customizations.createAppThemes) {
+      adaptations.push('createApp in App.tsx keeps its bindRoutes, components and themes; the FlowSource theme is added to it instead of rebuilding it');
+    }
+    if (inventory.customRoutes.length > 0) {
+      adaptations.push(`Custom routes in App.tsx are preserved: ${inventory.customRoutes.join(', ')}`);
+    }
+
+    if (phase >= 2) {
+      if (inventory.backendSystem === 'legacy') {
+        blockers.push('The backend uses the legacy backend system; Phase 2 wires authentication with the new backend system (backend.add) and would break it. Migrate packages/backend to the new backend system first');
+      } else if (inventory.backendSystem === 'unknown') {
+        blockers.push('packages/backend/src/index.ts was not recognised as a new backend system entry point (createBackend); Phase 2 cannot wire authentication into it');
+      }
+
+      const existingProviders = [...new Set([
+        ...inventory.authProviders.config,
+        ...inventory.authProviders.backendModules,
+        ...inventory.authProviders.signInPage
+      ])].filter(provider => provider !== 'guest');
+      // Providers FlowSource configured in an earlier run are its own, not the team's
+      if (existingProviders.length > 0 && !inventory.flowsourcePhases.includes(2)) {
+        blockers.push(`Authentication is already configured (${existingProviders.join(', ')}); Phase 2 would replace the auth configuration and the sign-in page providers`);
+      }
+    }
+
+    return { blockers, adaptations };
+  }
+
+  /**
+   * Print the inventory and assessment to the console
+   * @param {Object} inventory - Inventory returned by inspect()
+   * @param {Object} assessment - Result of assess()
+   */
+  printInventory(inventory, assessment) {
+    const list = (values) => (values.length > 0 ? values.join(', ') : chalk.gray('none'));
+
+    console.log('\n' + chalk.magenta('🔍 In-place Migration Pre-flight:'));
+    console.log(chalk.gray(`   Repository: ${inventory.path}`));
+    console.log(`   Backstage version:  ${inventory.backstageVersion || chalk.gray('unknown (no backstage.json)')}`);
+    console.log(`   Backend system:     ${inventory.backendSystem}`);
+    console.log(`   Custom routes:      ${list(inventory.customRoutes)}`);
+    console.log(`   Auth providers:     config: ${list(inventory.authProviders.config)}; sign-in page: ${list(inventory.authProviders.signInPage)}; backend modules: ${list(inventory.authProviders.backendModules)}`);
+    console.log(`   Workspace plugins:  ${list(inventory.customizations.plugins)}`);
+    if (inventory.flowsourcePhases.length > 0) {
+      console.log(`   FlowSource phases:  ${inventory.flowsourcePhases.join(', ')}`);
+    }
+
+    if (assessment.adaptations.length > 0) {
+      console.log('\n' + chalk.cyan('   Adapted transforms:'));
+      assessment.adaptations.forEach(adaptation => console.log(`   - ${adaptation}`));
+    }
+    if (assessment.blockers.length > 0) {
+      console.log('\n' + chalk.red('   Refused transforms:'));
+      assessment.blockers.forEach(blocker => console.log(`   - ${blocker}`));
+    }
+  }
+}
+
+/**
+ * Application name of an existing repository: its root package name, or the
+ * directory name for create-app's placeholder name "root"
+ * @param {string} repoPath - Repository root
+ * @returns {Promise<string>} Application name
+ */
+export async function readRepositoryName(repoPath) {
+  const root = path.resolve(repoPath);
+  const packageJson = await fs.readJson(path.join(root, 'package.json')).catch(() => null);
+  return repositoryName(root, packageJson);
+}
+
+function repositoryName(root, packageJson) {
+  const name = packageJson?.name && packageJson.name !== 'root' ? packageJson.name : path.basename(root);
+  return name.replace(/^@[^/]+\//, '').toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+}
+
+function parseJson(content) {
+  try {
+    return content ? JSON.parse(content) : null;
+  } catch {
+    return null;
+  }
+}
+
+function detectBackendSystem(backendIndex) {
+  if (!backendIndex) {
+    return 'unknown';
+  }
+  if (/\bcreateBackend\s*\(/.test(backendIndex)) {
+    return 'new';
+  }
+  if (/\bcreateServiceBuilder\b|\buseHotMemoize\b|\bmakeCreateEnv\b/.test(backendIndex)) {
+    return 'legacy';
+  }
+  return 'unknown';
+}
+
+function extractRoutes(appTsx) {
+  const routes = [];
+  for (const match of appTsx.matchAll(/<Route\b[^>]*?\bpath=\{?["'`]([^"'`]+)["'`]/g)) {
+    if (!routes.includes(match[1])) routes.push(match[1]);
+  }
+  return routes;
+}
+
+// Provider IDs passed to the SignInPage: string IDs ('guest') and objects with an id
+function extractSignInProviders(appTsx) {
+  const providers = new Set();
+  const signInPage = appTsx.match(/<SignInPage\b[\s\S]*?\/>/);
+  if (!signInPage) {
+    return [];
+  }
+  const providersProp = signInPage[0].match(/providers=\{\[([\s\S]*?)\]\}/);
+  if (providersProp) {
+    for (const match of providersProp[1].matchAll(/['"]([\w-]+)['"]/g)) {
+      providers.add(match[1]);
+    }
+    for (const name of providersProp[1].matchAll(/\b([a-z]\w*)Provider\b/g)) {
+      providers.add(name[1].toLowerCase());
+    }
+  }
+  // Provider objects declared elsewhere, e.g. { id: 'github-auth-provider', ... }
+  for (const match of appTsx.matchAll(/\bid:\s*['"]([\w-]+)-auth-provider['"]/g)) {
+    providers.add(match[1]);
+  }
+  return [...providers].sort();
+}
+
+function extractBackendModules(content) {
+  const modules = new Set();
+  for (const match of content.matchAll(BACKEND_AUTH_MODULE_PATTERN)) {
+    modules.add(match[1]);
+  }
+  return [...modules].sort();
+}
+
+async function listDirectories(dirPath) {
+  if (!(await fs.pathExists(dirPath))) {
+    return [];
+  }
+  const entries = await fs.readdir(dirPath, { withFileTypes: true });
+  return entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+}
@@ -0,0 +1,313 @@
+// Brand Kit - Palette, typography, logos, favicon and title a generated app is branded with
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import { validateAgainstSchema } from './MigrationProfile.js';
+import { themeModuleSource, expandHex, quote } from './ThemeGenerator.js';
+
+const COLOR_PATTERN = '^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$';
+const color = { type: 'string', pattern: COLOR_PATTERN };
+
+/**
+ * Schema for brand kit files (same schema subset as migration profiles)
+ */
+export const BRAND_KIT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['palette'],
+  properties: {
+    version: { type: 'integer', enum: [1] },
+    title: { type: 'string', minLength: 1 },
+    organization: { type: 'string', minLength: 1 },
+    palette: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['primary'],
+      properties: {
+        primary: color,
+        secondary: color,
+        navigation: color
+      }
+    },
+    typography: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        fontFamily: { type: 'string', minLength: 1 },
+        htmlFontSize: { type: 'integer', minimum: 8, maximum: 32 }
+      }
+    },
+    logos: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        full: { type: 'string', minLength: 1 },
+        icon: { type: 'string', minLength: 1 }
+      }
+    },
+    favicon: { type: 'string', minLength: 1 }
+  }
+};
+
+// Formats and dimensions of brand images. The full logo fills the open sidebar
+// (30px high), the icon the collapsed one (28px square); SVGs only need the ratio.
+const IMAGE_RULES = {
+  'logos.full': { formats: ['.svg', '.png', '.jpg', '.jpeg'], minHeight: 30, minRatio: 2, maxRatio: 8 },
+  'logos.icon': { formats: ['.svg', '.png', '.jpg', '.jpeg'], minHeight: 28, minRatio: 0.8, maxRatio: 1.25 },
+  favicon: { formats: ['.ico'], minHeight: 16, minRatio: 1, maxRatio: 1 }
+};
+
+// Defaults for colours a brand kit leaves out
+const DEFAULT_SECONDARY = '#7C3FE4';
+const DEFAULT_NAVIGATION = '#171717';
+
+// WCAG contrast white sidebar and button text needs on brand colours
+const MIN_TEXT_CONTRAST = 3;
+
+/**
+ * A validated brand kit (`--brand-kit <file>`):
+ *
+ *   title: Acme Developer Portal        # app.title
+ *   organization: Acme                  # organization.name
+ *   palette: { primary: '#1F4E79', secondary: '#F2A900', navigation: '#0B2545' }
+ *   typography: { fontFamily: 'Inter, sans-serif', htmlFontSize: 16 }
+ *   logos: { full: ./logo-full.svg, icon: ./logo-icon.png }
+ *   favicon: ./favicon.ico
+ *
+ * Image paths are relative to the brand kit file. Only palette.primary is required.
+ */
+export class BrandKit {
+  constructor(data, filePath = null) {
+    this.data = data;
+    this.filePath = filePath;
+    this.images = {}; // 'logos.full' | 'logos.icon' | 'favicon' -> { path, format, width, height }
+    this.warnings = [];
+  }
+
+  /**
+   * Read and validate a brand kit file
+   * @param {string} filePath - Path to a .yaml/.yml/.json brand kit
+   * @returns {Promise<BrandKit>} Brand kit with its images measured
+   */
+  static async load(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    if (!(await fs.pathExists(resolvedPath))) {
+      throw new Error(`Brand kit not found: ${resolvedPath}`);
+    }
+
+    let data;
+    try {
+      data = yaml.load(await fs.readFile(resolvedPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to parse brand kit ${resolvedPath}: ${error.message}`);
+    }
+    return BrandKit.fromObject(data, resolvedPath);
+  }
+
+  /**
+   * Validate an in-memory brand kit
+   * @param {Object} data - Raw brand kit data
+   * @param {string} filePath - Origin; image paths are resolved relative to it
+   * @returns {Promise<BrandKit>} Brand kit with its images measured
+   */
+  static async fromObject(data, filePath = null) {
+    const label = filePath || 'brand kit';
+    const kit = new BrandKit(data, filePath);
+    const errors = validateAgainstSchema(data, BRAND_KIT_SCHEMA, '', { resolved: true });
+    if (errors.length === 0) {
+      errors.push(...await kit.measureImages());
+      kit.warnings.push(...kit.checkContrast());
+    }
+    if (errors.length > 0) {
+      throw new Error(`Invalid brand kit ${label}:\n  - ${errors.join('\n  - ')}`);
+    }
+    return kit;
+  }
+
+  get title() {
+    return this.data.title || null;
+  }
+
+  get organization() {
+    return this.data.organization || null;
+  }
+
+  get palette() {
+    const { primary, secondary = DEFAULT_SECONDARY, navigation = DEFAULT_NAVIGATION } = this.data.palette;
+    return { primary, secondary, navigation };
+  }
+
+  get typography() {
+    return this.data.typography || {};
+  }
+
+  // Check every image against IMAGE_RULES and remember its dimensions
+  async measureImages() {
+    const errors = [];
+    const baseDir = this.filePath ? path.dirname(this.filePath) : process.cwd();
+    const images = { 'logos.full': this.data.logos?.full, 'logos.icon': this.data.logos?.icon, favicon: this.data.favicon };
+
+    for (const [key, relativePath] of Object.entries(images)) {
+      if (!relativePath) continue;
+      const rule = IMAGE_RULES[key];
+      const imagePath = path.resolve(baseDir, relativePath);
+      const format = path.extname(imagePath).toLowerCase();
+      if (!rule.formats.includes(format)) {
+        errors.push(`${key}: must be ${rule.formats.join(', ')} (got ${relativePath})`);
+        continue;
+      }
+      if (!(await fs.pathExists(imagePath))) {
+        errors.push(`${key}: file not found: ${imagePath}`);
+        continue;
+      }
+
+      const size = readImageSize(await fs.readFile(imagePath), format);
+      if (!size) {
+        errors.push(`${key}: could not read the dimensions of ${relativePath}`);
+        continue;
+      }
+      const ratio = size.width / size.height;
+      if (ratio < rule.minRatio || ratio > rule.maxRatio) {
+        const expected = rule.minRatio === rule.maxRatio ? 'square' : `between ${rule.minRatio}:1 and ${rule.maxRatio}:1 wide`;
+        errors.push(`${key}: ${size.width}x${size.height} must be ${expected}`);
+      } else if (format !== '.svg' && size.height < rule.minHeight) {
+        errors.push(`${key}: ${size.width}x${size.height} is too small (at least ${rule.minHeight}px high)`);
+      }
+      this.images[key] = { path: imagePath, format, ...size };
+    }
+    return errors;
+  }
+
+  // Brand colours white text is drawn on (buttons, sidebar) should stay readable
+  checkContrast() {
+    const { primary, navigation } = this.palette;
+    return [['palette.primary', primary], ['palette.navigation', navigation]]
+      .filter(([, value]) => contrastRatio(value, '#FFFFFF') < MIN_TEXT_CONTRAST)
+      .map(([key, value]) => `${key} ${value} has a contrast ratio of ${contrastRatio(value, '#FFFFFF').toFixed(2)} with white text (WCAG recommends at least ${MIN_TEXT_CONTRAST})`);
+  }
+
+  /**
+   * Source of a FlowSource theme module built from the palette and typography
+   * @param {string} key - FlowSource theme ('light', 'dark' or 'high-contrast')
+   * @returns {string} TypeScript (also valid JavaScript) module
+   */
+  themeSource(key = 'light') {
+    return themeModuleSource(key, {
+      palette: this.palette,
+      typography: this.typography,
+      origin: this.filePath ? path.basename(this.filePath) : 'a brand kit'
+    });
+  }
+
+  /**
+   * Source of LogoFull.tsx / LogoIcon.tsx showing a brand image
+   * @param {string} componentName - 'LogoFull' or 'LogoIcon'
+   * @param {string} imageImport - Import path of the image, relative to the component
+   * @returns {string} Component module
+   */
+  logoComponentSource(componentName, imageImport) {
+    const height = componentName === 'LogoFull' ? 30 : 28;
+    const alt = this.title || this.organization || 'Logo';
+    return [
+      "import React from 'react';",
+      "import { makeStyles } from '@material-ui/core';",
+      `import logo from ${quote(imageImport)};`,
+      '',
+      'const useStyles = makeStyles({',
+      '  img: {',
+      "    width: 'auto',",
+      `    height: ${height},`,
+      '  },',
+      '});',
+      '',
+      `const ${componentName} = () => {`,
+      '  const classes = useStyles();',
+      '',
+      `  return <img className={classes.img} src={logo} alt=${JSON.stringify(alt)} />;`,
+      '};',
+      '',
+      `export default ${componentName};`,
+      ''
+    ].join('\n');
+  }
+}
+
+/**
+ * Width and height of a PNG, JPEG, ICO (largest image) or SVG
+ * @param {Buffer} buffer - Image content
+ * @param {string} format - Extension, e.g. '.png'
+ * @returns {Object|null} { width, height }, or null when they cannot be read
+ */
+export function readImageSize(buffer, format) {
+  switch (format) {
+    case '.png':
+      return buffer.length >= 24 && buffer.toString('ascii', 12, 16) === 'IHDR'
+        ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+        : null;
+    case '.jpg':
+    case '.jpeg':
+      return readJpegSize(buffer);
+    case '.ico':
+      return readIcoSize(buffer);
+    case '.svg':
+      return readSvgSize(buffer.toString('utf8'));
+    default:
+      return null;
+  }
+}
+
+function readJpegSize(buffer) {
+  if (buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // Start-of-frame markers (C0-CF, except DHT C4, JPG C8 and DAC CC) carry the size
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function readIcoSize(buffer) {
+  if (buffer.length < 6 || buffer.readUInt16LE(0) !== 0 || buffer.readUInt16LE(2) !== 1) return null;
+  let largest = null;
+  for (let index = 0; index < buffer.readUInt16LE(4) && 6 + index * 16 + 2 <= buffer.length; index++) {
+    const entry = 6 + index * 16;
+    // 0 stands for 256 pixels
+    const size = { width: buffer[entry] || 256, height: buffer[entry + 1] || 256 };
+    if (!largest || size.width * size.height > largest.width * largest.height) largest = size;
+  }
+  return largest;
+}
+
+function readSvgSize(content) {
+  const root = content.match(/<svg\b[^>]*>/i)?.[0];
+  if (!root) return null;
+  const attribute = (name) => root.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1];
+  const width = parseFloat(attribute('width'));
+  const height = parseFloat(attribute('height'));
+  // Percentages and other relative sizes fall back to the viewBox
+  if (width > 0 && height > 0 && !/%/.test(`${attribute('width')}${attribute('height')}`)) {
+    return { width, height };
+  }
+  const viewBox = (attribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  return viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0 ? { width: viewBox[2], height: viewBox[3] } : null;
+}
+
+// WCAG 2 contrast ratio of two #RGB / #RRGGBB colours
+function contrastRatio(first, second) {
+  const [lighter, darker] = [relativeLuminance(first), relativeLuminance(second)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+function relativeLuminance(hex) {
+  const digits = expandHex(hex);
+  const [r, g, b] = [0, 2, 4].map(start => {
+    const channel = parseInt(digits.slice(start, start + 2), 16) / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
@@ -27,9 +27,13 @@ ${chalk.yellow.bold("OPTIONS:")}
   )}             Migration phase: 1|2|3 (default: 1)
   ${chalk.green(
     "--dry-run"
-  )}                   Preview changes without executing
+  )}                   Stage the migration and print a plan; writes nothing
+  ${chalk.green(
+    "--plan-output <file>"
+  )}        Save the dry-run plan (text diff, or JSON for .json)
   ${chalk.green("--verbose")}                   Enable verbose logging
-  ${chalk.green("--config <file>")}             Custom configuration file
+  ${chalk.green("--config <file>")}             Migration profile (YAML/JSON) for unattended runs
+  ${chalk.green("--db-*, --github-*")}          Phase 2 settings for CLI mode (see --help)
   ${chalk.green("-h, --help")}                  Show this help message
   ${chalk.green("-V, --version")}               Show version number
 
@@ -44,8 +48,8 @@ ${chalk.yellow.bold("EXAMPLES:")}
     --name "my-flowsource-app" \\
     --install
 
-  ${chalk.gray("# Dry run to preview changes")}
-  ${chalk.cyan("flowsource-agent")} --dry-run --verbose
+  ${chalk.gray("# Dry run to preview changes and save the plan")}
+  ${chalk.cyan("flowsource-agent")} --dry-run --plan-output migration-plan.diff
 
   ${chalk.gray("# Phase 1 migration only")}
   ${chalk.cyan("flowsource-agent")} --phase 1
@@ -222,19 +226,101 @@ ${chalk.cyan("  --phase 1 \\")}
 ${chalk.cyan("  --install \\")}
 ${chalk.cyan("  --verbose")}
 
+${chalk.yellow.bold("MIGRATION PROFILE (Unattended):")}
+${chalk.cyan("node src/index.js --config migration-profile.yaml")}
+${chalk.gray("# Reads paths, phase, database, secrets and Phase 3 selections from the profile")}
+${chalk.gray("# Secrets are written as ${ENV_VAR} references and read from the environment")}
+${chalk.cyan("node src/index.js --config migration-profile.yaml --phase 1")}
+${chalk.gray("# Command-line flags override profile values")}
+
 ${chalk.yellow.bold("DRY RUN (Preview Only):")}
 ${chalk.cyan("npm start -- --dry-run")}
-${chalk.gray("# Preview changes without executing")}
+${chalk.gray("# Runs every phase against a staged copy and prints created,")}
+${chalk.gray("# copied, modified and deleted files with diffs")}
+${chalk.cyan("npm start -- --dry-run --plan-output plan.json")}
+${chalk.gray("# Also saves the plan (JSON for .json, unified diff text otherwise)")}
+
+${chalk.yellow.bold("UI COMPLIANCE REPORT:")}
+${chalk.cyan("node src/index.js --mode cli --compliance-report -s <pkg> -d <app> -n <name>")}
+${chalk.gray("# Writes flowsource-ui-compliance.md and .json (UI-Changes.md rules, results, fixes) into <app>")}
+
+${chalk.yellow.bold("OFFLINE (AIR-GAPPED) SKELETON GENERATION:")}
+${chalk.cyan("node src/index.js skeleton generate")}
+${chalk.gray("# Runs create-app once and caches the skeleton (~/.flowsource/skeleton-cache)")}
+${chalk.cyan("node src/index.js skeleton import <skeleton.tgz|dir> --app-name <name-it-was-created-with>")}
+${chalk.gray("# Caches a supplied skeleton; list the cache with \"skeleton list\"")}
+${chalk.cyan("node src/index.js --mode cli --offline -s <pkg> -d <app> -n <name>")}
+${chalk.gray("# Copies the cached skeleton instead of running npx")}
+${chalk.cyan("node src/index.js --mode cli --backstage-version 1.30.0 -s <pkg> -d <app> -n <name>")}
+${chalk.gray("# Picks the cached skeleton of a Backstage release (or pass a create-app version, 0.x.y)")}
+${chalk.gray("# Backstage version mismatches with the package are reported before copying")}
+${chalk.cyan("node src/index.js skeleton generate --keep-temp")}
+${chalk.gray("# create-app runs in a per-run temp directory; --keep-temp keeps it for debugging")}
+
+${chalk.yellow.bold("BRAND THE GENERATED APP:")}
+${chalk.cyan("node src/index.js --mode cli --brand-kit brand-kit.yaml -s <pkg> -d <app> -n <name>")}
+${chalk.gray("# Generates FlowsourceTheme, LogoFull/LogoIcon, favicon and app title from the brand kit")}
+${chalk.gray("# Colours and image dimensions are validated before anything is generated")}
+${chalk.cyan("node src/index.js --mode cli --themes light,dark,high-contrast --backstage-themes light -s <pkg> -d <app> -n <name>")}
+${chalk.gray("# Declares the FlowSource light, dark and high-contrast themes, then Backstage's light theme")}
+${chalk.cyan("node src/index.js --mode cli --navigation navigation.yaml -s <pkg> -d <app> -n <name>")}
+${chalk.gray("# Adds, groups and hides sidebar items in Root.tsx as the navigation spec lists them")}
+${chalk.cyan("node src/index.js --mode cli --entity-layout entity-layout.yaml -s <pkg> -d <app> -n <name>")}
+${chalk.gray("# Adds the listed tabs to each entity page of EntityPage.tsx, creating pages it lacks")}
+
+${chalk.yellow.bold("MIGRATE AN EXISTING BACKSTAGE REPOSITORY:")}
+${chalk.cyan("node src/index.js --mode cli --in-place --source <pkg> --destination <repo> --phase 1")}
+${chalk.gray("# Runs a pre-flight inventory and migrates <repo> without generating a skeleton")}
+${chalk.gray("# Differing files are kept; FlowSource versions are written as <file>.flowsource-new")}
+${chalk.gray("# Add --force to apply transforms the pre-flight check refused")}
+
+${chalk.yellow.bold("UPGRADE TO A NEWER FLOWSOURCE PACKAGE:")}
+${chalk.cyan("node src/index.js upgrade --destination <app> --to <new-pkg> --dry-run")}
+${chalk.gray("# Shows the three-way merge plan; --from defaults to the package in the manifest")}
+${chalk.cyan("node src/index.js upgrade --destination <app> --to <new-pkg>")}
+${chalk.gray("# Conflicts with local edits are written to <file>.flowsource-conflict")}
+
+${chalk.yellow.bold("CHECK A MIGRATED APP FOR DRIFT:")}
+${chalk.cyan("node src/index.js drift --destination <app>")}
+${chalk.gray("# Lists hand-edited, deleted and stale generated files (flowsource-manifest.json)")}
+${chalk.cyan("node src/index.js drift --destination <app> --source <new-pkg> --json")}
+${chalk.gray("# Compares with another FlowSource package and prints JSON")}
+
+${chalk.yellow.bold("VALIDATE A MIGRATED APP:")}
+${chalk.cyan("node src/index.js validate --destination <app>")}
+${chalk.gray("# Runs the core rules and those of the plugins and templates in the manifest")}
+${chalk.cyan("node src/index.js validate --destination <app> --fix --json")}
+${chalk.gray("# Repairs what rules can fix, then prints each rule's result as JSON")}
+${chalk.cyan("node src/index.js validate --destination <app> --junit results.xml --sarif results.sarif --sarif-base <repo>")}
+${chalk.gray("# Writes JUnit XML for test dashboards and SARIF for pull request annotations")}
+
+${chalk.yellow.bold("ROLL BACK OR RESUME A FAILED MIGRATION:")}
+${chalk.gray("# Failed runs are rolled back automatically; --keep-on-failure keeps them for resume")}
+${chalk.cyan("node src/index.js rollback --destination <app>")}
+${chalk.gray("# Restores <app> to its state before the migration (.migration-journal)")}
+${chalk.cyan("node src/index.js resume --destination <app>")}
+${chalk.gray("# Continues from the failed step recorded in <app>/.migration-state.json")}
+${chalk.gray("# Secrets are read again from flags, environment variables or --config")}
+${chalk.cyan("node src/index.js resume --destination <app> --on-change replan")}
+${chalk.gray("# Re-runs the recorded phase when the source or destination changed")}
 
 ${chalk.yellow.bold("PHASE-SPECIFIC MIGRATION:")}
 ${chalk.cyan("# Phase 1: UI and Theme Only")}
 ${chalk.cyan("npm start -- --phase 1")}
 
-${chalk.cyan("# Phase 2: Add Authentication (Interactive Mode Only)")}
+${chalk.cyan("# Phase 2: Add Authentication")}
 ${chalk.gray("npm start # Select Phase 2 in interactive mode")}
+${chalk.cyan("node src/index.js --mode cli --phase 2 -s <pkg> -d <app> -n <name> \\")}
+${chalk.cyan("  --db-type sqlite --github-client-id <id>")}
+${chalk.gray("# Secrets via GITHUB_CLIENT_SECRET, GITHUB_TOKEN, DB_PASSWORD, BACKEND_SECRET")}
 
-${chalk.cyan("# Phase 3: Templates & Plugins (Interactive Mode Only)")}
+${chalk.cyan("# Phase 3: Templates & Plugins")}
 ${chalk.gray("npm start # Select Phase 3 in interactive mode")}
+${chalk.cyan("node src/index.js --mode cli --phase 3 -s <pkg> -d <app> -n <name> \\")}
+${chalk.cyan("  --db-type sqlite --github-client-id <id> \\")}
+${chalk.cyan("  --templates PDLC-Backend,PDLC-Frontend --plugins github,jira \\")}
+${chalk.cyan("  --catalog remote --catalog-repo <url>::Component,API --github-repo <owner>/<repo>")}
+${chalk.gray("# Unknown template or plugin names fail with the list of available ones")}
 
 ${chalk.yellow.bold("DEBUGGING:")}
 ${chalk.cyan("# Verbose logging")}
@@ -0,0 +1,299 @@
+// Change Journal - Records prior file contents so a migration can be rolled back exactly
+import fs from 'fs-extra';
+import path from 'path';
+import { Logger } from './Logger.js';
+import { walkFiles, hashFiles, hashFile } from './FileTree.js';
+
+export const JOURNAL_DIR_NAME = '.migration-journal';
+const JOURNAL_VERSION = 1;
+
+/**
+ * Journal of everything a migration run changes in its destination.
+ *
+ * When a run starts, the journal snapshots the destination's file list and hashes.
+ * The first time a module writes, copies over or deletes a file, the file's prior
+ * content is backed up to <destination>/.migration-journal/files. Rollback restores
+ * those backups and removes every file and directory that was not in the snapshot,
+ * which also covers bulk copies (e.g. the Backstage skeleton) that create files
+ * without recording them one by one.
+ *
+ * Modules call ChangeJournal.record() / ChangeJournal.recordCopy() before writing;
+ * both are no-ops when no journal is active (dry runs, validation-only commands).
+ * Copies from the FlowSource package are also remembered per destination file
+ * (see sources), so the migration manifest can tell which source file each
+ * generated file came from.
+ */
+export class ChangeJournal {
+  static active = null;
+
+  constructor(destinationPath, sourcePath = null) {
+    this.logger = Logger.getInstance();
+    this.destinationPath = path.resolve(destinationPath);
+    this.sourcePath = sourcePath ? path.resolve(sourcePath) : null;
+    this.journalPath = path.join(this.destinationPath, JOURNAL_DIR_NAME);
+    this.backupPath = path.join(this.journalPath, 'files');
+    this.indexPath = path.join(this.journalPath, 'journal.json');
+    this.baselinePath = path.join(this.journalPath, 'baseline.json');
+    this.state = null;
+    this.entries = new Map();
+    this.sources = new Map(); // destination-relative path -> source-relative path
+  }
+
+  /**
+   * Start a journal for a new run and make it the active one
+   * @param {string} destinationPath - Migration destination
+   * @param {string} sourcePath - FlowSource package the run copies from
+   * @returns {Promise<ChangeJournal>} Active journal
+   */
+  static async begin(destinationPath, sourcePath = null) {
+    const journal = new ChangeJournal(destinationPath, sourcePath);
+    const destinationExisted = await fs.pathExists(journal.destinationPath);
+    const baseline = await snapshot(journal.destinationPath);
+
+    await fs.remove(journal.journalPath);
+    await fs.ensureDir(journal.backupPath);
+    await fs.writeJson(journal.baselinePath, baseline);
+
+    journal.state = {
+      version: JOURNAL_VERSION,
+      status: 'recording',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      destinationExisted,
+      sourcePath: journal.sourcePath,
+      entries: [],
+      sources: {}
+    };
+    await journal.save();
+
+    ChangeJournal.active = journal;
+    return journal;
+  }
+
+  /**
+   * Load the journal of an earlier run
+   * @param {string} destinationPath - Migration destination
+   * @returns {Promise<ChangeJournal>} Loaded (inactive) journal
+   */
+  static async load(destinationPath) {
+    const journal = new ChangeJournal(destinationPath);
+    if (!(await fs.pathExists(journal.indexPath))) {
+      throw new Error(`No migration journal found at ${journal.journalPath}`);
+    }
+
+    journal.state = await fs.readJson(journal.indexPath);
+    if (journal.state.version !== JOURNAL_VERSION) {
+      throw new Error(`Unsupported migration journal version ${journal.state.version} in ${journal.indexPath}`);
+    }
+    journal.state.entries.forEach(entry => journal.entries.set(entry.path, entry));
+    journal.sourcePath = journal.state.sourcePath || null;
+    journal.sources = new Map(Object.entries(journal.state.sources || {}));
+    return journal;
+  }
+
+  static async exists(destinationPath) {
+    return fs.pathExists(path.join(path.resolve(destinationPath), JOURNAL_DIR_NAME, 'journal.json'));
+  }
+
+  /**
+   * Continue recording into this journal (resumed runs roll back to before the original run)
+   */
+  async reopen() {
+    this.state.status = 'recording';
+    this.state.finishedAt = null;
+    await this.save();
+    ChangeJournal.active = this;
+  }
+
+  /**
+   * Record a file (or every file below a directory) before it is written or deleted
+   * @param {string} filePath - Path about to change
+   */
+  static async record(filePath) {
+    if (ChangeJournal.active) {
+      await ChangeJournal.active.recordPath(filePath);
+    }
+  }
+
+  /**
+   * Record every destination file a copy from source to destination will overwrite
+   * @param {string} source - File or directory being copied
+   * @param {string} destination - Copy target
+   */
+  static async recordCopy(source, destination) {
+    const journal = ChangeJournal.active;
+    if (!journal || !(await fs.pathExists(source))) {
+      return;
+    }
+
+    if ((await fs.stat(source)).isDirectory()) {
+      await walkFiles(source, async (relativePath, fullPath) => {
+        const target = path.join(destination, relativePath);
+        await journal.recordPath(target);
+        journal.noteSource(fullPath, target);
+      });
+    } else {
+      await journal.recordPath(destination);
+      journal.noteSource(source, destination);
+    }
+  }
+
+  /**
+   * Record a destination file that is generated from a FlowSource package file
+   * (e.g. Root.tsx with plugin routes removed) before it is written
+   * @param {string} source - Package file the content is derived from
+   * @param {string} destination - File about to be written
+   */
+  static async recordFrom(source, destination) {
+    const journal = ChangeJournal.active;
+    if (journal) {
+      await journal.recordPath(destination);
+      journal.noteSource(source, destination);
+    }
+  }
+
+  // Remember which package file a destination file came from (saved with the next journal write)
+  noteSource(source, destination) {
+    const relativeDestination = this.toRelative(destination);
+    const relativeSource = this.sourcePath ? path.relative(this.sourcePath, path.resolve(source)) : null;
+    if (!relativeDestination || !relativeSource || relativeSource.startsWith('..') || path.isAbsolute(relativeSource)) {
+      return;
+    }
+    this.sources.set(relativeDestination, relativeSource.split(path.sep).join('/'));
+  }
+
+  async recordPath(filePath) {
+    const relativePath = this.toRelative(filePath);
+    if (!relativePath || this.entries.has(relativePath)) {
+      return;
+    }
+
+    const fullPath = path.join(this.destinationPath, relativePath);
+    const stats = await fs.stat(fullPath).catch(() => null);
+
+    if (stats?.isDirectory()) {
+      await walkFiles(fullPath, (childPath) => this.recordPath(path.join(fullPath, childPath)));
+      return;
+    }
+
+    const entry = { path: relativePath, existed: Boolean(stats), recordedAt: new Date().toISOString() };
+    this.entries.set(relativePath, entry);
+
+    // New files need no backup: anything missing from the baseline is removed on rollback
+    if (stats) {
+      await fs.copy(fullPath, path.join(this.backupPath, relativePath));
+      this.state.entries.push(entry);
+      await this.save();
+    }
+  }
+
+  // Destination-relative path, or null for paths outside the destination or inside the journal
+  toRelative(filePath) {
+    const relativePath = path.relative(this.destinationPath, path.resolve(filePath));
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      return null;
+    }
+    const normalized = relativePath.split(path.sep).join('/');
+    return normalized === JOURNAL_DIR_NAME || normalized.startsWith(`${JOURNAL_DIR_NAME}/`) ? null : normalized;
+  }
+
+  /**
+   * Stop recording
+   * @param {string} status - completed | failed
+   */
+  async finish(status) {
+    if (ChangeJournal.active === this) {
+      ChangeJournal.active = null;
+    }
+    this.state.status = status;
+    this.state.finishedAt = new Date().toISOString();
+    await this.save();
+  }
+
+  /**
+   * Restore the destination to its state before the run
+   * @returns {Promise<Object>} { restored, deleted, unrecoverable } lists of relative paths
+   */
+  async rollback() {
+    if (ChangeJournal.active === this) {
+      ChangeJournal.active = null;
+    }
+
+    const result = { restored: [], deleted: [], unrecoverable: [] };
+
+    // The run created the destination: restoring means removing it
+    if (!this.state.destinationExisted) {
+      const created = await snapshot(this.destinationPath);
+      result.deleted = Object.keys(created.files);
+      await fs.remove(this.destinationPath);
+      this.logger.info(`🔄 Removed ${this.destinationPath} (created by the migration)`);
+      return result;
+    }
+
+    const baseline = await fs.readJson(this.baselinePath);
+
+    // Put back the prior content of every recorded file
+    for (const entry of this.entries.values()) {
+      // Files the run created and then changed again are removed below instead
+      if (!entry.existed || !(entry.path in baseline.files)) continue;
+      const fullPath = path.join(this.destinationPath, entry.path);
+      const current = await fs.pathExists(fullPath) ? await hashFile(fullPath) : null;
+      if (current !== baseline.files[entry.path]) {
+        await fs.copy(path.join(this.backupPath, entry.path), fullPath, { overwrite: true });
+        result.restored.push(entry.path);
+      }
+    }
+
+    // Remove what the run created, files first and then directories (deepest first)
+    const current = await snapshot(this.destinationPath);
+    for (const file of Object.keys(current.files)) {
+      if (!(file in baseline.files)) {
+        await fs.remove(path.join(this.destinationPath, file));
+        result.deleted.push(file);
+      }
+    }
+    const createdDirectories = [...current.directories, ...current.dependencyDirectories]
+      .filter(dir => !baseline.directories.includes(dir) && !baseline.dependencyDirectories.includes(dir))
+      .sort((a, b) => b.length - a.length);
+    for (const dir of createdDirectories) {
+      await fs.remove(path.join(this.destinationPath, dir));
+    }
+
+    // Anything still different was changed without being recorded
+    const restoredFiles = await hashFiles(this.destinationPath);
+    for (const [file, hash] of Object.entries(baseline.files)) {
+      if (restoredFiles[file] !== hash) {
+        result.unrecoverable.push(file);
+      }
+    }
+
+    if (result.unrecoverable.length === 0) {
+      await fs.remove(this.journalPath);
+    } else {
+      this.state.status = 'rolled-back-partially';
+      await this.save();
+    }
+
+    return result;
+  }
+
+  async save() {
+    this.state.sources = Object.fromEntries(this.sources);
+    await fs.ensureDir(this.journalPath);
+    await fs.writeJson(this.indexPath, this.state, { spaces: 2 });
+  }
+}
+
+// File hashes plus the directory layout of a destination
+async function snapshot(rootPath) {
+  const directories = [];
+  const dependencyDirectories = [];
+  await walkFiles(rootPath, () => {}, {
+    onDirectory: (relativePath) => directories.push(relativePath),
+    onIgnoredDirectory: (relativePath) => {
+      if (path.posix.basename(relativePath) === 'node_modules') dependencyDirectories.push(relativePath);
+    }
+  });
+
+  return { files: await hashFiles(rootPath), directories, dependencyDirectories };
+}
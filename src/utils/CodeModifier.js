@@ -0,0 +1,1072 @@
+// Code Modifier - Syntax-tree based, idempotent edits of TypeScript / TSX source
+import ts from 'typescript';
+
+// Indentation used when a new block has no sibling to copy it from
+const INDENT_STEP = '  ';
+
+/**
+ * Edits TypeScript and TSX source (App.tsx, EntityPage.tsx, backend index.ts)
+ * through its syntax tree instead of regular expressions.
+ *
+ * Source is parsed with the TypeScript compiler API, the node to change is found
+ * in the tree, and the edit is spliced into the original text at that node's
+ * position. Code the edit does not touch keeps its formatting and comments, and
+ * edits find their target however it is formatted (quotes, line breaks, trailing
+ * commas, self-closing or not).
+ *
+ * Every operation takes the file content and returns the new content. It returns
+ * the content unchanged when the import, element, property or statement is
+ * already there, so operations can be repeated safely. An operation whose
+ * target does not exist (no <FlatRoutes>, no createApp call) throws.
+ */
+export class CodeModifier {
+  /**
+   * Parse source into a syntax tree (always as TSX, which also covers plain TS)
+   * @param {string} content - Source text
+   * @returns {ts.SourceFile} Syntax tree
+   */
+  parse(content) {
+    return ts.createSourceFile('source.tsx', content, ts.ScriptTarget.Latest, true, ts.ScriptKind.TSX);
+  }
+
+  // =====================================
+  // Imports
+  // =====================================
+
+  /**
+   * Names bound by the file's import declarations
+   * @param {string} content - Source text
+   * @returns {Set<string>} Local names
+   */
+  importedNames(content) {
+    return collectImportedNames(this.parse(content));
+  }
+
+  /**
+   * Add named imports, merging them into an existing import of the same module
+   * @param {string} content - Source text
+   * @param {string} moduleSpecifier - Module to import from, e.g. '@backstage/theme'
+   * @param {string|string[]} names - Names to import ('Name' or 'Name as Alias')
+   * @param {Object} options - { typeOnly }: add an `import type` declaration
+   * @returns {string} Updated source
+   */
+  addNamedImport(content, moduleSpecifier, names, { typeOnly = false } = {}) {
+    const sourceFile = this.parse(content);
+    const bound = collectImportedNames(sourceFile);
+    const missing = [].concat(names).filter(name => !bound.has(localName(name)));
+    if (missing.length === 0) {
+      return content;
+    }
+
+    // Merge into `import { ... } from 'module'` when the file already has one
+    const existing = importDeclarations(sourceFile).find(declaration =>
+      declaration.moduleSpecifier.text === moduleSpecifier &&
+      Boolean(declaration.importClause?.isTypeOnly) === typeOnly &&
+      declaration.importClause?.namedBindings &&
+      ts.isNamedImports(declaration.importClause.namedBindings)
+    );
+    if (existing) {
+      return applyEdits(content, [namedImportsEdit(content, sourceFile, existing.importClause.namedBindings, missing)]);
+    }
+
+    const quote = quoteStyle(sourceFile);
+    const statement = `import ${typeOnly ? 'type ' : ''}{ ${missing.join(', ')} } from ${quote}${moduleSpecifier}${quote};`;
+    return insertImportStatement(content, sourceFile, statement);
+  }
+
+  /**
+   * Apply the import declarations of a code snippet (e.g. from plugin documentation).
+   * Named imports are merged like addNamedImport; default, namespace and side-effect
+   * imports are added when their name (or module) is not imported yet. Statements
+   * other than imports are ignored.
+   * @param {string} content - Source text
+   * @param {string} snippet - One or more import declarations
+   * @returns {string} Updated source
+   */
+  addImports(content, snippet) {
+    const declarations = importDeclarations(this.parse(cleanSnippet(snippet)));
+    let result = content;
+
+    for (const declaration of declarations) {
+      const moduleSpecifier = declaration.moduleSpecifier.text;
+      const clause = declaration.importClause;
+      const sourceFile = this.parse(result);
+      const bound = collectImportedNames(sourceFile);
+      const quote = quoteStyle(sourceFile);
+
+      if (!clause) {
+        const alreadyImported = importDeclarations(sourceFile).some(existing => existing.moduleSpecifier.text === moduleSpecifier);
+        if (!alreadyImported) {
+          result = insertImportStatement(result, sourceFile, `import ${quote}${moduleSpecifier}${quote};`);
+        }
+        continue;
+      }
+
+      const typePrefix = clause.isTypeOnly ? 'type ' : '';
+      if (clause.name && !bound.has(clause.name.text)) {
+        result = insertImportStatement(result, sourceFile, `import ${typePrefix}${clause.name.text} from ${quote}${moduleSpecifier}${quote};`);
+      }
+
+      const bindings = clause.namedBindings;
+      if (bindings && ts.isNamespaceImport(bindings)) {
+        if (!bound.has(bindings.name.text)) {
+          const current = this.parse(result);
+          result = insertImportStatement(result, current, `import ${typePrefix}* as ${bindings.name.text} from ${quote}${moduleSpecifier}${quote};`);
+        }
+      } else if (bindings && bindings.elements.length > 0) {
+        const names = bindings.elements.map(element => element.propertyName
+          ? `${element.propertyName.text} as ${element.name.text}`
+          : `${element.isTypeOnly ? 'type ' : ''}${element.name.text}`);
+        result = this.addNamedImport(result, moduleSpecifier, names, { typeOnly: clause.isTypeOnly });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Remove an imported name the file no longer uses (e.g. the icon of a removed
+   * sidebar item); the whole import goes when it was its only name
+   * @param {string} content - Source text
+   * @param {string} name - Local name
+   * @returns {string} Updated source (unchanged while the name is still used)
+   */
+  removeUnusedImport(content, name) {
+    const sourceFile = this.parse(content);
+    const declaration = importDeclarations(sourceFile).find(candidate => bindingNames(candidate).includes(name));
+    if (!declaration || this.isReferenced(content, name)) {
+      return content;
+    }
+
+    const clause = declaration.importClause;
+    if (bindingNames(declaration).length === 1) {
+      return applyEdits(content, [removalEdit(content, sourceFile, declaration)]);
+    }
+    if (clause.name?.text === name) {
+      // `Default, { a }` -> `{ a }`
+      return applyEdits(content, [{ start: clause.name.getStart(sourceFile), end: clause.namedBindings.getStart(sourceFile), text: '' }]);
+    }
+    if (!ts.isNamedImports(clause.namedBindings)) {
+      // `Default, * as name` -> `Default`
+      return applyEdits(content, [{ start: clause.name.end, end: clause.namedBindings.end, text: '' }]);
+    }
+    const elements = clause.namedBindings.elements;
+    const index = elements.findIndex(element => element.name.text === name);
+    if (elements.length === 1) {
+      // `Default, { name }` -> `Default`
+      return applyEdits(content, [{ start: clause.name.end, end: clause.namedBindings.end, text: '' }]);
+    }
+    // Take the separating comma along: the one before the name, or after it for the first name
+    const start = index > 0 ? elements[index - 1].end : elements[index].getStart(sourceFile);
+    const end = index > 0 ? elements[index].end : elements[index + 1].getStart(sourceFile);
+    return applyEdits(content, [{ start, end, text: '' }]);
+  }
+
+  /**
+   * Whether a name is used anywhere besides imports and its own declaration
+   * @param {string} content - Source text
+   * @param {string} name - Identifier
+   * @returns {boolean}
+   */
+  isReferenced(content, name) {
+    const sourceFile = this.parse(content);
+    return findNodes(sourceFile, node =>
+      ts.isIdentifier(node) && node.text === name &&
+      !ts.findAncestor(node, ts.isImportDeclaration) &&
+      !(ts.isVariableDeclaration(node.parent) && node.parent.name === node)
+    ).length > 0;
+  }
+
+  // =====================================
+  // JSX
+  // =====================================
+
+  /**
+   * Top-level JSX elements of a snippet with their attributes and children, e.g. to
+   * read the tabs documented as <EntityLayout.Route> elements
+   * @param {string} snippet - JSX (one or more elements, comments allowed)
+   * @returns {Array<Object>} { tag, attributes, children } per element; attribute values
+   *   are strings for literals, expression text for {…} and true for bare attributes
+   */
+  describeJsxElements(snippet) {
+    const sourceFile = this.parse(`const __snippet = (<>\n${cleanSnippet(snippet)}\n</>);`);
+    return parseJsxChildren(sourceFile).map(({ node }) => {
+      const opening = openingOf(node);
+      const attributes = Object.fromEntries(opening.attributes.properties
+        .filter(ts.isJsxAttribute)
+        .map(attribute => [attribute.name.getText(sourceFile), jsxAttributeSource(attribute, sourceFile)]));
+      const children = ts.isJsxElement(node)
+        ? sourceFile.text.slice(node.openingElement.end, node.closingElement.getStart(sourceFile)).replace(/^\s*\n/, '').replace(/\s+$/, '')
+        : '';
+      return { tag: opening.tagName.getText(sourceFile), attributes, children: reindent(children, '') };
+    });
+  }
+
+  /**
+   * Whether a JSX element matching the selector exists
+   * @param {string} content - Source text
+   * @param {string|Object} selector - Tag name, or { tag, attributes: { path: '/catalog' } }
+   * @param {Object} options - { within }: only search the initializer of this variable
+   * @returns {boolean}
+   */
+  hasJsxElement(content, selector, { within = null } = {}) {
+    const sourceFile = this.parse(content);
+    return findJsxElements(sourceFile, searchRoot(sourceFile, within), toSelector(selector)).length > 0;
+  }
+
+  /**
+   * Value of an attribute of the first JSX element matching the selector
+   * @param {string} content - Source text
+   * @param {string|Object} selector - Tag name, or { tag, attributes }
+   * @param {string} attribute - Attribute name, e.g. 'path'
+   * @param {Object} options - { within }: only search the initializer of this variable
+   * @returns {string|true|null} String value, true for a bare attribute, null when absent
+   */
+  findJsxAttribute(content, selector, attribute, { within = null } = {}) {
+    const sourceFile = this.parse(content);
+    const element = findJsxElements(sourceFile, searchRoot(sourceFile, within), toSelector(selector))[0];
+    const value = element ? jsxAttribute(element, sourceFile, attribute) : undefined;
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Add JSX children to the first element matching the selector. A self-closing
+   * element (<Route ... />) is opened to take the children. Children already
+   * present are skipped: elements with a path or to attribute match by tag and
+   * that attribute (routes, sidebar items), others by their text ignoring whitespace.
+   * @param {string} content - Source text
+   * @param {string|Object} parentSelector - Tag name, or { tag, attributes }
+   * @param {string} childSnippet - JSX to add (one or more elements, comments allowed)
+   * @param {Object} options - { within: variable whose initializer is searched,
+   *   after: selector of the child to insert after (default: after the last child),
+   *   position: 'end' | 'start' }
+   * @returns {string} Updated source
+   */
+  addJsxChild(content, parentSelector, childSnippet, { within = null, after = null, position = 'end' } = {}) {
+    const sourceFile = this.parse(content);
+    const selector = toSelector(parentSelector);
+    const parent = findJsxElements(sourceFile, searchRoot(sourceFile, within), selector)[0];
+    if (!parent) {
+      throw new Error(`No <${selector.tag}> element found${within ? ` in ${within}` : ''}`);
+    }
+
+    const snippet = cleanSnippet(childSnippet);
+    const children = parseJsxChildren(this.parse(`const __snippet = (<>\n${snippet}\n</>);`));
+    if (children.length === 0) {
+      throw new Error(`Not a JSX element: ${snippet}`);
+    }
+
+    const existing = ts.isJsxElement(parent) ? significantChildren(parent).filter(isJsxElementLike) : [];
+    const missing = children.filter(child => !existing.some(candidate => sameElement(candidate, sourceFile, child.node, child.sourceFile)));
+    if (missing.length === 0) {
+      return content;
+    }
+    // Keep the snippet as written (with its comments) unless part of it is already there
+    const text = missing.length === children.length ? snippet : missing.map(child => child.node.getText(child.sourceFile)).join('\n');
+
+    const parentIndent = lineIndent(content, parent.getStart(sourceFile));
+    if (ts.isJsxSelfClosingElement(parent)) {
+      const opening = parent.getText(sourceFile).replace(/\s*\/>$/, '>');
+      const tag = parent.tagName.getText(sourceFile);
+      const childIndent = parentIndent + INDENT_STEP;
+      return applyEdits(content, [{
+        start: parent.getStart(sourceFile),
+        end: parent.end,
+        text: `${opening}\n${reindent(text, childIndent)}\n${parentIndent}</${tag}>`
+      }]);
+    }
+
+    const significant = significantChildren(parent);
+    const childIndent = significant.length > 0 ? lineIndent(content, significant[0].getStart(sourceFile)) : parentIndent + INDENT_STEP;
+    const separator = usesBlankLines(parent, sourceFile) ? '\n\n' : '\n';
+
+    let anchorEnd;
+    const afterChild = after ? significant.find(child => matchesSelector(child, sourceFile, toSelector(after))) : null;
+    if (afterChild) {
+      anchorEnd = afterChild.end;
+    } else if (position === 'start' || significant.length === 0) {
+      anchorEnd = parent.openingElement.end;
+    } else {
+      anchorEnd = significant[significant.length - 1].end;
+    }
+
+    const lead = anchorEnd === parent.openingElement.end ? '\n' : separator;
+    const trail = significant.length === 0 ? `\n${parentIndent}` : '';
+    return applyEdits(content, [{ start: anchorEnd, end: anchorEnd, text: `${lead}${reindent(text, childIndent)}${trail}` }]);
+  }
+
+  /**
+   * Remove every JSX element matching the selector (e.g. a default sidebar item)
+   * @param {string} content - Source text
+   * @param {string|Object} selector - Tag name, or { tag, attributes }
+   * @param {Object} options - { within }: only search the initializer of this variable
+   * @returns {string} Updated source (unchanged when nothing matches)
+   */
+  removeJsxElements(content, selector, { within = null } = {}) {
+    const sourceFile = this.parse(content);
+    const elements = findJsxElements(sourceFile, searchRoot(sourceFile, within), toSelector(selector));
+    // Nested matches go with their outermost match
+    const outermost = elements.filter(element => !elements.some(other => other !== element && other.pos <= element.pos && element.end <= other.end));
+    return outermost.length > 0 ? applyEdits(content, outermost.map(element => removalEdit(content, sourceFile, element))) : content;
+  }
+
+  // =====================================
+  // Objects passed to calls (createApp({ ... }))
+  // =====================================
+
+  /**
+   * Whether the object literal passed to a call has a property
+   * @param {string} content - Source text
+   * @param {string} callee - Callee text, e.g. 'createApp'
+   * @param {string} property - Property name
+   * @returns {boolean}
+   */
+  hasObjectProperty(content, callee, property) {
+    const sourceFile = this.parse(content);
+    const object = callObjectArgument(sourceFile, callee);
+    return Boolean(object && findProperty(object, property));
+  }
+
+  /**
+   * Add a property to the object literal passed to a call, unless it has one with that name
+   * @param {string} content - Source text
+   * @param {string} callee - Callee text, e.g. 'createApp'
+   * @param {string} propertySnippet - Property as written in the object, e.g. 'themes: [...]'
+   * @param {Object} options - { position: 'start' | 'end' }
+   * @returns {string} Updated source
+   */
+  addObjectProperty(content, callee, propertySnippet, { position = 'end' } = {}) {
+    const sourceFile = this.parse(content);
+    const object = callObjectArgument(sourceFile, callee);
+    if (!object) {
+      throw new Error(`No ${callee}({ ... }) call found`);
+    }
+
+    const snippet = cleanSnippet(propertySnippet).replace(/,\s*$/, '');
+    const property = this.parse(`({\n${snippet}\n});`).statements[0]?.expression?.expression?.properties?.[0];
+    const name = property ? propertyName(property) : null;
+    if (!name) {
+      throw new Error(`Not an object property: ${snippet}`);
+    }
+    if (findProperty(object, name)) {
+      return content;
+    }
+
+    return applyEdits(content, [listInsertEdit(content, sourceFile, object, object.properties, snippet, position)]);
+  }
+
+  /**
+   * Set a property of the object literal passed to a call: a property with that name is
+   * replaced, otherwise the property is added
+   * @param {string} content - Source text
+   * @param {string} callee - Callee text, e.g. 'createApp'
+   * @param {string} propertySnippet - Property as written in the object, e.g. 'SignInPage: props => ...'
+   * @param {Object} options - { within: object property to set it in, e.g. 'components'
+   *   (created when missing), position: 'start' | 'end' for an added property }
+   * @returns {string} Updated source
+   */
+  setObjectProperty(content, callee, propertySnippet, { within = null, position = 'end' } = {}) {
+    const sourceFile = this.parse(content);
+    let object = callObjectArgument(sourceFile, callee);
+    if (!object) {
+      throw new Error(`No ${callee}({ ... }) call found`);
+    }
+
+    const snippet = cleanSnippet(propertySnippet).replace(/,\s*$/, '');
+    const property = this.parse(`({\n${snippet}\n});`).statements[0]?.expression?.expression?.properties?.[0];
+    const name = property ? propertyName(property) : null;
+    if (!name) {
+      throw new Error(`Not an object property: ${snippet}`);
+    }
+
+    if (within) {
+      const container = findProperty(object, within);
+      if (!container) {
+        return this.addObjectProperty(content, callee, `${within}: {\n${INDENT_STEP}${reindent(snippet, INDENT_STEP).trimStart()},\n}`, { position });
+      }
+      if (!ts.isPropertyAssignment(container) || !ts.isObjectLiteralExpression(container.initializer)) {
+        throw new Error(`${callee}({ ${within} }) is not an object literal`);
+      }
+      object = container.initializer;
+    }
+
+    const existing = findProperty(object, name);
+    if (!existing) {
+      return applyEdits(content, [listInsertEdit(content, sourceFile, object, object.properties, snippet, position)]);
+    }
+    const text = reindent(snippet, lineIndent(content, existing.getStart(sourceFile))).trimStart();
+    return text === existing.getText(sourceFile) ? content : applyEdits(content, [{ start: existing.getStart(sourceFile), end: existing.end, text }]);
+  }
+
+  /**
+   * Add an element to an array property of the object literal passed to a call.
+   * The property is created when it does not exist.
+   * @param {string} content - Source text
+   * @param {string} callee - Callee text, e.g. 'createApp'
+   * @param {string} property - Array property, e.g. 'themes'
+   * @param {string} elementSnippet - Element to add
+   * @param {Object} options - { key: property identifying object elements (e.g. 'id'),
+   *   position: 'start' | 'end', after: key value of the element to insert after (falls
+   *   back to position when no element has it) }
+   * @returns {string} Updated source
+   */
+  addArrayElement(content, callee, property, elementSnippet, { key = null, position = 'end', after = null } = {}) {
+    const sourceFile = this.parse(content);
+    const object = callObjectArgument(sourceFile, callee);
+    if (!object) {
+      throw new Error(`No ${callee}({ ... }) call found`);
+    }
+
+    const snippet = cleanSnippet(elementSnippet).replace(/,\s*$/, '');
+    const arrayProperty = findProperty(object, property);
+    if (!arrayProperty) {
+      return this.addObjectProperty(content, callee, `${property}: [\n${INDENT_STEP}${reindent(snippet, INDENT_STEP).trimStart()},\n]`, { position });
+    }
+    if (!ts.isPropertyAssignment(arrayProperty) || !ts.isArrayLiteralExpression(arrayProperty.initializer)) {
+      throw new Error(`${callee}({ ${property} }) is not an array literal`);
+    }
+
+    const array = arrayProperty.initializer;
+    const element = this.parse(`([\n${snippet}\n]);`).statements[0]?.expression?.expression?.elements?.[0];
+    const elementKey = key && element ? objectKeyValue(element, key) : null;
+    const present = array.elements.some(candidate => elementKey !== null
+      ? objectKeyValue(candidate, key) === elementKey
+      : normalize(candidate.getText(sourceFile)) === normalize(snippet));
+    if (present) {
+      return content;
+    }
+
+    const anchor = after !== null ? array.elements.find(candidate => objectKeyValue(candidate, key) === after) : null;
+    if (anchor) {
+      const entry = reindent(snippet, lineIndent(content, anchor.getStart(sourceFile)));
+      return applyEdits(content, [{ start: anchor.end, end: anchor.end, text: `,\n${entry}` }]);
+    }
+    return applyEdits(content, [listInsertEdit(content, sourceFile, array, array.elements, snippet, position)]);
+  }
+
+  /**
+   * Elements of an array property of the object literal passed to a call
+   * @param {string} content - Source text
+   * @param {string} callee - Callee text, e.g. 'createApp'
+   * @param {string} property - Array property, e.g. 'themes'
+   * @returns {Array<Object>|null} { text, values } per element (values: its string-literal
+   *   properties, e.g. { id, variant }), or null when the property is not an array literal
+   */
+  arrayElements(content, callee, property) {
+    const sourceFile = this.parse(content);
+    const object = callObjectArgument(sourceFile, callee);
+    const arrayProperty = object ? findProperty(object, property) : null;
+    if (!arrayProperty || !ts.isPropertyAssignment(arrayProperty) || !ts.isArrayLiteralExpression(arrayProperty.initializer)) {
+      return null;
+    }
+
+    return arrayProperty.initializer.elements.map(element => ({
+      text: element.getText(sourceFile),
+      values: stringProperties(element)
+    }));
+  }
+
+  // =====================================
+  // Statements
+  // =====================================
+
+  /**
+   * Whether a top-level variable, function, class or type is declared
+   * @param {string} content - Source text
+   * @param {string} name - Declared name
+   * @returns {boolean}
+   */
+  hasDeclaration(content, name) {
+    return this.parse(content).statements.some(statement => declaredNames(statement).includes(name));
+  }
+
+  /**
+   * Add top-level statements (constants, components) unless the names they declare
+   * already exist. Statements that declare nothing are matched by their text.
+   * @param {string} content - Source text
+   * @param {string} snippet - Statements to add
+   * @param {Object} options - { after / before: name of the top-level declaration to
+   *   insert after / before (default: after the imports) }
+   * @returns {string} Updated source
+   */
+  addStatements(content, snippet, { after = null, before = null } = {}) {
+    const sourceFile = this.parse(content);
+    const snippetFile = this.parse(cleanSnippet(snippet));
+    const declared = new Set(sourceFile.statements.flatMap(declaredNames));
+    const existingText = new Set(sourceFile.statements.map(statement => normalize(statement.getText(sourceFile))));
+
+    const missing = snippetFile.statements.filter(statement => {
+      if (ts.isImportDeclaration(statement)) return false;
+      const names = declaredNames(statement);
+      return names.length > 0
+        ? names.some(name => !declared.has(name))
+        : !existingText.has(normalize(statement.getText(snippetFile)));
+    });
+    if (missing.length === 0) {
+      return content;
+    }
+    const text = missing.map(statement => statement.getFullText(snippetFile).replace(/^\s*\n/, '').trimEnd()).join('\n\n');
+
+    const anchorAfter = after ? sourceFile.statements.find(statement => declaredNames(statement).includes(after)) : null;
+    const anchorBefore = before ? sourceFile.statements.find(statement => declaredNames(statement).includes(before)) : null;
+    if (anchorBefore && !anchorAfter) {
+      const start = lineStart(content, anchorBefore.getStart(sourceFile));
+      return applyEdits(content, [{ start, end: start, text: `${text}\n\n` }]);
+    }
+    const anchor = anchorAfter || importDeclarations(sourceFile).at(-1);
+    if (!anchor) {
+      return applyEdits(content, [{ start: 0, end: 0, text: `${text}\n\n` }]);
+    }
+    return applyEdits(content, [{ start: anchor.end, end: anchor.end, text: `\n\n${text}` }]);
+  }
+
+  // =====================================
+  // Backend (packages/backend/src/index.ts)
+  // =====================================
+
+  /**
+   * Whether `backend.add(...)` registers a module or feature
+   * @param {string} content - Source text
+   * @param {string} feature - Module specifier (matches backend.add(import('…'))) or
+   *   argument text (matches backend.add(customAuthProvidersModule))
+   * @returns {boolean}
+   */
+  hasBackendModule(content, feature) {
+    const sourceFile = this.parse(content);
+    return backendAddStatements(sourceFile).some(statement => registersFeature(statement.expression, sourceFile, feature));
+  }
+
+  /**
+   * How many backend.add(...) statements register a feature
+   * @param {string} content - Source text
+   * @param {string} feature - Module specifier or argument text (see hasBackendModule)
+   * @returns {number}
+   */
+  countBackendModule(content, feature) {
+    const sourceFile = this.parse(content);
+    return backendAddStatements(sourceFile).filter(statement => registersFeature(statement.expression, sourceFile, feature)).length;
+  }
+
+  /**
+   * Add `backend.add(import('module'))` after the last backend.add (or before
+   * backend.start()) unless the module is registered already
+   * @param {string} content - Source text
+   * @param {string} moduleSpecifier - Backend module package
+   * @returns {string} Updated source
+   */
+  addBackendModule(content, moduleSpecifier) {
+    const quote = quoteStyle(this.parse(content));
+    return this.addBackendFeature(content, moduleSpecifier, `import(${quote}${moduleSpecifier}${quote})`);
+  }
+
+  /**
+   * Add the backend.add(...) registrations of a code snippet (e.g. from documentation)
+   * @param {string} content - Source text
+   * @param {string} snippet - Code containing backend.add(...) calls
+   * @returns {string} Updated source
+   */
+  addBackendRegistrations(content, snippet) {
+    const snippetFile = this.parse(cleanSnippet(snippet));
+    let result = content;
+    for (const call of findNodes(snippetFile, node => isBackendAdd(node, snippetFile))) {
+      const argument = call.arguments[0];
+      if (!argument) continue;
+      const moduleSpecifier = dynamicImportSpecifier(argument);
+      result = moduleSpecifier
+        ? this.addBackendModule(result, moduleSpecifier)
+        : this.addBackendFeature(result, argument.getText(snippetFile), argument.getText(snippetFile));
+    }
+    return result;
+  }
+
+  // backend.add(<argumentText>), identified by feature (module specifier or argument text)
+  addBackendFeature(content, feature, argumentText) {
+    if (this.hasBackendModule(content, feature)) {
+      return content;
+    }
+    const sourceFile = this.parse(content);
+    const statement = `backend.add(${argumentText});`;
+    const registrations = backendAddStatements(sourceFile);
+
+    if (registrations.length > 0) {
+      const last = registrations[registrations.length - 1];
+      const indent = lineIndent(content, last.getStart(sourceFile));
+      return applyEdits(content, [{ start: last.end, end: last.end, text: `\n${indent}${statement}` }]);
+    }
+    const start = findNodes(sourceFile, node => ts.isExpressionStatement(node) && isBackendCall(node.expression, sourceFile, 'start'))[0];
+    if (start) {
+      const position = lineStart(content, start.getStart(sourceFile));
+      return applyEdits(content, [{ start: position, end: position, text: `${lineIndent(content, position)}${statement}\n\n` }]);
+    }
+    return `${content.replace(/\s*$/, '')}\n${statement}\n`;
+  }
+
+  // =====================================
+  // Analysis
+  // =====================================
+
+  /**
+   * Modules the file imports, with import declarations or import('…') expressions
+   * @param {string} content - Source text
+   * @returns {Set<string>} Module specifiers
+   */
+  moduleSpecifiers(content) {
+    const sourceFile = this.parse(content);
+    const dynamic = findNodes(sourceFile, node => ts.isCallExpression(node) && node.expression.kind === ts.SyntaxKind.ImportKeyword)
+      .map(dynamicImportSpecifier);
+    return new Set([...importDeclarations(sourceFile).map(declaration => declaration.moduleSpecifier.text), ...dynamic].filter(Boolean));
+  }
+
+  /**
+   * Exported variables initialized with a call, e.g. `export const x = createBackendModule({ ... })`
+   * @param {string} content - Source text
+   * @param {string} callee - Callee text, e.g. 'createBackendModule'
+   * @returns {Array<Object>} { name, values: string-literal properties of the call's object argument }
+   */
+  exportedCalls(content, callee) {
+    const sourceFile = this.parse(content);
+    return sourceFile.statements
+      .filter(statement => ts.isVariableStatement(statement) &&
+        statement.modifiers?.some(modifier => modifier.kind === ts.SyntaxKind.ExportKeyword))
+      .flatMap(statement => statement.declarationList.declarations)
+      .filter(declaration => ts.isIdentifier(declaration.name) && declaration.initializer &&
+        ts.isCallExpression(declaration.initializer) && declaration.initializer.expression.getText(sourceFile) === callee)
+      .map(declaration => ({
+        name: declaration.name.text,
+        values: stringProperties(declaration.initializer.arguments[0])
+      }));
+  }
+
+  /**
+   * String values of one property of the object passed to a function or method, across
+   * all its calls, e.g. every providerId in authProviders.registerProvider({ providerId: 'github' })
+   * @param {string} content - Source text
+   * @param {string} method - Function or method name ('registerProvider' matches x.registerProvider(...))
+   * @param {string} property - Property of the object argument
+   * @returns {Array<string>} Values in source order
+   */
+  callPropertyValues(content, method, property) {
+    const sourceFile = this.parse(content);
+    return findNodes(sourceFile, node => ts.isCallExpression(node) && calledName(node) === method)
+      .map(call => (call.arguments[0] ? objectKeyValue(call.arguments[0], property) : null))
+      .filter(value => value !== null);
+  }
+
+  /**
+   * Elements of the array a JSX attribute is given, written inline (providers={['guest']})
+   * or as a top-level variable (providers={authProviders}). Elements naming a top-level
+   * object literal are resolved to it.
+   * @param {string} content - Source text
+   * @param {string|Object} selector - Tag name, or { tag, attributes }
+   * @param {string} attribute - Attribute name, e.g. 'providers'
+   * @returns {Array<Object>|null} { text, value: string-literal element, properties: property
+   *   name → string-literal value or expression text } per element, or null when the
+   *   attribute is not an array
+   */
+  jsxArrayAttribute(content, selector, attribute) {
+    const sourceFile = this.parse(content);
+    const element = findJsxElements(sourceFile, sourceFile, toSelector(selector))[0];
+    const initializer = element && openingOf(element).attributes.properties.find(property =>
+      ts.isJsxAttribute(property) && property.name.getText(sourceFile) === attribute
+    )?.initializer;
+    const array = initializer && ts.isJsxExpression(initializer) && initializer.expression
+      ? resolveIdentifier(sourceFile, initializer.expression)
+      : null;
+    if (!array || !ts.isArrayLiteralExpression(array)) {
+      return null;
+    }
+
+    return array.elements.map(entry => {
+      const resolved = resolveIdentifier(sourceFile, entry);
+      return {
+        text: entry.getText(sourceFile),
+        value: ts.isStringLiteralLike(resolved) ? resolved.text : null,
+        properties: ts.isObjectLiteralExpression(resolved)
+          ? Object.fromEntries(resolved.properties
+            .filter(property => ts.isPropertyAssignment(property) && propertyName(property))
+            .map(property => [propertyName(property), ts.isStringLiteralLike(property.initializer)
+              ? property.initializer.text
+              : property.initializer.getText(sourceFile)]))
+          : {}
+      };
+    });
+  }
+
+  // =====================================
+  // Removal
+  // =====================================
+
+  /**
+   * Remove call expression statements, e.g. every backend.add(import('…allow-all-policy'))
+   * @param {string} content - Source text
+   * @param {Object} matcher - { callee: callee text such as 'backend.add',
+   *   importSpecifier: module passed as import('…'), argument: argument text,
+   *   comment: RegExp a comment on the statement's line or just above it must match
+   *   (e.g. /DELETE/); such a comment above the statement is removed with it }
+   * @returns {string} Updated source
+   */
+  removeCallExpression(content, { callee, importSpecifier = null, argument = null, comment = null }) {
+    const sourceFile = this.parse(content);
+    const statements = findNodes(sourceFile, node =>
+      ts.isExpressionStatement(node) &&
+      ts.isCallExpression(node.expression) &&
+      node.expression.expression.getText(sourceFile) === callee &&
+      (importSpecifier === null || node.expression.arguments.some(arg => dynamicImportSpecifier(arg) === importSpecifier)) &&
+      (argument === null || node.expression.arguments.some(arg => normalize(arg.getText(sourceFile)) === normalize(argument))) &&
+      (comment === null || markingComments(content, node, comment).length > 0)
+    );
+    if (statements.length === 0) {
+      return content;
+    }
+
+    return applyEdits(content, statements.map(statement => {
+      if (!comment) {
+        return removalEdit(content, sourceFile, statement);
+      }
+      // The marking comment goes with the statement: from the line it starts on to the end of its line
+      const comments = markingComments(content, statement, comment);
+      const start = lineStart(content, Math.min(statement.getStart(sourceFile), ...comments.map(range => range.pos)));
+      const lineEnd = content.indexOf('\n', Math.max(statement.end, ...comments.map(range => range.end)));
+      return { start, end: lineEnd === -1 ? content.length : lineEnd + 1, text: '' };
+    }));
+  }
+}
+
+// =====================================
+// Tree helpers
+// =====================================
+
+function findNodes(root, predicate) {
+  const found = [];
+  const visit = (node) => {
+    if (predicate(node)) found.push(node);
+    ts.forEachChild(node, visit);
+  };
+  visit(root);
+  return found;
+}
+
+function importDeclarations(sourceFile) {
+  return sourceFile.statements.filter(ts.isImportDeclaration);
+}
+
+function collectImportedNames(sourceFile) {
+  return new Set(importDeclarations(sourceFile).flatMap(bindingNames));
+}
+
+// Local names an import declaration binds
+function bindingNames(declaration) {
+  const clause = declaration.importClause;
+  if (!clause) return [];
+  const names = clause.name ? [clause.name.text] : [];
+  if (clause.namedBindings && ts.isNamespaceImport(clause.namedBindings)) {
+    names.push(clause.namedBindings.name.text);
+  } else if (clause.namedBindings) {
+    names.push(...clause.namedBindings.elements.map(element => element.name.text));
+  }
+  return names;
+}
+
+// 'Name', 'Name as Alias' or 'type Name' -> the local name
+function localName(specifier) {
+  return specifier.replace(/^type\s+/, '').split(/\s+as\s+/).pop().trim();
+}
+
+// Quote of the file's first import, so added code matches the file
+function quoteStyle(sourceFile) {
+  const first = importDeclarations(sourceFile)[0];
+  return first && first.moduleSpecifier.getText(sourceFile).startsWith('"') ? '"' : "'";
+}
+
+function insertImportStatement(content, sourceFile, statement) {
+  const last = importDeclarations(sourceFile).at(-1);
+  if (!last) {
+    return `${statement}\n${content}`;
+  }
+  return applyEdits(content, [{ start: last.end, end: last.end, text: `\n${statement}` }]);
+}
+
+// Add names to `{ ... }` of an import, following its single- or multi-line layout
+function namedImportsEdit(content, sourceFile, namedImports, names) {
+  const elements = namedImports.elements;
+  if (elements.length === 0) {
+    return { start: namedImports.getStart(sourceFile), end: namedImports.end, text: `{ ${names.join(', ')} }` };
+  }
+  const last = elements[elements.length - 1];
+  if (!namedImports.getText(sourceFile).includes('\n')) {
+    return { start: last.end, end: last.end, text: `, ${names.join(', ')}` };
+  }
+  const indent = lineIndent(content, last.getStart(sourceFile));
+  const added = names.map(name => `\n${indent}${name}`).join(',');
+  return elements.hasTrailingComma
+    ? { start: elements.end, end: elements.end, text: `${added},` }
+    : { start: last.end, end: last.end, text: `,${added}` };
+}
+
+// Initializer of a top-level variable (e.g. serviceEntityPage), or the whole file
+function searchRoot(sourceFile, variableName) {
+  if (!variableName) {
+    return sourceFile;
+  }
+  const declaration = findNodes(sourceFile, node =>
+    ts.isVariableDeclaration(node) && ts.isIdentifier(node.name) && node.name.text === variableName
+  )[0];
+  if (!declaration?.initializer) {
+    throw new Error(`No declaration of ${variableName} found`);
+  }
+  return declaration.initializer;
+}
+
+function toSelector(selector) {
+  return typeof selector === 'string' ? { tag: selector, attributes: {} } : { attributes: {}, ...selector };
+}
+
+function isJsxElementLike(node) {
+  return ts.isJsxElement(node) || ts.isJsxSelfClosingElement(node);
+}
+
+function openingOf(node) {
+  return ts.isJsxElement(node) ? node.openingElement : node;
+}
+
+function jsxAttribute(node, sourceFile, name) {
+  const attribute = openingOf(node).attributes.properties.find(property =>
+    ts.isJsxAttribute(property) && property.name.getText(sourceFile) === name
+  );
+  if (!attribute) return undefined;
+  const initializer = attribute.initializer;
+  if (!initializer) return true;
+  if (ts.isStringLiteral(initializer)) return initializer.text;
+  if (ts.isJsxExpression(initializer) && initializer.expression && ts.isStringLiteralLike(initializer.expression)) {
+    return initializer.expression.text;
+  }
+  return normalize(initializer.getText(sourceFile));
+}
+
+// Attribute value as written: string literal text, expression source or true
+function jsxAttributeSource(attribute, sourceFile) {
+  const initializer = attribute.initializer;
+  if (!initializer) return true;
+  if (ts.isStringLiteral(initializer)) return initializer.text;
+  const expression = ts.isJsxExpression(initializer) ? initializer.expression : null;
+  if (!expression) return initializer.getText(sourceFile);
+  return ts.isStringLiteralLike(expression) ? expression.text : expression.getText(sourceFile);
+}
+
+function matchesSelector(node, sourceFile, selector) {
+  return isJsxElementLike(node) &&
+    openingOf(node).tagName.getText(sourceFile) === selector.tag &&
+    Object.entries(selector.attributes).every(([name, value]) => jsxAttribute(node, sourceFile, name) === value);
+}
+
+function findJsxElements(sourceFile, root, selector) {
+  return findNodes(root, node => matchesSelector(node, sourceFile, selector));
+}
+
+// Children other than whitespace-only text
+function significantChildren(element) {
+  return element.children.filter(child => !(ts.isJsxText(child) && child.containsOnlyTriviaWhiteSpaces));
+}
+
+function parseJsxChildren(snippetFile) {
+  const fragment = findNodes(snippetFile, ts.isJsxFragment)[0];
+  return fragment ? fragment.children.filter(isJsxElementLike).map(node => ({ node, sourceFile: snippetFile })) : [];
+}
+
+// Routes are the same when tag and path match, sidebar items when tag and target
+// (to) do; other elements when their text does
+function sameElement(existing, existingFile, candidate, candidateFile) {
+  const tag = openingOf(existing).tagName.getText(existingFile);
+  if (tag !== openingOf(candidate).tagName.getText(candidateFile)) {
+    return false;
+  }
+  for (const key of ['path', 'to']) {
+    const existingValue = jsxAttribute(existing, existingFile, key);
+    const candidateValue = jsxAttribute(candidate, candidateFile, key);
+    if (existingValue !== undefined && candidateValue !== undefined) {
+      return existingValue === candidateValue;
+    }
+  }
+  return normalize(existing.getText(existingFile)) === normalize(candidate.getText(candidateFile));
+}
+
+// Whether the element's children are separated by blank lines
+function usesBlankLines(element, sourceFile) {
+  const significant = significantChildren(element);
+  if (significant.length < 2) {
+    return false;
+  }
+  const between = sourceFile.text.slice(significant[0].end, significant[1].getStart(sourceFile));
+  return /\n[ \t]*\n/.test(between);
+}
+
+function callObjectArgument(sourceFile, callee) {
+  const call = findNodes(sourceFile, node =>
+    ts.isCallExpression(node) && node.expression.getText(sourceFile) === callee &&
+    node.arguments.length > 0 && ts.isObjectLiteralExpression(node.arguments[0])
+  )[0];
+  return call ? call.arguments[0] : null;
+}
+
+// Top-level variable an identifier names, followed to its initializer (other expressions as they are)
+function resolveIdentifier(sourceFile, node) {
+  if (!ts.isIdentifier(node)) return node;
+  const declaration = sourceFile.statements
+    .filter(ts.isVariableStatement)
+    .flatMap(statement => statement.declarationList.declarations)
+    .find(candidate => ts.isIdentifier(candidate.name) && candidate.name.text === node.text);
+  return declaration?.initializer || node;
+}
+
+// Name of the called function or method: registerProvider for authProviders.registerProvider(...)
+function calledName(call) {
+  const callee = call.expression;
+  if (ts.isIdentifier(callee)) return callee.text;
+  return ts.isPropertyAccessExpression(callee) ? callee.name.text : null;
+}
+
+function stringProperties(node) {
+  if (!node || !ts.isObjectLiteralExpression(node)) return {};
+  return Object.fromEntries(node.properties
+    .map(property => [propertyName(property), objectKeyValue(node, propertyName(property))])
+    .filter(([name, value]) => name && value !== null));
+}
+
+function propertyName(property) {
+  if (!property.name) return null;
+  return ts.isIdentifier(property.name) || ts.isStringLiteral(property.name) ? property.name.text : null;
+}
+
+function findProperty(object, name) {
+  return object.properties.find(property => propertyName(property) === name);
+}
+
+function objectKeyValue(node, key) {
+  if (!ts.isObjectLiteralExpression(node)) return null;
+  const property = findProperty(node, key);
+  return property && ts.isPropertyAssignment(property) && ts.isStringLiteralLike(property.initializer)
+    ? property.initializer.text
+    : null;
+}
+
+// Insert into an object or array literal, one entry per line like its existing entries
+function listInsertEdit(content, sourceFile, container, entries, snippet, position) {
+  const containerIndent = lineIndent(content, container.getStart(sourceFile));
+  const indent = entries.length > 0 ? lineIndent(content, entries[0].getStart(sourceFile)) : containerIndent + INDENT_STEP;
+  const entry = reindent(snippet, indent);
+
+  if (entries.length === 0) {
+    const open = container.getStart(sourceFile) + 1;
+    return { start: open, end: container.end - 1, text: `\n${entry},\n${containerIndent}` };
+  }
+  if (position === 'start') {
+    const open = container.getStart(sourceFile) + 1;
+    return { start: open, end: open, text: `\n${entry},` };
+  }
+  const last = entries[entries.length - 1];
+  return entries.hasTrailingComma
+    ? { start: entries.end, end: entries.end, text: `\n${entry},` }
+    : { start: last.end, end: last.end, text: `,\n${entry}` };
+}
+
+function declaredNames(statement) {
+  if (ts.isVariableStatement(statement)) {
+    return statement.declarationList.declarations.filter(declaration => ts.isIdentifier(declaration.name)).map(declaration => declaration.name.text);
+  }
+  if ((ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement) ||
+       ts.isInterfaceDeclaration(statement) || ts.isTypeAliasDeclaration(statement)) && statement.name) {
+    return [statement.name.text];
+  }
+  return [];
+}
+
+function isBackendCall(node, sourceFile, method) {
+  return ts.isCallExpression(node) &&
+    ts.isPropertyAccessExpression(node.expression) &&
+    node.expression.expression.getText(sourceFile) === 'backend' &&
+    node.expression.name.text === method;
+}
+
+function isBackendAdd(node, sourceFile) {
+  return isBackendCall(node, sourceFile, 'add');
+}
+
+function backendAddStatements(sourceFile) {
+  return sourceFile.statements.filter(statement => ts.isExpressionStatement(statement) && isBackendAdd(statement.expression, sourceFile));
+}
+
+// Module of an import('…') expression, also inside import('…').then(...)
+function dynamicImportSpecifier(node) {
+  const call = findNodes(node, candidate =>
+    ts.isCallExpression(candidate) && candidate.expression.kind === ts.SyntaxKind.ImportKeyword
+  )[0];
+  const argument = call?.arguments[0];
+  return argument && ts.isStringLiteralLike(argument) ? argument.text : null;
+}
+
+function registersFeature(call, sourceFile, feature) {
+  const argument = call.arguments[0];
+  if (!argument) return false;
+  return dynamicImportSpecifier(argument) === feature || normalize(argument.getText(sourceFile)) === normalize(feature);
+}
+
+// =====================================
+// Text helpers
+// =====================================
+
+// Apply { start, end, text } edits, last first so earlier offsets stay valid
+function applyEdits(content, edits) {
+  return [...edits]
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), content);
+}
+
+// Remove a node, with its whole line(s) when it has them to itself
+// Comments directly above a statement or after it on its line that match a pattern
+function markingComments(content, node, pattern) {
+  const leading = ts.getLeadingCommentRanges(content, node.getFullStart()) || [];
+  const trailing = (ts.getTrailingCommentRanges(content, node.end) || []).filter(range => !content.slice(node.end, range.pos).includes('\n'));
+  return [...leading.slice(-1), ...trailing].filter(range => pattern.test(content.slice(range.pos, range.end)));
+}
+
+function removalEdit(content, sourceFile, node) {
+  const start = lineStart(content, node.getStart(sourceFile));
+  const lineEnd = content.indexOf('\n', node.end);
+  const restOfLine = content.slice(node.end, lineEnd === -1 ? content.length : lineEnd);
+  if (content.slice(start, node.getStart(sourceFile)).trim() === '' && restOfLine.trim() === '') {
+    return { start, end: lineEnd === -1 ? content.length : lineEnd + 1, text: '' };
+  }
+  return { start: node.getStart(sourceFile), end: node.end, text: '' };
+}
+
+function lineStart(content, position) {
+  return content.lastIndexOf('\n', position - 1) + 1;
+}
+
+function lineIndent(content, position) {
+  return content.slice(lineStart(content, position)).match(/^[ \t]*/)[0];
+}
+
+// Remove Markdown code fences copied along with documentation snippets
+function cleanSnippet(snippet) {
+  return snippet.replace(/```[\w-]*\s*/g, '').trim();
+}
+
+// Whitespace and trailing semicolons do not make code different
+function normalize(text) {
+  return text.replace(/\s+/g, '').replace(/;+$/, '');
+}
+
+// Re-indent a snippet to `indent`, keeping its relative indentation. A first line
+// without indentation (a trimmed snippet) takes the indentation of the lines below.
+function reindent(text, indent) {
+  const lines = text.split('\n');
+  const measured = lines.filter((line, index) => line.trim() !== '' && (index > 0 || /^\s/.test(line)));
+  const common = measured.length > 0 ? Math.min(...measured.map(line => line.match(/^[ \t]*/)[0].length)) : 0;
+  return lines
+    .map((line, index) => {
+      if (line.trim() === '') return '';
+      const body = index === 0 && !/^\s/.test(line) ? line : line.slice(common);
+      return indent + body;
+    })
+    .join('\n');
+}
@@ -0,0 +1,89 @@
+// Compliance Report - Rule results of a migrated app, as data, Markdown and JSON files
+import fs from 'fs-extra';
+import path from 'path';
+import { ChangeJournal } from './ChangeJournal.js';
+
+// Written to the destination so teams can attach them to the PR introducing the app
+export const COMPLIANCE_REPORT_FILES = {
+  markdown: 'flowsource-ui-compliance.md',
+  json: 'flowsource-ui-compliance.json'
+};
+
+const STATUS_LABELS = { pass: '✅ pass', warn: '⚠️ warn', fail: '❌ fail' };
+
+/**
+ * Assemble rule results into a report
+ * @param {Array<Object>} results - { id, section, description, file, severity, status
+ *   ('pass' | 'warn' | 'fail'), problems, remediation } per rule
+ * @param {Object} options - { document: requirements the rules come from, destinationPath }
+ * @returns {Object} { document, destinationPath, generatedAt, compliant, summary: { pass, warn, fail }, rules }
+ */
+export function buildComplianceReport(results, { document, destinationPath }) {
+  const summary = { pass: 0, warn: 0, fail: 0 };
+  for (const result of results) {
+    summary[result.status]++;
+  }
+  return {
+    document,
+    destinationPath,
+    generatedAt: new Date().toISOString(),
+    compliant: summary.fail === 0,
+    summary,
+    rules: results
+  };
+}
+
+/**
+ * Render a report as Markdown: a table of all rules, then what to do about each failed or warned rule
+ * @param {Object} report - Report from buildComplianceReport()
+ * @returns {string} Markdown document
+ */
+export function formatComplianceMarkdown(report) {
+  const { pass, warn, fail } = report.summary;
+  const lines = [
+    '# FlowSource UI compliance report',
+    '',
+    `Checked against \`${report.document}\` on ${report.generatedAt}.`,
+    '',
+    `**${report.compliant ? 'Compliant' : 'Not compliant'}**: ${pass} passed, ${warn} warnings, ${fail} failed.`,
+    '',
+    '| Rule | Section | Requirement | File | Result |',
+    '|------|---------|-------------|------|--------|',
+    ...report.rules.map(rule =>
+      `| ${rule.id} | ${cell(rule.section)} | ${cell(rule.description)} | \`${cell(rule.file)}\` | ${STATUS_LABELS[rule.status]} |`)
+  ];
+
+  const open = report.rules.filter(rule => rule.status !== 'pass');
+  if (open.length > 0) {
+    lines.push('', '## Remediation');
+    for (const rule of open) {
+      lines.push('', `### ${rule.id}: ${rule.description} (${STATUS_LABELS[rule.status]})`, '');
+      lines.push(...rule.problems.map(problem => `- ${problem}`));
+      lines.push('', `**Fix:** ${rule.remediation}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write the report into the destination as Markdown and JSON
+ * @param {Object} report - Report from buildComplianceReport()
+ * @param {string} destinationPath - App directory
+ * @returns {Promise<Object>} { markdown, json }: paths of the written files
+ */
+export async function saveComplianceReport(report, destinationPath) {
+  const paths = {
+    markdown: path.join(destinationPath, COMPLIANCE_REPORT_FILES.markdown),
+    json: path.join(destinationPath, COMPLIANCE_REPORT_FILES.json)
+  };
+  await ChangeJournal.record(paths.markdown);
+  await fs.outputFile(paths.markdown, formatComplianceMarkdown(report), 'utf8');
+  await ChangeJournal.record(paths.json);
+  await fs.outputJson(paths.json, report, { spaces: 2 });
+  return paths;
+}
+
+// Table cells cannot contain pipes or line breaks
+function cell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
@@ -3,6 +3,8 @@ import fs from 'fs-extra';
 import yaml from 'yaml';
 import path from 'path';
 import { Logger } from './Logger.js';
+import { ChangeJournal } from './ChangeJournal.js';
+import { updateYamlContent } from './YamlDocument.js';
 
 export class ConfigManager {
   constructor() {
@@ -29,6 +31,7 @@ export class ConfigManager {
         await this.mergeJsonConfig(sourcePath, destinationPath);
       } else {
         // For other files, just copy
+        await ChangeJournal.recordCopy(sourcePath, destinationPath);
         await fs.copy(sourcePath, destinationPath, { overwrite: true });
         this.logger.info(`📄 Copied config file: ${path.basename(destinationPath)}`);
       }
@@ -44,22 +47,23 @@ export class ConfigManager {
       const sourceContent = await fs.readFile(sourcePath, 'utf8');
       const sourceConfig = yaml.parse(sourceContent);
       
-      let destConfig = {};
-      if (await fs.pathExists(destinationPath)) {
-        const destContent = await fs.readFile(destinationPath, 'utf8');
-        destConfig = yaml.parse(destContent) || {};
-      }
+      const destContent = await fs.pathExists(destinationPath) ? await fs.readFile(destinationPath, 'utf8') : '';
       
       // For app-config.yaml, we want to be careful not to override critical Backstage settings
-      // Instead, we'll merge FlowSource-specific configurations
-      const mergedConfig = this.smartMergeAppConfig(destConfig, sourceConfig);
+      // Instead, we'll merge FlowSource-specific configurations, editing the destination in
+      // place so its comments and key order survive and only the merged keys change
+      const { content, changed } = updateYamlContent(
+        destContent,
+        destConfig => this.smartMergeAppConfig(destConfig, sourceConfig)
+      );
       
-      const mergedYaml = yaml.stringify(mergedConfig, {
-        indent: 2,
-        lineWidth: 120
-      });
+      if (!changed) {
+        this.logger.info(`🔄 YAML config already up to date: ${path.basename(destinationPath)}`);
+        return;
+      }
       
-      await fs.writeFile(destinationPath, mergedYaml, 'utf8');
+      await ChangeJournal.record(destinationPath);
+      await fs.writeFile(destinationPath, content, 'utf8');
       this.logger.info(`🔄 Merged YAML config: ${path.basename(destinationPath)}`);
       
     } catch (error) {
@@ -79,6 +83,7 @@ export class ConfigManager {
       
       const mergedConfig = this.deepMerge(destConfig, sourceConfig);
       
+      await ChangeJournal.record(destinationPath);
       await fs.writeJson(destinationPath, mergedConfig, { spaces: 2 });
       this.logger.info(`🔄 Merged JSON config: ${path.basename(destinationPath)}`);
       
@@ -0,0 +1,138 @@
+// Drift Detector - Compares a migrated app with its migration manifest and the FlowSource package
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { Logger } from './Logger.js';
+import { MigrationManifest, describeSource } from './MigrationManifest.js';
+import { hashFile } from './FileTree.js';
+
+/**
+ * Finds generated files that changed since the migration:
+ * - modified: the file's checksum differs from the one in the manifest (hand-edited)
+ * - deleted: the file is gone
+ * - stale: the package file it was copied or derived from changed or was removed,
+ *   so the app no longer matches the FlowSource package
+ */
+export class DriftDetector {
+  constructor() {
+    this.logger = Logger.getInstance();
+  }
+
+  /**
+   * Build the drift report of a migrated app
+   * @param {string} destinationPath - Migrated application
+   * @param {Object} options - { sourcePath }: package to compare with (defaults to the one recorded in the manifest)
+   * @returns {Promise<Object>} Drift report
+   */
+  async detect(destinationPath, { sourcePath = null } = {}) {
+    const manifest = await MigrationManifest.load(destinationPath);
+    if (!manifest) {
+      throw new Error(`No migration manifest found in ${path.resolve(destinationPath)} - drift can only be checked for apps migrated with a manifest`);
+    }
+
+    const recordedSource = manifest.data.source || {};
+    const currentSourcePath = sourcePath ? path.resolve(sourcePath) : recordedSource.path;
+    const sourceAvailable = Boolean(currentSourcePath) && await fs.pathExists(currentSourcePath);
+    const currentSource = sourceAvailable ? await describeSource(currentSourcePath) : null;
+
+    const report = {
+      destinationPath: manifest.destinationPath,
+      checkedAt: new Date().toISOString(),
+      manifest: {
+        tool: manifest.data.tool,
+        phases: manifest.phases,
+        updatedAt: manifest.data.updatedAt
+      },
+      source: {
+        path: currentSourcePath || null,
+        available: sourceAvailable,
+        recordedVersion: recordedSource.version || null,
+        currentVersion: currentSource?.version || null,
+        versionChanged: Boolean(currentSource) && currentSource.version !== (recordedSource.version || null)
+      },
+      summary: { files: 0, unchanged: 0, modified: 0, deleted: 0, stale: 0 },
+      modified: [],
+      deleted: [],
+      stale: [],
+      clean: true
+    };
+
+    for (const [file, entry] of Object.entries(manifest.files)) {
+      report.summary.files++;
+      const fullPath = path.join(manifest.destinationPath, file);
+      const exists = await fs.pathExists(fullPath);
+      const edited = exists && (await hashFile(fullPath)) !== entry.sha256;
+
+      if (!exists) {
+        report.deleted.push({ path: file, step: entry.step });
+      } else if (edited) {
+        report.modified.push({ path: file, step: entry.step });
+      }
+
+      const staleReason = sourceAvailable ? await this.checkSource(currentSourcePath, entry) : null;
+      if (staleReason) {
+        report.stale.push({ path: file, source: entry.source, reason: staleReason, locallyModified: edited });
+      }
+
+      if (exists && !edited && !staleReason) {
+        report.summary.unchanged++;
+      }
+    }
+
+    report.summary.modified = report.modified.length;
+    report.summary.deleted = report.deleted.length;
+    report.summary.stale = report.stale.length;
+    report.clean = report.modified.length + report.deleted.length + report.stale.length === 0;
+    return report;
+  }
+
+  // Why a generated file no longer matches its package file, or null when it still does
+  async checkSource(sourcePath, entry) {
+    if (!entry.source) {
+      return null;
+    }
+    const sourceFile = path.join(sourcePath, entry.source);
+    if (!(await fs.pathExists(sourceFile))) {
+      return 'source-removed';
+    }
+    return (await hashFile(sourceFile)) !== entry.sourceSha256 ? 'source-changed' : null;
+  }
+
+  /**
+   * Print the report to the console
+   * @param {Object} report - Report returned by detect()
+   */
+  printReport(report) {
+    console.log('\n' + chalk.magenta('🔎 Migration Drift Report:'));
+    console.log(chalk.gray(`   App: ${report.destinationPath}`));
+    console.log(chalk.gray(`   Phases: ${report.manifest.phases.join(', ') || 'none'} (last migrated ${report.manifest.updatedAt})`));
+
+    if (!report.source.available) {
+      console.log(chalk.yellow(`   ⚠️ FlowSource package not found (${report.source.path || 'no path recorded'}) - use --source to check for stale files`));
+    } else if (report.source.versionChanged) {
+      console.log(chalk.yellow(`   📦 Package version changed: ${report.source.recordedVersion || 'unknown'} → ${report.source.currentVersion || 'unknown'}`));
+    }
+
+    const { summary } = report;
+    console.log(
+      `   ${summary.files} generated files: ${chalk.green(`${summary.unchanged} unchanged`)}, ` +
+      `${chalk.yellow(`${summary.modified} hand-edited`)}, ` +
+      `${chalk.red(`${summary.deleted} deleted`)}, ` +
+      `${chalk.cyan(`${summary.stale} stale`)}`
+    );
+
+    if (report.clean) {
+      console.log(chalk.green('\n   ✅ No drift - the app matches its migration manifest and the FlowSource package.'));
+      return;
+    }
+
+    console.log('');
+    report.modified.forEach(entry => console.log(`   ${chalk.yellow('~ edited ')} ${entry.path}`));
+    report.deleted.forEach(entry => console.log(`   ${chalk.red('- deleted')} ${entry.path}`));
+    report.stale.forEach(entry => {
+      const reason = entry.reason === 'source-removed' ? 'removed from package' : 'changed in package';
+      const edited = entry.locallyModified ? chalk.yellow(', also edited locally') : '';
+      console.log(`   ${chalk.cyan('! stale  ')} ${entry.path} ${chalk.gray(`(${entry.source} ${reason})`)}${edited}`);
+    });
+  }
+}
@@ -0,0 +1,321 @@
+// Entity Page Layout - Tabs per entity kind and type, reconciled into EntityPage.tsx
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import { validateAgainstSchema } from './MigrationProfile.js';
+import { CodeModifier } from './CodeModifier.js';
+
+export const ENTITY_KINDS = ['component', 'api', 'system', 'domain', 'group', 'user', 'resource'];
+
+// Page variables of the Backstage skeleton's EntityPage.tsx; other kinds and component
+// types get a page named after them (resourcePage, libraryEntityPage)
+const SKELETON_PAGES = {
+  'component:service': 'serviceEntityPage',
+  'component:website': 'websiteEntityPage',
+  component: 'defaultEntityPage'
+};
+
+const tab = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['path', 'title', 'content'],
+  properties: {
+    path: { type: 'string', pattern: '^/' },
+    title: { type: 'string', minLength: 1 },
+    content: { type: 'string', minLength: 1 },
+    if: { type: 'string', minLength: 1 },
+    after: { type: 'string', pattern: '^/' },
+    imports: { type: 'string', minLength: 1 }
+  }
+};
+
+/**
+ * Schema for entity page layout files (same schema subset as migration profiles)
+ */
+export const ENTITY_LAYOUT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['pages'],
+  properties: {
+    version: { type: 'integer', enum: [1] },
+    pages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['kind', 'tabs'],
+        properties: {
+          kind: { type: 'string', enum: ENTITY_KINDS },
+          type: { type: 'string', pattern: '^[a-z][a-z0-9-]*$' },
+          tabs: { type: 'array', items: tab }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * A validated entity page layout (`--entity-layout <file>`, or the tabs a plugin documents):
+ *
+ *   pages:
+ *     - kind: component
+ *       type: service                    # component type; other kinds have no type
+ *       tabs:
+ *         - path: /code-repository
+ *           title: Code Repository
+ *           if: isGithubAvailable        # EntityLayout.Route condition, must be in scope
+ *           after: /                     # tab it follows (default: the previous one, or last)
+ *           content: '{repoPage}'
+ *     - kind: resource                   # pages the skeleton lacks are created
+ *       tabs:
+ *         - { path: /dependencies, title: Dependencies, content: '<EntityDependsOnComponentsCard variant="gridItem" />',
+ *             imports: "import { EntityDependsOnComponentsCard } from '@backstage/plugin-catalog';" }
+ *
+ * Tabs already on a page (matched by path) are left as they are, so a layout can be
+ * applied again and again.
+ */
+export class EntityPageLayout {
+  constructor(data, filePath = null) {
+    this.data = data;
+    this.filePath = filePath;
+    this.codeModifier = new CodeModifier();
+  }
+
+  /**
+   * Read and validate an entity page layout file
+   * @param {string} filePath - Path to a .yaml/.yml/.json layout
+   * @returns {Promise<EntityPageLayout>} Entity page layout
+   */
+  static async load(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    if (!(await fs.pathExists(resolvedPath))) {
+      throw new Error(`Entity page layout not found: ${resolvedPath}`);
+    }
+
+    let data;
+    try {
+      data = yaml.load(await fs.readFile(resolvedPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to parse entity page layout ${resolvedPath}: ${error.message}`);
+    }
+    return EntityPageLayout.fromObject(data, resolvedPath);
+  }
+
+  /**
+   * Validate an in-memory entity page layout
+   * @param {Object} data - Raw layout
+   * @param {string} filePath - Origin, used in messages
+   * @returns {EntityPageLayout} Entity page layout
+   */
+  static fromObject(data, filePath = null) {
+    const label = filePath || 'entity page layout';
+    const errors = validateAgainstSchema(data, ENTITY_LAYOUT_SCHEMA, '', { resolved: true });
+    if (errors.length === 0) {
+      const pageKeys = [];
+      data.pages.forEach((page, index) => {
+        if (page.type && page.kind !== 'component') {
+          errors.push(`pages[${index}].type: only component pages have a type`);
+        }
+        const key = pageKey(page);
+        if (pageKeys.includes(key)) {
+          errors.push(`pages[${index}]: ${key} is listed twice`);
+        }
+        pageKeys.push(key);
+        const paths = page.tabs.map(entry => entry.path);
+        paths.forEach((tabPath, tabIndex) => {
+          if (paths.indexOf(tabPath) !== tabIndex) {
+            errors.push(`pages[${index}].tabs[${tabIndex}]: duplicates the path ${tabPath}`);
+          }
+        });
+      });
+      if (errors.length === 0) {
+        return new EntityPageLayout(data, filePath);
+      }
+    }
+    throw new Error(`Invalid entity page layout ${label}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  /**
+   * Layout of one page from documented <EntityLayout.Route> elements (plugin READMEs)
+   * @param {Object} page - { kind, type }
+   * @param {string} routes - JSX with one or more <EntityLayout.Route> elements
+   * @param {Object} options - { after: path of the tab the first route follows }
+   * @returns {EntityPageLayout} Entity page layout
+   */
+  static fromRoutes(page, routes, { after = null } = {}) {
+    const tabs = new CodeModifier().describeJsxElements(routes).map(({ tag, attributes, children }, index) => {
+      if (tag !== 'EntityLayout.Route') {
+        throw new Error(`Not an entity page tab: <${tag}>`);
+      }
+      return {
+        path: attributes.path,
+        title: attributes.title,
+        content: children,
+        ...(attributes.if ? { if: attributes.if } : {}),
+        ...(index === 0 && after ? { after } : {})
+      };
+    });
+    return EntityPageLayout.fromObject({ pages: [{ ...page, tabs }] }, `${pageKey(page)} routes`);
+  }
+
+  get pages() {
+    return this.data.pages;
+  }
+
+  summary() {
+    const tabs = this.pages.reduce((count, page) => count + page.tabs.length, 0);
+    return `${tabs} tabs on ${this.pages.length} pages`;
+  }
+
+  /**
+   * Reconcile EntityPage.tsx with the layout: create missing pages, then add missing tabs
+   * @param {string} content - EntityPage.tsx source
+   * @returns {Object} { content, skipped: tabs or pages that could not be applied, with the reason }
+   */
+  apply(content) {
+    let result = content;
+    const skipped = [];
+
+    for (const page of this.pages) {
+      const variable = pageVariable(page);
+      try {
+        result = this.ensurePage(result, page, variable);
+      } catch (error) {
+        skipped.push(`${pageKey(page)}: ${error.message}`);
+        continue;
+      }
+
+      let previous = null;
+      for (const entry of page.tabs) {
+        try {
+          result = this.addTab(result, variable, entry, entry.after || previous);
+          previous = entry.path;
+        } catch (error) {
+          skipped.push(`${pageKey(page)} tab ${entry.path}: ${error.message}`);
+        }
+      }
+    }
+    return { content: result, skipped };
+  }
+
+  /**
+   * Tabs of the layout EntityPage.tsx does not have
+   * @param {string} content - EntityPage.tsx source
+   * @returns {Array<string>} 'kind[:type] /path' per missing tab
+   */
+  missingTabs(content) {
+    return this.pages.flatMap(page => page.tabs
+      .filter(entry => !this.hasTab(content, pageVariable(page), entry.path))
+      .map(entry => `${pageKey(page)} ${entry.path}`));
+  }
+
+  hasTab(content, variable, tabPath) {
+    return this.codeModifier.hasDeclaration(content, variable) &&
+      this.codeModifier.hasJsxElement(content, routeSelector(tabPath), { within: variable });
+  }
+
+  addTab(content, variable, entry, after) {
+    if (this.hasTab(content, variable, entry.path)) {
+      return content;
+    }
+    let result = entry.imports ? this.codeModifier.addImports(content, entry.imports) : content;
+    const condition = entry.if?.match(/^[A-Za-z_$][\w$]*/)?.[0];
+    if (condition && !this.codeModifier.importedNames(result).has(condition) && !this.codeModifier.hasDeclaration(result, condition)) {
+      throw new Error(`condition ${condition} is not imported or declared in EntityPage.tsx`);
+    }
+    const anchor = after && this.codeModifier.hasJsxElement(result, routeSelector(after), { within: variable }) ? routeSelector(after) : null;
+    return this.codeModifier.addJsxChild(result, 'EntityLayout', tabSource(entry), { within: variable, after: anchor });
+  }
+
+  // Pages the skeleton lacks (resource, extra component types) get an Overview tab and an EntitySwitch case
+  ensurePage(content, page, variable) {
+    if (this.codeModifier.hasDeclaration(content, variable)) {
+      return content;
+    }
+    if (variable === SKELETON_PAGES.component) {
+      throw new Error(`No declaration of ${variable} found`);
+    }
+
+    const switchVariable = page.type ? 'componentPage' : 'entityPage';
+    const condition = page.type ? `isComponentType('${page.type}')` : `isKind('${page.kind}')`;
+    let result = this.codeModifier.addNamedImport(content, '@backstage/plugin-catalog', ['EntityAboutCard', 'EntityLayout', page.type ? 'isComponentType' : 'isKind']);
+    result = this.codeModifier.addNamedImport(result, '@material-ui/core', 'Grid');
+    result = this.codeModifier.addStatements(result, pageSource(variable), { before: switchVariable });
+    // Ahead of the other cases, so the catch-all case stays last
+    return this.codeModifier.addJsxChild(result, 'EntitySwitch', `<EntitySwitch.Case if={${condition}} children={${variable}} />`, {
+      within: switchVariable,
+      position: 'start'
+    });
+  }
+}
+
+/**
+ * Page of an EntityPage.tsx variable, the inverse of the variable names layouts use
+ * @param {string} variable - e.g. 'serviceEntityPage', 'apiPage'
+ * @returns {Object|null} { kind, type }, or null for variables that are no entity page
+ */
+export function entityPageOf(variable) {
+  const skeletonKey = Object.keys(SKELETON_PAGES).find(key => SKELETON_PAGES[key] === variable);
+  if (skeletonKey) {
+    const [kind, type] = skeletonKey.split(':');
+    return type ? { kind, type } : { kind };
+  }
+  const componentType = variable.match(/^([a-z][A-Za-z0-9]*)EntityPage$/)?.[1];
+  if (componentType) {
+    return { kind: 'component', type: componentType.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`) };
+  }
+  // componentPage is the switch between component types, not a page
+  const kind = variable.match(/^([a-z]+)Page$/)?.[1];
+  return kind !== 'component' && ENTITY_KINDS.includes(kind) ? { kind } : null;
+}
+
+function pageKey(page) {
+  return page.type ? `${page.kind}:${page.type}` : page.kind;
+}
+
+// Variable of the page in EntityPage.tsx: apiPage, serviceEntityPage, libraryEntityPage, …
+function pageVariable(page) {
+  const key = pageKey(page);
+  if (SKELETON_PAGES[key]) {
+    return SKELETON_PAGES[key];
+  }
+  return page.type ? `${camelCase(page.type)}EntityPage` : `${page.kind}Page`;
+}
+
+function camelCase(value) {
+  return value.replace(/-([a-z0-9])/g, (_, letter) => letter.toUpperCase());
+}
+
+function routeSelector(tabPath) {
+  return { tag: 'EntityLayout.Route', attributes: { path: tabPath } };
+}
+
+// JSX string attribute value; text with double quotes goes into an expression
+function jsxString(value) {
+  return value.includes('"') ? `{${JSON.stringify(value)}}` : `"${value}"`;
+}
+
+function tabSource(entry) {
+  const attributes = [`path=${jsxString(entry.path)}`, `title=${jsxString(entry.title)}`];
+  if (entry.if) {
+    attributes.push(`if={${entry.if}}`);
+  }
+  const content = entry.content.split('\n').map(line => (line.trim() ? `  ${line}` : '')).join('\n');
+  return `<EntityLayout.Route ${attributes.join(' ')}>\n${content}\n</EntityLayout.Route>`;
+}
+
+function pageSource(variable) {
+  return [
+    `const ${variable} = (`,
+    '  <EntityLayout>',
+    '    <EntityLayout.Route path="/" title="Overview">',
+    '      <Grid container spacing={3} alignItems="stretch">',
+    '        <Grid item md={6}>',
+    '          <EntityAboutCard variant="gridItem" />',
+    '        </Grid>',
+    '      </Grid>',
+    '    </EntityLayout.Route>',
+    '  </EntityLayout>',
+    ');'
+  ].join('\n');
+}
@@ -3,6 +3,14 @@ import fs from 'fs-extra';
 import path from 'path';
 import { glob } from 'glob';
 import { Logger } from './Logger.js';
+import { ChangeJournal } from './ChangeJournal.js';
+import { walkFiles } from './FileTree.js';
+
+// Suffix of the incoming version written next to a file that is kept as it is
+export const INCOMING_SUFFIX = '.flowsource-new';
+
+// Suffix of the conflict-marked merge written next to a file that could not be merged cleanly
+export const CONFLICT_SUFFIX = '.flowsource-conflict';
 
 export class FileManager {
   constructor() {
@@ -22,6 +30,7 @@ export class FileManager {
 
   async copyFile(source, destination, options = {}) {
     try {
+      await ChangeJournal.recordCopy(source, destination);
       await this.ensureDir(path.dirname(destination));
       await fs.copy(source, destination, { overwrite: true, ...options });
       this.logger.fileCopied(source, destination);
@@ -34,6 +43,7 @@ export class FileManager {
 
   async copyDirectory(source, destination, options = {}) {
     try {
+      await ChangeJournal.recordCopy(source, destination);
       await this.ensureDir(path.dirname(destination));
       await fs.copy(source, destination, { overwrite: true, ...options });
       this.logger.fileCopied(source, destination);
@@ -44,6 +54,43 @@ export class FileManager {
     }
   }
 
+  /**
+   * Copy a file or directory without replacing existing files that differ.
+   * Such files are kept and the incoming version is written next to them as
+   * <file>.flowsource-new (in-place migrations of existing repositories).
+   * @param {string} source - File or directory to copy
+   * @param {string} destination - Copy target
+   * @returns {Promise<Object>} { copied, kept } lists of destination paths
+   */
+  async copyPreservingExisting(source, destination) {
+    const result = { copied: [], kept: [] };
+    const copyOne = async (sourceFile, targetFile) => {
+      if (!(await fs.pathExists(targetFile))) {
+        await this.copyFile(sourceFile, targetFile);
+        result.copied.push(targetFile);
+        return;
+      }
+      const [incoming, existing] = await Promise.all([fs.readFile(sourceFile), fs.readFile(targetFile)]);
+      if (!incoming.equals(existing)) {
+        await this.copyFile(sourceFile, `${targetFile}${INCOMING_SUFFIX}`);
+        result.kept.push(targetFile);
+        this.logger.warn(`⚠️ Kept existing ${targetFile}; FlowSource version written to ${targetFile}${INCOMING_SUFFIX}`);
+      }
+    };
+
+    try {
+      if ((await fs.stat(source)).isDirectory()) {
+        await walkFiles(source, (relativePath, fullPath) => copyOne(fullPath, path.join(destination, relativePath)));
+      } else {
+        await copyOne(source, destination);
+      }
+      return result;
+    } catch (error) {
+      this.logger.error(`Failed to copy ${source} to ${destination}: ${error.message}`);
+      throw error;
+    }
+  }
+
   async readFile(filePath, encoding = 'utf8') {
     try {
       const content = await fs.readFile(filePath, encoding);
@@ -57,6 +104,7 @@ export class FileManager {
 
   async writeFile(filePath, content, encoding = 'utf8') {
     try {
+      await ChangeJournal.record(filePath);
       await this.ensureDir(path.dirname(filePath));
       await fs.writeFile(filePath, content, encoding);
       this.logger.fileCreated(filePath);
@@ -80,6 +128,7 @@ export class FileManager {
 
   async writeJson(filePath, data, options = { spaces: 2 }) {
     try {
+      await ChangeJournal.record(filePath);
       await this.ensureDir(path.dirname(filePath));
       await fs.writeJson(filePath, data, options);
       this.logger.fileCreated(filePath);
@@ -101,6 +150,7 @@ export class FileManager {
 
   async deleteFile(filePath) {
     try {
+      await ChangeJournal.record(filePath);
       await fs.remove(filePath);
       this.logger.fileDeleted(filePath);
       return true;
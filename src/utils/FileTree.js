@@ -0,0 +1,86 @@
+// File Tree - Walks and fingerprints directory trees for checkpoints and the change journal
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+
+// Directories that are never walked: dependencies, VCS data and the migration's own journal
+export const IGNORED_DIRECTORIES = ['node_modules', '.git', '.migration-journal'];
+
+/**
+ * Walk every file below rootPath in a stable order
+ * @param {string} rootPath - Directory to walk
+ * @param {Function} visit - async (relativePath, fullPath) => void, paths use forward slashes
+ * @param {Object} hooks - { onDirectory(relativePath), onIgnoredDirectory(relativePath) }
+ */
+export async function walkFiles(rootPath, visit, hooks = {}) {
+  if (!rootPath || !(await fs.pathExists(rootPath))) {
+    return;
+  }
+
+  const toRelative = (fullPath) => path.relative(rootPath, fullPath).split(path.sep).join('/');
+
+  const walk = async (dir) => {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (IGNORED_DIRECTORIES.includes(entry.name)) {
+        if (entry.isDirectory() && hooks.onIgnoredDirectory) await hooks.onIgnoredDirectory(toRelative(fullPath));
+        continue;
+      }
+      if (entry.isDirectory()) {
+        if (hooks.onDirectory) await hooks.onDirectory(toRelative(fullPath));
+        await walk(fullPath);
+      } else if (entry.isFile()) {
+        await visit(toRelative(fullPath), fullPath);
+      }
+    }
+  };
+
+  await walk(rootPath);
+}
+
+/**
+ * Hash the content of every file below rootPath
+ * @param {string} rootPath - Directory to hash
+ * @param {Array<string>} exclude - Relative paths to leave out
+ * @returns {Promise<Object>} Map of relative path to sha256
+ */
+export async function hashFiles(rootPath, exclude = []) {
+  const files = {};
+  await walkFiles(rootPath, async (relativePath, fullPath) => {
+    if (exclude.includes(relativePath)) return;
+    files[relativePath] = await hashFile(fullPath);
+  });
+  return files;
+}
+
+export async function hashFile(filePath) {
+  const content = await fs.readFile(filePath);
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Compare two maps returned by hashFiles()
+ * @returns {Object} { created, modified, deleted } lists of relative paths
+ */
+export function diffFileMaps(before = {}, after = {}) {
+  const created = [];
+  const modified = [];
+  const deleted = [];
+
+  for (const [file, hash] of Object.entries(after)) {
+    if (!(file in before)) {
+      created.push(file);
+    } else if (before[file] !== hash) {
+      modified.push(file);
+    }
+  }
+  for (const file of Object.keys(before)) {
+    if (!(file in after)) {
+      deleted.push(file);
+    }
+  }
+
+  return { created, modified, deleted };
+}
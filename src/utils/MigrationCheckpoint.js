@@ -0,0 +1,331 @@
+// Migration Checkpoint - Persists migration progress so a failed run can be resumed
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { Logger } from './Logger.js';
+import { ChangeJournal } from './ChangeJournal.js';
+import { walkFiles, hashFiles, diffFileMaps } from './FileTree.js';
+import { MANIFEST_FILE_NAME } from './MigrationManifest.js';
+
+export const STATE_FILE_NAME = '.migration-state.json';
+const STATE_VERSION = 1;
+
+// Config keys recorded as run inputs; secrets below them are stripped
+const INPUT_KEYS = [
+  'sourcePath', 'destinationPath', 'applicationName', 'phase', 'autoInstall', 'inPlace', 'backstageVersion', 'brandKitPath', 'navigationPath', 'entityLayoutPath', 'themes',
+  'selectedAuthProvider', 'backendAuth', 'databaseConfig', 'githubAuth',
+  'phase3Options', 'githubRepoOwner', 'githubRepoName'
+];
+const SECRET_KEY_PATTERN = /secret|password|token|privatekey/i;
+
+/**
+ * Records every executeStep of a migration in <destination>/.migration-state.json:
+ * step IDs, inputs (without secrets), the files each step wrote, timestamps and
+ * fingerprints of the source package and destination. A later `resume` run loads
+ * the file, skips what already completed and restarts at the first failed or
+ * unfinished step.
+ */
+export class MigrationCheckpoint {
+  constructor(destinationPath, state = null) {
+    this.logger = Logger.getInstance();
+    this.destinationPath = path.resolve(destinationPath);
+    this.filePath = path.join(this.destinationPath, STATE_FILE_NAME);
+    this.state = state;
+    this.resuming = false;
+    this.previous = null;
+    this.destinationFiles = null;
+  }
+
+  /**
+   * Load the checkpoint of an earlier run
+   * @param {string} destinationPath - Destination the run wrote to
+   * @returns {Promise<MigrationCheckpoint>} Loaded checkpoint
+   */
+  static async load(destinationPath) {
+    const checkpoint = new MigrationCheckpoint(destinationPath);
+    if (!(await fs.pathExists(checkpoint.filePath))) {
+      throw new Error(`No migration checkpoint found at ${checkpoint.filePath}`);
+    }
+
+    const state = await fs.readJson(checkpoint.filePath);
+    if (state.version !== STATE_VERSION) {
+      throw new Error(`Unsupported migration checkpoint version ${state.version} in ${checkpoint.filePath}`);
+    }
+    checkpoint.state = state;
+    checkpoint.destinationFiles = state.destination?.files || {};
+    return checkpoint;
+  }
+
+  get status() {
+    return this.state?.status;
+  }
+
+  get inputs() {
+    return this.state?.inputs || {};
+  }
+
+  /**
+   * Rebuild a migration config from the recorded inputs. Secrets were never
+   * recorded, so they come from base (e.g. a migration profile) or are resolved
+   * again from flags and environment variables by the caller.
+   * @param {Object} base - Config to fill missing values from
+   * @returns {Object} Migration config
+   */
+  restoreConfig(base = {}) {
+    return fillMissing(structuredClone(this.inputs), base);
+  }
+
+  /**
+   * Compare the source package and destination with the checkpoint
+   * @returns {Promise<Object>} { changed, source, destination: { created, modified, deleted } }
+   */
+  async detectChanges() {
+    const source = await fingerprintSource(this.inputs.sourcePath);
+    const sourceChanged = source.hash !== this.state.source.hash;
+
+    const current = await hashDestination(this.destinationPath);
+    const destination = diffFileMaps(this.state.destination.files, current);
+    const destinationChanged = Object.values(destination).some(list => list.length > 0);
+
+    return {
+      changed: sourceChanged || destinationChanged,
+      source: sourceChanged ? { before: this.state.source.fileCount, after: source.fileCount } : null,
+      destination: destinationChanged ? destination : null
+    };
+  }
+
+  /**
+   * Prepare a loaded checkpoint for a resumed run
+   * @param {boolean} replan - Forget completed steps and run the recorded phase again
+   */
+  beginResume(replan = false) {
+    this.resuming = true;
+    this.previous = replan
+      ? { steps: new Map(), groups: [], phases: [] }
+      : {
+          steps: new Map(this.state.steps.filter(step => step.status === 'completed').map(step => [step.id, step])),
+          groups: [...this.state.completedGroups],
+          phases: [...this.state.completedPhases]
+        };
+
+    if (replan) {
+      this.state.steps = [];
+      this.state.completedGroups = [];
+      this.state.completedPhases = [];
+    }
+    this.state.resumedAt = [...(this.state.resumedAt || []), new Date().toISOString()];
+  }
+
+  /**
+   * First step a resumed run will execute
+   * @returns {Object|null} Step record, or null when every recorded step completed
+   */
+  firstPendingStep() {
+    return this.state.steps.find(step => step.status !== 'completed') || null;
+  }
+
+  /**
+   * Start recording a run (a fresh one, or a resumed one)
+   * @param {Object} config - Migration config
+   */
+  async start(config) {
+    const now = new Date().toISOString();
+    if (!this.resuming) {
+      this.state = {
+        version: STATE_VERSION,
+        status: 'in-progress',
+        startedAt: now,
+        updatedAt: now,
+        inputs: null,
+        source: null,
+        destination: null,
+        completedPhases: [],
+        completedGroups: [],
+        steps: [],
+        migrationState: null
+      };
+    }
+
+    this.state.status = 'in-progress';
+    this.state.inputs = sanitizeInputs(config);
+    this.state.source = await fingerprintSource(config.sourcePath);
+    this.destinationFiles = await hashDestination(this.destinationPath);
+    this.state.destination = { files: this.destinationFiles };
+    await this.save();
+  }
+
+  /**
+   * Whether a step can be skipped because an earlier run completed it
+   * @param {string} stepId - Step ID
+   * @returns {boolean} True when the step completed before this resume
+   */
+  wasStepCompleted(stepId) {
+    return Boolean(this.resuming && this.previous.steps.has(stepId));
+  }
+
+  wasGroupCompleted(groupId) {
+    return Boolean(this.resuming && this.previous.groups.includes(groupId));
+  }
+
+  wasPhaseCompleted(phase) {
+    return Boolean(this.resuming && this.previous.phases.includes(phase));
+  }
+
+  /**
+   * Record that a step started
+   * @param {Object} step - { id, number, title, group }
+   */
+  async startStep(step) {
+    const record = {
+      id: step.id,
+      phase: parseInt(step.id.replace(/^phase/, ''), 10) || null,
+      number: step.number,
+      title: step.title,
+      group: step.group || null,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      outputs: null,
+      error: null
+    };
+
+    const index = this.state.steps.findIndex(existing => existing.id === step.id);
+    if (index >= 0) {
+      this.state.steps[index] = record;
+    } else {
+      this.state.steps.push(record);
+    }
+    await this.save();
+  }
+
+  /**
+   * Record the outcome of a step together with the files it wrote
+   * @param {string} stepId - Step ID
+   * @param {Object} outcome - { result, error, migrationState }
+   */
+  async finishStep(stepId, { result, error, migrationState }) {
+    const record = this.state.steps.find(step => step.id === stepId);
+    const files = await hashDestination(this.destinationPath);
+
+    record.status = error ? 'failed' : 'completed';
+    record.finishedAt = new Date().toISOString();
+    record.outputs = { files: diffFileMaps(this.destinationFiles, files) };
+    if (result !== undefined) {
+      record.outputs.result = result;
+    }
+    record.error = error ? error.message : null;
+
+    this.destinationFiles = files;
+    this.state.destination = { files };
+    this.state.migrationState = summarizeMigrationState(migrationState);
+    await this.save();
+  }
+
+  async completeGroup(groupId) {
+    if (!this.state.completedGroups.includes(groupId)) {
+      this.state.completedGroups.push(groupId);
+      await this.save();
+    }
+  }
+
+  async completePhase(phase) {
+    if (!this.state.completedPhases.includes(phase)) {
+      this.state.completedPhases.push(phase);
+      await this.save();
+    }
+  }
+
+  /**
+   * Mark the run as finished
+   * @param {string} status - completed | failed
+   * @param {Object} migrationState - Agent migration state
+   */
+  async finish(status, migrationState) {
+    this.state.status = status;
+    this.state.migrationState = summarizeMigrationState(migrationState);
+    await this.save();
+  }
+
+  async save() {
+    this.state.updatedAt = new Date().toISOString();
+    await ChangeJournal.record(this.filePath);
+    await fs.ensureDir(this.destinationPath);
+    await fs.writeJson(this.filePath, this.state, { spaces: 2 });
+  }
+}
+
+// Keep the recorded inputs, dropping secrets at any depth
+function sanitizeInputs(config) {
+  const inputs = {};
+  for (const key of INPUT_KEYS) {
+    if (config[key] !== undefined) {
+      inputs[key] = stripSecrets(config[key]);
+    }
+  }
+  if (inputs.phase3Options) {
+    delete inputs.phase3Options.discoveredPlugins;
+  }
+  inputs.sourcePath = path.resolve(config.sourcePath);
+  inputs.destinationPath = path.resolve(config.destinationPath);
+  return inputs;
+}
+
+function stripSecrets(value) {
+  if (Array.isArray(value)) {
+    return value.map(stripSecrets);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => !SECRET_KEY_PATTERN.test(key))
+        .map(([key, entry]) => [key, stripSecrets(entry)])
+    );
+  }
+  return value;
+}
+
+// Copy values from source into target wherever target has none
+function fillMissing(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (target[key] === undefined || target[key] === null) {
+      target[key] = value;
+    } else if (isPlainObject(target[key]) && isPlainObject(value)) {
+      fillMissing(target[key], value);
+    }
+  }
+  return target;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function summarizeMigrationState(migrationState = {}) {
+  return {
+    currentStep: migrationState.currentStep,
+    totalSteps: migrationState.totalSteps,
+    completed: migrationState.completed,
+    errors: (migrationState.errors || []).map(({ step, message }) => ({ step, message })),
+    warnings: migrationState.warnings || []
+  };
+}
+
+// The source package can be large, so it is fingerprinted by path, size and modification time
+async function fingerprintSource(sourcePath) {
+  const hash = crypto.createHash('sha256');
+  let fileCount = 0;
+
+  await walkFiles(sourcePath, async (relativePath, fullPath) => {
+    const stats = await fs.stat(fullPath);
+    hash.update(`${relativePath}\0${stats.size}\0${Math.floor(stats.mtimeMs)}\n`);
+    fileCount++;
+  });
+
+  return { path: sourcePath ? path.resolve(sourcePath) : null, fileCount, hash: hash.digest('hex') };
+}
+
+// Destination files are hashed by content so that touched-but-identical files do not count as changes.
+// The migration's own bookkeeping files are left out.
+function hashDestination(destinationPath) {
+  return hashFiles(destinationPath, [STATE_FILE_NAME, MANIFEST_FILE_NAME]);
+}
@@ -0,0 +1,189 @@
+// Migration Manifest - Machine-readable record of what the utility generated in an app
+import fs from 'fs-extra';
+import path from 'path';
+import { ChangeJournal } from './ChangeJournal.js';
+import { hashFile } from './FileTree.js';
+
+export const MANIFEST_FILE_NAME = 'flowsource-manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Describes a migrated application in <destination>/flowsource-manifest.json:
+ * the utility and source package versions it was built from, the create-app
+ * version and Backstage release of the skeleton, the phases
+ * completed, the auth provider, database type, templates and plugins, and a
+ * sha256 checksum of every file the utility wrote. Files copied or derived from
+ * the package also record that package file and its checksum. Unlike the
+ * checkpoint and the change journal, the manifest is meant to be committed with
+ * the app so later runs (phase gating, resume, upgrade, validation, drift) can
+ * rely on it.
+ */
+export class MigrationManifest {
+  constructor(destinationPath, data = null) {
+    this.destinationPath = path.resolve(destinationPath);
+    this.filePath = path.join(this.destinationPath, MANIFEST_FILE_NAME);
+    this.data = data || {
+      version: MANIFEST_VERSION,
+      tool: null,
+      createdAt: null,
+      updatedAt: null,
+      applicationName: null,
+      source: null,
+      phases: [],
+      themes: null,
+      auth: null,
+      database: null,
+      templates: [],
+      plugins: [],
+      files: {}
+    };
+  }
+
+  /**
+   * Load the manifest of a migrated app
+   * @param {string} destinationPath - Migrated application
+   * @returns {Promise<MigrationManifest|null>} Manifest, or null when the app has none
+   */
+  static async load(destinationPath) {
+    const manifest = new MigrationManifest(destinationPath);
+    if (!(await fs.pathExists(manifest.filePath))) {
+      return null;
+    }
+
+    const data = await fs.readJson(manifest.filePath);
+    if (data.version !== MANIFEST_VERSION) {
+      throw new Error(`Unsupported migration manifest version ${data.version} in ${manifest.filePath}`);
+    }
+    manifest.data = data;
+    return manifest;
+  }
+
+  static async loadOrCreate(destinationPath) {
+    return (await MigrationManifest.load(destinationPath)) || new MigrationManifest(destinationPath);
+  }
+
+  get phases() {
+    return this.data.phases;
+  }
+
+  get files() {
+    return this.data.files;
+  }
+
+  hasPhase(phase) {
+    return this.data.phases.includes(phase);
+  }
+
+  /**
+   * Record a completed phase together with the files its steps wrote
+   * @param {number} phase - Completed phase
+   * @param {Object} config - Migration config
+   * @param {Object} run - { steps, files, phase3Results, sources }: checkpoint step records,
+   *   current destination hashes, the Phase 3 orchestrator results and the change
+   *   journal's map of destination files to the package files they came from
+   */
+  async recordPhase(phase, config, { steps = [], files = {}, phase3Results = null, sources = new Map() } = {}) {
+    const now = new Date().toISOString();
+    const data = this.data;
+
+    data.tool = await readToolInfo();
+    data.createdAt = data.createdAt || now;
+    data.updatedAt = now;
+    data.applicationName = config.applicationName || data.applicationName;
+    data.source = await describeSource(config.sourcePath);
+
+    if (!data.phases.includes(phase)) {
+      data.phases = [...data.phases, phase].sort();
+    }
+
+    if (phase === 1) {
+      data.skeleton = config.skeleton || data.skeleton || null;
+      // Theme selection, so validate checks (and fixes) the themes the app was migrated with
+      data.themes = config.themes || data.themes || null;
+    }
+
+    if (phase === 2) {
+      data.auth = config.selectedAuthProvider ? { provider: config.selectedAuthProvider } : data.auth;
+      data.database = config.databaseConfig?.type ? { type: config.databaseConfig.type } : data.database;
+    }
+
+    if (phase === 3) {
+      const summary = phase3Results?.summary || {};
+      const options = config.phase3Options || {};
+      data.templates = mergeNames(data.templates, summary.integratedTemplates || options.selectedTemplates);
+      data.plugins = mergeNames(data.plugins, summary.integratedPlugins || options.selectedPlugins);
+    }
+
+    // Files each step created or modified, with their checksum at the end of the run so far.
+    // Files this run did not write keep their recorded checksum, so hand edits stay visible.
+    for (const step of steps) {
+      const written = step.outputs?.files;
+      if (!written) continue;
+
+      for (const file of [...written.created, ...written.modified]) {
+        if (file in files && file !== MANIFEST_FILE_NAME) {
+          data.files[file] = { sha256: files[file], step: step.id, ...(await describeOrigin(config.sourcePath, sources.get(file))) };
+        }
+      }
+      for (const file of written.deleted) {
+        delete data.files[file];
+      }
+    }
+    data.files = Object.fromEntries(Object.entries(data.files).sort(([a], [b]) => a.localeCompare(b)));
+
+    await this.save();
+  }
+
+  async save() {
+    await ChangeJournal.record(this.filePath);
+    await fs.ensureDir(this.destinationPath);
+    await fs.writeJson(this.filePath, this.data, { spaces: 2 });
+  }
+}
+
+// Name and version of this utility, from its package.json
+export async function readToolInfo() {
+  const packageJson = await fs.readJson(new URL('../../package.json', import.meta.url));
+  return { name: packageJson.name, version: packageJson.version };
+}
+
+/**
+ * Path and version of a FlowSource package. The version comes from the package's
+ * own package.json, falling back to configuration/package.json; the Backstage
+ * version from backstage.json.
+ */
+export async function describeSource(sourcePath) {
+  if (!sourcePath) {
+    return null;
+  }
+
+  const readVersion = async (...segments) => {
+    const file = path.join(sourcePath, ...segments);
+    if (!(await fs.pathExists(file))) return null;
+    const json = await fs.readJson(file).catch(() => null);
+    return json?.version || null;
+  };
+
+  return {
+    path: path.resolve(sourcePath),
+    version: (await readVersion('package.json')) || (await readVersion('configuration', 'package.json')),
+    backstageVersion: (await readVersion('configuration', 'backstage.json')) || (await readVersion('backstage.json'))
+  };
+}
+
+// Package file a generated file came from, with its checksum at migration time
+async function describeOrigin(sourcePath, relativeSource) {
+  if (!sourcePath || !relativeSource) {
+    return {};
+  }
+  const sourceFile = path.join(sourcePath, relativeSource);
+  if (!(await fs.pathExists(sourceFile))) {
+    return {};
+  }
+  return { source: relativeSource, sourceSha256: await hashFile(sourceFile) };
+}
+
+function mergeNames(existing = [], added = []) {
+  const names = (added || []).map(entry => (typeof entry === 'string' ? entry : entry?.name)).filter(Boolean);
+  return [...new Set([...existing, ...names])];
+}
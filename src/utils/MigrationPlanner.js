@@ -0,0 +1,306 @@
+// Migration Planner - Stages a migration and reports what it would change
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { Logger } from './Logger.js';
+import { createUnifiedDiff } from './TextDiff.js';
+import { TempWorkspace } from './TempWorkspace.js';
+
+// Directories that are never staged or compared
+const IGNORED_DIRECTORIES = ['node_modules', '.git'];
+
+// Bytes inspected when deciding whether a file is binary
+const BINARY_SNIFF_LENGTH = 8000;
+
+/**
+ * Runs a migration against a throwaway copy of the destination and turns the
+ * difference between that copy and the real destination into a plan.
+ */
+export class MigrationPlanner {
+  /**
+   * @param {Object} options - { keepTemp }: keep the staging directory for debugging
+   */
+  constructor(options = {}) {
+    this.logger = Logger.getInstance();
+    this.options = { keepTemp: false, ...options };
+    this.stagingRoot = null;
+    this.stagedPath = null;
+    this.destinationPath = null;
+  }
+
+  /**
+   * Create the staged view of the destination
+   * @param {string} destinationPath - Real destination path (left untouched)
+   * @returns {Promise<string>} Path the migration should write to instead
+   */
+  async stage(destinationPath) {
+    this.destinationPath = path.resolve(destinationPath);
+    this.stagingRoot = await TempWorkspace.create('flowsource-dry-run-', { keep: this.options.keepTemp });
+    this.stagedPath = path.join(this.stagingRoot, path.basename(this.destinationPath));
+
+    if (await fs.pathExists(this.destinationPath)) {
+      await fs.copy(this.destinationPath, this.stagedPath, {
+        filter: (src) => !IGNORED_DIRECTORIES.includes(path.basename(src))
+      });
+      this.logger.info(`🧪 Staged existing destination in ${this.stagedPath}`);
+    } else {
+      this.logger.info(`🧪 Destination does not exist yet, staging in ${this.stagedPath}`);
+    }
+
+    return this.stagedPath;
+  }
+
+  /**
+   * Compare the staged destination with the real one
+   * @param {string} sourcePath - FlowSource package path, used to tell copied files from generated ones
+   * @returns {Promise<Object>} Plan with one entry per changed file
+   */
+  async buildPlan(sourcePath) {
+    if (!this.stagedPath) {
+      throw new Error('Nothing staged - call stage() before buildPlan()');
+    }
+
+    const before = await this.listFiles(this.destinationPath);
+    const after = await this.listFiles(this.stagedPath);
+    const sourceIndex = sourcePath ? await this.indexSourceFiles(sourcePath) : new Map();
+    const entries = [];
+
+    for (const relativePath of [...after].sort()) {
+      const stagedFile = path.join(this.stagedPath, relativePath);
+      const stagedContent = await fs.readFile(stagedFile);
+
+      if (!before.has(relativePath)) {
+        const copiedFrom = await this.findIdenticalSourceFile(sourceIndex, stagedContent, relativePath);
+        entries.push(this.createEntry(
+          relativePath,
+          copiedFrom ? 'copied' : 'created',
+          null,
+          stagedContent,
+          copiedFrom ? path.relative(sourcePath, copiedFrom) : null
+        ));
+        continue;
+      }
+
+      const originalContent = await fs.readFile(path.join(this.destinationPath, relativePath));
+      if (!originalContent.equals(stagedContent)) {
+        entries.push(this.createEntry(relativePath, 'modified', originalContent, stagedContent));
+      }
+    }
+
+    for (const relativePath of [...before].sort()) {
+      if (!after.has(relativePath)) {
+        const originalContent = await fs.readFile(path.join(this.destinationPath, relativePath));
+        entries.push(this.createEntry(relativePath, 'deleted', originalContent, null));
+      }
+    }
+
+    const summary = { created: 0, copied: 0, modified: 0, deleted: 0 };
+    entries.forEach(entry => summary[entry.action]++);
+
+    return {
+      destinationPath: this.destinationPath,
+      generatedAt: new Date().toISOString(),
+      summary,
+      entries
+    };
+  }
+
+  createEntry(relativePath, action, oldContent, newContent, copiedFrom = null) {
+    const binary = [oldContent, newContent].some(content => content && this.isBinary(content));
+    const entry = { path: relativePath.split(path.sep).join('/'), action, binary };
+
+    if (copiedFrom) {
+      entry.copiedFrom = copiedFrom.split(path.sep).join('/');
+    }
+
+    if (!binary) {
+      entry.diff = createUnifiedDiff(
+        oldContent ? `a/${entry.path}` : '/dev/null',
+        newContent ? `b/${entry.path}` : '/dev/null',
+        oldContent ? oldContent.toString('utf8') : '',
+        newContent ? newContent.toString('utf8') : ''
+      );
+    }
+
+    return entry;
+  }
+
+  isBinary(buffer) {
+    return buffer.subarray(0, BINARY_SNIFF_LENGTH).includes(0);
+  }
+
+  async listFiles(rootPath) {
+    const files = new Set();
+    if (!rootPath || !(await fs.pathExists(rootPath))) {
+      return files;
+    }
+
+    const walk = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        if (IGNORED_DIRECTORIES.includes(entry.name)) continue;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          files.add(path.relative(rootPath, fullPath));
+        }
+      }
+    };
+
+    await walk(rootPath);
+    return files;
+  }
+
+  // Index source files by name and size; copied files keep both
+  async indexSourceFiles(sourcePath) {
+    const index = new Map();
+
+    for (const relativePath of await this.listFiles(sourcePath)) {
+      const fullPath = path.join(sourcePath, relativePath);
+      const stats = await fs.stat(fullPath);
+      const key = `${path.basename(relativePath)}:${stats.size}`;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(fullPath);
+    }
+
+    return index;
+  }
+
+  async findIdenticalSourceFile(sourceIndex, content, relativePath) {
+    const candidates = sourceIndex.get(`${path.basename(relativePath)}:${content.length}`) || [];
+
+    // Prefer the candidate whose path ends like the destination path
+    const sorted = [...candidates].sort((a, b) => commonSuffixLength(b, relativePath) - commonSuffixLength(a, relativePath));
+    for (const candidate of sorted) {
+      if ((await fs.readFile(candidate)).equals(content)) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Print the plan to the console
+   * @param {Object} plan - Plan returned by buildPlan()
+   * @param {boolean} showAllDiffs - Also print diffs for created and copied files
+   */
+  printPlan(plan, showAllDiffs = false) {
+    const symbols = {
+      created: chalk.green('+ created '),
+      copied: chalk.cyan('+ copied  '),
+      modified: chalk.yellow('~ modified'),
+      deleted: chalk.red('- deleted ')
+    };
+
+    console.log('\n' + chalk.magenta('🧪 Dry Run Plan (no files were written):'));
+    console.log(chalk.gray(`   Destination: ${plan.destinationPath}`));
+    console.log(
+      `   ${chalk.green(`${plan.summary.created} created`)}, ` +
+      `${chalk.cyan(`${plan.summary.copied} copied`)}, ` +
+      `${chalk.yellow(`${plan.summary.modified} modified`)}, ` +
+      `${chalk.red(`${plan.summary.deleted} deleted`)}`
+    );
+
+    if (plan.entries.length === 0) {
+      console.log(chalk.gray('\n   No changes.'));
+      return;
+    }
+
+    console.log('');
+    plan.entries.forEach(entry => {
+      const origin = entry.copiedFrom ? chalk.gray(` (from ${entry.copiedFrom})`) : '';
+      const binary = entry.binary ? chalk.gray(' [binary]') : '';
+      console.log(`   ${symbols[entry.action]} ${entry.path}${origin}${binary}`);
+    });
+
+    const diffEntries = plan.entries.filter(entry =>
+      entry.diff && (showAllDiffs || entry.action === 'modified' || entry.action === 'deleted')
+    );
+
+    if (diffEntries.length > 0) {
+      console.log('\n' + chalk.blue('📝 Diffs:'));
+      diffEntries.forEach(entry => {
+        console.log(this.colorizeDiff(entry.diff));
+      });
+    }
+
+    if (!showAllDiffs && plan.summary.created + plan.summary.copied > 0) {
+      console.log(chalk.gray('💡 Diffs for created and copied files are included in the saved plan (--plan-output) or with --verbose'));
+    }
+  }
+
+  colorizeDiff(diff) {
+    return diff.split('\n').map(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+      if (line.startsWith('@@')) return chalk.cyan(line);
+      if (line.startsWith('+')) return chalk.green(line);
+      if (line.startsWith('-')) return chalk.red(line);
+      return line;
+    }).join('\n');
+  }
+
+  /**
+   * Render the plan as plain text: a file list followed by the unified diffs
+   * @param {Object} plan - Plan returned by buildPlan()
+   * @returns {string} Plan text, applicable with `patch -p1` for text files
+   */
+  formatPlan(plan) {
+    const lines = [
+      '# FlowSource migration plan (dry run)',
+      `# Destination: ${plan.destinationPath}`,
+      `# Generated: ${plan.generatedAt}`,
+      `# ${plan.summary.created} created, ${plan.summary.copied} copied, ` +
+        `${plan.summary.modified} modified, ${plan.summary.deleted} deleted`,
+      '#'
+    ];
+
+    plan.entries.forEach(entry => {
+      const origin = entry.copiedFrom ? ` (from ${entry.copiedFrom})` : '';
+      const binary = entry.binary ? ' [binary]' : '';
+      lines.push(`# ${entry.action.padEnd(8)} ${entry.path}${origin}${binary}`);
+    });
+
+    const diffs = plan.entries.filter(entry => entry.diff).map(entry => entry.diff);
+    return lines.join('\n') + '\n\n' + diffs.join('');
+  }
+
+  /**
+   * Save the plan to disk; .json files get the structured plan, anything else the text form
+   * @param {Object} plan - Plan returned by buildPlan()
+   * @param {string} outputPath - File to write
+   */
+  async savePlan(plan, outputPath) {
+    await fs.ensureDir(path.dirname(path.resolve(outputPath)));
+
+    if (outputPath.toLowerCase().endsWith('.json')) {
+      await fs.writeJson(outputPath, plan, { spaces: 2 });
+    } else {
+      await fs.writeFile(outputPath, this.formatPlan(plan), 'utf8');
+    }
+
+    this.logger.info(`📄 Migration plan saved to ${outputPath}`);
+  }
+
+  /**
+   * Remove the staging directory
+   */
+  async cleanup() {
+    if (this.stagingRoot) {
+      await TempWorkspace.release(this.stagingRoot);
+      this.logger.debug(`🧹 Released dry-run staging directory ${this.stagingRoot}`);
+      this.stagingRoot = null;
+      this.stagedPath = null;
+    }
+  }
+}
+
+function commonSuffixLength(a, b) {
+  const left = a.split(/[\\/]/).reverse();
+  const right = b.split(/[\\/]/).reverse();
+  let length = 0;
+  while (length < left.length && length < right.length && left[length] === right[length]) {
+    length++;
+  }
+  return length;
+}
@@ -0,0 +1,567 @@
+// Migration Profile - Loads unattended migration settings from a YAML/JSON file
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import yaml from 'js-yaml';
+
+const DEFAULT_CALLBACK_URL = 'http://localhost:7007/api/auth/github/handler/frame';
+const CATALOG_RULES = ['Component', 'System', 'API', 'Resource', 'Location', 'User', 'Group'];
+const GITHUB_NAME_PATTERN = '^[a-zA-Z0-9\\-._]+$';
+
+// Matches a value that is exactly one environment variable reference, e.g. ${GITHUB_TOKEN}
+const ENV_REFERENCE = /^\$\{([A-Za-z_][A-Za-z0-9_]*)\}$/;
+const CONTAINS_ENV_REFERENCE = /\$\{[A-Za-z_][A-Za-z0-9_]*\}/;
+const ENV_REFERENCE_GLOBAL = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+// Secrets must be ${ENV_VAR} references so profiles can be committed safely
+const secret = { type: 'string', secret: true };
+
+/**
+ * Schema for migration profiles. Mirrors what InteractiveMode collects.
+ * Supported keywords: type, properties, required, additionalProperties,
+ * items, enum, pattern, minLength, minimum, maximum, minItems, uniqueItems
+ * and the custom `secret` flag.
+ */
+export const MIGRATION_PROFILE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    version: { type: 'integer', enum: [1] },
+    source: { type: 'string', minLength: 1 },
+    destination: { type: 'string', minLength: 1 },
+    name: { type: 'string', pattern: '^[a-z0-9-]+$' },
+    phase: { type: 'integer', enum: [1, 2, 3] },
+    install: { type: 'boolean' },
+    inPlace: { type: 'boolean' },
+    backstageVersion: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+    brandKit: { type: 'string', minLength: 1 },
+    navigation: { type: 'string', minLength: 1 },
+    entityLayout: { type: 'string', minLength: 1 },
+    themes: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        flowsource: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', enum: ['light', 'dark', 'high-contrast'] } },
+        backstage: { type: 'array', uniqueItems: true, items: { type: 'string', enum: ['light', 'dark'] } }
+      }
+    },
+    verbose: { type: 'boolean' },
+    database: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['type'],
+      properties: {
+        type: { type: 'string', enum: ['postgresql', 'sqlite'] },
+        host: { type: 'string', minLength: 1 },
+        port: { type: 'integer', minimum: 1, maximum: 65535 },
+        user: { type: 'string', minLength: 1 },
+        password: secret
+      }
+    },
+    backend: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        secret: secret,
+        sessionSecret: secret
+      }
+    },
+    auth: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        provider: { type: 'string', enum: ['github'] },
+        github: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            manualSetup: { type: 'boolean' },
+            clientId: { type: 'string', minLength: 1 },
+            clientSecret: secret,
+            organization: { type: 'string' },
+            callbackUrl: { type: 'string', pattern: '^https?://' },
+            integration: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['method'],
+              properties: {
+                method: { type: 'string', enum: ['pat', 'github-app'] },
+                token: secret,
+                app: {
+                  type: 'object',
+                  additionalProperties: false,
+                  required: ['appId', 'clientId', 'clientSecret'],
+                  properties: {
+                    appId: { type: ['integer', 'string'], pattern: '^\\d+$' },
+                    clientId: { type: 'string', minLength: 1 },
+                    clientSecret: secret,
+                    privateKey: secret,
+                    privateKeyFile: { type: 'string', minLength: 1 }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    phase3: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        templates: { type: 'array', uniqueItems: true, items: { type: 'string', minLength: 1 } },
+        plugins: { type: 'array', uniqueItems: true, items: { type: 'string', minLength: 1 } },
+        executionOrder: {
+          type: 'array',
+          uniqueItems: true,
+          minItems: 2,
+          items: { type: 'string', enum: ['templates', 'plugins'] }
+        },
+        catalog: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['methods'],
+          properties: {
+            methods: {
+              type: 'array',
+              minItems: 1,
+              uniqueItems: true,
+              items: { type: 'string', enum: ['manual', 'remote', 'local'] }
+            },
+            remote: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['url'],
+                properties: {
+                  url: { type: 'string', pattern: 'github\\.com' },
+                  rules: {
+                    type: 'array',
+                    minItems: 1,
+                    uniqueItems: true,
+                    items: { type: 'string', enum: CATALOG_RULES }
+                  }
+                }
+              }
+            }
+          }
+        },
+        githubRepository: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['owner', 'name'],
+          properties: {
+            owner: { type: 'string', pattern: GITHUB_NAME_PATTERN },
+            name: { type: 'string', pattern: GITHUB_NAME_PATTERN }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * A parsed, validated migration profile (`--config <file>`)
+ */
+export class MigrationProfile {
+  constructor(data, filePath = null) {
+    this.data = data;
+    this.filePath = filePath;
+  }
+
+  /**
+   * Read, validate and resolve a profile file
+   * @param {string} filePath - Path to a .yaml/.yml/.json profile
+   * @param {Object} env - Environment used to resolve ${VAR} references
+   * @returns {Promise<MigrationProfile>} Profile with secrets resolved
+   */
+  static async load(filePath, env = process.env) {
+    const resolvedPath = path.resolve(filePath);
+    if (!(await fs.pathExists(resolvedPath))) {
+      throw new Error(`Migration profile not found: ${resolvedPath}`);
+    }
+
+    const content = await fs.readFile(resolvedPath, 'utf8');
+    let data;
+    try {
+      data = resolvedPath.toLowerCase().endsWith('.json')
+        ? JSON.parse(content)
+        : yaml.load(content);
+    } catch (error) {
+      throw new Error(`Failed to parse migration profile ${resolvedPath}: ${error.message}`);
+    }
+
+    return MigrationProfile.fromObject(data, env, resolvedPath);
+  }
+
+  /**
+   * Validate and resolve an in-memory profile
+   * @param {Object} data - Raw profile data
+   * @param {Object} env - Environment used to resolve ${VAR} references
+   * @param {string} filePath - Origin, used in error messages and relative paths
+   * @returns {Promise<MigrationProfile>} Profile with secrets resolved
+   */
+  static async fromObject(data, env = process.env, filePath = null) {
+    const label = filePath || 'profile';
+    const errors = validateAgainstSchema(data, MIGRATION_PROFILE_SCHEMA, '');
+    if (errors.length === 0) {
+      errors.push(...validateProfileRules(data));
+    }
+    throwIfInvalid(label, errors);
+
+    const resolveErrors = [];
+    const resolved = resolveEnvReferences(data, env, '', resolveErrors, MIGRATION_PROFILE_SCHEMA);
+    throwIfInvalid(label, resolveErrors);
+
+    // Re-check values that came from the environment (e.g. a port or URL)
+    throwIfInvalid(label, validateAgainstSchema(resolved, MIGRATION_PROFILE_SCHEMA, '', { resolved: true }));
+
+    // Private keys may be given as a file path, relative to the profile
+    const app = resolved.auth?.github?.integration?.app;
+    if (app?.privateKeyFile) {
+      const keyPath = path.resolve(filePath ? path.dirname(filePath) : process.cwd(), app.privateKeyFile);
+      if (!(await fs.pathExists(keyPath))) {
+        throwIfInvalid(label, [`auth.github.integration.app.privateKeyFile: file not found: ${keyPath}`]);
+      }
+      app.privateKey = (await fs.readFile(keyPath, 'utf8')).trim();
+    }
+    if (app?.privateKey && (!app.privateKey.includes('BEGIN') || !app.privateKey.includes('END'))) {
+      throwIfInvalid(label, ['auth.github.integration.app.privateKey: must be a PEM key with BEGIN and END headers']);
+    }
+
+    return new MigrationProfile(resolved, filePath);
+  }
+
+  /**
+   * Convert the profile into the config object FlowSourceAgent.migrate() expects.
+   * Only sections present in the profile are emitted, so CLI flags can fill the rest.
+   * @returns {Object} Partial migration config
+   */
+  toMigrationConfig() {
+    const profile = this.data;
+    const baseDir = this.filePath ? path.dirname(this.filePath) : process.cwd();
+    const config = {};
+
+    if (profile.source !== undefined) config.sourcePath = path.resolve(baseDir, profile.source);
+    if (profile.destination !== undefined) config.destinationPath = path.resolve(baseDir, profile.destination);
+    if (profile.name !== undefined) config.applicationName = profile.name;
+    if (profile.phase !== undefined) config.phase = profile.phase;
+    if (profile.install !== undefined) config.autoInstall = profile.install;
+    if (profile.inPlace !== undefined) config.inPlace = profile.inPlace;
+    if (profile.backstageVersion !== undefined) config.backstageVersion = profile.backstageVersion;
+    if (profile.brandKit !== undefined) config.brandKitPath = path.resolve(baseDir, profile.brandKit);
+    if (profile.navigation !== undefined) config.navigationPath = path.resolve(baseDir, profile.navigation);
+    if (profile.entityLayout !== undefined) config.entityLayoutPath = path.resolve(baseDir, profile.entityLayout);
+    if (profile.themes !== undefined) config.themes = { ...profile.themes };
+
+    if (profile.database) {
+      config.databaseConfig = profile.database.type === 'postgresql'
+        ? {
+          type: 'postgresql',
+          usePostgreSQL: true,
+          host: profile.database.host,
+          port: profile.database.port || 5432,
+          user: profile.database.user,
+          password: profile.database.password
+        }
+        : { type: 'sqlite', usePostgreSQL: false };
+    }
+
+    if (profile.backend || profile.auth) {
+      // Same default as the interactive prompt: generate a backend secret when none is given
+      config.backendAuth = {
+        backendSecret: profile.backend?.secret || crypto.randomBytes(24).toString('base64'),
+        sessionSecret: profile.backend?.sessionSecret || null,
+        hasCustomSessionSecret: Boolean(profile.backend?.sessionSecret)
+      };
+    }
+
+    if (profile.auth) {
+      config.selectedAuthProvider = profile.auth.provider || 'github';
+      const github = profile.auth.github;
+
+      if (github && !github.manualSetup) {
+        const integration = github.integration;
+        config.githubAuth = {
+          clientId: github.clientId,
+          clientSecret: github.clientSecret,
+          organization: github.organization || '',
+          callbackUrl: github.callbackUrl || DEFAULT_CALLBACK_URL,
+          integrationMethod: integration.method,
+          personalAccessToken: integration.method === 'pat' ? integration.token : null,
+          githubApp: integration.method === 'github-app'
+            ? {
+              appId: String(integration.app.appId),
+              clientId: integration.app.clientId,
+              clientSecret: integration.app.clientSecret,
+              privateKey: integration.app.privateKey
+            }
+            : null,
+          requiresManualSetup: false
+        };
+      } else if (github) {
+        // Same placeholders InteractiveMode writes when no OAuth app exists yet
+        config.githubAuth = {
+          clientId: 'YOUR_GITHUB_CLIENT_ID',
+          clientSecret: 'YOUR_GITHUB_CLIENT_SECRET',
+          organization: github.organization || 'TheCognizantFoundry',
+          callbackUrl: github.callbackUrl || DEFAULT_CALLBACK_URL,
+          requiresManualSetup: true,
+          personalAccessToken: 'YOUR_GITHUB_TOKEN'
+        };
+      }
+    }
+
+    if (profile.phase3) {
+      config.phase3Options = buildPhase3Options(profile.phase3);
+      if (profile.phase3.githubRepository) {
+        config.githubRepoOwner = profile.phase3.githubRepository.owner;
+        config.githubRepoName = profile.phase3.githubRepository.name;
+      }
+    }
+
+    return config;
+  }
+}
+
+/**
+ * Build InteractiveMode-compatible phase3Options from a profile's phase3 section
+ * @param {Object} phase3 - Profile phase3 section
+ * @returns {Object} phase3Options
+ */
+export function buildPhase3Options(phase3) {
+  const templates = phase3.templates || [];
+  const plugins = phase3.plugins || [];
+
+  let integrationType = 'templates';
+  if (templates.length > 0 && plugins.length > 0) {
+    integrationType = 'both';
+  } else if (plugins.length > 0) {
+    integrationType = 'plugins';
+  }
+
+  const options = {
+    integrationType,
+    selectedTemplates: templates,
+    selectedPlugins: plugins,
+    discoveredPlugins: null
+  };
+
+  if (integrationType === 'both') {
+    options.executionOrder = phase3.executionOrder || ['templates', 'plugins'];
+  }
+
+  if (phase3.catalog) {
+    options.catalogOnboarding = { choices: phase3.catalog.methods, configs: {} };
+    if (phase3.catalog.methods.includes('remote')) {
+      options.catalogOnboarding.configs.remote = {
+        repositories: phase3.catalog.remote.map(repo => ({
+          url: repo.url,
+          rules: repo.rules || ['Component']
+        }))
+      };
+    }
+    if (phase3.catalog.methods.includes('local')) {
+      options.catalogOnboarding.configs.local = { target: '../../catalog-info.yaml' };
+    }
+  }
+
+  return options;
+}
+
+function throwIfInvalid(label, errors) {
+  if (errors.length > 0) {
+    throw new Error(`Invalid migration profile ${label}:\n  - ${errors.join('\n  - ')}`);
+  }
+}
+
+function describePath(pathSoFar) {
+  return pathSoFar || '(root)';
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'integer' || actual === 'number';
+  return actual === type;
+}
+
+/**
+ * Validate a value against the schema subset used by MIGRATION_PROFILE_SCHEMA
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} pathSoFar - Dotted path of value, used in messages
+ * @param {Object} options - { resolved: true } once ${VAR} references have been substituted
+ * @returns {Array<string>} Errors prefixed with their dotted path
+ */
+export function validateAgainstSchema(value, schema, pathSoFar, options = {}) {
+  const errors = [];
+  const where = describePath(pathSoFar);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    // A whole-value ${VAR} reference (e.g. a port) is type-checked once resolved
+    if (!options.resolved && typeof value === 'string' && ENV_REFERENCE.test(value) && !types.includes('string')) {
+      return [];
+    }
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${where}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.secret && !options.resolved && !ENV_REFERENCE.test(value)) {
+      errors.push(`${where}: secrets must be an environment variable reference like \${MY_SECRET}, not an inline value`);
+    } else if (!schema.secret) {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${where}: must not be empty`);
+      }
+      // Values containing ${VAR} references are pattern-checked after resolution
+      const deferred = !options.resolved && CONTAINS_ENV_REFERENCE.test(value);
+      if (schema.pattern && !deferred && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${where}: must match /${schema.pattern}/ (got ${JSON.stringify(value)})`);
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(String(value))) {
+      errors.push(`${where}: must match /${schema.pattern}/ (got ${value})`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${where}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${where}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${where}: must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push(`${where}: must not contain duplicates`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${pathSoFar}[${index}]`, options));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${pathSoFar ? `${pathSoFar}.` : ''}${key}: is required`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = pathSoFar ? `${pathSoFar}.${key}` : key;
+      if (schema.properties[key]) {
+        errors.push(...validateAgainstSchema(child, schema.properties[key], childPath, options));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath}: unknown property (allowed: ${Object.keys(schema.properties).join(', ')})`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Cross-field rules the schema subset cannot express
+function validateProfileRules(profile) {
+  const errors = [];
+
+  const database = profile.database;
+  if (database?.type === 'postgresql') {
+    for (const key of ['host', 'user', 'password']) {
+      if (database[key] === undefined) {
+        errors.push(`database.${key}: is required when database.type is postgresql`);
+      }
+    }
+  }
+
+  const github = profile.auth?.github;
+  if (github && !github.manualSetup) {
+    for (const key of ['clientId', 'clientSecret', 'integration']) {
+      if (github[key] === undefined) {
+        errors.push(`auth.github.${key}: is required unless auth.github.manualSetup is true`);
+      }
+    }
+
+    const integration = github.integration;
+    if (integration?.method === 'pat' && integration.token === undefined) {
+      errors.push('auth.github.integration.token: is required when integration.method is pat');
+    }
+    if (integration?.method === 'github-app') {
+      if (!integration.app) {
+        errors.push('auth.github.integration.app: is required when integration.method is github-app');
+      } else if (!integration.app.privateKey === !integration.app.privateKeyFile) {
+        errors.push('auth.github.integration.app: exactly one of privateKey or privateKeyFile is required');
+      }
+    }
+  }
+
+  const phase3 = profile.phase3;
+  if (phase3) {
+    if (!phase3.templates?.length && !phase3.plugins?.length) {
+      errors.push('phase3: select at least one entry in phase3.templates or phase3.plugins');
+    }
+    if (phase3.plugins?.length && !phase3.catalog) {
+      errors.push('phase3.catalog: is required when phase3.plugins is set');
+    }
+    if (phase3.catalog?.methods?.includes('remote') && !phase3.catalog.remote) {
+      errors.push('phase3.catalog.remote: is required when phase3.catalog.methods includes remote');
+    }
+    const needsGithubRepository = (phase3.plugins || []).some(plugin => plugin.toLowerCase().includes('github'));
+    if (needsGithubRepository && !phase3.githubRepository) {
+      errors.push('phase3.githubRepository: is required when a GitHub plugin is selected');
+    }
+  }
+
+  return errors;
+}
+
+// Replace ${VAR} references with values from env, recording missing variables by path.
+// Integer-only values given as a reference (e.g. database.port: ${DB_PORT}) become numbers.
+function resolveEnvReferences(value, env, pathSoFar, errors, schema = {}) {
+  if (typeof value === 'string') {
+    const resolved = value.replace(ENV_REFERENCE_GLOBAL, (match, name) => {
+      if (env[name] === undefined || env[name] === '') {
+        errors.push(`${describePath(pathSoFar)}: environment variable ${name} is not set`);
+        return match;
+      }
+      return env[name];
+    });
+    const types = [].concat(schema.type ?? []);
+    const integerOnly = types.includes('integer') && !types.includes('string');
+    return integerOnly && ENV_REFERENCE.test(value) && /^-?\d+$/.test(resolved.trim()) ? Number(resolved) : resolved;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => resolveEnvReferences(item, env, `${pathSoFar}[${index}]`, errors, schema.items));
+  }
+
+  if (value && typeof value === 'object') {
+    const resolved = {};
+    for (const [key, child] of Object.entries(value)) {
+      resolved[key] = resolveEnvReferences(child, env, pathSoFar ? `${pathSoFar}.${key}` : key, errors, schema.properties?.[key]);
+    }
+    return resolved;
+  }
+
+  return value;
+}
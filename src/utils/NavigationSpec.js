@@ -0,0 +1,247 @@
+// Navigation Spec - Sidebar items, groups and hidden default items applied to Root.tsx
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import { validateAgainstSchema } from './MigrationProfile.js';
+import { CodeModifier } from './CodeModifier.js';
+
+// Icon: a component Root.tsx already imports (HomeIcon), or a module whose default export is the icon
+const ICON_PATTERN = '^(?:[A-Z][A-Za-z0-9]*|(?:@[\\w.-]+/)?[\\w.-]+(?:/[\\w.-]+)+)$';
+const icon = { type: 'string', pattern: ICON_PATTERN };
+
+// Group spec items go to when they name none (the skeleton's and FlowSource's main group)
+export const DEFAULT_GROUP = 'Menu';
+
+/**
+ * Schema for navigation spec files (same schema subset as migration profiles)
+ */
+export const NAVIGATION_SPEC_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    version: { type: 'integer', enum: [1] },
+    groups: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['label', 'icon'],
+        properties: {
+          label: { type: 'string', minLength: 1 },
+          icon,
+          after: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['text', 'to', 'icon'],
+        properties: {
+          text: { type: 'string', minLength: 1 },
+          to: { type: 'string', minLength: 1 },
+          icon,
+          group: { type: 'string', minLength: 1 },
+          after: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    hide: { type: 'array', uniqueItems: true, items: { type: 'string', minLength: 1 } }
+  }
+};
+
+/**
+ * A validated navigation spec (`--navigation <file>`, or navigation.yaml in a plugin):
+ *
+ *   groups:                              # created when Root.tsx has no group with the label
+ *     - { label: Tools, icon: '@material-ui/icons/Build', after: Menu }
+ *   items:                               # in this order, each after the previous one of its group
+ *     - { text: Runbooks, to: /runbooks, icon: '@material-ui/icons/MenuBook', group: Tools }
+ *     - { text: Catalog, to: catalog, icon: HomeIcon, after: docs }
+ *   hide: [create, Tech Radar]           # default items, by target (to) or text
+ *
+ * Items default to the Menu group; `after` names the item (target or text) or group
+ * (label) an entry follows. Items and groups already in Root.tsx are left where they are.
+ */
+export class NavigationSpec {
+  constructor(data, filePath = null) {
+    this.data = data;
+    this.filePath = filePath;
+    this.codeModifier = new CodeModifier();
+  }
+
+  /**
+   * Read and validate a navigation spec file
+   * @param {string} filePath - Path to a .yaml/.yml/.json navigation spec
+   * @returns {Promise<NavigationSpec>} Navigation spec
+   */
+  static async load(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    if (!(await fs.pathExists(resolvedPath))) {
+      throw new Error(`Navigation spec not found: ${resolvedPath}`);
+    }
+
+    let data;
+    try {
+      data = yaml.load(await fs.readFile(resolvedPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to parse navigation spec ${resolvedPath}: ${error.message}`);
+    }
+    return NavigationSpec.fromObject(data, resolvedPath);
+  }
+
+  /**
+   * Validate an in-memory navigation spec
+   * @param {Object} data - Raw navigation spec
+   * @param {string} filePath - Origin, used in messages
+   * @returns {NavigationSpec} Navigation spec
+   */
+  static fromObject(data, filePath = null) {
+    const label = filePath || 'navigation spec';
+    const errors = validateAgainstSchema(data, NAVIGATION_SPEC_SCHEMA, '', { resolved: true });
+    if (errors.length === 0) {
+      const spec = new NavigationSpec(data, filePath);
+      const targets = spec.items.map(item => normalizeTarget(item.to));
+      targets.forEach((target, index) => {
+        if (targets.indexOf(target) !== index) {
+          errors.push(`items[${index}]: duplicates the target ${spec.items[index].to}`);
+        }
+      });
+      spec.hide.forEach((entry, index) => {
+        if (spec.items.some(item => normalizeTarget(item.to) === normalizeTarget(entry) || item.text === entry)) {
+          errors.push(`hide[${index}]: ${entry} is also listed in items`);
+        }
+      });
+      if (errors.length === 0) {
+        return spec;
+      }
+    }
+    throw new Error(`Invalid navigation spec ${label}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  get groups() {
+    return this.data?.groups || [];
+  }
+
+  get items() {
+    return this.data?.items || [];
+  }
+
+  get hide() {
+    return this.data?.hide || [];
+  }
+
+  summary() {
+    return `${this.items.length} items, ${this.groups.length} groups, ${this.hide.length} hidden`;
+  }
+
+  /**
+   * Apply the spec to Root.tsx: hide default items, then add groups and items
+   * @param {string} content - Root.tsx source
+   * @returns {Object} { content, skipped: entries that could not be applied, with the reason }
+   */
+  apply(content) {
+    let result = content;
+    const skipped = [];
+
+    // Hidden items go with their icon imports, which would otherwise be unused
+    for (const entry of this.hide) {
+      for (const selector of itemSelectors(entry)) {
+        const itemIcon = String(this.codeModifier.findJsxAttribute(result, selector, 'icon')).match(/^\{([A-Za-z_$][\w$]*)\}$/)?.[1];
+        result = this.codeModifier.removeJsxElements(result, selector);
+        if (itemIcon) {
+          result = this.codeModifier.removeUnusedImport(result, itemIcon);
+        }
+      }
+    }
+
+    let previousGroup = DEFAULT_GROUP;
+    for (const group of this.groups) {
+      try {
+        if (!this.codeModifier.hasJsxElement(result, groupSelector(group.label))) {
+          result = this.addIcon(result, group.icon);
+          result = this.codeModifier.addJsxChild(result, 'Sidebar', groupSource(group, iconName(group.icon)), {
+            after: groupSelector(group.after || previousGroup)
+          });
+        }
+      } catch (error) {
+        skipped.push(`group "${group.label}": ${error.message}`);
+      }
+      previousGroup = group.label;
+    }
+
+    const previousItems = new Map(); // group label -> target of the last spec item added to it
+    for (const item of this.items) {
+      const group = item.group || DEFAULT_GROUP;
+      try {
+        const present = itemSelectors(item.to).slice(0, 2).some(selector => this.codeModifier.hasJsxElement(result, selector));
+        if (!present) {
+          const after = item.after || previousItems.get(group);
+          result = this.addIcon(result, item.icon);
+          result = this.codeModifier.addJsxChild(result, groupSelector(group), itemSource(item, iconName(item.icon)), {
+            after: after ? itemSelectors(after).find(selector => this.codeModifier.hasJsxElement(result, selector)) : null
+          });
+        }
+        previousItems.set(group, item.to);
+      } catch (error) {
+        skipped.push(`item "${item.text}": ${error.message}`);
+      }
+    }
+
+    return { content: result, skipped };
+  }
+
+  // Import a module icon; an icon given by name must already be in scope
+  addIcon(content, iconSpec) {
+    const name = iconName(iconSpec);
+    if (iconSpec.includes('/')) {
+      return this.codeModifier.addImports(content, `import ${name} from '${iconSpec}';`);
+    }
+    if (!this.codeModifier.importedNames(content).has(name) && !this.codeModifier.hasDeclaration(content, name)) {
+      throw new Error(`icon ${name} is not imported by Root.tsx (use a module path such as @material-ui/icons/${name.replace(/Icon$/, '')})`);
+    }
+    return content;
+  }
+}
+
+// '@material-ui/icons/MenuBook' -> 'MenuBookIcon'; 'HomeIcon' -> 'HomeIcon'
+function iconName(iconSpec) {
+  if (!iconSpec.includes('/')) {
+    return iconSpec;
+  }
+  const base = iconSpec.split('/').pop().split(/[^A-Za-z0-9]+/).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+  return base.endsWith('Icon') ? base : `${base}Icon`;
+}
+
+function normalizeTarget(target) {
+  return target.replace(/^\/+/, '');
+}
+
+// A sidebar item by target (with or without the leading slash) or by text
+function itemSelectors(reference) {
+  const target = normalizeTarget(reference);
+  return [
+    { tag: 'SidebarItem', attributes: { to: target } },
+    { tag: 'SidebarItem', attributes: { to: `/${target}` } },
+    { tag: 'SidebarItem', attributes: { text: reference } }
+  ];
+}
+
+function groupSelector(label) {
+  return { tag: 'SidebarGroup', attributes: { label } };
+}
+
+// JSX string attribute value; text with double quotes goes into an expression
+function jsxString(value) {
+  return value.includes('"') ? `{${JSON.stringify(value)}}` : `"${value}"`;
+}
+
+function itemSource(item, icon) {
+  return `<SidebarItem icon={${icon}} to=${jsxString(item.to)} text=${jsxString(item.text)} />`;
+}
+
+function groupSource(group, icon) {
+  return `<SidebarGroup label=${jsxString(group.label)} icon={<${icon} />} />`;
+}
@@ -0,0 +1,229 @@
+// Phase 2 CLI Options - Authentication and database settings for non-interactive runs
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { Option } from 'commander';
+
+const DEFAULT_CALLBACK_URL = 'http://localhost:7007/api/auth/github/handler/frame';
+
+/**
+ * Flags (and their environment variable fallbacks) that replace the Phase 2
+ * prompts in InteractiveMode. Environment names match the placeholders used
+ * in the generated app-config.yaml where one exists.
+ */
+export const PHASE2_CLI_OPTIONS = [
+  { flags: '--backend-secret <secret>', description: 'Backend auth secret (generated if omitted)', env: 'BACKEND_SECRET' },
+  { flags: '--session-secret <secret>', description: 'Auth session secret', env: 'AUTH_SESSION_SECRET' },
+  { flags: '--db-type <type>', description: 'Database: postgresql|sqlite', env: 'DB_TYPE', choices: ['postgresql', 'sqlite'] },
+  { flags: '--db-host <host>', description: 'PostgreSQL host (default: localhost)', env: 'DB_HOST' },
+  { flags: '--db-port <port>', description: 'PostgreSQL port (default: 5432)', env: 'DB_PORT' },
+  { flags: '--db-user <user>', description: 'PostgreSQL user (default: postgres)', env: 'DB_USER' },
+  { flags: '--db-password <password>', description: 'PostgreSQL password', env: 'DB_PASSWORD' },
+  { flags: '--github-client-id <id>', description: 'GitHub OAuth App client ID', env: 'GITHUB_CLIENT_ID' },
+  { flags: '--github-client-secret <secret>', description: 'GitHub OAuth App client secret', env: 'GITHUB_CLIENT_SECRET' },
+  { flags: '--github-org <org>', description: 'GitHub organization', env: 'GITHUB_ORG' },
+  { flags: '--github-callback-url <url>', description: 'GitHub OAuth callback URL', env: 'GITHUB_CALLBACK_URL' },
+  { flags: '--github-token <token>', description: 'GitHub Personal Access Token for integrations', env: 'GITHUB_TOKEN' },
+  { flags: '--github-app-id <id>', description: 'GitHub App ID (switches integration to GitHub App)', env: 'GITHUB_APP_ID' },
+  { flags: '--github-app-client-id <id>', description: 'GitHub App client ID', env: 'GITHUB_APP_CLIENT_ID' },
+  { flags: '--github-app-client-secret <secret>', description: 'GitHub App client secret', env: 'GITHUB_APP_CLIENT_SECRET' },
+  { flags: '--github-app-private-key <file>', description: 'Path to the GitHub App private key (.pem)', env: 'GITHUB_APP_PRIVATE_KEY_FILE' },
+  { flags: '--github-manual-setup', description: 'Write GitHub placeholders to fill in after migration' }
+];
+
+/**
+ * Register the Phase 2 options on a commander program
+ * @param {Command} program - Commander program
+ */
+export function registerPhase2Options(program) {
+  for (const definition of PHASE2_CLI_OPTIONS) {
+    const option = new Option(definition.flags, definition.description);
+    if (definition.env) option.env(definition.env);
+    if (definition.choices) option.choices(definition.choices);
+    program.addOption(option);
+  }
+}
+
+/**
+ * Build config.backendAuth, config.databaseConfig and config.githubAuth from
+ * CLI flags and environment variables, in the same shapes InteractiveMode produces.
+ * Precedence per field: command-line flag, then profile (base), then environment.
+ * @param {Object} options - Parsed commander options
+ * @param {Function} sourceOf - (optionName) => 'cli' | 'env' | 'default' | undefined
+ * @param {Object} base - Values already loaded from a migration profile
+ * @returns {Promise<Object>} Phase 2 config fields
+ */
+export async function resolvePhase2Config(options, sourceOf, base = {}) {
+  const errors = [];
+  const pick = (name, baseValue) => {
+    if (sourceOf(name) === 'cli') return options[name];
+    if (baseValue !== undefined && baseValue !== null) return baseValue;
+    if (sourceOf(name) === 'env') return options[name];
+    return undefined;
+  };
+  const describe = (name) => {
+    const definition = PHASE2_CLI_OPTIONS.find(d => optionName(d.flags) === name);
+    return definition.env ? `${flagName(definition.flags)} (or ${definition.env})` : flagName(definition.flags);
+  };
+
+  // Backend secrets - generated like the interactive default when not provided
+  const backendSecret = pick('backendSecret', base.backendAuth?.backendSecret);
+  const sessionSecret = pick('sessionSecret', base.backendAuth?.sessionSecret);
+  const backendAuth = {
+    backendSecret: backendSecret || crypto.randomBytes(24).toString('base64'),
+    sessionSecret: sessionSecret || null,
+    hasCustomSessionSecret: Boolean(sessionSecret)
+  };
+
+  // Database
+  const baseDb = base.databaseConfig || {};
+  const dbHost = pick('dbHost', baseDb.host);
+  const dbPort = pick('dbPort', baseDb.port);
+  const dbUser = pick('dbUser', baseDb.user);
+  const dbPassword = pick('dbPassword', baseDb.password);
+  let dbType = pick('dbType', baseDb.type);
+  if (!dbType && (dbHost || dbUser || dbPassword)) {
+    dbType = 'postgresql';
+  }
+
+  let databaseConfig;
+  if (!dbType) {
+    errors.push(`${describe('dbType')}: is required - use sqlite, or postgresql with ${describe('dbPassword')}`);
+  } else if (dbType === 'sqlite') {
+    databaseConfig = { type: 'sqlite', usePostgreSQL: false };
+  } else {
+    const port = parseInt(dbPort ?? 5432, 10);
+    if (isNaN(port) || port < 1 || port > 65535) {
+      errors.push(`${describe('dbPort')}: must be a port number between 1 and 65535 (got ${dbPort})`);
+    }
+    if (!dbPassword) {
+      errors.push(`${describe('dbPassword')}: is required for PostgreSQL`);
+    }
+    databaseConfig = {
+      type: 'postgresql',
+      usePostgreSQL: true,
+      host: dbHost || 'localhost',
+      port,
+      user: dbUser || 'postgres',
+      password: dbPassword
+    };
+  }
+
+  // GitHub authentication
+  const githubAuth = await resolveGitHubAuth(options, sourceOf, pick, describe, base.githubAuth, errors);
+
+  if (errors.length > 0) {
+    throw new Error(`Phase 2 settings are incomplete:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return {
+    selectedAuthProvider: base.selectedAuthProvider || 'github',
+    backendAuth,
+    databaseConfig,
+    githubAuth
+  };
+}
+
+async function resolveGitHubAuth(options, sourceOf, pick, describe, baseGithub = {}, errors) {
+  const githubFlags = PHASE2_CLI_OPTIONS
+    .map(d => optionName(d.flags))
+    .filter(name => name.startsWith('github'));
+  const anyGithubFlagOnCli = githubFlags.some(name => sourceOf(name) === 'cli');
+
+  const manualSetup = options.githubManualSetup ||
+    (baseGithub?.requiresManualSetup && !anyGithubFlagOnCli);
+  if (manualSetup) {
+    // Same placeholders InteractiveMode writes when no OAuth app exists yet
+    return {
+      clientId: 'YOUR_GITHUB_CLIENT_ID',
+      clientSecret: 'YOUR_GITHUB_CLIENT_SECRET',
+      organization: pick('githubOrg', baseGithub?.organization) || 'TheCognizantFoundry',
+      callbackUrl: pick('githubCallbackUrl', baseGithub?.callbackUrl) || DEFAULT_CALLBACK_URL,
+      requiresManualSetup: true,
+      personalAccessToken: 'YOUR_GITHUB_TOKEN'
+    };
+  }
+
+  const base = baseGithub?.requiresManualSetup ? {} : (baseGithub || {});
+  const baseApp = base.githubApp || {};
+  const clientId = pick('githubClientId', base.clientId);
+  const clientSecret = pick('githubClientSecret', base.clientSecret);
+
+  if (!clientId) {
+    errors.push(`${describe('githubClientId')}: is required (or pass --github-manual-setup)`);
+  }
+  if (!clientSecret) {
+    errors.push(`${describe('githubClientSecret')}: is required (or pass --github-manual-setup)`);
+  }
+
+  const appId = pick('githubAppId', baseApp.appId);
+  const githubAuth = {
+    clientId,
+    clientSecret,
+    organization: pick('githubOrg', base.organization) || '',
+    callbackUrl: pick('githubCallbackUrl', base.callbackUrl) || DEFAULT_CALLBACK_URL,
+    integrationMethod: appId ? 'github-app' : 'pat',
+    personalAccessToken: null,
+    githubApp: null,
+    requiresManualSetup: false
+  };
+
+  if (!appId) {
+    const token = pick('githubToken', base.personalAccessToken);
+    if (!token) {
+      errors.push(`${describe('githubToken')}: is required for PAT integration (or pass ${describe('githubAppId')} for a GitHub App)`);
+    } else if (token.trim().length < 20) {
+      errors.push(`${describe('githubToken')}: should be at least 20 characters long`);
+    }
+    githubAuth.personalAccessToken = token?.trim();
+    return githubAuth;
+  }
+
+  if (!/^\d+$/.test(String(appId).trim())) {
+    errors.push(`${describe('githubAppId')}: should be a number (got ${appId})`);
+  }
+
+  const appClientId = pick('githubAppClientId', baseApp.clientId);
+  const appClientSecret = pick('githubAppClientSecret', baseApp.clientSecret);
+  if (!appClientId) errors.push(`${describe('githubAppClientId')}: is required for GitHub App integration`);
+  if (!appClientSecret) errors.push(`${describe('githubAppClientSecret')}: is required for GitHub App integration`);
+
+  let privateKey = baseApp.privateKey;
+  const keyFile = sourceOf('githubAppPrivateKey') === 'cli' || !privateKey
+    ? options.githubAppPrivateKey
+    : undefined;
+  if (keyFile) {
+    const keyPath = path.resolve(keyFile);
+    if (await fs.pathExists(keyPath)) {
+      privateKey = (await fs.readFile(keyPath, 'utf8')).trim();
+    } else {
+      errors.push(`${describe('githubAppPrivateKey')}: file not found: ${keyPath}`);
+      privateKey = undefined;
+    }
+  }
+  if (!privateKey && !keyFile) {
+    errors.push(`${describe('githubAppPrivateKey')}: is required for GitHub App integration`);
+  } else if (privateKey && (!privateKey.includes('BEGIN') || !privateKey.includes('END'))) {
+    errors.push(`${describe('githubAppPrivateKey')}: must be a PEM key with BEGIN and END headers`);
+  }
+
+  githubAuth.githubApp = {
+    appId: String(appId).trim(),
+    clientId: appClientId,
+    clientSecret: appClientSecret,
+    privateKey
+  };
+  return githubAuth;
+}
+
+// '--github-app-id <id>' -> '--github-app-id'
+function flagName(flags) {
+  return flags.split(/[ ,]/)[0];
+}
+
+// '--github-app-id <id>' -> 'githubAppId' (commander's attribute name)
+function optionName(flags) {
+  return flagName(flags)
+    .replace(/^--/, '')
+    .replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
@@ -0,0 +1,129 @@
+// Phase 3 CLI Options - Template, plugin and catalog selections for non-interactive runs
+import { Option } from 'commander';
+import { buildPhase3Options } from './MigrationProfile.js';
+
+const CATALOG_METHODS = ['manual', 'remote', 'local'];
+const CATALOG_RULES = ['Component', 'System', 'API', 'Resource', 'Location', 'User', 'Group'];
+const GITHUB_NAME_PATTERN = /^[a-zA-Z0-9\-._]+$/;
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Register the Phase 3 options on a commander program
+ * @param {Command} program - Commander program
+ */
+export function registerPhase3Options(program) {
+  program
+    .addOption(new Option('--templates <names>', 'Templates to integrate, comma separated (e.g. PDLC-Backend,PDLC-Frontend)'))
+    .addOption(new Option('--plugins <names>', 'Plugins to integrate, comma separated (e.g. github,jira)'))
+    .addOption(new Option('--catalog <methods>', 'Catalog onboarding for plugins: local|remote|manual, comma separated'))
+    .addOption(
+      new Option('--catalog-repo <url::rules>', 'Remote catalog location, repeatable (e.g. https://github.com/org/repo/blob/main/catalog-info.yaml::Component,API)')
+        .argParser((value, previous = []) => [...previous, value])
+    )
+    .addOption(new Option('--execution-order <order>', 'Order when both are selected: templates,plugins|plugins,templates'))
+    .addOption(new Option('--github-repo <owner/name>', 'Repository used by GitHub plugins for catalog annotations'));
+}
+
+/**
+ * Build config.phase3Options (and GitHub repository settings) from CLI flags,
+ * in the shape InteractiveMode.collectPhase3Options produces. Flags replace the
+ * matching profile values; anything not given on the command line comes from base.
+ * @param {Object} options - Parsed commander options
+ * @param {Object} base - Values already loaded from a migration profile
+ * @returns {Object} { phase3Options, githubRepoOwner, githubRepoName }
+ */
+export function resolvePhase3Options(options, base = {}) {
+  const errors = [];
+  const baseOptions = base.phase3Options || {};
+  const baseCatalog = baseOptions.catalogOnboarding;
+
+  const templates = options.templates !== undefined ? splitList(options.templates) : (baseOptions.selectedTemplates || []);
+  const plugins = options.plugins !== undefined ? splitList(options.plugins) : (baseOptions.selectedPlugins || []);
+
+  if (templates.length === 0 && plugins.length === 0) {
+    errors.push('--templates and/or --plugins: Phase 3 needs at least one template or plugin');
+  }
+
+  let executionOrder = baseOptions.executionOrder;
+  if (options.executionOrder !== undefined) {
+    executionOrder = splitList(options.executionOrder);
+    const valid = executionOrder.length === 2 && executionOrder.includes('templates') && executionOrder.includes('plugins');
+    if (!valid) {
+      errors.push(`--execution-order: must be templates,plugins or plugins,templates (got ${options.executionOrder})`);
+    }
+  }
+
+  // Catalog onboarding (a prerequisite for plugins)
+  let methods = baseCatalog?.choices;
+  if (options.catalog !== undefined) {
+    methods = splitList(options.catalog);
+    const unknown = methods.filter(method => !CATALOG_METHODS.includes(method));
+    if (unknown.length > 0 || methods.length === 0) {
+      errors.push(`--catalog: must be one or more of ${CATALOG_METHODS.join(', ')} (got ${options.catalog})`);
+    }
+  }
+
+  let remote = baseCatalog?.configs?.remote?.repositories;
+  if (options.catalogRepo !== undefined) {
+    remote = options.catalogRepo.map(value => parseCatalogRepo(value, errors));
+    if (!methods) {
+      methods = ['remote'];
+    } else if (!methods.includes('remote')) {
+      errors.push('--catalog-repo: requires remote in --catalog');
+    }
+  }
+
+  if (plugins.length > 0 && !methods) {
+    errors.push(`--catalog: is required when plugins are selected (${CATALOG_METHODS.join('|')})`);
+  }
+  if (methods?.includes('remote') && !remote?.length) {
+    errors.push('--catalog-repo: at least one <url>::<rules> is required for remote catalog onboarding');
+  }
+
+  // GitHub plugins need a repository for catalog annotations
+  let githubRepoOwner = base.githubRepoOwner;
+  let githubRepoName = base.githubRepoName;
+  if (options.githubRepo !== undefined) {
+    const [owner, name, ...rest] = options.githubRepo.split('/');
+    if (!owner || !name || rest.length > 0 || !GITHUB_NAME_PATTERN.test(owner) || !GITHUB_NAME_PATTERN.test(name)) {
+      errors.push(`--github-repo: must be <owner>/<name> using letters, numbers, hyphens, dots and underscores (got ${options.githubRepo})`);
+    } else {
+      githubRepoOwner = owner;
+      githubRepoName = name;
+    }
+  }
+  const needsGithubRepository = plugins.some(plugin => plugin.toLowerCase().includes('github'));
+  if (needsGithubRepository && (!githubRepoOwner || !githubRepoName)) {
+    errors.push('--github-repo: is required when a GitHub plugin is selected');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Phase 3 settings are incomplete:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const phase3Options = buildPhase3Options({
+    templates,
+    plugins,
+    executionOrder,
+    catalog: methods ? { methods, remote } : undefined
+  });
+
+  return { phase3Options, githubRepoOwner, githubRepoName };
+}
+
+// '<url>::<Rule,Rule>' -> { url, rules }
+function parseCatalogRepo(value, errors) {
+  const [url, rulesText] = value.split('::');
+  const rules = rulesText ? splitList(rulesText) : ['Component'];
+
+  if (!url || !url.includes('github.com')) {
+    errors.push(`--catalog-repo: ${value} must start with a GitHub URL`);
+  }
+  const unknownRules = rules.filter(rule => !CATALOG_RULES.includes(rule));
+  if (unknownRules.length > 0) {
+    errors.push(`--catalog-repo: unknown entity type(s) ${unknownRules.join(', ')} in ${value} (allowed: ${CATALOG_RULES.join(', ')})`);
+  }
+
+  return { url, rules };
+}
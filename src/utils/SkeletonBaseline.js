@@ -0,0 +1,141 @@
+// Skeleton Baseline - Pristine and generated versions of app files FlowSource edits, for three-way merges
+import fs from 'fs-extra';
+import path from 'path';
+import { Logger } from './Logger.js';
+import { ChangeJournal } from './ChangeJournal.js';
+import { mergeThreeWay } from './TextDiff.js';
+
+export const BASELINE_DIR_NAME = '.flowsource/baseline';
+
+// App files teams customise (routes, entity tabs, sidebar items) that FlowSource also rewrites
+export const TRACKED_FILES = [
+  'packages/app/src/App.tsx',
+  'packages/app/src/components/catalog/EntityPage.tsx',
+  'packages/app/src/components/Root/Root.tsx'
+];
+
+/**
+ * Versions of the tracked app files kept under <destination>/.flowsource/baseline:
+ *
+ *   skeleton/<file>    the file as the Backstage skeleton created it
+ *   generated/<file>   the file as FlowSource last wrote it
+ *
+ * A re-run merges three versions of each file: the base (what FlowSource last
+ * wrote, or the pristine skeleton on the first run), ours (the file in the app,
+ * with the team's changes) and theirs (the FlowSource version built from the
+ * pristine skeleton). Changes only the team made are kept; changes only
+ * FlowSource made are applied. In-place migrations have no skeleton baseline
+ * and keep editing the existing files directly.
+ */
+export class SkeletonBaseline {
+  constructor(destinationPath) {
+    this.logger = Logger.getInstance();
+    this.destinationPath = path.resolve(destinationPath);
+    this.baselinePath = path.join(this.destinationPath, BASELINE_DIR_NAME);
+  }
+
+  skeletonPath(relativePath) {
+    return path.join(this.baselinePath, 'skeleton', relativePath);
+  }
+
+  generatedPath(relativePath) {
+    return path.join(this.baselinePath, 'generated', relativePath);
+  }
+
+  /**
+   * Store the destination's tracked files as the pristine skeleton (right after the skeleton is copied)
+   * @param {Array<string>} files - Destination-relative files
+   * @returns {Promise<number>} Number of files stored
+   */
+  async captureSkeleton(files = TRACKED_FILES) {
+    let stored = 0;
+    for (const relativePath of files) {
+      const source = path.join(this.destinationPath, relativePath);
+      if (!(await fs.pathExists(source))) continue;
+      await this.write(this.skeletonPath(relativePath), await fs.readFile(source, 'utf8'));
+      stored++;
+    }
+    this.logger.debug(`📌 Stored ${stored} pristine skeleton files in ${this.baselinePath}`);
+    return stored;
+  }
+
+  /**
+   * Current content of tracked files FlowSource generated before, read before the
+   * skeleton is copied over them so the next merge still sees the team's changes
+   * @param {Array<string>} files - Destination-relative files
+   * @returns {Promise<Map<string, string>>} Relative path -> content
+   */
+  async readGeneratedFiles(files = TRACKED_FILES) {
+    const contents = new Map();
+    for (const relativePath of files) {
+      const target = path.join(this.destinationPath, relativePath);
+      if (await this.readGenerated(relativePath) !== null && await fs.pathExists(target)) {
+        contents.set(relativePath, await fs.readFile(target, 'utf8'));
+      }
+    }
+    return contents;
+  }
+
+  /**
+   * Write files returned by readGeneratedFiles() back into the destination
+   * @param {Map<string, string>} contents - Relative path -> content
+   */
+  async restore(contents) {
+    for (const [relativePath, content] of contents) {
+      await this.write(path.join(this.destinationPath, relativePath), content);
+    }
+  }
+
+  async readSkeleton(relativePath) {
+    return readIfExists(this.skeletonPath(relativePath));
+  }
+
+  async readGenerated(relativePath) {
+    return readIfExists(this.generatedPath(relativePath));
+  }
+
+  /**
+   * Remember what FlowSource wrote, the base of the next merge
+   * @param {string} relativePath - Destination-relative file
+   * @param {string} content - FlowSource version of the file
+   */
+  async recordGenerated(relativePath, content) {
+    await this.write(this.generatedPath(relativePath), content);
+  }
+
+  /**
+   * Three-way merge of a tracked file
+   * @param {string} relativePath - Destination-relative file
+   * @param {string} ours - File in the app
+   * @param {string} theirs - FlowSource version built from the pristine skeleton
+   * @returns {Promise<Object|null>} { text, conflicts }, or null without a baseline for the file
+   */
+  async merge(relativePath, ours, theirs) {
+    const base = await this.readGenerated(relativePath) ?? await this.readSkeleton(relativePath);
+    if (base === null) {
+      return null;
+    }
+    if (ours === base || ours === theirs) {
+      return { text: theirs, conflicts: 0 };
+    }
+    if (theirs === base) {
+      return { text: ours, conflicts: 0 };
+    }
+    const name = path.basename(relativePath);
+    return mergeThreeWay(base, ours, theirs, {
+      ours: `${name} (current)`,
+      base: `${name} (baseline)`,
+      theirs: `${name} (FlowSource)`
+    });
+  }
+
+  async write(filePath, content) {
+    await ChangeJournal.record(filePath);
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(filePath, content, 'utf8');
+  }
+}
+
+async function readIfExists(filePath) {
+  return (await fs.pathExists(filePath)) ? fs.readFile(filePath, 'utf8') : null;
+}
@@ -0,0 +1,201 @@
+// Skeleton Cache - Stores Backstage skeletons per create-app version for offline generation
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { Logger } from './Logger.js';
+import { walkFiles } from './FileTree.js';
+import { readBackstageVersion } from './BackstageCompatibility.js';
+import { TempWorkspace } from './TempWorkspace.js';
+
+const ENTRY_FILE_NAME = 'entry.json';
+const SKELETON_DIR_NAME = 'skeleton';
+const ENTRY_VERSION = 1;
+
+// Archives that can be imported (extracted with the system tar)
+const ARCHIVE_EXTENSIONS = ['.tgz', '.tar.gz', '.tar'];
+
+// Bytes inspected when deciding whether a file is binary
+const BINARY_SNIFF_LENGTH = 8000;
+
+/**
+ * Cache of generated Backstage skeletons, one entry per @backstage/create-app version:
+ *
+ *   <cache>/create-app-<version>/entry.json   metadata (origin, app name token, Backstage release, file count)
+ *   <cache>/create-app-<version>/skeleton/    the skeleton as create-app wrote it
+ *
+ * Skeletons are stored with the app name they were created with (the app name
+ * token). Copying one out replaces that token with the real application name in
+ * every text file, so air-gapped runs never need npx or network access.
+ */
+export class SkeletonCache {
+  constructor(cacheRoot = null) {
+    this.logger = Logger.getInstance();
+    this.cacheRoot = path.resolve(cacheRoot || SkeletonCache.defaultRoot());
+  }
+
+  // FLOWSOURCE_SKELETON_CACHE, or ~/.flowsource/skeleton-cache
+  static defaultRoot() {
+    return process.env.FLOWSOURCE_SKELETON_CACHE || path.join(os.homedir(), '.flowsource', 'skeleton-cache');
+  }
+
+  entryPath(createAppVersion) {
+    return path.join(this.cacheRoot, `create-app-${createAppVersion}`);
+  }
+
+  /**
+   * Cached skeleton for a create-app version
+   * @param {string} createAppVersion - @backstage/create-app version
+   * @returns {Promise<Object|null>} Entry ({ createAppVersion, backstageVersion, appNameToken, origin, ..., skeletonPath }) or null
+   */
+  async get(createAppVersion) {
+    const entryPath = this.entryPath(createAppVersion);
+    const entryFile = path.join(entryPath, ENTRY_FILE_NAME);
+    const skeletonPath = path.join(entryPath, SKELETON_DIR_NAME);
+    if (!(await fs.pathExists(entryFile)) || !(await fs.pathExists(skeletonPath))) {
+      return null;
+    }
+
+    const entry = await fs.readJson(entryFile).catch(() => null);
+    if (entry?.version !== ENTRY_VERSION) {
+      this.logger.warn(`⚠️ Ignoring unreadable skeleton cache entry: ${entryFile}`);
+      return null;
+    }
+    return { ...entry, skeletonPath };
+  }
+
+  /**
+   * Cached skeleton of a Backstage release (the version in the skeleton's backstage.json)
+   * @param {string} backstageVersion - Backstage release, e.g. 1.31.0
+   * @returns {Promise<Object|null>} Entry with the highest create-app version, or null
+   */
+  async findByBackstageVersion(backstageVersion) {
+    const matches = (await this.list()).filter(entry => entry.backstageVersion === backstageVersion);
+    return matches.sort((a, b) => compareVersions(b.createAppVersion, a.createAppVersion))[0] || null;
+  }
+
+  /**
+   * Every cached skeleton
+   * @returns {Promise<Object[]>} Entries sorted by create-app version
+   */
+  async list() {
+    if (!(await fs.pathExists(this.cacheRoot))) {
+      return [];
+    }
+    const entries = [];
+    for (const name of (await fs.readdir(this.cacheRoot)).sort()) {
+      const match = name.match(/^create-app-(.+)$/);
+      const entry = match ? await this.get(match[1]) : null;
+      if (entry) entries.push(entry);
+    }
+    return entries;
+  }
+
+  /**
+   * Store a skeleton directory, replacing any entry for the same version
+   * @param {string} createAppVersion - @backstage/create-app version the skeleton was created with
+   * @param {string} skeletonDir - Skeleton to store
+   * @param {Object} details - { appNameToken, origin: 'generated' | 'imported', importedFrom }
+   * @returns {Promise<Object>} Stored entry
+   */
+  async store(createAppVersion, skeletonDir, { appNameToken, origin, importedFrom = null }) {
+    const entryPath = this.entryPath(createAppVersion);
+    const stagingPath = `${entryPath}.incoming-${process.pid}`;
+    let files = 0;
+
+    await fs.remove(stagingPath);
+    await walkFiles(skeletonDir, async (relativePath, fullPath) => {
+      await fs.copy(fullPath, path.join(stagingPath, SKELETON_DIR_NAME, relativePath));
+      files++;
+    });
+    await fs.writeJson(path.join(stagingPath, ENTRY_FILE_NAME), {
+      version: ENTRY_VERSION,
+      createAppVersion,
+      backstageVersion: await readBackstageVersion(skeletonDir),
+      appNameToken,
+      origin,
+      importedFrom: importedFrom ? path.resolve(importedFrom) : null,
+      storedAt: new Date().toISOString(),
+      files
+    }, { spaces: 2 });
+
+    // Swap the complete entry in, so an interrupted store never leaves half a skeleton
+    await fs.remove(entryPath);
+    await fs.move(stagingPath, entryPath);
+    this.logger.info(`💾 Cached Backstage skeleton for create-app ${createAppVersion} (${files} files) in ${entryPath}`);
+    return this.get(createAppVersion);
+  }
+
+  /**
+   * Extract an archive (or use a directory as it is) and return the skeleton root in it
+   * @param {string} source - Skeleton directory or .tgz / .tar.gz / .tar archive
+   * @param {Object} options - { keepTemp }: keep the extracted files for debugging
+   * @returns {Promise<Object>} { skeletonDir, cleanup }: cleanup() removes extracted files
+   */
+  async unpack(source, { keepTemp = false } = {}) {
+    const sourcePath = path.resolve(source);
+    if (!(await fs.pathExists(sourcePath))) {
+      throw new Error(`Skeleton not found: ${sourcePath}`);
+    }
+    if ((await fs.stat(sourcePath)).isDirectory()) {
+      return { skeletonDir: sourcePath, cleanup: async () => {} };
+    }
+    if (!ARCHIVE_EXTENSIONS.some(extension => sourcePath.toLowerCase().endsWith(extension))) {
+      throw new Error(`Unsupported skeleton archive ${sourcePath} (expected a directory or ${ARCHIVE_EXTENSIONS.join(', ')})`);
+    }
+
+    const extractPath = await TempWorkspace.create('flowsource-skeleton-import-', { keep: keepTemp });
+    const cleanup = () => TempWorkspace.release(extractPath);
+    const result = spawnSync('tar', ['-xf', sourcePath, '-C', extractPath], { encoding: 'utf8', windowsHide: true });
+    if (result.error || result.status !== 0) {
+      await cleanup();
+      throw new Error(`Could not extract ${sourcePath}: ${result.error?.message || result.stderr || `tar exited with ${result.status}`}`);
+    }
+
+    // Archives usually wrap the skeleton in one top-level directory
+    let skeletonDir = extractPath;
+    const entries = await fs.readdir(extractPath, { withFileTypes: true });
+    if (entries.length === 1 && entries[0].isDirectory() && !(await fs.pathExists(path.join(extractPath, 'package.json')))) {
+      skeletonDir = path.join(extractPath, entries[0].name);
+    }
+    return { skeletonDir, cleanup };
+  }
+
+  /**
+   * Copy a cached skeleton to a destination, replacing the app name token
+   * @param {Object} entry - Entry returned by get()
+   * @param {string} destinationPath - Copy target
+   * @param {string} applicationName - Name substituted for the entry's app name token
+   * @returns {Promise<number>} Number of files copied
+   */
+  async copyTo(entry, destinationPath, applicationName) {
+    let files = 0;
+    await walkFiles(entry.skeletonPath, async (relativePath, fullPath) => {
+      const target = path.join(destinationPath, relativePath);
+      const content = await fs.readFile(fullPath);
+      await fs.ensureDir(path.dirname(target));
+      await fs.writeFile(target, substituteName(content, entry.appNameToken, applicationName));
+      files++;
+    });
+    return files;
+  }
+}
+
+// Numeric comparison of dotted versions (0.5.9 < 0.5.25)
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const right = String(b).split('.').map(part => parseInt(part, 10) || 0);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    if ((left[i] || 0) !== (right[i] || 0)) return (left[i] || 0) - (right[i] || 0);
+  }
+  return 0;
+}
+
+// Replace the app name token in text files; binary files are copied unchanged
+function substituteName(content, token, applicationName) {
+  if (!token || token === applicationName || content.subarray(0, BINARY_SNIFF_LENGTH).includes(0)) {
+    return content;
+  }
+  const text = content.toString('utf8');
+  return text.includes(token) ? Buffer.from(text.split(token).join(applicationName), 'utf8') : content;
+}
@@ -0,0 +1,72 @@
+// Temp Workspace - Per-run temporary directories that are removed on success, failure and interrupt
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { Logger } from './Logger.js';
+
+/**
+ * Unique temporary directories under the OS temp directory (e.g. for create-app
+ * output or dry-run staging), so concurrent runs never share one.
+ *
+ * Every directory is registered until it is released. release() removes it once
+ * the work is done (successfully or not); releaseAllSync() removes whatever is
+ * still registered when the process exits or is interrupted. Directories created
+ * with keep (--keep-temp) are left in place and their path is logged instead.
+ */
+export class TempWorkspace {
+  static open = new Map(); // directory -> { keep }
+
+  /**
+   * Create and register a temporary directory
+   * @param {string} prefix - Directory name prefix, e.g. 'flowsource-skeleton-'
+   * @param {Object} options - { keep }: leave the directory in place for debugging
+   * @returns {Promise<string>} Directory path
+   */
+  static async create(prefix, { keep = false } = {}) {
+    const dirPath = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+    TempWorkspace.open.set(dirPath, { keep });
+    Logger.getInstance().debug(`📁 Temporary workspace: ${dirPath}`);
+    return dirPath;
+  }
+
+  /**
+   * Remove a temporary directory (or keep it when it was created with keep)
+   * @param {string} dirPath - Directory returned by create()
+   */
+  static async release(dirPath) {
+    const entry = TempWorkspace.open.get(dirPath);
+    if (!entry) {
+      return;
+    }
+    TempWorkspace.open.delete(dirPath);
+
+    const logger = Logger.getInstance();
+    if (entry.keep) {
+      logger.info(`📁 Kept temporary workspace (--keep-temp): ${dirPath}`);
+      return;
+    }
+    try {
+      await fs.remove(dirPath);
+    } catch (error) {
+      logger.warn(`⚠️ Could not remove temporary workspace ${dirPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove every registered directory synchronously (exit and signal handlers)
+   */
+  static releaseAllSync() {
+    for (const [dirPath, { keep }] of TempWorkspace.open) {
+      TempWorkspace.open.delete(dirPath);
+      if (keep) {
+        console.log(`📁 Kept temporary workspace (--keep-temp): ${dirPath}`);
+        continue;
+      }
+      try {
+        fs.removeSync(dirPath);
+      } catch {
+        // Best effort: the process is exiting
+      }
+    }
+  }
+}
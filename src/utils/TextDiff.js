@@ -0,0 +1,301 @@
+// Text Diff - Line based diffing, unified diff rendering and three-way merges
+//
+// Implements Myers' O(ND) difference algorithm over lines. Used by the dry-run
+// planner to show what a migration would change without touching the real
+// destination, and by package upgrades to merge package changes into local edits.
+
+// Beyond this many edits the files are treated as fully rewritten; keeps the
+// backtracking trace bounded for very large, unrelated files.
+const MAX_EDIT_DISTANCE = 4000;
+
+// Marks a final line that is not terminated by a newline so that
+// "foo" and "foo\n" are reported as different.
+const NO_EOL = '\u0000';
+
+/**
+ * Split text into lines, tagging the last line when the text has no trailing newline
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Lines without their terminators
+ */
+export function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += NO_EOL;
+  }
+  return lines;
+}
+
+/**
+ * Compute the line operations that turn oldLines into newLines
+ * @param {Array<string>} oldLines - Original lines
+ * @param {Array<string>} newLines - Updated lines
+ * @returns {Array<Object>} Operations of the form { type: ' ' | '-' | '+', line }
+ */
+export function diffLines(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  if (n === 0 || m === 0) {
+    return [
+      ...oldLines.map(line => ({ type: '-', line })),
+      ...newLines.map(line => ({ type: '+', line }))
+    ];
+  }
+
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    if (d > MAX_EDIT_DISTANCE) {
+      return [
+        ...oldLines.map(line => ({ type: '-', line })),
+        ...newLines.map(line => ({ type: '+', line }))
+      ];
+    }
+
+    // Snapshot of the furthest reaching paths for d - 1, covering k in [-d - 1, d + 1]
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, oldLines, newLines);
+      }
+    }
+  }
+
+  return [];
+}
+
+function backtrack(trace, oldLines, newLines) {
+  const ops = [];
+  let x = oldLines.length;
+  let y = newLines.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+
+    let prevK;
+    if (k === -d || (k !== d && at(k - 1) < at(k + 1))) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: oldLines[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: '+', line: newLines[prevY] });
+      } else {
+        ops.push({ type: '-', line: oldLines[prevX] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Render a unified diff between two texts
+ * @param {string} oldName - Label for the original file (e.g. a/app-config.yaml or /dev/null)
+ * @param {string} newName - Label for the updated file
+ * @param {string} oldText - Original content ('' for created files)
+ * @param {string} newText - Updated content ('' for deleted files)
+ * @param {number} context - Number of unchanged lines around each change
+ * @returns {string} Unified diff, or an empty string when the texts are equal
+ */
+export function createUnifiedDiff(oldName, newName, oldText, newText, context = 3) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const changeIndexes = [];
+  ops.forEach((op, index) => {
+    if (op.type !== ' ') {
+      changeIndexes.push(index);
+    }
+  });
+
+  if (changeIndexes.length === 0) {
+    return '';
+  }
+
+  // Line numbers (0-based) in each file before every operation
+  const positions = [];
+  let oldLine = 0;
+  let newLine = 0;
+  for (const op of ops) {
+    positions.push({ oldLine, newLine });
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  }
+
+  // Group nearby changes into hunks
+  const ranges = [];
+  let start = Math.max(0, changeIndexes[0] - context);
+  let end = Math.min(ops.length, changeIndexes[0] + context + 1);
+  for (const index of changeIndexes.slice(1)) {
+    if (index - context <= end) {
+      end = Math.min(ops.length, index + context + 1);
+    } else {
+      ranges.push([start, end]);
+      start = Math.max(0, index - context);
+      end = Math.min(ops.length, index + context + 1);
+    }
+  }
+  ranges.push([start, end]);
+
+  const output = [`--- ${oldName}`, `+++ ${newName}`];
+
+  for (const [from, to] of ranges) {
+    const slice = ops.slice(from, to);
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    const oldStart = oldCount === 0 ? positions[from].oldLine : positions[from].oldLine + 1;
+    const newStart = newCount === 0 ? positions[from].newLine : positions[from].newLine + 1;
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of slice) {
+      if (op.line.endsWith(NO_EOL)) {
+        output.push(`${op.type}${op.line.slice(0, -1)}`);
+        output.push('\\ No newline at end of file');
+      } else {
+        output.push(`${op.type}${op.line}`);
+      }
+    }
+  }
+
+  return output.join('\n') + '\n';
+}
+
+/**
+ * Three-way merge of two texts that both changed a common base (diff3 style)
+ * @param {string} baseText - Common ancestor
+ * @param {string} oursText - Local version
+ * @param {string} theirsText - Incoming version
+ * @param {Object} labels - { ours, base, theirs } names shown in conflict markers
+ * @returns {Object} { text, conflicts }: merged text (with conflict markers) and the number of conflicts
+ */
+export function mergeThreeWay(baseText, oursText, theirsText, labels = {}) {
+  const { ours = 'ours', base = 'base', theirs = 'theirs' } = labels;
+  const baseLines = splitLines(baseText);
+  const hunks = [
+    ...collectHunks(diffLines(baseLines, splitLines(oursText)), 'ours'),
+    ...collectHunks(diffLines(baseLines, splitLines(theirsText)), 'theirs')
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const output = [];
+  let conflicts = 0;
+  let position = 0;
+  let index = 0;
+
+  while (index < hunks.length) {
+    // Group hunks whose base ranges overlap or touch
+    const group = [hunks[index]];
+    let end = hunks[index].end;
+    index++;
+    while (index < hunks.length && hunks[index].start <= end) {
+      group.push(hunks[index]);
+      end = Math.max(end, hunks[index].end);
+      index++;
+    }
+
+    const start = group[0].start;
+    output.push(...baseLines.slice(position, start));
+
+    const sides = new Set(group.map(hunk => hunk.side));
+    const oursLines = applyHunks(baseLines, start, end, group.filter(hunk => hunk.side === 'ours'));
+    const theirsLines = applyHunks(baseLines, start, end, group.filter(hunk => hunk.side === 'theirs'));
+
+    if (sides.size === 1) {
+      output.push(...(sides.has('ours') ? oursLines : theirsLines));
+    } else if (oursLines.join('\n') === theirsLines.join('\n')) {
+      output.push(...oursLines);
+    } else {
+      conflicts++;
+      const terminate = (lines) => lines.map(line => (line.endsWith(NO_EOL) ? line.slice(0, -1) : line));
+      output.push(
+        `<<<<<<< ${ours}`, ...terminate(oursLines),
+        `||||||| ${base}`, ...terminate(baseLines.slice(start, end)),
+        '=======', ...terminate(theirsLines),
+        `>>>>>>> ${theirs}`
+      );
+    }
+    position = end;
+  }
+  output.push(...baseLines.slice(position));
+
+  const text = output.map((line, i) =>
+    line.endsWith(NO_EOL) && i === output.length - 1 ? line.slice(0, -1) : `${line.replace(NO_EOL, '')}\n`
+  ).join('');
+  return { text, conflicts };
+}
+
+// Changed base ranges of a diff: { side, start, end, lines } with end exclusive
+function collectHunks(ops, side) {
+  const hunks = [];
+  let baseIndex = 0;
+  let current = null;
+
+  for (const op of ops) {
+    if (op.type === ' ') {
+      if (current) hunks.push(current);
+      current = null;
+      baseIndex++;
+      continue;
+    }
+    if (!current) current = { side, start: baseIndex, end: baseIndex, lines: [] };
+    if (op.type === '-') {
+      baseIndex++;
+      current.end = baseIndex;
+    } else {
+      current.lines.push(op.line);
+    }
+  }
+  if (current) hunks.push(current);
+  return hunks;
+}
+
+// Base lines [start, end) with one side's hunks applied
+function applyHunks(baseLines, start, end, hunks) {
+  const lines = [];
+  let position = start;
+  for (const hunk of hunks) {
+    lines.push(...baseLines.slice(position, hunk.start), ...hunk.lines);
+    position = hunk.end;
+  }
+  lines.push(...baseLines.slice(position, end));
+  return lines;
+}
@@ -0,0 +1,190 @@
+// Theme Generator - FlowSource theme variants, their modules and their createApp theme entries
+
+// FlowSource themes an app can get. IDs share the flowsource-theme prefix; the light
+// theme keeps the ID earlier migrations used, so stored theme choices stay valid.
+export const FLOWSOURCE_THEMES = {
+  light: { id: 'flowsource-theme', title: 'Flowsource Theme', variant: 'light', exportName: 'FlowsourceTheme' },
+  dark: { id: 'flowsource-theme-dark', title: 'Flowsource Dark Theme', variant: 'dark', exportName: 'FlowsourceDarkTheme' },
+  'high-contrast': { id: 'flowsource-theme-high-contrast', title: 'Flowsource High Contrast Theme', variant: 'dark', exportName: 'FlowsourceHighContrastTheme' }
+};
+
+// Backstage's default themes; createApp drops them once `themes` is set, so kept ones are declared too
+export const BACKSTAGE_THEMES = {
+  light: { id: 'light', title: 'Light Theme', variant: 'light', exportName: 'themes.light' },
+  dark: { id: 'dark', title: 'Dark Theme', variant: 'dark', exportName: 'themes.dark' }
+};
+
+export const DEFAULT_THEME_SELECTION = { flowsource: ['light'], backstage: [] };
+
+// Colours of generated dark and high-contrast themes when no brand kit is given
+const DEFAULT_PALETTE = { primary: '#2F78C4', secondary: '#26EFE9', navigation: '#000048' };
+
+// Fixed high-contrast colours (white on black, yellow and cyan accents)
+const HIGH_CONTRAST = { primary: '#FFFF00', secondary: '#00FFFF', background: '#000000', text: '#FFFFFF' };
+
+const PAGE_THEMES = [
+  ['home', 'wave'], ['documentation', 'wave2'], ['tool', 'round'], ['service', 'wave'],
+  ['website', 'wave'], ['library', 'wave'], ['other', 'wave'], ['app', 'wave'], ['apis', 'wave']
+];
+
+/**
+ * Validate and complete a theme selection
+ * @param {Object} selection - { flowsource: FlowSource theme keys, backstage: Backstage default themes to keep }
+ * @returns {Object} { flowsource, backstage } with defaults filled in
+ */
+export function resolveThemeSelection(selection = {}) {
+  const flowsource = selection?.flowsource ?? DEFAULT_THEME_SELECTION.flowsource;
+  const backstage = selection?.backstage ?? DEFAULT_THEME_SELECTION.backstage;
+  const errors = [
+    ...flowsource.filter(key => !FLOWSOURCE_THEMES[key]).map(key => `unknown FlowSource theme "${key}" (allowed: ${Object.keys(FLOWSOURCE_THEMES).join(', ')})`),
+    ...backstage.filter(key => !BACKSTAGE_THEMES[key]).map(key => `unknown Backstage theme "${key}" (allowed: ${Object.keys(BACKSTAGE_THEMES).join(', ')})`)
+  ];
+  if (flowsource.length === 0) {
+    errors.push('select at least one FlowSource theme');
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid theme selection: ${errors.join('; ')}`);
+  }
+  return { flowsource: [...new Set(flowsource)], backstage: [...new Set(backstage)] };
+}
+
+/**
+ * Themes of a selection in the order they are declared in createApp
+ * @param {Object} selection - Theme selection (see resolveThemeSelection)
+ * @returns {Array<Object>} Theme definitions ({ id, title, variant, exportName, key, flowsource })
+ */
+export function selectedThemes(selection) {
+  const { flowsource, backstage } = resolveThemeSelection(selection);
+  return [
+    ...flowsource.map(key => ({ ...FLOWSOURCE_THEMES[key], key, flowsource: true })),
+    ...backstage.map(key => ({ ...BACKSTAGE_THEMES[key], key, flowsource: false }))
+  ];
+}
+
+/**
+ * Imports App.tsx needs for the selected themes
+ * @param {Object} selection - Theme selection
+ * @returns {Array<Object>} { name, from }
+ */
+export function themeImports(selection) {
+  const themes = selectedThemes(selection);
+  const imports = themes.filter(theme => theme.flowsource)
+    .map(theme => ({ name: theme.exportName, from: `./components/theme/${theme.exportName}` }));
+  imports.push({ name: 'UnifiedThemeProvider', from: '@backstage/theme' });
+  if (themes.some(theme => !theme.flowsource)) {
+    imports.push({ name: 'themes', from: '@backstage/theme' });
+  }
+  return imports;
+}
+
+/**
+ * createApp({ themes }) entry of a theme
+ * @param {Object} theme - Theme definition from selectedThemes()
+ * @returns {string} Object literal
+ */
+export function themeEntrySource(theme) {
+  return `{
+  id: '${theme.id}',
+  title: '${theme.title}',
+  variant: '${theme.variant}',
+  Provider: ({ children }) => (
+    <UnifiedThemeProvider theme={${theme.exportName}} children={children} />
+  ),
+}`;
+}
+
+/**
+ * Source of a FlowSource theme module
+ * @param {string} key - FlowSource theme key ('light', 'dark' or 'high-contrast')
+ * @param {Object} options - { palette: { primary, secondary, navigation }, typography:
+ *   { fontFamily, htmlFontSize }, origin: what the module is generated from }
+ * @returns {string} TypeScript (also valid JavaScript) module
+ */
+export function themeModuleSource(key, { palette = DEFAULT_PALETTE, typography = {}, origin = 'the FlowSource palette' } = {}) {
+  const theme = FLOWSOURCE_THEMES[key];
+  const colors = themeColors(key, palette);
+  const typographyLines = [
+    typography.fontFamily ? `  fontFamily: ${quote(typography.fontFamily)},` : null,
+    typography.htmlFontSize ? `  htmlFontSize: ${typography.htmlFontSize},` : null
+  ].filter(Boolean);
+  const base = `palettes.${theme.variant}`;
+  const contrastLines = key === 'high-contrast'
+    ? [
+      `    background: { default: ${quote(HIGH_CONTRAST.background)}, paper: ${quote(HIGH_CONTRAST.background)} },`,
+      `    text: { ...${base}.text, primary: ${quote(HIGH_CONTRAST.text)}, secondary: ${quote(HIGH_CONTRAST.text)} },`,
+      `    divider: ${quote(HIGH_CONTRAST.text)},`
+    ]
+    : [];
+
+  return [
+    `// Generated by the FlowSource migration utility from ${origin}.`,
+    '// Change the brand kit or theme selection and run the migration again instead of editing this file.',
+    'import {',
+    '  createUnifiedTheme,',
+    '  genPageTheme,',
+    '  palettes,',
+    '  shapes,',
+    "} from '@backstage/theme';",
+    '',
+    `const primary = ${quote(colors.primary)};`,
+    `const secondary = ${quote(colors.secondary)};`,
+    `const navigation = ${quote(colors.navigation)};`,
+    '',
+    `export const ${theme.exportName} = createUnifiedTheme({`,
+    '  palette: {',
+    `    ...${base},`,
+    '    primary: { main: primary },',
+    '    secondary: { main: secondary },',
+    ...contrastLines,
+    '    navigation: {',
+    `      ...${base}.navigation,`,
+    '      background: navigation,',
+    '      indicator: secondary,',
+    `      selectedColor: ${quote(key === 'high-contrast' ? HIGH_CONTRAST.primary : '#FFFFFF')},`,
+    '    },',
+    '  },',
+    ...typographyLines,
+    "  defaultPageTheme: 'home',",
+    '  pageTheme: {',
+    ...PAGE_THEMES.map(([page, shape]) => `    ${page}: genPageTheme({ colors: [${colors.header}], shape: shapes.${shape} }),`),
+    '  },',
+    '});',
+    ''
+  ].join('\n');
+}
+
+// Colours of a theme variant derived from the brand (or default) palette
+function themeColors(key, palette) {
+  if (key === 'high-contrast') {
+    return { primary: HIGH_CONTRAST.primary, secondary: HIGH_CONTRAST.secondary, navigation: HIGH_CONTRAST.background, header: 'navigation, navigation' };
+  }
+  if (key === 'dark') {
+    // Lighter accents stay readable on the dark background; header and sidebar get darker
+    return {
+      primary: mix(palette.primary, '#FFFFFF', 0.35),
+      secondary: mix(palette.secondary, '#FFFFFF', 0.35),
+      navigation: mix(palette.navigation, '#000000', 0.5),
+      header: `${quote(mix(palette.primary, '#000000', 0.4))}, ${quote(mix(palette.secondary, '#000000', 0.4))}`
+    };
+  }
+  return { ...palette, header: 'primary, secondary' };
+}
+
+// Blend two #RGB / #RRGGBB colours; amount is the share of the second one
+function mix(first, second, amount) {
+  const [a, b] = [first, second].map(expandHex);
+  const channels = [0, 2, 4].map(start => {
+    const value = Math.round(parseInt(a.slice(start, start + 2), 16) * (1 - amount) + parseInt(b.slice(start, start + 2), 16) * amount);
+    return value.toString(16).padStart(2, '0');
+  });
+  return `#${channels.join('').toUpperCase()}`;
+}
+
+export function expandHex(hex) {
+  const digits = hex.slice(1);
+  return digits.length === 3 ? digits.split('').map(digit => digit + digit).join('') : digits;
+}
+
+export function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
@@ -0,0 +1,150 @@
+// Validation Report - Rule results as JUnit XML and SARIF for CI test dashboards and PR annotations
+import fs from 'fs-extra';
+import path from 'path';
+import { readToolInfo } from './MigrationManifest.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+/**
+ * Rule results of a UI-Changes.md compliance report, in the shape ValidationEngine.runRules() returns
+ * @param {Object} report - Report from buildComplianceReport()
+ * @returns {Array<Object>} { id, phase, severity, description, status, findings, issues, help } per rule
+ */
+export function complianceRuleResults(report) {
+  const severities = { fail: 'error', warn: 'warning' };
+  return report.rules.map(rule => ({
+    id: rule.id,
+    phase: 1,
+    severity: severities[rule.severity],
+    description: `${rule.section}: ${rule.description}`,
+    status: rule.status === 'pass' ? 'pass' : severities[rule.status],
+    findings: rule.problems,
+    issues: rule.problems.map(problem => ({ message: problem, severity: severities[rule.status], file: rule.file, line: null })),
+    help: rule.remediation
+  }));
+}
+
+/**
+ * Render rule results as JUnit XML: a test suite per phase, a test case per rule.
+ * Rules with errors fail; warnings and notes are attached as system-out of passing cases.
+ * @param {Array<Object>} results - Rule results from ValidationEngine.runRules() or complianceRuleResults()
+ * @param {Object} options - { name: name of the test suites element, timestamp }
+ * @returns {string} XML document
+ */
+export function formatJUnit(results, { name = 'FlowSource validation', timestamp = new Date().toISOString() } = {}) {
+  const phases = [...new Set(results.map(result => result.phase))].sort();
+  const failures = (cases) => cases.filter(result => result.status === 'error').length;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${xml(name)}" tests="${results.length}" failures="${failures(results)}" errors="0">`
+  ];
+  for (const phase of phases) {
+    const cases = results.filter(result => result.phase === phase);
+    lines.push(`  <testsuite name="${xml(`${name} - Phase ${phase}`)}" tests="${cases.length}" failures="${failures(cases)}" errors="0" skipped="0" timestamp="${timestamp}">`);
+    for (const result of cases) {
+      const testCase = `    <testcase name="${xml(result.id)}" classname="flowsource.phase${phase}.${xml(result.id.split('.')[0])}"`;
+      const details = result.issues.map(issue => `[${issue.severity}] ${location(issue)}${issue.message}`).join('\n');
+      if (result.status === 'pass') {
+        lines.push(`${testCase} />`);
+      } else if (result.status === 'error') {
+        lines.push(`${testCase}>`);
+        lines.push(`      <failure message="${xml(`${result.description}: ${result.findings.length} problem(s)`)}" type="error">${xml(details)}</failure>`);
+        lines.push('    </testcase>');
+      } else {
+        lines.push(`${testCase}>`);
+        lines.push(`      <system-out>${xml(details)}</system-out>`);
+        lines.push('    </testcase>');
+      }
+    }
+    lines.push('  </testsuite>');
+  }
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render rule results as a SARIF 2.1.0 log: a reporting descriptor per rule, a result
+ * per finding, located at its file (relative to baseDirectory) and line where known
+ * @param {Array<Object>} results - Rule results from ValidationEngine.runRules() or complianceRuleResults()
+ * @param {Object} options - { destinationPath: app the files are in, baseDirectory: directory
+ *   URIs are relative to (default: destinationPath), tool: { name, version } }
+ * @returns {Object} SARIF log
+ */
+export function formatSarif(results, { destinationPath, baseDirectory = destinationPath, tool }) {
+  const rules = results.map(result => ({
+    id: result.id,
+    shortDescription: { text: result.description },
+    ...(result.help ? { help: { text: result.help } } : {}),
+    defaultConfiguration: { level: SARIF_LEVELS[result.severity] },
+    properties: { phase: result.phase }
+  }));
+
+  const sarifResults = results.flatMap((result, ruleIndex) => result.issues.map(issue => ({
+    ruleId: result.id,
+    ruleIndex,
+    level: SARIF_LEVELS[issue.severity],
+    message: { text: issue.message },
+    ...(issue.file ? {
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: toUri(path.relative(baseDirectory, path.join(destinationPath, issue.file))) },
+          ...(issue.line ? { region: { startLine: issue.line } } : {})
+        }
+      }]
+    } : {})
+  })));
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: tool.name, version: tool.version, rules } },
+      results: sarifResults
+    }]
+  };
+}
+
+/**
+ * Write rule results as JUnit XML and/or SARIF
+ * @param {Array<Object>} results - Rule results
+ * @param {Object} outputs - { junit: XML file, sarif: SARIF file, destinationPath, sarifBase }
+ * @returns {Promise<Array<string>>} Paths of the written files
+ */
+export async function saveValidationReports(results, { junit = null, sarif = null, destinationPath, sarifBase = null }) {
+  const written = [];
+  if (junit) {
+    await fs.outputFile(junit, formatJUnit(results), 'utf8');
+    written.push(junit);
+  }
+  if (sarif) {
+    const log = formatSarif(results, {
+      destinationPath: path.resolve(destinationPath),
+      baseDirectory: path.resolve(sarifBase || destinationPath),
+      tool: await readToolInfo()
+    });
+    await fs.outputJson(sarif, log, { spaces: 2 });
+    written.push(sarif);
+  }
+  return written;
+}
+
+function location(issue) {
+  if (!issue.file) return '';
+  return issue.line ? `${issue.file}:${issue.line}: ` : `${issue.file}: `;
+}
+
+// SARIF URIs use forward slashes, also on Windows
+function toUri(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+function xml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -1,6 +1,31 @@
 import yaml from 'js-yaml';
 import fs from 'fs-extra';
 import path from 'path';
+import { ChangeJournal } from './ChangeJournal.js';
+import { updateYamlContent } from './YamlDocument.js';
+
+// How deepMerge combines two values of a config path:
+//   replace - the incoming value wins
+//   merge   - objects are merged key by key
+//   append  - the incoming array items follow the existing ones
+//   union   - arrays keep one item per key property (or per value without a key);
+//             an incoming item replaces the existing item with the same key
+//   error   - differing values are a conflict
+export const MERGE_STRATEGY_TYPES = ['replace', 'merge', 'append', 'union', 'error'];
+
+/**
+ * Merge strategies of the Backstage app-config paths the migration writes to.
+ * '*' matches any one key.
+ */
+export const DEFAULT_MERGE_STRATEGIES = {
+  'auth.providers': { strategy: 'merge' },
+  'auth.providers.*': { strategy: 'replace' },
+  'integrations.github': { strategy: 'union', key: 'host' },
+  'integrations.gitlab': { strategy: 'union', key: 'host' },
+  'backend.auth.keys': { strategy: 'union', key: 'secret' },
+  'catalog.locations': { strategy: 'union', key: 'target' },
+  'proxy.endpoints': { strategy: 'merge' }
+};
 
 /**
  * Utility class for merging YAML configurations without duplication
@@ -9,6 +34,10 @@ export default class YamlConfigMerger {
   constructor(logger) {
     this.logger = logger;
     
+    // Merge strategies by config path, extended by plugins and templates
+    this.mergeStrategies = new Map();
+    this.registerMergeStrategies(DEFAULT_MERGE_STRATEGIES, 'core');
+
     // Dual configuration tracking
     this.dualMode = false;
     this.templateBlocks = []; // Configurations with placeholders
@@ -31,70 +60,71 @@ export default class YamlConfigMerger {
   }
 
   /**
-   * Deep merge two objects, with special handling for arrays and auth providers
+   * Add merge strategies for config paths, e.g. from a plugin or template. A path may
+   * only have one strategy: contributing a different one for a path that has one is an error.
+   * @param {object} strategies - { 'config.path': { strategy, key } }, '*' matching any one key
+   * @param {string} source - Who contributes them, for conflict messages
+   */
+  registerMergeStrategies(strategies, source) {
+    for (const [configPath, rule] of Object.entries(strategies || {})) {
+      if (!MERGE_STRATEGY_TYPES.includes(rule.strategy)) {
+        throw new Error(`Unknown merge strategy "${rule.strategy}" for ${configPath} from ${source}`);
+      }
+      if (rule.strategy === 'union' && rule.key !== undefined && typeof rule.key !== 'string') {
+        throw new Error(`Merge strategy for ${configPath} from ${source}: key must be a property name`);
+      }
+
+      const existing = this.mergeStrategies.get(configPath);
+      if (existing && (existing.strategy !== rule.strategy || existing.key !== rule.key)) {
+        throw new Error(`Merge strategy for ${configPath} from ${source} conflicts with the one from ${existing.source}`);
+      }
+      if (!existing) {
+        this.mergeStrategies.set(configPath, { strategy: rule.strategy, key: rule.key, source });
+      }
+    }
+  }
+
+  /**
+   * Merge strategy registered for a config path; exact paths win over '*' patterns
+   * @param {Array<string>} keyPath - Keys from the config root
+   * @returns {object|null} { strategy, key, source }
+   */
+  strategyFor(keyPath) {
+    const exact = this.mergeStrategies.get(keyPath.join('.'));
+    if (exact) {
+      return exact;
+    }
+    let match = null;
+    let wildcards = Infinity;
+    for (const [configPath, rule] of this.mergeStrategies) {
+      const segments = configPath.split('.');
+      if (segments.length !== keyPath.length || !segments.every((segment, index) => segment === '*' || segment === keyPath[index])) {
+        continue;
+      }
+      const count = segments.filter(segment => segment === '*').length;
+      if (count < wildcards) {
+        match = rule;
+        wildcards = count;
+      }
+    }
+    return match;
+  }
+
+  /**
+   * Deep merge two objects, each key by the merge strategy registered for its path.
+   * Without one, objects are merged, arrays get the items of both without duplicates
+   * and other values are replaced.
    * @param {object} target - Target object to merge into
    * @param {object} source - Source object to merge from
+   * @param {Array<string>} basePath - Keys of target and source from the config root
    * @returns {object} Merged object
    */
-  deepMerge(target, source) {
+  deepMerge(target, source, basePath = []) {
     const result = { ...target };
 
     for (const key in source) {
       if (source.hasOwnProperty(key)) {
-        if (key === 'providers' && result[key] && typeof result[key] === 'object') {
-          // Special handling for auth providers - merge provider objects
-          result[key] = { ...result[key], ...source[key] };
-        } else if (key === 'github' && Array.isArray(source[key]) && Array.isArray(result[key])) {
-          // Special handling for GitHub integrations - replace existing entries for same host
-          const resultIntegrations = [...result[key]];
-          
-          source[key].forEach(sourceIntegration => {
-            const existingIndex = resultIntegrations.findIndex(item => item.host === sourceIntegration.host);
-            if (existingIndex !== -1) {
-              // Replace existing integration for the same host (this allows real tokens to overwrite placeholders)
-              resultIntegrations[existingIndex] = sourceIntegration;
-            } else {
-              // Add new integration for different host
-              resultIntegrations.push(sourceIntegration);
-            }
-          });
-          
-          result[key] = resultIntegrations;
-        } else if (
-          typeof source[key] === 'object' && 
-          source[key] !== null && 
-          !Array.isArray(source[key]) &&
-          result[key] && 
-          typeof result[key] === 'object' && 
-          !Array.isArray(result[key])
-        ) {
-          // Recursively merge nested objects
-          result[key] = this.deepMerge(result[key], source[key]);
-        } else if (Array.isArray(source[key]) && Array.isArray(result[key])) {
-          // For arrays, merge unique items (special handling for keys array)
-          if (key === 'keys') {
-            // For backend.auth.keys, merge unique secrets
-            const existingSecrets = result[key].map(item => item.secret);
-            const newKeys = source[key].filter(item => 
-              !existingSecrets.includes(item.secret)
-            );
-            result[key] = [...result[key], ...newKeys];
-          } else if (key === 'locations') {
-            // For catalog.locations, merge unique targets
-            const existingTargets = result[key].map(item => item.target);
-            const newLocations = source[key].filter(item => 
-              !existingTargets.includes(item.target)
-            );
-            result[key] = [...result[key], ...newLocations];
-          } else {
-            // For other arrays, append unique items
-            const combined = [...result[key], ...source[key]];
-            result[key] = [...new Set(combined)]; // Remove duplicates for primitive arrays
-          }
-        } else {
-          // Overwrite primitive values or when target doesn't have the key
-          result[key] = source[key];
-        }
+        result[key] = this.mergeValue(result[key], source[key], [...basePath, key]);
       }
     }
 
@@ -102,33 +132,65 @@ export default class YamlConfigMerger {
   }
 
   /**
-   * Merge a new configuration into an existing YAML file
+   * Merge the values of one config path
+   * @param {*} target - Existing value (undefined when the key is new)
+   * @param {*} source - Incoming value
+   * @param {Array<string>} keyPath - Keys from the config root
+   * @returns {*} Merged value
+   */
+  mergeValue(target, source, keyPath) {
+    if (target === undefined) {
+      return source;
+    }
+
+    const rule = this.strategyFor(keyPath);
+    const objects = isPlainObject(target) && isPlainObject(source);
+    const arrays = Array.isArray(target) && Array.isArray(source);
+    const strategy = rule?.strategy || (objects ? 'merge' : arrays ? 'union' : 'replace');
+
+    switch (strategy) {
+      case 'merge':
+        return objects ? this.deepMerge(target, source, keyPath) : source;
+      case 'append':
+        return arrays ? [...target, ...source] : source;
+      case 'union':
+        return arrays ? unionBy(target, source, rule?.key) : source;
+      case 'error':
+        if (!isEqual(target, source)) {
+          throw new Error(`Conflicting values for ${keyPath.join('.')}: ${JSON.stringify(target)} and ${JSON.stringify(source)}`);
+        }
+        return target;
+      default:
+        return source;
+    }
+  }
+
+  /**
+   * Merge a new configuration into an existing YAML file. The file is edited in place:
+   * comments, key order and quoting are kept and only the keys the merge changes are rewritten.
    * @param {string} filePath - Path to the target YAML file
    * @param {object} newConfig - New configuration to merge
-   * @param {string} comment - Optional comment to add before the merged section
+   * @param {string} comment - Optional comment to add before the top-level keys the merge adds
    */
   async mergeIntoYamlFile(filePath, newConfig, comment = null) {
     try {
-      // Load existing configuration
-      const existingConfig = await this.loadYamlFile(filePath);
-
-      // Merge configurations
-      const mergedConfig = this.deepMerge(existingConfig, newConfig);
-
-      // Convert back to YAML
-      let yamlContent = yaml.dump(mergedConfig, {
-        lineWidth: -1, // Prevent line wrapping
-        noRefs: true,  // Prevent references
-        sortKeys: false // Preserve key order
-      });
-
-      // Add comment if provided
-      if (comment) {
-        yamlContent = `# ${comment}\n` + yamlContent;
+      const existingContent = await fs.pathExists(filePath) ? await fs.readFile(filePath, 'utf8') : '';
+
+      // Merge configurations into the parsed document
+      const { content, changed } = updateYamlContent(
+        existingContent,
+        existingConfig => this.deepMerge(existingConfig, newConfig),
+        { comment }
+      );
+
+      if (!changed) {
+        this.logger.info(`📄 Configuration already present in ${filePath}`);
+        return true;
       }
 
       // Write merged configuration
-      await fs.writeFile(filePath, yamlContent, 'utf8');
+      await ChangeJournal.record(filePath);
+      await fs.writeFile(filePath, content, 'utf8');
       this.logger.info(`📄 Successfully merged configuration into ${filePath}`);
 
       return true;
@@ -331,27 +393,29 @@ export default class YamlConfigMerger {
   }
 
   /**
-   * Write YAML configuration to file with optional comment
+   * Write YAML configuration to file with optional comment. An existing file is edited
+   * in place, so keys that keep their value also keep their comments, quoting and order.
    * @param {string} filePath - Path to write the YAML file
    * @param {object} config - Configuration object to write
-   * @param {string} comment - Optional comment to add at the top
+   * @param {string} comment - Optional comment to add at the top of a new file
    */
   async writeYamlFile(filePath, config, comment = null) {
     try {
-      // Convert to YAML
-      let yamlContent = yaml.dump(config, {
-        lineWidth: -1, // Prevent line wrapping
-        noRefs: true,  // Prevent references
-        sortKeys: false // Preserve key order
-      });
-
-      // Add comment if provided
-      if (comment) {
-        yamlContent = `# ${comment}\n` + yamlContent;
+      const existingContent = await fs.pathExists(filePath) ? await fs.readFile(filePath, 'utf8') : '';
+      const { content, changed } = updateYamlContent(
+        existingContent,
+        () => config,
+        { comment: existingContent.trim() ? null : comment }
+      );
+
+      if (!changed) {
+        this.logger.debug(`📄 YAML file already up to date: ${filePath}`);
+        return true;
       }
 
       // Write file
-      await fs.writeFile(filePath, yamlContent, 'utf8');
+      await ChangeJournal.record(filePath);
+      await fs.writeFile(filePath, content, 'utf8');
       this.logger.debug(`📄 Successfully wrote YAML file: ${filePath}`);
 
       return true;
@@ -517,3 +581,26 @@ export default class YamlConfigMerger {
     };
   }
 }
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Items of both arrays, one per key (items without the key: one per value)
+function unionBy(target, source, key) {
+  const result = [...target];
+  for (const item of source) {
+    const keyed = key && isPlainObject(item) && item[key] !== undefined;
+    const index = result.findIndex(existing => keyed ? existing?.[key] === item[key] : isEqual(existing, item));
+    if (index === -1) {
+      result.push(item);
+    } else if (keyed) {
+      result[index] = item;
+    }
+  }
+  return result;
+}
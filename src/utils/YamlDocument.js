@@ -0,0 +1,130 @@
+// YAML Document - Comment- and order-preserving edits of YAML files such as app-config.yaml
+import YAML from 'yaml';
+
+// No line folding, and flow collections written the way Backstage's app-config.yaml has them: [a, b]
+const FORMAT = { lineWidth: 0, flowCollectionPadding: false };
+
+/**
+ * Rewrite YAML content so it holds a new value, touching only what changed: keys,
+ * items and scalars equal to the new value keep their comments, quoting, order and
+ * blank lines; new keys are appended after the existing ones.
+ * @param {string} content - Current YAML content ('' for a new file)
+ * @param {Function} update - (current) => new value, given the parsed content ({} when empty)
+ * @param {Object} options - { comment: comment written above the top-level keys the update adds }
+ * @returns {{ content: string, changed: boolean }} New content; unchanged content is returned as is
+ */
+export function updateYamlContent(content, update, { comment = null } = {}) {
+  const document = YAML.parseDocument(content);
+  if (document.errors.length > 0) {
+    throw new Error(`Invalid YAML: ${document.errors[0].message}`);
+  }
+
+  const current = document.toJS() ?? {};
+  const value = update(current);
+  const state = { document, changed: false, comment };
+
+  if (!YAML.isMap(document.contents) || !isPlainObject(value)) {
+    if (isEqual(current, value)) {
+      return { content, changed: false };
+    }
+    document.contents = document.createNode(value);
+    if (comment) {
+      document.commentBefore = ` ${comment}`;
+    }
+    state.changed = true;
+  } else {
+    updateMap(state, document.contents, value, true);
+  }
+
+  if (!state.changed) {
+    return { content, changed: false };
+  }
+  // yaml drops blank lines at the end of the file; keep them
+  const trailing = content.match(/\n\s*$/)?.[0] ?? '\n';
+  return { content: document.toString(FORMAT).replace(/\n*$/, trailing), changed: true };
+}
+
+function updateNode(state, node, value) {
+  if (YAML.isNode(node) && isEqual(node.toJS(state.document), value)) {
+    return node;
+  }
+  if (YAML.isMap(node) && isPlainObject(value)) {
+    updateMap(state, node, value, false);
+    return node;
+  }
+  if (YAML.isSeq(node) && Array.isArray(value)) {
+    updateSeq(state, node, value);
+    return node;
+  }
+  state.changed = true;
+  if (YAML.isScalar(node) && !isCollection(value)) {
+    node.value = value;
+    return node;
+  }
+  return state.document.createNode(value);
+}
+
+function updateMap(state, map, value, topLevel) {
+  for (const pair of [...map.items]) {
+    if (!Object.prototype.hasOwnProperty.call(value, keyOf(pair.key))) {
+      map.delete(pair.key);
+      state.changed = true;
+    }
+  }
+
+  // Separate added top-level keys by a blank line when the file separates its sections that way
+  const spaced = topLevel && map.items.slice(1).some(pair => pair.key?.spaceBefore);
+  let commented = false;
+  for (const [key, item] of Object.entries(value)) {
+    const pair = map.items.find(existing => keyOf(existing.key) === key);
+    if (pair) {
+      pair.value = updateNode(state, pair.value, item);
+      continue;
+    }
+
+    const added = state.document.createPair(key, item);
+    if (topLevel && map.items.length > 0) {
+      added.key.spaceBefore = spaced;
+      if (state.comment && !commented) {
+        added.key.commentBefore = ` ${state.comment}`;
+        commented = true;
+      }
+    }
+    map.items.push(added);
+    state.changed = true;
+  }
+}
+
+function updateSeq(state, seq, value) {
+  const spaced = seq.items.slice(1).some(item => item?.spaceBefore);
+  value.forEach((item, index) => {
+    if (index < seq.items.length) {
+      seq.items[index] = updateNode(state, seq.items[index], item);
+    } else {
+      const added = state.document.createNode(item);
+      added.spaceBefore = spaced;
+      seq.items.push(added);
+      state.changed = true;
+    }
+  });
+  if (seq.items.length > value.length) {
+    seq.items.splice(value.length);
+    state.changed = true;
+  }
+}
+
+function keyOf(key) {
+  return String(YAML.isScalar(key) ? key.value : key);
+}
+
+function isCollection(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function isPlainObject(value) {
+  return isCollection(value) && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}